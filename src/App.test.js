@@ -1,8 +1,38 @@
 import { render, screen } from '@testing-library/react';
 import App from './App';
+import { createSimulationWorker } from './simulation/createSimulationWorker';
 
-test('renders learn react link', () => {
-  render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+// The real module needs import.meta, which jest cannot parse
+jest.mock('./simulation/createSimulationWorker', () => ({
+  createSimulationWorker: jest.fn(),
+}));
+
+// jsdom has no 2D canvas for Chart.js to draw on
+jest.mock('react-chartjs-2', () => ({ Line: () => null }));
+
+// Stands in for the simulation worker, recording what the UI asks of it
+const fakeWorker = () => ({
+  messages: [],
+  postMessage(message) {
+    this.messages.push(message);
+  },
+  terminate: jest.fn(),
+});
+
+test('renders the simulation and starts a lattice in the worker', () => {
+  const worker = fakeWorker();
+  createSimulationWorker.mockReturnValue(worker);
+  // Nor for the lattice, which then draws nothing
+  jest.spyOn(HTMLCanvasElement.prototype, 'getContext').mockReturnValue(null);
+
+  const { unmount } = render(<App />);
+  expect(screen.getByText('Vaporwave Ising Model')).toBeInTheDocument();
+  expect(screen.getByRole('button', { name: /play/i })).toBeInTheDocument();
+  expect(worker.onmessage).toEqual(expect.any(Function));
+  expect(worker.messages).toContainEqual(
+    expect.objectContaining({ type: 'reset', size: 30 })
+  );
+
+  unmount();
+  expect(worker.terminate).toHaveBeenCalled();
 });
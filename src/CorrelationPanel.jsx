@@ -0,0 +1,155 @@
+// CorrelationPanel.jsx
+// Spin-spin correlation function G(r) of the current lattice on a
+// logarithmic G axis, where the fitted exponential A e^(−r/ξ) is a straight
+// line, with the correlation length ξ below. The worker measures G
+// (correlation.js) on demand or, while Live is on, every few sweeps, which
+// also adds ξ to the time series chart.
+import React from 'react';
+import Button from '@mui/material/Button';
+import { Radar } from 'lucide-react';
+import { Line } from 'react-chartjs-2';
+import 'chart.js/auto';
+
+const COLOR = '#01CDFE';
+const FIT_COLOR = '#FF71CE';
+
+// Points along the fit, enough for a smooth curve on a logarithmic r axis
+const FIT_POINTS = 24;
+
+// `correlation` is the worker's latest { sweeps, r, g, fit } or null;
+// `settings` are { live, interval, logR } and onChange(settings) updates
+// them; onMeasure() asks for a measurement now
+const CorrelationPanel = ({ correlation, settings, onChange, onMeasure }) => {
+  const { live, interval, logR } = settings;
+  const fit = correlation && correlation.fit;
+
+  // Logarithmic axes only take positive values
+  const points = correlation
+    ? correlation.r
+        .map((r, k) => ({ x: r, y: correlation.g[k] }))
+        .filter(({ x, y }) => y > 0 && (!logR || x > 0))
+    : [];
+  const datasets = [
+    {
+      label: 'G(r)',
+      data: points,
+      borderColor: COLOR,
+      backgroundColor: COLOR,
+      showLine: false,
+    },
+  ];
+  if (fit) {
+    const from = logR ? Math.max(fit.from, 1) : fit.from;
+    datasets.push({
+      label: `A e^(−r/ξ), ξ = ${fit.xi.toFixed(2)}`,
+      data: Array.from({ length: FIT_POINTS }, (_, k) => {
+        const r = from + ((fit.to - from) * k) / (FIT_POINTS - 1);
+        return { x: r, y: fit.amplitude * Math.exp(-r / fit.xi) };
+      }),
+      borderColor: FIT_COLOR,
+      backgroundColor: FIT_COLOR,
+      borderDash: [6, 4],
+      pointRadius: 0,
+    });
+  }
+
+  const setLiveInterval = (value) => {
+    const parsed = Number(value);
+    if (Number.isInteger(parsed) && parsed > 0) {
+      onChange({ ...settings, interval: parsed });
+    }
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Radar className="w-5 h-5" style={{ color: COLOR }} />
+        <label className="font-medium" style={{ color: COLOR }}>
+          Correlation Function
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Button
+          size="small"
+          variant="outlined"
+          style={{ color: COLOR, borderColor: COLOR }}
+          onClick={onMeasure}
+        >
+          Measure Now
+        </Button>
+        <Button
+          size="small"
+          variant={live ? 'contained' : 'outlined'}
+          style={{
+            background: live ? COLOR : 'transparent',
+            color: live ? '#0D0D0D' : COLOR,
+            borderColor: COLOR,
+          }}
+          onClick={() => onChange({ ...settings, live: !live })}
+        >
+          Live
+        </Button>
+        <label
+          className="flex items-center gap-2 text-sm"
+          style={{ color: COLOR }}
+        >
+          every
+          <input
+            type="number"
+            value={interval}
+            step={1}
+            min={1}
+            onChange={(e) => setLiveInterval(e.target.value)}
+            className="w-20 rounded bg-black/40 px-2 py-1 text-white border border-[#01CDFE]/40"
+          />
+          sweeps
+        </label>
+        <label
+          className="flex items-center gap-2 text-sm"
+          style={{ color: COLOR }}
+        >
+          <input
+            type="checkbox"
+            checked={logR}
+            onChange={(e) => onChange({ ...settings, logR: e.target.checked })}
+          />
+          Logarithmic r
+        </label>
+      </div>
+      <div className="text-sm font-mono" style={{ color: COLOR }}>
+        {!correlation && 'Not measured yet'}
+        {correlation &&
+          (fit
+            ? `ξ = ${fit.xi.toFixed(3)} sites (fit over r = ${fit.from.toFixed(
+                1
+              )}–${fit.to.toFixed(1)})`
+            : 'ξ: no decay to fit')}
+        {correlation && ` · sweep ${correlation.sweeps}`}
+      </div>
+      <Line
+        data={{ datasets }}
+        options={{
+          animation: false,
+          parsing: false,
+          scales: {
+            x: {
+              type: logR ? 'logarithmic' : 'linear',
+              title: { display: true, text: 'Distance r', color: '#FFFFFF' },
+              ticks: { color: '#FFFFFF' },
+            },
+            y: {
+              type: 'logarithmic',
+              title: { display: true, text: 'G(r)', color: '#FFFFFF' },
+              ticks: { color: '#FFFFFF' },
+            },
+          },
+          plugins: {
+            legend: { labels: { color: '#FFFFFF' } },
+          },
+        }}
+      />
+    </div>
+  );
+};
+
+export default CorrelationPanel;
@@ -0,0 +1,137 @@
+// DomainPanel.jsx
+// Controls and statistics of the cluster overlay: which clusters the worker
+// labels (simulation/domains.js), how many there are, the share of the
+// largest, the total length of the domain walls and the cluster-size
+// distribution on log-log axes, where it is a straight line s^(-τ) at Tc.
+// Clicking the canvas while the overlay is on selects the cluster under
+// the pointer; its size is shown here.
+import React from 'react';
+import Button from '@mui/material/Button';
+import { Shapes } from 'lucide-react';
+import { Line } from 'react-chartjs-2';
+import 'chart.js/auto';
+import { supportsClusterKind } from './simulation/domains';
+
+const COLOR = '#05FFA1';
+
+const KIND_LABELS = { geometric: 'Domains', fk: 'FK Clusters' };
+const KIND_NEEDS = { geometric: 'discrete spins', fk: 'Ising or Potts spins' };
+
+// `domains` is the worker's latest analysis or null; `kind` the clusters
+// overlaid, or null when the overlay is off, and onKindChange(kind) changes
+// it; `selected` is { x, y, size } for the clicked cluster, or null
+const DomainPanel = ({ domains, kind, onKindChange, model, selected }) => {
+  const sites = domains
+    ? domains.sizes.reduce((total, size) => total + size, 0)
+    : 0;
+
+  const choice = (value, label, disabled = false) => {
+    const chosen = kind === value;
+    return (
+      <Button
+        key={label}
+        size="small"
+        variant={chosen ? 'contained' : 'outlined'}
+        disabled={disabled}
+        style={{
+          background: chosen ? COLOR : 'transparent',
+          color: chosen ? '#0D0D0D' : COLOR,
+          borderColor: COLOR,
+          textTransform: 'none',
+        }}
+        onClick={() => onKindChange(value)}
+      >
+        {label}
+      </Button>
+    );
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Shapes className="w-5 h-5" style={{ color: COLOR }} />
+        <label className="font-medium" style={{ color: COLOR }}>
+          Domains and Clusters
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {choice(null, 'Off')}
+        {Object.entries(KIND_LABELS).map(([value, label]) =>
+          choice(value, label, !supportsClusterKind(value, model))
+        )}
+      </div>
+      {kind !== null && !supportsClusterKind(kind, model) && (
+        <div className="text-sm text-white/60">
+          {KIND_LABELS[kind]} need {KIND_NEEDS[kind]}
+        </div>
+      )}
+      {domains && (
+        <>
+          <div className="grid grid-cols-3 gap-2 text-sm font-mono">
+            <div style={{ color: COLOR }}>
+              Clusters
+              <div className="text-white">{domains.count}</div>
+            </div>
+            <div style={{ color: COLOR }}>
+              Largest
+              <div className="text-white">
+                {(100 * domains.largestFraction).toFixed(1)}%
+              </div>
+            </div>
+            <div style={{ color: COLOR }}>
+              Interface
+              <div className="text-white">{domains.interfaceLength}</div>
+            </div>
+          </div>
+          <div className="text-sm" style={{ color: COLOR }}>
+            {selected
+              ? `Cluster at (${selected.x}, ${selected.y}): ${
+                  selected.size
+                } sites (${((100 * selected.size) / sites).toFixed(1)}%)`
+              : 'Click a cluster on the lattice to highlight it'}
+          </div>
+          <Line
+            data={{
+              datasets: [
+                {
+                  label: 'Clusters per site n_s',
+                  data: domains.histogram.map(({ size, density }) => ({
+                    x: size,
+                    y: density,
+                  })),
+                  borderColor: COLOR,
+                  backgroundColor: COLOR,
+                },
+              ],
+            }}
+            options={{
+              animation: false,
+              parsing: false,
+              scales: {
+                x: {
+                  type: 'logarithmic',
+                  title: {
+                    display: true,
+                    text: 'Cluster Size s',
+                    color: '#FFFFFF',
+                  },
+                  ticks: { color: '#FFFFFF' },
+                },
+                y: {
+                  type: 'logarithmic',
+                  title: { display: true, text: 'n_s', color: '#FFFFFF' },
+                  ticks: { color: '#FFFFFF' },
+                },
+              },
+              plugins: {
+                legend: { labels: { color: '#FFFFFF' } },
+              },
+            }}
+          />
+        </>
+      )}
+    </div>
+  );
+};
+
+export default DomainPanel;
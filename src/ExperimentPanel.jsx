@@ -0,0 +1,239 @@
+// ExperimentPanel.jsx
+// Temperature-sweep experiment: settings, progress and the resulting phase
+// transition curves of ⟨|m|⟩, C and χ against T with error bars over the
+// runs. The sweep itself runs in the simulation worker; this panel only asks
+// for it, plots the points it posts back and offers them for download.
+import React, { useState } from 'react';
+import Button from '@mui/material/Button';
+import { FlaskConical, StopCircle } from 'lucide-react';
+import { Line } from 'react-chartjs-2';
+import 'chart.js/auto';
+import ExportButtons from './ExportButtons';
+import {
+  DEFAULT_EXPERIMENT,
+  temperatureSteps,
+  validateExperiment,
+} from './simulation/experiment';
+
+// Curves of the experiment chart, keyed by their name in the posted points
+const EXPERIMENT_SERIES = {
+  magnetization: { label: '⟨|m|⟩', color: '#FFD700' },
+  specificHeat: { label: 'Specific Heat C', color: '#FF8C41' },
+  susceptibility: { label: 'Susceptibility χ', color: '#B967FF' },
+};
+
+const SETTING_FIELDS = [
+  { name: 'start', label: 'T start', step: 0.1 },
+  { name: 'end', label: 'T end', step: 0.1 },
+  { name: 'step', label: 'ΔT', step: 0.05 },
+  { name: 'equilibrationSweeps', label: 'Equilibration', step: 50 },
+  { name: 'measurementSweeps', label: 'Measurement', step: 50 },
+  { name: 'runs', label: 'Runs', step: 1 },
+];
+
+// Chart.js plugin drawing a vertical whisker of ± `errors[k]` through every
+// point of datasets that carry an `errors` array
+const errorBars = {
+  id: 'errorBars',
+  afterDatasetsDraw(chart) {
+    const { ctx } = chart;
+    chart.data.datasets.forEach((dataset, index) => {
+      const meta = chart.getDatasetMeta(index);
+      if (!dataset.errors || meta.hidden) return;
+      const scale = chart.scales[dataset.yAxisID];
+      ctx.save();
+      ctx.strokeStyle = dataset.borderColor;
+      ctx.lineWidth = 1.5;
+      meta.data.forEach((element, k) => {
+        const { y } = dataset.data[k];
+        const error = dataset.errors[k];
+        if (y === null || error === null) return;
+        const top = scale.getPixelForValue(y + error);
+        const bottom = scale.getPixelForValue(y - error);
+        ctx.beginPath();
+        ctx.moveTo(element.x, top);
+        ctx.lineTo(element.x, bottom);
+        ctx.moveTo(element.x - 3, top);
+        ctx.lineTo(element.x + 3, top);
+        ctx.moveTo(element.x - 3, bottom);
+        ctx.lineTo(element.x + 3, bottom);
+        ctx.stroke();
+      });
+      ctx.restore();
+    });
+  },
+};
+
+// `experiment` is the worker's latest progress message, flagged `cancelled`
+// once the user stops it, or null; `criticalT`
+// is marked on the chart when known, labelled `criticalLabel`; onExport(format)
+// downloads the points so far
+const ExperimentPanel = ({
+  experiment,
+  onStart,
+  onCancel,
+  onExport,
+  criticalT,
+  criticalLabel,
+}) => {
+  const [settings, setSettings] = useState(DEFAULT_EXPERIMENT);
+  const isRunning =
+    experiment !== null && !experiment.finished && !experiment.cancelled;
+
+  let settingsError = null;
+  let temperatureCount = 0;
+  try {
+    validateExperiment(settings);
+    temperatureCount = temperatureSteps(settings).length;
+  } catch (error) {
+    settingsError = error.message;
+  }
+
+  const setSetting = (name, value) => {
+    const parsed = Number(value);
+    if (value !== '' && Number.isFinite(parsed)) {
+      setSettings((prev) => ({ ...prev, [name]: parsed }));
+    }
+  };
+
+  const points = experiment ? experiment.points : [];
+  const datasets = Object.entries(EXPERIMENT_SERIES).map(
+    ([name, { label, color }]) => ({
+      label,
+      data: points.map((point) => ({
+        x: point.temperature,
+        y: point[name].mean,
+      })),
+      errors: points.map((point) => point[name].error),
+      borderColor: color,
+      backgroundColor: color,
+      yAxisID: name,
+    })
+  );
+  if (criticalT !== null) {
+    datasets.push({
+      label: `${criticalLabel} ${criticalT.toFixed(3)}`,
+      data: [
+        { x: criticalT, y: 0 },
+        { x: criticalT, y: 1 },
+      ],
+      borderColor: '#FFFFFF',
+      borderDash: [6, 4],
+      pointRadius: 0,
+      yAxisID: 'marker',
+    });
+  }
+  const seriesAxes = Object.fromEntries(
+    Object.entries(EXPERIMENT_SERIES).map(([name, { label, color }], k) => [
+      name,
+      {
+        position: k % 2 === 0 ? 'left' : 'right',
+        grid: { drawOnChartArea: k === 0 },
+        title: { display: true, text: label, color },
+        ticks: { color },
+      },
+    ])
+  );
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center gap-2">
+        <FlaskConical className="w-5 h-5 text-[#05FFA1]" />
+        <label className="text-[#05FFA1] font-medium">
+          Temperature Sweep Experiment
+        </label>
+      </div>
+      <div className="grid grid-cols-3 gap-2">
+        {SETTING_FIELDS.map(({ name, label, step }) => (
+          <label key={name} className="text-[#05FFA1] text-sm">
+            {label}
+            <input
+              type="number"
+              value={settings[name]}
+              step={step}
+              min={0}
+              disabled={isRunning}
+              onChange={(e) => setSetting(name, e.target.value)}
+              className="w-full rounded bg-black/40 px-2 py-1 text-white border border-[#05FFA1]/40"
+            />
+          </label>
+        ))}
+      </div>
+      <div className="flex items-center gap-2">
+        {isRunning ? (
+          <Button
+            variant="outlined"
+            style={{ color: '#FF71CE', borderColor: '#FF71CE' }}
+            startIcon={<StopCircle />}
+            onClick={onCancel}
+          >
+            Cancel
+          </Button>
+        ) : (
+          <Button
+            variant="outlined"
+            style={{ color: '#05FFA1', borderColor: '#05FFA1' }}
+            startIcon={<FlaskConical />}
+            disabled={settingsError !== null}
+            onClick={() => onStart(settings)}
+          >
+            Run Sweep
+          </Button>
+        )}
+        <span className="text-sm text-[#05FFA1]">
+          {settingsError ??
+            `${temperatureCount} temperatures × ${settings.runs} runs`}
+        </span>
+        <div className="ml-auto">
+          <ExportButtons
+            color="#05FFA1"
+            disabled={points.length === 0}
+            onExport={onExport}
+          />
+        </div>
+      </div>
+      {experiment && (
+        <div className="space-y-1">
+          <div className="text-sm text-[#05FFA1]">
+            {experiment.finished || experiment.cancelled
+              ? `${experiment.cancelled ? 'Cancelled after' : 'Finished'} ${
+                  experiment.points.length
+                } temperatures`
+              : `T = ${experiment.temperature.toFixed(3)} · ${
+                  experiment.done
+                } / ${experiment.total} sweeps`}
+          </div>
+          <div className="h-2 rounded bg-black/40 overflow-hidden">
+            <div
+              className="h-full bg-[#05FFA1]"
+              style={{
+                width: `${(100 * experiment.done) / experiment.total}%`,
+              }}
+            />
+          </div>
+        </div>
+      )}
+      <Line
+        data={{ datasets }}
+        plugins={[errorBars]}
+        options={{
+          animation: false,
+          scales: {
+            x: {
+              type: 'linear',
+              title: { display: true, text: 'Temperature', color: '#FFFFFF' },
+              ticks: { color: '#FFFFFF' },
+            },
+            ...seriesAxes,
+            marker: { display: false, min: 0, max: 1 },
+          },
+          plugins: {
+            legend: { labels: { color: '#FFFFFF' } },
+          },
+        }}
+      />
+    </div>
+  );
+};
+
+export default ExperimentPanel;
@@ -0,0 +1,29 @@
+// ExportButtons.jsx
+// CSV and JSON download buttons for a table of recorded data; the files
+// themselves are written by simulation/dataExport.js.
+import React from 'react';
+import Button from '@mui/material/Button';
+import { Download } from 'lucide-react';
+
+const FORMAT_LABELS = { csv: 'CSV', json: 'JSON' };
+
+// onExport(format) is called with 'csv' or 'json'; `label` names the table
+const ExportButtons = ({ label, color, disabled = false, onExport }) => (
+  <div className="flex flex-wrap gap-1">
+    {Object.entries(FORMAT_LABELS).map(([format, formatLabel]) => (
+      <Button
+        key={format}
+        size="small"
+        variant="outlined"
+        disabled={disabled}
+        style={{ color, borderColor: color, textTransform: 'none' }}
+        startIcon={<Download className="w-4 h-4" />}
+        onClick={() => onExport(format)}
+      >
+        {label ? `${label} ${formatLabel}` : formatLabel}
+      </Button>
+    ))}
+  </div>
+);
+
+export default ExportButtons;
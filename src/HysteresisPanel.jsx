@@ -0,0 +1,106 @@
+// HysteresisPanel.jsx
+// Magnetization against external field for the hysteresis loops recorded by
+// the worker, one curve per temperature, with the coercive field and
+// remanence of every cycle below and CSV/JSON export of both.
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+import 'chart.js/auto';
+import { STATE_COLORS } from './drawLattice';
+import ExportButtons from './ExportButtons';
+import { loopWidths } from './simulation/hysteresis';
+
+const formatWidth = (value) => (value === null ? '—' : value.toFixed(3));
+
+// `loops` are { loop, temperature, points, cycles } with points as [h, m],
+// oldest first; onExport(table, format) downloads the 'loops' or 'cycles'
+const HysteresisPanel = ({ loops, onExport }) => {
+  const loopColor = (k) => STATE_COLORS[k % STATE_COLORS.length].main;
+  return (
+    <div className="space-y-2">
+      <Line
+        data={{
+          datasets: loops.map(({ loop, temperature, points }, k) => ({
+            label: `T = ${temperature.toFixed(2)} (#${loop})`,
+            data: points.map(([h, m]) => ({ x: h, y: m * 100 })),
+            borderColor: loopColor(k),
+            backgroundColor: loopColor(k),
+            borderWidth: 1.5,
+            pointRadius: 0,
+          })),
+        }}
+        options={{
+          animation: false,
+          parsing: false,
+          scales: {
+            x: {
+              type: 'linear',
+              title: {
+                display: true,
+                text: 'External Field h',
+                color: '#FFFFFF',
+              },
+              ticks: { color: '#FFFFFF' },
+            },
+            y: {
+              min: -100,
+              max: 100,
+              title: {
+                display: true,
+                text: 'Net Magnetization (%)',
+                color: '#FFFFFF',
+              },
+              ticks: { color: '#FFFFFF' },
+            },
+          },
+          plugins: {
+            legend: { labels: { color: '#FFFFFF' } },
+          },
+        }}
+      />
+      <div className="flex flex-wrap gap-2">
+        <ExportButtons
+          label="Loops"
+          color="#FFD700"
+          disabled={loops.length === 0}
+          onExport={(format) => onExport('loops', format)}
+        />
+        <ExportButtons
+          label="Cycles"
+          color="#FFD700"
+          disabled={loops.length === 0}
+          onExport={(format) => onExport('cycles', format)}
+        />
+      </div>
+      <div className="max-h-40 overflow-y-auto text-sm font-mono">
+        <div className="grid grid-cols-4 gap-2 text-[#FFD700]">
+          <div>T</div>
+          <div>Cycle</div>
+          <div>H_c</div>
+          <div>M_r (%)</div>
+        </div>
+        {loops.map(({ loop, temperature, cycles }, k) =>
+          cycles.map((cycle) => {
+            const { coerciveField, remanence } = loopWidths(cycle);
+            return (
+              <div
+                key={`${loop}-${cycle.cycle}`}
+                className="grid grid-cols-4 gap-2 text-white"
+              >
+                <div style={{ color: loopColor(k) }}>
+                  {temperature.toFixed(2)}
+                </div>
+                <div>{cycle.cycle + 1}</div>
+                <div>{formatWidth(coerciveField)}</div>
+                <div>
+                  {formatWidth(remanence === null ? null : remanence * 100)}
+                </div>
+              </div>
+            );
+          })
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default HysteresisPanel;
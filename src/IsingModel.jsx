@@ -1,5 +1,11 @@
 // IsingModel.jsx
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, {
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+  useMemo,
+} from 'react';
 import Slider from '@mui/material/Slider';
 import Button from '@mui/material/Button';
 import {
@@ -13,6 +19,15 @@ import {
   Magnet,
   Circle,
   Square,
+  Slash,
+  RectangleHorizontal,
+  PaintBucket,
+  ArrowUp,
+  ArrowDown,
+  Paintbrush,
+  Pin,
+  PinOff,
+  Zap,
   Activity,
   Plus,
   Minus,
@@ -20,377 +35,1267 @@ import {
   RefreshCcw,
   StopCircle,
   Video,
+  Percent,
+  Shuffle,
+  Dices,
+  Save,
+  FolderOpen,
+  Link as LinkIcon,
+  ImagePlus,
+  ImageDown,
+  Undo2,
+  Redo2,
+  History,
 } from 'lucide-react';
 import { Line } from 'react-chartjs-2';
 import 'chart.js/auto';
-import GIF from 'gif.js.optimized'; // Import the GIF library
+import CorrelationPanel from './CorrelationPanel';
+import DomainPanel from './DomainPanel';
+import ExperimentPanel from './ExperimentPanel';
+import HysteresisPanel from './HysteresisPanel';
+import RecordingPanel from './RecordingPanel';
+import SchedulePreview from './SchedulePreview';
+import StructureFactorPanel from './StructureFactorPanel';
+import ExportButtons from './ExportButtons';
+import {
+  ALGORITHMS,
+  PATTERNS,
+  supportsAlgorithm,
+} from './simulation/IsingSimulation';
+import {
+  downSpin,
+  MAX_STATES,
+  MIN_STATES,
+  MODELS,
+  upSpin,
+} from './simulation/spinModels';
+import { BRUSH_SHAPES } from './simulation/brushes';
+import { BOND_DISORDERS } from './simulation/disorder';
+import { PARAMETER_RANGES } from './simulation/parameterRanges';
+import { MAX_SEED, randomSeed } from './simulation/random';
+import { createSavedState, parseSavedState } from './simulation/savedState';
+import { createShareHash, parseShareHash } from './simulation/shareLink';
+import { createSimulationWorker } from './simulation/createSimulationWorker';
+import { CONDITIONS } from './simulation/simulationHost';
+import {
+  createMetadata,
+  experimentTable,
+  formatCsv,
+  formatJson,
+  hysteresisCycleTable,
+  hysteresisTable,
+  timeSeriesTable,
+} from './simulation/dataExport';
+import {
+  encodePortableMap,
+  imageToSpins,
+  parsePortableMap,
+} from './simulation/images';
+import {
+  parseKeyframes,
+  SCHEDULES,
+  validateSchedule,
+} from './simulation/annealing';
+import {
+  BOUNDARIES,
+  criticalTemperature,
+  LATTICE_TYPES,
+  layoutWidth,
+  MAX_SIZE,
+  MIN_SIZE,
+  siteAt,
+  supportsBoundary,
+} from './simulation/lattice';
+import {
+  angleColor,
+  drawLattice,
+  layoutScale,
+  STATE_COLORS,
+} from './drawLattice';
+import {
+  createRecorder,
+  DEFAULT_RECORDING,
+  drawMagnetizationTrace,
+  validateRecording,
+  webmType,
+} from './recorder';
+
+const MODEL_LABELS = {
+  ising: 'Ising',
+  potts: 'Potts',
+  clock: 'Clock',
+  xy: 'XY',
+};
+
+// Series the chart can plot, keyed by their name in the worker's history.
+// Each series gets its own y-axis; `scale` converts the recorded values to
+// `unit`. Values that do not apply to the current model, and running
+// averages during the burn-in, are null and leave gaps. `sparse` series are
+// only measured every few sweeps, so their points are joined across the
+// steps in between.
+const CHART_SERIES = {
+  magnetization: {
+    label: 'Net Magnetization',
+    unit: '%',
+    scale: 100,
+    color: '#FF71CE',
+    background: 'rgba(255, 113, 206, 0.2)',
+  },
+  staggeredMagnetization: {
+    label: 'Staggered Magnetization',
+    unit: '%',
+    scale: 100,
+    color: '#00FFF0',
+    background: 'rgba(0, 255, 240, 0.2)',
+  },
+  orderParameter: {
+    label: 'Order Parameter |m|',
+    unit: '%',
+    scale: 100,
+    color: '#FFD700',
+    background: 'rgba(255, 215, 0, 0.2)',
+  },
+  energy: {
+    label: 'Energy per Spin',
+    unit: 'J',
+    scale: 1,
+    color: '#01CDFE',
+    background: 'rgba(1, 205, 254, 0.2)',
+  },
+  correlationLength: {
+    label: 'Correlation Length ξ',
+    unit: 'sites',
+    scale: 1,
+    color: '#FF6B99',
+    background: 'rgba(255, 107, 153, 0.2)',
+    sparse: true,
+  },
+  domainLength: {
+    label: 'Domain Size L',
+    unit: 'sites',
+    scale: 1,
+    color: '#B967FF',
+    background: 'rgba(185, 103, 255, 0.2)',
+    sparse: true,
+  },
+  specificHeat: {
+    label: 'Specific Heat C',
+    unit: 'k_B',
+    scale: 1,
+    color: '#FF8C41',
+    background: 'rgba(255, 140, 65, 0.2)',
+  },
+  susceptibility: {
+    label: 'Susceptibility χ',
+    unit: '1/J',
+    scale: 1,
+    color: '#B967FF',
+    background: 'rgba(185, 103, 255, 0.2)',
+  },
+  binderCumulant: {
+    label: 'Binder Cumulant U4',
+    unit: null,
+    scale: 1,
+    color: '#FFFB96',
+    background: 'rgba(255, 251, 150, 0.2)',
+  },
+  vortexDensity: {
+    label: 'Vortex Density',
+    unit: '%',
+    scale: 100,
+    color: '#05FFA1',
+    background: 'rgba(5, 255, 161, 0.2)',
+  },
+  helicityModulus: {
+    label: 'Helicity Modulus',
+    unit: 'J',
+    scale: 1,
+    color: '#FF8C41',
+    background: 'rgba(255, 140, 65, 0.2)',
+  },
+};
+
+const seriesTitle = ({ label, unit }) => (unit ? `${label} (${unit})` : label);
+
+// Everything the worker records per step: the chart series plus the sweep
+// count, temperature and field they were measured at
+const HISTORY_SERIES = [
+  ...Object.keys(CONDITIONS),
+  ...Object.keys(CHART_SERIES),
+];
+
+const emptyHistory = () =>
+  Object.fromEntries(HISTORY_SERIES.map((name) => [name, []]));
+
+const appendHistory = (prev, chunk) =>
+  Object.fromEntries(
+    Object.entries(prev).map(([name, values]) => [
+      name,
+      [...values, ...chunk[name]],
+    ])
+  );
+
+// The first `length` steps of a chart history
+const truncateHistory = (history, length) =>
+  Object.fromEntries(
+    Object.entries(history).map(([name, values]) => [
+      name,
+      values.slice(0, length),
+    ])
+  );
+
+// Last chart step at or before sweep `target`, or -1
+const stepAtSweeps = (sweeps, target) => {
+  for (let step = sweeps.length - 1; step >= 0; step--) {
+    if (sweeps[step] <= target) return step;
+  }
+  return -1;
+};
+
+// Chart.js plugin drawing a dashed line at options.plugins.timelineCursor.step,
+// the chart step of the frame shown by the timeline scrubber
+const TIMELINE_CURSOR = {
+  id: 'timelineCursor',
+  afterDatasetsDraw(chart, args, { step }) {
+    if (step === null || step === undefined || step < 0) return;
+    const { ctx, chartArea, scales } = chart;
+    const x = scales.x.getPixelForValue(step);
+    ctx.save();
+    ctx.strokeStyle = '#FFD700';
+    ctx.lineWidth = 2;
+    ctx.setLineDash([4, 4]);
+    ctx.beginPath();
+    ctx.moveTo(x, chartArea.top);
+    ctx.lineTo(x, chartArea.bottom);
+    ctx.stroke();
+    ctx.restore();
+  },
+};
+
+// Chart history from a saved file: series missing from the file, or saved by
+// a version that did not record them, are gaps
+const restoredHistory = (saved) => {
+  const length = Math.max(0, ...Object.values(saved).map((v) => v.length));
+  return Object.fromEntries(
+    HISTORY_SERIES.map((name) => [
+      name,
+      saved[name] ?? new Array(length).fill(null),
+    ])
+  );
+};
+
+// Hysteresis loops kept on the m(h) chart, oldest dropped first
+const MAX_LOOPS = 6;
+
+// Add the points of a snapshot's hysteresis state to its loop, starting a new
+// loop when the worker has moved on to one
+const appendLoop = (loops, { loop, temperature, points, cycles }) => {
+  const last = loops[loops.length - 1];
+  if (last && last.loop === loop) {
+    return [
+      ...loops.slice(0, -1),
+      { ...last, points: [...last.points, ...points], cycles },
+    ];
+  }
+  return [...loops.slice(1 - MAX_LOOPS), { loop, temperature, points, cycles }];
+};
+
+// Running averages shown below the controls
+const ESTIMATE_LABELS = {
+  energy: '⟨E⟩ / N',
+  magnetization: '⟨|m|⟩',
+  specificHeat: 'C',
+  susceptibility: 'χ',
+  binderCumulant: 'U4',
+};
+
+const LATTICE_LABELS = {
+  square: 'Square',
+  triangular: 'Triangular',
+  honeycomb: 'Honeycomb',
+};
+
+const ALGORITHM_LABELS = {
+  metropolis: 'Metropolis',
+  glauber: 'Glauber',
+  wolff: 'Wolff',
+  swendsenWang: 'Swendsen–Wang',
+  kawasaki: 'Kawasaki',
+};
+
+const SCHEDULE_LABELS = {
+  linear: 'Linear',
+  geometric: 'Geometric',
+  logarithmic: 'Logarithmic',
+  keyframes: 'Keyframes',
+  quench: 'Quench',
+};
+
+// Cool through the Onsager point slowly, then finish quickly
+const DEFAULT_KEYFRAMES = '0:3.5, 1000:2.5, 3000:2.2, 5000:1.5';
+
+const BOND_DISORDER_LABELS = {
+  none: 'Uniform',
+  binary: '±J',
+  gaussian: 'Gaussian',
+};
+
+const BRUSH_SHAPE_BUTTONS = {
+  circle: { label: 'Circle', Icon: Circle },
+  square: { label: 'Square', Icon: Square },
+  line: { label: 'Line', Icon: Slash },
+  rectangle: { label: 'Rectangle', Icon: RectangleHorizontal },
+  fill: { label: 'Fill', Icon: PaintBucket },
+};
+
+// Brush tools of the UI; 'up', 'down' and 'state' all set spins
+const BRUSH_TOOL_BUTTONS = {
+  up: { label: 'Set Up', Icon: ArrowUp },
+  down: { label: 'Set Down', Icon: ArrowDown },
+  state: { label: 'Paint State', Icon: Paintbrush },
+  pin: { label: 'Pin', Icon: Pin },
+  unpin: { label: 'Unpin', Icon: PinOff },
+  field: { label: 'Field', Icon: Zap },
+};
+
+// Longest side imported images are decoded at; the lattice is at most
+// MAX_SIZE (512) sites across, so larger images only cost memory
+const MAX_IMAGE_SIDE = 1024;
+
+// Gray levels of a dropped or picked file (see simulation/images.js). Netpbm
+// files are parsed directly; anything else is decoded by the browser and
+// composited over white so transparent areas count as light.
+const decodeImageFile = async (file) => {
+  if (/\.p[bgp]m$/i.test(file.name)) {
+    return parsePortableMap(new Uint8Array(await file.arrayBuffer()));
+  }
+  let bitmap;
+  try {
+    bitmap = await createImageBitmap(file);
+  } catch (error) {
+    throw new Error('Not an image this browser can read');
+  }
+  const shrink = Math.min(
+    1,
+    MAX_IMAGE_SIDE / Math.max(bitmap.width, bitmap.height)
+  );
+  const width = Math.max(1, Math.round(bitmap.width * shrink));
+  const height = Math.max(1, Math.round(bitmap.height * shrink));
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+  ctx.drawImage(bitmap, 0, 0, width, height);
+  bitmap.close();
+  const { data } = ctx.getImageData(0, 0, width, height);
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    const alpha = data[4 * i + 3] / 255;
+    const luminance =
+      (0.2126 * data[4 * i] +
+        0.7152 * data[4 * i + 1] +
+        0.0722 * data[4 * i + 2]) /
+      255;
+    gray[i] = 1 - alpha + alpha * luminance;
+  }
+  return { width, height, gray };
+};
+
+// Largest side of a styled PNG export, and the cell size it aims for so
+// that large lattices keep their glow
+const MAX_EXPORT_SIDE = 4096;
+const EXPORT_CELL_SIZE = 8;
+
+const downloadBlob = (blob, name) => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+const BOUNDARY_LABELS = {
+  periodic: 'Periodic',
+  open: 'Open',
+  fixedUp: 'Fixed +',
+  fixedDown: 'Fixed −',
+  antiperiodic: 'Antiperiodic',
+  helical: 'Helical',
+};
+
+// Outline the lattice so the active boundary condition is visible: dashed
+// edges wrap around, solid cyan/pink edges are frames of fixed up/down spins,
+// and the antiperiodic seam alternates both colors on the left and right
+const drawBoundaryFrame = (ctx, width, height, boundary) => {
+  const inset = 2;
+  const edge = (x0, y0, x1, y1) => {
+    ctx.beginPath();
+    ctx.moveTo(x0, y0);
+    ctx.lineTo(x1, y1);
+    ctx.stroke();
+  };
+  const [left, top, right, bottom] = [
+    inset,
+    inset,
+    width - inset,
+    height - inset,
+  ];
+
+  ctx.save();
+  ctx.lineWidth = 4;
+  if (boundary === 'fixedUp' || boundary === 'fixedDown') {
+    ctx.strokeStyle = boundary === 'fixedUp' ? '#00FFF0' : '#FF71CE';
+    ctx.strokeRect(left, top, right - left, bottom - top);
+  } else if (boundary === 'open') {
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 6]);
+    ctx.strokeStyle = 'rgba(255, 255, 255, 0.4)';
+    ctx.strokeRect(left, top, right - left, bottom - top);
+  } else {
+    ctx.setLineDash([10, 6]);
+    ctx.strokeStyle = boundary === 'helical' ? '#FFD700' : '#FFFFFF';
+    edge(left, top, right, top);
+    edge(left, bottom, right, bottom);
+    if (boundary === 'antiperiodic') {
+      ctx.setLineDash([10, 10]);
+      for (const [color, offset] of [
+        ['#00FFF0', 0],
+        ['#FF71CE', 10],
+      ]) {
+        ctx.strokeStyle = color;
+        ctx.lineDashOffset = offset;
+        edge(left, top, left, bottom);
+        edge(right, top, right, bottom);
+      }
+    } else {
+      edge(left, top, left, bottom);
+      edge(right, top, right, bottom);
+    }
+  }
+
+  // Label the boundary in the bottom-right corner
+  ctx.setLineDash([]);
+  ctx.font = '12px sans-serif';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'bottom';
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  const label = BOUNDARY_LABELS[boundary];
+  ctx.fillRect(
+    width - ctx.measureText(label).width - 16,
+    height - 24,
+    ctx.measureText(label).width + 10,
+    18
+  );
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillText(label, width - 11, height - 9);
+  ctx.restore();
+};
+
+// Everything the canvas shows apart from the brush outline, at any size
+const paintLattice = (
+  ctx,
+  width,
+  height,
+  snapshot,
+  pixelCanvas,
+  overlays,
+  boundary
+) => {
+  ctx.clearRect(0, 0, width, height);
+
+  // Semi-transparent background
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
+  ctx.fillRect(0, 0, width, height);
+
+  drawLattice(ctx, width, height, snapshot, pixelCanvas, overlays);
+  drawBoundaryFrame(ctx, width, height, boundary);
+};
 
 const IsingModel = () => {
-  const [grid, setGrid] = useState([]);
   const [size, setSize] = useState(30);
+  const [sizeDraft, setSizeDraft] = useState(null); // Grid Size while its slider is dragged
   const [temperature, setTemperature] = useState(2.0);
-  const [coupling, setCoupling] = useState(1.0);
+  const [couplingX, setCouplingX] = useState(1.0); // Horizontal coupling (negative = antiferromagnetic)
+  const [couplingY, setCouplingY] = useState(1.0); // Vertical coupling
+  const [couplingDiagonal, setCouplingDiagonal] = useState(0.0); // Next-nearest-neighbor J2, square lattice only
   const [externalField, setExternalField] = useState(0.0);
+  const [randomField, setRandomField] = useState(0.0); // σ of the Gaussian random field
+  const [bondDisorder, setBondDisorder] = useState('none'); // 'none', 'binary' (±J) or 'gaussian'
+  const [bondSpread, setBondSpread] = useState(1.0); // σ of Gaussian bonds
+  const [dilution, setDilution] = useState(0.0); // Vacancy probability
+  const [disorderSeed, setDisorderSeed] = useState(1); // Seed of the quenched disorder
+  const [showFieldMap, setShowFieldMap] = useState(false); // Heat map of the field on every site
+  const [algorithm, setAlgorithm] = useState('metropolis'); // Monte Carlo update rule
+  const [model, setModel] = useState('ising'); // Ising, q-state Potts or q-state clock
+  const [q, setQ] = useState(3); // Number of Potts/clock states
+  const [brushState, setBrushState] = useState(0); // State painted by the brush in the Potts/clock models
+  const [brushAngle, setBrushAngle] = useState(0); // Angle painted by the brush in the XY model
+  const [proposalWidth, setProposalWidth] = useState(1.0); // Largest XY rotation proposed per update
+  const [showArrows, setShowArrows] = useState(false); // Overlay clock/XY spins with arrows
+  const [showVortices, setShowVortices] = useState(true); // Mark vortices and antivortices
+  const [plottedSeries, setPlottedSeries] = useState(['magnetization']); // Names of the CHART_SERIES on the chart
+  const [burnIn, setBurnIn] = useState(100); // Sweeps skipped before averaging
+  const [measurementWindow, setMeasurementWindow] = useState(1000); // Sweeps in the running averages
+  const [estimates, setEstimates] = useState(null); // Running averages posted by the worker
+  const [experiment, setExperiment] = useState(null); // Progress of the temperature sweep
+  const [boundary, setBoundary] = useState('periodic'); // Boundary condition
+  const [latticeType, setLatticeType] = useState('square'); // Square, triangular or honeycomb
   const [isDrawing, setIsDrawing] = useState(false);
-  const [radius, setRadius] = useState(1);
-  const [startTime, setStartTime] = useState(null);
+  const [radius, setRadius] = useState(1); // Brush size in lattice spacings
+  const [brushTool, setBrushTool] = useState('up'); // One of BRUSH_TOOL_BUTTONS
+  const [brushField, setBrushField] = useState(1.0); // Local field painted by the field tool
   const [magnetization, setMagnetization] = useState(0);
-  const [circle, setCircle] = useState(null);
+  const [brushPreview, setBrushPreview] = useState(null); // Outline of the shape being drawn
   const [isPlaying, setIsPlaying] = useState(false);
-  const [magnetizationHistory, setMagnetizationHistory] = useState([]);
-  const [annealingRate, setAnnealingRate] = useState(0);
-  const [drawMode, setDrawMode] = useState('circle'); // 'circle' or 'square'
+  const [history, setHistory] = useState(emptyHistory); // Chart series, see emptyHistory
+  const [scheduleKind, setScheduleKind] = useState('linear'); // Shape of the annealing schedule
+  const [scheduleTarget, setScheduleTarget] = useState(1.5); // Temperature the schedule ends at
+  const [scheduleDuration, setScheduleDuration] = useState(2000); // Sweeps to reach the target
+  const [keyframeText, setKeyframeText] = useState(DEFAULT_KEYFRAMES); // "sweep:T" pairs
+  const [isAnnealing, setIsAnnealing] = useState(false); // Schedule running in the worker
+  const [annealing, setAnnealing] = useState(null); // Progress posted by the worker
+  const [hysteresisOn, setHysteresisOn] = useState(false); // Cycle the external field
+  const [fieldMax, setFieldMax] = useState(2.0); // Amplitude of the field cycle
+  const [fieldRate, setFieldRate] = useState(0.02); // Field change per sweep
+  const [loops, setLoops] = useState([]); // Recorded hysteresis loops, see appendLoop
+  const [loopField, setLoopField] = useState(null); // Field set by the running loop
+  const [drawMode, setDrawMode] = useState('circle'); // One of BRUSH_SHAPES
   const [initialPattern, setInitialPattern] = useState('random'); // New state for initial pattern
-  const [gridInitialized, setGridInitialized] = useState(false); // New state to track grid initialization
+  const [upFraction, setUpFraction] = useState(0.5); // Share of up spins for the 'fraction' pattern
+  const [upFractionDraft, setUpFractionDraft] = useState(null); // Up Spins while its slider is dragged
+  const [seed, setSeed] = useState(randomSeed); // Seed of the run's random numbers; resets replay it
+  const [seedText, setSeedText] = useState(null); // Run Seed while it is being typed
+  const [resetRequests, setResetRequests] = useState(0); // Incremented to rebuild the lattice as it is
+  const [frame, setFrame] = useState(0); // Bumped whenever the lattice changes so the canvas redraws
   const [simulationSpeed, setSimulationSpeed] = useState(100); // Adjustable simulation speed
-  const [isRecording, setIsRecording] = useState(false); // Recording state
-  const [gif, setGif] = useState(null); // GIF instance
+  const [recordSettings, setRecordSettings] = useState(DEFAULT_RECORDING); // Format and mode of recordings
+  const [recording, setRecording] = useState(null); // Progress of the recording, see RecordingPanel
+  const [pendingLoad, setPendingLoad] = useState(null); // Parsed file waiting for the sliders to settle
+  const [notice, setNotice] = useState(null); // What went wrong with the last file or link
+  const [linkSpins, setLinkSpins] = useState(false); // Put the spins of small lattices in shared links
+  const [linkCopied, setLinkCopied] = useState(false); // Briefly confirms Copy Link
+  const [imageThreshold, setImageThreshold] = useState(0.5); // Gray level below which imported pixels are up
+  const [imageInvert, setImageInvert] = useState(false); // Make light pixels up instead
+  const [isDraggingFile, setIsDraggingFile] = useState(false); // A file is held over the canvas
+  const [correlationSettings, setCorrelationSettings] = useState({
+    live: false,
+    interval: 10,
+    logR: false,
+  }); // See CorrelationPanel
+  const [correlation, setCorrelation] = useState(null); // Latest G(r) measured by the worker
+  const [structureSettings, setStructureSettings] = useState({
+    live: false,
+    interval: 10,
+  }); // See StructureFactorPanel
+  const [structure, setStructure] = useState(null); // Latest S(k) measured by the worker
+  const [domainKind, setDomainKind] = useState(null); // Clusters overlaid on the lattice, null for none
+  const [domains, setDomains] = useState(null); // Latest cluster analysis posted by the worker
+  const [selectedSite, setSelectedSite] = useState(null); // Site whose cluster is highlighted
+  const [timelineRange, setTimelineRange] = useState(null); // Frames kept by the worker, see simulationHost.js
+  const [scrubFrame, setScrubFrame] = useState(null); // { id, sweeps } of the frame shown instead of the live lattice
+  const [undoable, setUndoable] = useState({ undo: 0, redo: 0 }); // Edits the worker can undo and redo
   const canvasRef = useRef(null);
+  const pixelCanvasRef = useRef(null); // Offscreen canvas for one-pixel-per-spin drawing
+  const workerRef = useRef(null);
+  const epochRef = useRef(0); // Incremented on every reset so stale snapshots are dropped
+  const snapshotRef = useRef(null); // Latest lattice posted by the worker
+  const saveFileRef = useRef(null); // Turns the worker's saved state into a download
+  const fileInputRef = useRef(null); // Hidden picker for Load
+  const imageInputRef = useRef(null); // Hidden picker for Import Image
+  const importedImageRef = useRef(null); // Last imported image, re-thresholded on demand
+  const experimentIdRef = useRef(0); // Incremented per experiment so cancelled ones are ignored
+  const experimentSetupRef = useRef(null); // Size, parameters, seed and settings of the last experiment
+  const liveRecordingRef = useRef(null); // { recorder, start } while recording the canvas live
+  const offlineRecordingRef = useRef(null); // { stopped } while rendering an offline recording
+  const advanceRef = useRef(null); // { id, resolve } of the advance awaiting its snapshot
+  const advanceIdRef = useRef(0); // Incremented per advance
+  const strokeRef = useRef(null); // Where the current stroke or shape started
+  const strokeEditedRef = useRef(false); // Whether the current stroke has painted yet
+  const scrubSpinsRef = useRef(null); // Spins of scrubFrame
+  const requestedFrameRef = useRef(null); // Frame last asked for, so late replies are dropped
+  const parametersRef = useRef(null); // Slider parameters, sent along with each reset
+
+  // Cluster moves are unavailable for some models and couplings; fall back
+  // to Metropolis without forgetting the user's choice
+  const couplings = { couplingX, couplingY, couplingDiagonal };
+  const isAvailable = (name) =>
+    supportsAlgorithm(name, { model, boundary, bondDisorder, ...couplings });
+  const activeAlgorithm = isAvailable(algorithm) ? algorithm : 'metropolis';
+  const paintState = brushState < q ? brushState : 0;
+  const activeBrushTool =
+    brushTool === 'state' && model === 'ising' ? 'up' : brushTool;
+  const hasStates = model === 'potts' || model === 'clock';
+  const hasAngles = model === 'clock' || model === 'xy';
+  const isRecording = recording !== null && recording.phase === 'recording';
+  const isRecordingOffline = isRecording && recording.mode === 'offline';
+  const webmAvailable = useMemo(() => webmType() !== null, []);
+
+  // The cluster holding the selected site, followed from snapshot to snapshot
+  const selectedLabel =
+    domains && selectedSite !== null ? domains.labels[selectedSite] : -1;
+  const selectedCluster = selectedLabel >= 0 ? selectedLabel : null;
+  const latticeOverlays = useMemo(
+    () => ({
+      arrows: showArrows,
+      vortices: showVortices,
+      fieldMap: showFieldMap,
+      domains: domainKind !== null,
+      selectedCluster,
+      pins: true,
+    }),
+    [showArrows, showVortices, showFieldMap, domainKind, selectedCluster]
+  );
 
-  // Initialize grid with different patterns
-  const initializeGrid = useCallback(
-    (pattern = initialPattern) => {
-      setGridInitialized(false); // Indicate that grid is being initialized
-      let newGrid = [];
-
-      if (pattern === 'positive') {
-        // All spins +1
-        newGrid = Array(size)
-          .fill()
-          .map(() => Array(size).fill(1));
-      } else if (pattern === 'negative') {
-        // All spins -1
-        newGrid = Array(size)
-          .fill()
-          .map(() => Array(size).fill(-1));
-      } else if (pattern === 'checkerboard') {
-        // Checkerboard pattern
-        newGrid = Array(size)
-          .fill()
-          .map((_, y) =>
-            Array(size)
-              .fill()
-              .map((_, x) => ((x + y) % 2 === 0 ? 1 : -1))
-          );
+  // The simulation runs in a worker; this thread only draws its snapshots
+  useEffect(() => {
+    const worker = createSimulationWorker();
+    worker.onmessage = (e) => {
+      if (e.data.type === 'error') {
+        setNotice(`Simulation error: ${e.data.message}`);
+        return;
+      }
+      if (e.data.type === 'state') {
+        saveFileRef.current(e.data);
+        return;
+      }
+      if (e.data.type === 'experiment') {
+        if (e.data.id === experimentIdRef.current) setExperiment(e.data);
+        return;
+      }
+      if (e.data.type === 'frame') {
+        const { epoch, id, sweeps, spins } = e.data;
+        if (epoch === epochRef.current && id === requestedFrameRef.current) {
+          scrubSpinsRef.current = spins;
+          setScrubFrame({ id, sweeps });
+        }
+        return;
+      }
+      const snapshot = e.data;
+      // An offline recording takes its frame even across a reset, so that it
+      // never waits for a snapshot that was dropped
+      const advance = advanceRef.current;
+      if (advance && snapshot.advanced === advance.id) {
+        advanceRef.current = null;
+        advance.resolve(snapshot);
+      }
+      if (snapshot.epoch !== epochRef.current) return;
+
+      snapshotRef.current = snapshot;
+      setMagnetization(snapshot.magnetization * 100);
+      setHistory((prev) => appendHistory(prev, snapshot.history));
+      setEstimates(snapshot.measurement);
+      setAnnealing(snapshot.annealing);
+      setCorrelation(snapshot.correlation);
+      setDomains(snapshot.domains);
+      setTimelineRange(snapshot.timeline);
+      setUndoable(snapshot.undoable);
+      // Structure factors only come with the snapshot after each measurement
+      if (snapshot.structureFactor) setStructure(snapshot.structureFactor);
+      if (snapshot.hysteresis) {
+        setLoops((prev) => appendLoop(prev, snapshot.hysteresis));
+        setLoopField(snapshot.hysteresis.field);
       } else {
-        // Random spins (default)
-        newGrid = Array(size)
-          .fill()
-          .map(() =>
-            Array(size)
-              .fill()
-              .map(() => (Math.random() < 0.5 ? 1 : -1))
-          );
+        setLoopField(null);
       }
+      setFrame((prev) => prev + 1);
 
-      setGrid(newGrid);
-      setMagnetizationHistory([]);
-      setGridInitialized(true); // Grid has been initialized
-    },
-    [size, initialPattern]
-  );
+      // Ask for the next snapshot once this one has had a chance to paint.
+      // Offline recordings paint their frames themselves and must not wait
+      // for the screen, which does not repaint while the tab is hidden.
+      if (offlineRecordingRef.current) {
+        worker.postMessage({ type: 'ack' });
+      } else {
+        requestAnimationFrame(() => worker.postMessage({ type: 'ack' }));
+      }
+    };
+    worker.onerror = (e) => setNotice(`The simulation failed: ${e.message}`);
+    workerRef.current = worker;
+    return () => worker.terminate();
+  }, []);
+
+  // Show the live lattice again instead of a frame of the timeline
+  const goLive = () => {
+    requestedFrameRef.current = null;
+    setScrubFrame(null);
+  };
 
-  useEffect(() => {
-    initializeGrid();
-  }, [initializeGrid]);
+  // Let the edit about to be made be undone. Sent once per user action,
+  // before its first change to the lattice, never from effects.
+  const checkpoint = () =>
+    workerRef.current.postMessage({ type: 'checkpoint' });
 
-  // Pause simulation when size changes
+  // Initialize grid with different patterns
+  const initializeGrid = useCallback(() => {
+    epochRef.current += 1;
+    requestedFrameRef.current = null;
+    setScrubFrame(null);
+    // The threshold controls no longer refer to an imported image
+    importedImageRef.current = null;
+    setSelectedSite(null);
+    setStructure(null);
+    setHistory(emptyHistory());
+    workerRef.current.postMessage({
+      type: 'reset',
+      epoch: epochRef.current,
+      size,
+      pattern: initialPattern,
+      upFraction,
+      seed,
+      // The lattice may only fit the new size with these, such as a
+      // triangular one that needs an even size to wrap
+      parameters: parametersRef.current,
+    });
+  }, [size, initialPattern, upFraction, seed]);
+
+  // Pause simulation and rebuild the lattice when size or pattern changes,
+  // or when asked to through requestReset. This is the only caller of
+  // initializeGrid, so one action resets the lattice once.
   useEffect(() => {
     setIsPlaying(false);
     initializeGrid();
-  }, [size, initializeGrid]);
-
-  // Calculate magnetization
-  useEffect(() => {
-    if (
-      !gridInitialized ||
-      !grid.length ||
-      grid.length !== size ||
-      !grid[0] ||
-      grid[0].length !== size
-    )
-      return;
-    const totalSpins = size * size;
-    const sumSpins = grid.flat().reduce((sum, spin) => sum + spin, 0);
-    const netMagnetization = (sumSpins / totalSpins) * 100;
-    setMagnetization(netMagnetization);
-    setMagnetizationHistory((prev) => [...prev, netMagnetization]);
-  }, [grid, size, gridInitialized]);
-
-  const calculateDeltaE = useCallback(
-    (x, y) => {
-      if (
-        !gridInitialized ||
-        !grid.length ||
-        grid.length !== size ||
-        !grid[0] ||
-        grid[0].length !== size ||
-        !grid[y] ||
-        grid[y][x] === undefined
-      )
-        return 0;
+  }, [initializeGrid, resetRequests]);
 
-      const spin = grid[y][x];
-      let sum = 0;
+  const requestReset = () => setResetRequests((prev) => prev + 1);
 
-      const neighbors = [
-        [(y - 1 + size) % size, x],
-        [(y + 1) % size, x],
-        [y, (x - 1 + size) % size],
-        [y, (x + 1) % size],
-      ];
-
-      for (const [ny, nx] of neighbors) {
-        if (grid[ny] && grid[ny][nx] !== undefined) {
-          sum += grid[ny][nx];
-        }
-      }
+  // Initial State buttons: a new initial state can be undone like any edit
+  const choosePattern = (pattern) => {
+    checkpoint();
+    setInitialPattern(pattern);
+    requestReset();
+  };
 
-      const deltaE = 2 * coupling * spin * sum + 2 * externalField * spin;
-      return deltaE;
-    },
-    [grid, size, coupling, externalField, gridInitialized]
+  // Restart the running averages with new burn-in and window lengths
+  useEffect(() => {
+    workerRef.current.postMessage({
+      type: 'setMeasurement',
+      burnIn,
+      window: measurementWindow,
+    });
+  }, [burnIn, measurementWindow]);
+
+  // Simulation parameters set by the sliders
+  const parameters = useMemo(
+    () => ({
+      temperature,
+      couplingX,
+      couplingY,
+      couplingDiagonal,
+      externalField,
+      model,
+      q,
+      proposalWidth,
+      randomField,
+      bondDisorder,
+      bondSpread,
+      dilution,
+      disorderSeed,
+      algorithm: activeAlgorithm,
+      boundary,
+      latticeType,
+    }),
+    [
+      temperature,
+      couplingX,
+      couplingY,
+      couplingDiagonal,
+      externalField,
+      model,
+      q,
+      proposalWidth,
+      randomField,
+      bondDisorder,
+      bondSpread,
+      dilution,
+      disorderSeed,
+      activeAlgorithm,
+      boundary,
+      latticeType,
+    ]
   );
+  parametersRef.current = parameters;
 
-  const flipSpinsInRadius = useCallback(
-    (centerX, centerY, radius) => {
-      if (
-        !gridInitialized ||
-        !grid.length ||
-        grid.length !== size ||
-        !grid[0] ||
-        grid[0].length !== size
-      )
-        return;
+  // Cycle the external field between ±fieldMax
+  useEffect(() => {
+    workerRef.current.postMessage({
+      type: 'setHysteresis',
+      hysteresis: hysteresisOn ? { fieldMax, rate: fieldRate } : null,
+    });
+  }, [hysteresisOn, fieldMax, fieldRate]);
 
-      const newGrid = grid.map((row) => row.slice());
+  // Measure the correlation function every few sweeps while Live is on
+  const { live: correlationLive, interval: correlationInterval } =
+    correlationSettings;
+  useEffect(() => {
+    workerRef.current.postMessage({
+      type: 'setCorrelation',
+      interval: correlationLive ? correlationInterval : null,
+    });
+  }, [correlationLive, correlationInterval]);
 
-      const xStart = Math.max(0, Math.floor(centerX - radius));
-      const xEnd = Math.min(size - 1, Math.ceil(centerX + radius));
-      const yStart = Math.max(0, Math.floor(centerY - radius));
-      const yEnd = Math.min(size - 1, Math.ceil(centerY + radius));
+  // Measure the structure factor every few sweeps while Live is on
+  const { live: structureLive, interval: structureInterval } =
+    structureSettings;
+  useEffect(() => {
+    workerRef.current.postMessage({
+      type: 'setStructureFactor',
+      interval: structureLive ? structureInterval : null,
+    });
+  }, [structureLive, structureInterval]);
 
-      for (let y = yStart; y <= yEnd; y++) {
-        for (let x = xStart; x <= xEnd; x++) {
-          const dx = x - centerX;
-          const dy = y - centerY;
-          let inShape = false;
+  // Label clusters for the overlay
+  useEffect(() => {
+    workerRef.current.postMessage({ type: 'setDomains', kind: domainKind });
+  }, [domainKind]);
 
-          if (drawMode === 'circle') {
-            inShape = dx * dx + dy * dy <= radius * radius;
-          } else if (drawMode === 'square') {
-            inShape = Math.abs(dx) <= radius && Math.abs(dy) <= radius;
-          }
+  // Keep the simulation parameters in sync with the sliders
+  useEffect(() => {
+    workerRef.current.postMessage({ type: 'setParameters', parameters });
+  }, [parameters]);
+
+  // Sweep the temperature over fresh lattices with the current parameters,
+  // replacing any experiment still running
+  const startExperiment = (settings) => {
+    experimentIdRef.current += 1;
+    experimentSetupRef.current = { size, parameters, seed, settings };
+    setExperiment(null);
+    workerRef.current.postMessage({
+      type: 'startExperiment',
+      id: experimentIdRef.current,
+      size,
+      parameters,
+      settings,
+      seed,
+    });
+  };
 
-          if (inShape) {
-            const deltaE = calculateDeltaE(x, y);
-            if (
-              deltaE <= 0 ||
-              Math.random() < Math.exp(-deltaE / Math.max(0.1, temperature))
-            ) {
-              newGrid[y][x] *= -1;
-            }
-          }
-        }
-      }
+  // Keep the points measured so far on the chart
+  const cancelExperiment = () => {
+    experimentIdRef.current += 1;
+    setExperiment((prev) => prev && { ...prev, cancelled: true });
+    workerRef.current.postMessage({ type: 'cancelExperiment' });
+  };
 
-      setGrid(newGrid);
+  // Apply the selected tool to a region of simulation/brushes.js
+  const applyBrush = useCallback(
+    (region) => {
+      let tool;
+      if (activeBrushTool === 'up') {
+        tool = { tool: 'set', state: upSpin(model) };
+      } else if (activeBrushTool === 'down') {
+        tool = { tool: 'set', state: downSpin(model, q) };
+      } else if (activeBrushTool === 'state') {
+        tool = { tool: 'set', state: model === 'xy' ? brushAngle : paintState };
+      } else if (activeBrushTool === 'field') {
+        tool = { tool: 'field', value: brushField };
+      } else {
+        tool = { tool: activeBrushTool };
+      }
+      workerRef.current.postMessage({ type: 'brush', ...region, ...tool });
     },
-    [grid, size, calculateDeltaE, temperature, drawMode, gridInitialized]
+    [activeBrushTool, model, q, paintState, brushAngle, brushField]
   );
 
-  // Evolve the system over time
-  const evolveSystem = useCallback(() => {
-    if (
-      !gridInitialized ||
-      !grid.length ||
-      grid.length !== size ||
-      !grid[0] ||
-      grid[0].length !== size
-    )
-      return;
-
-    const newGrid = grid.map((row) => row.slice());
-
-    for (let i = 0; i < size * size; i++) {
-      const x = Math.floor(Math.random() * size);
-      const y = Math.floor(Math.random() * size);
+  // Annealing schedule from the current temperature, or the reason the
+  // settings do not make one
+  let schedule = null;
+  let scheduleError = null;
+  try {
+    schedule = {
+      kind: scheduleKind,
+      start: temperature,
+      target: scheduleTarget,
+      duration: scheduleDuration,
+      keyframes:
+        scheduleKind === 'keyframes' ? parseKeyframes(keyframeText) : [],
+    };
+    validateSchedule(schedule);
+  } catch (error) {
+    schedule = null;
+    scheduleError = error.message;
+  }
+
+  // The worker anneals sweep by sweep; the slider takes over again at the
+  // temperature the schedule stopped at
+  const stopAnnealing = (finalTemperature) => {
+    workerRef.current.postMessage({ type: 'setSchedule', schedule: null });
+    setIsAnnealing(false);
+    setAnnealing(null);
+    if (finalTemperature !== undefined) setTemperature(finalTemperature);
+  };
 
-      if (!grid[y] || grid[y][x] === undefined) continue;
+  const startAnnealing = () => {
+    workerRef.current.postMessage({ type: 'setSchedule', schedule });
+    setIsAnnealing(true);
+  };
 
-      const deltaE = calculateDeltaE(x, y);
-      if (
-        deltaE <= 0 ||
-        Math.random() < Math.exp(-deltaE / Math.max(0.1, temperature))
-      ) {
-        newGrid[y][x] *= -1;
-      }
+  useEffect(() => {
+    if (annealing && annealing.finished) {
+      workerRef.current.postMessage({ type: 'setSchedule', schedule: null });
+      setIsAnnealing(false);
+      setAnnealing(null);
+      setTemperature(annealing.temperature);
     }
+  }, [annealing]);
 
-    setGrid(newGrid);
-  }, [grid, size, temperature, calculateDeltaE, gridInitialized]);
-
-  // Annealing effect
+  // Open with the configuration of a shared link; its spins, if any, go to
+  // the worker like a loaded file
   useEffect(() => {
-    let interval;
-    if (annealingRate !== 0 && isPlaying) {
-      interval = setInterval(() => {
-        setTemperature((prevTemp) => Math.max(0.1, prevTemp + annealingRate));
-      }, 1000);
+    if (!window.location.hash) return;
+    const { values, spins, errors } = parseShareHash(window.location.hash);
+    if (errors.length > 0) setNotice(errors.join('. '));
+    const setters = {
+      size: setSize,
+      temperature: setTemperature,
+      couplingX: setCouplingX,
+      couplingY: setCouplingY,
+      couplingDiagonal: setCouplingDiagonal,
+      externalField: setExternalField,
+      model: setModel,
+      q: setQ,
+      proposalWidth: setProposalWidth,
+      randomField: setRandomField,
+      bondDisorder: setBondDisorder,
+      bondSpread: setBondSpread,
+      dilution: setDilution,
+      disorderSeed: setDisorderSeed,
+      algorithm: setAlgorithm,
+      boundary: setBoundary,
+      latticeType: setLatticeType,
+      pattern: setInitialPattern,
+      upFraction: setUpFraction,
+      seed: setSeed,
+    };
+    for (const [name, value] of Object.entries(values)) setters[name](value);
+    if (spins) {
+      setPendingLoad({
+        size: Math.sqrt(spins.length),
+        spins,
+        parameters: {},
+        history: {},
+      });
     }
-    return () => clearInterval(interval);
-  }, [annealingRate, isPlaying]);
+  }, []);
+
+  // Hand a loaded file to the worker after the reset that its sizes and
+  // seed trigger, so the saved lattice replaces the fresh one
+  useEffect(() => {
+    if (!pendingLoad) return;
+    epochRef.current += 1;
+    requestedFrameRef.current = null;
+    setScrubFrame(null);
+    workerRef.current.postMessage({
+      type: 'load',
+      epoch: epochRef.current,
+      state: pendingLoad,
+    });
+    setHistory(restoredHistory(pendingLoad.history));
+    setStructure(null);
+    setPendingLoad(null);
+  }, [pendingLoad]);
 
+  // Evolve the system over time
   useEffect(() => {
     if (isPlaying) {
-      const interval = setInterval(evolveSystem, simulationSpeed);
-      return () => clearInterval(interval);
+      // Playing carries on from the live lattice, not a rewound frame
+      requestedFrameRef.current = null;
+      setScrubFrame(null);
+      const worker = workerRef.current;
+      worker.postMessage({ type: 'play', interval: simulationSpeed });
+      return () => worker.postMessage({ type: 'pause' });
     }
-  }, [isPlaying, evolveSystem, simulationSpeed]);
+  }, [isPlaying, simulationSpeed]);
 
   // Draw the grid
   useEffect(() => {
     const canvas = canvasRef.current;
-    if (
-      !gridInitialized ||
-      !canvas ||
-      !grid.length ||
-      grid.length !== size ||
-      !grid[0] ||
-      grid[0].length !== size
-    )
-      return;
+    const snapshot = snapshotRef.current;
+    if (!canvas || !snapshot) return;
 
     const ctx = canvas.getContext('2d');
-    const cellSize = canvas.width / size;
-
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    const [scaleX, scaleY] = layoutScale(canvas.width, canvas.height, snapshot);
 
-    // Semi-transparent background
-    ctx.fillStyle = 'rgba(0, 0, 0, 0.3)';
-    ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-    // Draw cells with neon glow effect
-    for (let y = 0; y < size; y++) {
-      if (!grid[y]) continue;
-      for (let x = 0; x < size; x++) {
-        if (grid[y][x] === undefined) continue;
-
-        const cellX = x * cellSize;
-        const cellY = y * cellSize;
-
-        const value = grid[y][x];
-        const color =
-          value === 1
-            ? { main: '#00FFF0', shadow: '#00bfb7' } // Cyan
-            : { main: '#FF71CE', shadow: '#b000b0' }; // Pink
-
-        // Draw glow effect
-        ctx.fillStyle = color.shadow;
-        ctx.fillRect(cellX + 1, cellY + 1, cellSize - 2, cellSize - 2);
-
-        // Draw main color
-        ctx.fillStyle = color.main;
-        ctx.fillRect(cellX + 2, cellY + 2, cellSize - 4, cellSize - 4);
-      }
+    if (!pixelCanvasRef.current) {
+      pixelCanvasRef.current = document.createElement('canvas');
     }
-
-    // Draw the expanding shape if it exists
-    if (circle) {
+    // A frame picked on the timeline stands in for the live spins; its
+    // vortices and clusters were never measured
+    paintLattice(
+      ctx,
+      canvas.width,
+      canvas.height,
+      scrubFrame
+        ? {
+            ...snapshot,
+            spins: scrubSpinsRef.current,
+            vortices: null,
+            domains: null,
+          }
+        : snapshot,
+      pixelCanvasRef.current,
+      latticeOverlays,
+      boundary
+    );
+
+    // Outline the brush, or the line or rectangle being dragged out
+    if (brushPreview) {
+      const { shape, x, y, x0, y0 } = brushPreview;
+      ctx.save();
       ctx.beginPath();
-      if (drawMode === 'circle') {
-        ctx.arc(
-          circle.x * cellSize + cellSize / 2,
-          circle.y * cellSize + cellSize / 2,
-          circle.radius * cellSize,
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.lineWidth = 2;
+      if (shape === 'circle') {
+        ctx.ellipse(
+          x * scaleX,
+          y * scaleY,
+          radius * scaleX,
+          radius * scaleY,
+          0,
           0,
           2 * Math.PI
         );
-      } else if (drawMode === 'square') {
+      } else if (shape === 'square') {
+        ctx.rect(
+          (x - radius) * scaleX,
+          (y - radius) * scaleY,
+          radius * 2 * scaleX,
+          radius * 2 * scaleY
+        );
+      } else if (shape === 'rectangle') {
         ctx.rect(
-          (circle.x - circle.radius) * cellSize,
-          (circle.y - circle.radius) * cellSize,
-          circle.radius * 2 * cellSize,
-          circle.radius * 2 * cellSize
+          x0 * scaleX,
+          y0 * scaleY,
+          (x - x0) * scaleX,
+          (y - y0) * scaleY
         );
+      } else if (shape === 'line') {
+        ctx.moveTo(x0 * scaleX, y0 * scaleY);
+        ctx.lineTo(x * scaleX, y * scaleY);
+        ctx.lineCap = 'round';
+        ctx.strokeStyle = 'rgba(255, 255, 255, 0.3)';
+        ctx.lineWidth = Math.max(2, 2 * radius * Math.min(scaleX, scaleY));
       }
-      ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
-      ctx.lineWidth = 2;
       ctx.stroke();
+      ctx.restore();
     }
 
-    // Capture frame if recording
-    if (isRecording && gif && canvas) {
-      gif.addFrame(canvas, {
-        copy: true,
-        delay: Math.round(simulationSpeed / 10), // Convert milliseconds to centiseconds
-      });
+    // Live recordings time every frame by the clock, so playback keeps the
+    // pace the canvas actually had
+    const live = liveRecordingRef.current;
+    if (live) {
+      live.recorder.addFrame(canvas, performance.now() - live.start);
+      setRecording((prev) => ({ ...prev, frames: live.recorder.frames }));
     }
-  }, [
-    grid,
-    size,
-    circle,
-    drawMode,
-    gridInitialized,
-    isRecording,
-    gif,
-    simulationSpeed,
-  ]);
+  }, [frame, brushPreview, radius, boundary, latticeOverlays, scrubFrame]);
 
+  // Pointer position in lattice layout units (see simulation/lattice.js)
   const getMousePos = (e) => {
     const rect = canvasRef.current.getBoundingClientRect();
-    const x = ((e.clientX - rect.left) * size) / rect.width;
+    const width = layoutWidth(latticeType, size);
+    const x = ((e.clientX - rect.left) * width) / rect.width;
     const y = ((e.clientY - rect.top) * size) / rect.height;
     return { x, y };
   };
 
+  const isOnLattice = ({ x, y }) =>
+    x >= 0 && x < layoutWidth(latticeType, size) && y >= 0 && y < size;
+
+  // Brush edits apply to the live lattice, and a whole stroke or shape is
+  // undone at once
+  const paint = (region) => {
+    if (!strokeEditedRef.current) {
+      strokeEditedRef.current = true;
+      goLive();
+      checkpoint();
+    }
+    applyBrush(region);
+  };
+
   const handleMouseDown = (e) => {
     if (!canvasRef.current) return;
 
-    setIsDrawing(true);
-    setStartTime(Date.now());
-    setRadius(1);
-
     const { x, y } = getMousePos(e);
 
-    if (x >= 0 && x < size && y >= 0 && y < size) {
-      flipSpinsInRadius(x, y, radius);
-      setCircle({ x, y, radius: 1 });
+    // With the cluster overlay on, clicks pick a cluster instead of painting
+    if (domainKind !== null) {
+      if (isOnLattice({ x, y })) {
+        const [siteX, siteY] = siteAt(latticeType, size, x, y);
+        setSelectedSite(siteY * size + siteX);
+      }
+      return;
+    }
+
+    strokeEditedRef.current = false;
+
+    // Flood fills act on the click alone
+    if (drawMode === 'fill') {
+      if (isOnLattice({ x, y })) paint({ shape: 'fill', x, y });
+      return;
+    }
+
+    setIsDrawing(true);
+    strokeRef.current = null;
+
+    if (isOnLattice({ x, y })) {
+      strokeRef.current = { x, y };
+      if (drawMode === 'circle' || drawMode === 'square') {
+        paint({ shape: drawMode, x, y, radius });
+        setBrushPreview({ shape: drawMode, x, y });
+      } else {
+        setBrushPreview({ shape: drawMode, x0: x, y0: y, x, y });
+      }
     }
   };
 
   const handleMouseMove = (e) => {
     if (!isDrawing || !canvasRef.current) return;
 
-    const currentRadius = Math.min(15, 1 + (Date.now() - startTime) / 100);
-    setRadius(currentRadius);
-
     const { x, y } = getMousePos(e);
-
-    if (x >= 0 && x < size && y >= 0 && y < size) {
-      flipSpinsInRadius(x, y, currentRadius);
-      setCircle({ x, y, radius: currentRadius });
+    if (!isOnLattice({ x, y })) return;
+
+    const start = strokeRef.current;
+    if (drawMode === 'circle' || drawMode === 'square') {
+      // Join the pointer positions so fast strokes leave no gaps; the joins
+      // are round whatever the brush
+      if (start) {
+        paint({ shape: 'line', x0: start.x, y0: start.y, x, y, radius });
+      } else {
+        paint({ shape: drawMode, x, y, radius });
+      }
+      strokeRef.current = { x, y };
+      setBrushPreview({ shape: drawMode, x, y });
+    } else if (start) {
+      setBrushPreview({ shape: drawMode, x0: start.x, y0: start.y, x, y });
+    } else {
+      strokeRef.current = { x, y };
+      setBrushPreview({ shape: drawMode, x0: x, y0: y, x, y });
     }
   };
 
+  // Lines and rectangles are applied once the pointer lets go
   const handleMouseUp = () => {
+    if (
+      isDrawing &&
+      brushPreview &&
+      (brushPreview.shape === 'line' || brushPreview.shape === 'rectangle')
+    ) {
+      paint({ ...brushPreview, radius });
+    }
     setIsDrawing(false);
-    setRadius(1);
-    setCircle(null);
+    strokeRef.current = null;
+    setBrushPreview(null);
+  };
+
+  const undo = () => {
+    goLive();
+    workerRef.current.postMessage({ type: 'undo' });
+  };
+
+  const redo = () => {
+    goLive();
+    workerRef.current.postMessage({ type: 'redo' });
+  };
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z and Ctrl+Y redo, except while typing
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      if (e.target.closest && e.target.closest('input, textarea, select')) {
+        return;
+      }
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      e.preventDefault();
+      requestedFrameRef.current = null;
+      setScrubFrame(null);
+      workerRef.current.postMessage({
+        type: key === 'y' || e.shiftKey ? 'redo' : 'undo',
+      });
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // Rewind the view to a frame of the worker's timeline, pausing so that
+  // the frames stay put; the newest frame is the live lattice
+  const showFrame = (id) => {
+    setIsPlaying(false);
+    if (id === timelineRange.last) {
+      goLive();
+      return;
+    }
+    requestedFrameRef.current = id;
+    workerRef.current.postMessage({ type: 'showFrame', id });
+  };
+
+  // Carry on from the frame shown, dropping the chart steps after it; the
+  // worker records the frame again as the first step of the new run
+  const resumeFromFrame = () => {
+    const { id, sweeps } = scrubFrame;
+    checkpoint();
+    workerRef.current.postMessage({ type: 'seek', id });
+    setHistory((prev) =>
+      truncateHistory(prev, Math.max(0, stepAtSweeps(prev.sweeps, sweeps)))
+    );
+    goLive();
+    setIsPlaying(true);
   };
 
   const handleReset = () => {
+    checkpoint();
     setSize(30);
     setTemperature(2.0);
-    setCoupling(1.0);
+    setCouplingX(1.0);
+    setCouplingY(1.0);
+    setCouplingDiagonal(0.0);
     setExternalField(0.0);
-    setAnnealingRate(0);
+    setRandomField(0.0);
+    setBondDisorder('none');
+    setBondSpread(1.0);
+    setDilution(0.0);
+    setDisorderSeed(1);
+    setShowFieldMap(false);
+    setAlgorithm('metropolis');
+    setModel('ising');
+    setQ(3);
+    setBrushState(0);
+    setBrushAngle(0);
+    setBrushTool('up');
+    setBrushField(1.0);
+    setRadius(1);
+    setProposalWidth(1.0);
+    setShowArrows(false);
+    setShowVortices(true);
+    setDomainKind(null);
+    setPlottedSeries(['magnetization']);
+    setBurnIn(100);
+    setMeasurementWindow(1000);
+    setBoundary('periodic');
+    setLatticeType('square');
+    if (isAnnealing) stopAnnealing();
+    setScheduleKind('linear');
+    setScheduleTarget(1.5);
+    setScheduleDuration(2000);
+    setKeyframeText(DEFAULT_KEYFRAMES);
+    setHysteresisOn(false);
+    setFieldMax(2.0);
+    setFieldRate(0.02);
+    setLoops([]);
     setDrawMode('circle');
     setInitialPattern('random');
+    setUpFraction(0.5);
     setSimulationSpeed(100);
     setIsPlaying(false);
-    setMagnetizationHistory([]);
-    initializeGrid('random');
+    setHistory(emptyHistory());
+    // The page no longer matches a shared link
+    window.history.replaceState(
+      null,
+      '',
+      window.location.pathname + window.location.search
+    );
+    requestReset();
   };
 
   // Touch event handlers for mobile devices
@@ -425,39 +1330,551 @@ const IsingModel = () => {
     }
   };
 
-  // Recording functions
+  // Encode a finished recording and download it
+  const encodeRecording = (recorder, endTime) => {
+    setRecording({ phase: 'encoding', progress: 0 });
+    recorder
+      .finish(endTime, (progress) =>
+        setRecording({ phase: 'encoding', progress })
+      )
+      .then((blob) => downloadBlob(blob, `simulation.${recordSettings.format}`))
+      .catch((error) => setNotice(`Could not record: ${error.message}`))
+      .finally(() => setRecording(null));
+  };
+
+  // Run `sweeps` sweeps in the worker and resolve to the snapshot after them
+  const advance = (sweeps) =>
+    new Promise((resolve) => {
+      advanceIdRef.current += 1;
+      advanceRef.current = { id: advanceIdRef.current, resolve };
+      workerRef.current.postMessage({
+        type: 'advance',
+        id: advanceIdRef.current,
+        sweeps,
+      });
+    });
+
+  // Offline recordings step the simulation themselves, exactly
+  // `sweepsPerFrame` sweeps per frame, and time the frames by the frame rate
+  // alone. Frames are painted from the snapshots onto a canvas of their own,
+  // widened for the chart when it is included.
+  const recordOffline = async () => {
+    const { format, sweepsPerFrame, fps, frames, chart } = recordSettings;
+    const { width, height } = canvasRef.current;
+    const frameCanvas = document.createElement('canvas');
+    frameCanvas.width = chart ? 2 * width : width;
+    frameCanvas.height = height;
+    const ctx = frameCanvas.getContext('2d');
+    const pixelCanvas = document.createElement('canvas');
+    const recorder = createRecorder({
+      format,
+      width: frameCanvas.width,
+      height,
+    });
+    const trace = []; // Magnetization after every sweep of the recording
+    const run = { stopped: false };
+    offlineRecordingRef.current = run;
+    // Pause straight away so no timed sweeps slip in before the first frame
+    setIsPlaying(false);
+    workerRef.current.postMessage({ type: 'pause' });
+    setRecording({
+      mode: 'offline',
+      phase: 'recording',
+      frames: 0,
+      total: frames,
+    });
+
+    for (let k = 0; k < frames && !run.stopped; k++) {
+      const snapshot = await advance(sweepsPerFrame);
+      trace.push(...snapshot.history.magnetization);
+      paintLattice(
+        ctx,
+        width,
+        height,
+        snapshot,
+        pixelCanvas,
+        latticeOverlays,
+        boundary
+      );
+      if (chart) {
+        drawMagnetizationTrace(
+          ctx,
+          { x: width, y: 0, width, height },
+          trace,
+          frames * sweepsPerFrame
+        );
+      }
+      recorder.addFrame(frameCanvas, (1000 * k) / fps);
+      setRecording((prev) => ({ ...prev, frames: k + 1 }));
+    }
+    offlineRecordingRef.current = null;
+    encodeRecording(recorder, (1000 * recorder.frames) / fps);
+  };
+
   const handleStartRecording = () => {
-    const gifInstance = new GIF({
-      workers: 2,
-      quality: 10,
-      workerScript: '/js/gif.worker.js', // Ensure this path is correct
+    try {
+      validateRecording(recordSettings);
+    } catch (error) {
+      setNotice(error.message);
+      return;
+    }
+    if (recordSettings.mode === 'offline') {
+      recordOffline();
+      return;
+    }
+    const canvas = canvasRef.current;
+    const recorder = createRecorder({
+      format: recordSettings.format,
+      width: canvas.width,
+      height: canvas.height,
     });
-    setGif(gifInstance);
-    setIsRecording(true);
+    // Start from what is on screen now, even if nothing moves for a while
+    recorder.addFrame(canvas, 0);
+    liveRecordingRef.current = { recorder, start: performance.now() };
+    setRecording({ mode: 'live', phase: 'recording', frames: 1 });
   };
 
+  // Offline recordings stop after the frame being rendered and keep the
+  // frames so far
   const handleStopRecording = () => {
-    if (gif) {
-      gif.on('finished', (blob) => {
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        link.download = 'simulation.gif';
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
-      });
-      gif.render();
+    if (offlineRecordingRef.current) {
+      offlineRecordingRef.current.stopped = true;
+      return;
     }
-    setIsRecording(false);
+    const live = liveRecordingRef.current;
+    if (!live) return;
+    liveRecordingRef.current = null;
+    encodeRecording(live.recorder, performance.now() - live.start);
+  };
+
+  // Download a table of recorded data (simulation/dataExport.js) with the
+  // parameters and seed it was recorded under
+  const downloadTable = (table, format, { kind, ...setup }) => {
+    const metadata = createMetadata({ kind, ...setup });
+    const text =
+      format === 'csv'
+        ? formatCsv(table, metadata)
+        : formatJson(table, metadata);
+    const type = format === 'csv' ? 'text/csv' : 'application/json';
+    downloadBlob(
+      new Blob([text], { type }),
+      `ising-${kind}-${setup.size}x${setup.size}-${setup.seed}.${format}`
+    );
+  };
+
+  // Every step since the last reset; the temperature and field of each step
+  // are columns of their own, as annealing and hysteresis move them
+  const handleExportTimeSeries = (format) => {
+    downloadTable(timeSeriesTable(history), format, {
+      kind: 'timeSeries',
+      size,
+      parameters,
+      seed,
+      initialPattern,
+      upFraction,
+      measurement: { burnIn, window: measurementWindow },
+      annealing: isAnnealing ? schedule : null,
+      hysteresis: hysteresisOn ? { fieldMax, rate: fieldRate } : null,
+    });
+  };
+
+  const handleExportExperiment = (format) => {
+    const { settings, ...setup } = experimentSetupRef.current;
+    downloadTable(experimentTable(experiment.points), format, {
+      kind: 'temperatureSweep',
+      ...setup,
+      experiment: settings,
+    });
+  };
+
+  const handleExportHysteresis = (table, format) => {
+    downloadTable(
+      table === 'loops' ? hysteresisTable(loops) : hysteresisCycleTable(loops),
+      format,
+      {
+        kind: table === 'loops' ? 'hysteresisLoops' : 'hysteresisCycles',
+        size,
+        parameters,
+        seed,
+        hysteresis: { fieldMax, rate: fieldRate },
+      }
+    );
+  };
+
+  // Save: the worker sends the lattice and generator state, this thread adds
+  // its settings and chart history (see simulation/savedState.js). Rebuilt
+  // every render so the file holds the current settings.
+  saveFileRef.current = (reply) => {
+    const file = createSavedState({
+      size: reply.size,
+      spins: reply.spins,
+      sweeps: reply.sweeps,
+      parameters: {
+        ...parameters,
+        temperature: reply.temperature,
+        externalField: reply.externalField,
+      },
+      random: reply.random,
+      settings: {
+        initialPattern,
+        upFraction,
+        drawMode,
+        radius,
+        simulationSpeed,
+        brushState,
+        brushAngle,
+        brushTool,
+        brushField,
+        showArrows,
+        showVortices,
+        showFieldMap,
+        plottedSeries,
+        burnIn,
+        measurementWindow,
+        annealing: {
+          kind: scheduleKind,
+          target: scheduleTarget,
+          duration: scheduleDuration,
+          keyframes: keyframeText,
+        },
+        hysteresis: { fieldMax, rate: fieldRate },
+      },
+      history,
+    });
+    const blob = new Blob([JSON.stringify(file)], {
+      type: 'application/json',
+    });
+    downloadBlob(
+      blob,
+      `ising-${reply.size}x${reply.size}-${reply.random.seed}.json`
+    );
+  };
+
+  // Put the configuration in the address bar and copy the link
+  const handleCopyLink = () => {
+    const snapshot = snapshotRef.current;
+    const spinsMatch =
+      snapshot &&
+      snapshot.size === size &&
+      snapshot.model === model &&
+      snapshot.q === q;
+    const { hash, spinsIncluded } = createShareHash(
+      {
+        ...parameters,
+        algorithm,
+        size,
+        pattern: initialPattern,
+        upFraction,
+        seed,
+      },
+      linkSpins && spinsMatch ? snapshot.spins : null
+    );
+    window.history.replaceState(null, '', `#${hash}`);
+    setNotice(
+      linkSpins && !spinsIncluded
+        ? 'The lattice is too large to put its spins in a link'
+        : null
+    );
+    navigator.clipboard
+      .writeText(window.location.href)
+      .then(() => {
+        setLinkCopied(true);
+        setTimeout(() => setLinkCopied(false), 2000);
+      })
+      .catch(() => setNotice('Copy the link from the address bar'));
+  };
+
+  const handleSave = () => {
+    workerRef.current.postMessage({ type: 'save' });
+  };
+
+  // Restore every slider from a parsed file; UI settings of the wrong type
+  // or out of range keep their current value
+  const applySavedState = (state) => {
+    const { lattice, parameters, random, settings } = state;
+    const restore = (value, set, valid) => {
+      if (value !== undefined && valid(value)) set(value);
+    };
+    const isNumber = (value) => Number.isFinite(value);
+    const isBoolean = (value) => typeof value === 'boolean';
+    const oneOf = (options) => (value) => options.includes(value);
+    const annealingSettings = settings.annealing ?? {};
+    const hysteresisSettings = settings.hysteresis ?? {};
+
+    checkpoint();
+    setIsPlaying(false);
+    if (isAnnealing) stopAnnealing();
+    setHysteresisOn(false);
+    setSize(lattice.size);
+    setTemperature(parameters.temperature);
+    setCouplingX(parameters.couplingX);
+    setCouplingY(parameters.couplingY);
+    setCouplingDiagonal(parameters.couplingDiagonal);
+    setExternalField(parameters.externalField);
+    setModel(parameters.model);
+    setQ(parameters.q);
+    setProposalWidth(parameters.proposalWidth);
+    setRandomField(parameters.randomField);
+    setBondDisorder(parameters.bondDisorder);
+    setBondSpread(parameters.bondSpread);
+    setDilution(parameters.dilution);
+    setDisorderSeed(parameters.disorderSeed);
+    setAlgorithm(parameters.algorithm);
+    setBoundary(parameters.boundary);
+    setLatticeType(parameters.latticeType);
+    setSeed(random.seed);
+    restore(settings.initialPattern, setInitialPattern, oneOf(PATTERNS));
+    restore(settings.upFraction, setUpFraction, isNumber);
+    restore(settings.drawMode, setDrawMode, oneOf(BRUSH_SHAPES));
+    restore(settings.radius, setRadius, isNumber);
+    restore(settings.simulationSpeed, setSimulationSpeed, isNumber);
+    restore(settings.brushState, setBrushState, Number.isInteger);
+    restore(settings.brushAngle, setBrushAngle, isNumber);
+    restore(
+      settings.brushTool,
+      setBrushTool,
+      oneOf(Object.keys(BRUSH_TOOL_BUTTONS))
+    );
+    restore(settings.brushField, setBrushField, isNumber);
+    restore(settings.showArrows, setShowArrows, isBoolean);
+    restore(settings.showVortices, setShowVortices, isBoolean);
+    restore(settings.showFieldMap, setShowFieldMap, isBoolean);
+    restore(settings.plottedSeries, setPlottedSeries, (value) =>
+      Array.isArray(value)
+    );
+    restore(settings.burnIn, setBurnIn, Number.isInteger);
+    restore(settings.measurementWindow, setMeasurementWindow, Number.isInteger);
+    restore(annealingSettings.kind, setScheduleKind, oneOf(SCHEDULES));
+    restore(annealingSettings.target, setScheduleTarget, isNumber);
+    restore(annealingSettings.duration, setScheduleDuration, Number.isInteger);
+    restore(
+      annealingSettings.keyframes,
+      setKeyframeText,
+      (value) => typeof value === 'string'
+    );
+    restore(hysteresisSettings.fieldMax, setFieldMax, isNumber);
+    restore(hysteresisSettings.rate, setFieldRate, isNumber);
+    setPendingLoad({
+      size: lattice.size,
+      spins: state.spins,
+      sweeps: state.sweeps,
+      parameters,
+      random,
+      history: state.history,
+    });
+  };
+
+  const handleLoad = (e) => {
+    const [file] = e.target.files;
+    // Let the same file be picked again
+    e.target.value = '';
+    if (!file) return;
+    file.text().then((text) => {
+      let state;
+      try {
+        state = parseSavedState(text);
+      } catch (error) {
+        setNotice(`Could not load ${file.name}: ${error.message}`);
+        return;
+      }
+      setNotice(null);
+      applySavedState(state);
+    });
+  };
+
+  // Threshold an imported image onto the current lattice and hand it to the
+  // worker like a loaded file
+  const applyImage = (image, threshold, invert) => {
+    setPendingLoad({
+      size,
+      spins: imageToSpins(image, size, { threshold, invert, model, q }),
+      parameters: {},
+      history: {},
+    });
+  };
+
+  const importImage = (file) => {
+    decodeImageFile(file)
+      .then((image) => {
+        importedImageRef.current = image;
+        setNotice(null);
+        // Re-thresholding the image afterwards belongs to the same edit
+        checkpoint();
+        applyImage(image, imageThreshold, imageInvert);
+      })
+      .catch((error) =>
+        setNotice(`Could not import ${file.name}: ${error.message}`)
+      );
   };
 
-  // Handle grid size change without performance warning
+  const handleImageInput = (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (file) importImage(file);
+  };
+
+  const handleDragOver = (e) => {
+    if (!e.dataTransfer.types.includes('Files')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'copy';
+    setIsDraggingFile(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDraggingFile(false);
+    const [file] = e.dataTransfer.files;
+    if (file) importImage(file);
+  };
+
+  // Re-threshold the last imported image, e.g. after moving the slider
+  const reapplyImage = (threshold, invert) => {
+    if (importedImageRef.current) {
+      applyImage(importedImageRef.current, threshold, invert);
+    }
+  };
+
+  // One pixel per spin: PBM for Ising lattices, PGM otherwise
+  const handleExportPortableMap = () => {
+    const snapshot = snapshotRef.current;
+    if (!snapshot) return;
+    const { bytes, extension, type } = encodePortableMap(
+      snapshot.spins,
+      snapshot.size,
+      snapshot.model,
+      snapshot.q
+    );
+    downloadBlob(
+      new Blob([bytes], { type }),
+      `ising-${snapshot.size}x${snapshot.size}.${extension}`
+    );
+  };
+
+  // One pixel per spin in the canvas colors, or the canvas itself with its
+  // overlays, re-rendered at up to EXPORT_CELL_SIZE pixels per cell
+  const handleExportPng = (styled) => {
+    const snapshot = snapshotRef.current;
+    if (!snapshot) return;
+    const canvas = document.createElement('canvas');
+    const pixelCanvas = document.createElement('canvas');
+    const ctx = canvas.getContext('2d');
+    if (styled) {
+      const side = Math.min(
+        MAX_EXPORT_SIDE,
+        Math.max(canvasRef.current.width, EXPORT_CELL_SIZE * snapshot.size)
+      );
+      canvas.width = side;
+      canvas.height = side;
+      paintLattice(
+        ctx,
+        side,
+        side,
+        snapshot,
+        pixelCanvas,
+        latticeOverlays,
+        boundary
+      );
+    } else {
+      canvas.width = snapshot.size;
+      canvas.height = snapshot.size;
+      drawLattice(ctx, snapshot.size, snapshot.size, snapshot, pixelCanvas);
+    }
+    const suffix = styled ? '-styled' : '';
+    canvas.toBlob((blob) =>
+      downloadBlob(blob, `ising-${snapshot.size}x${snapshot.size}${suffix}.png`)
+    );
+  };
+
+  // Resize once the Grid Size slider is let go rather than on every step
+  // of the drag, which would rebuild the lattice and fill the undo stack
   const handleGridSizeChange = (e, value) => {
+    setSizeDraft(null);
+    if (value === size) return;
+    checkpoint();
     setSize(value);
   };
 
+  const handleUpFractionChange = (e, value) => {
+    setUpFractionDraft(null);
+    if (value === upFraction) return;
+    checkpoint();
+    setUpFraction(value);
+  };
+
+  // A typed Run Seed takes effect on Enter or when the field loses focus
+  const commitSeed = (next) => {
+    setSeedText(null);
+    if (!(Number.isInteger(next) && next >= 0 && next <= MAX_SEED)) return;
+    if (next === seed) return;
+    checkpoint();
+    setSeed(next);
+  };
+
+  // Triangular and honeycomb rows alternate, so they need an even size to
+  // wrap; helical boundaries and diagonal couplings only exist on the square
+  // lattice
+  const handleLatticeTypeChange = (type) => {
+    setLatticeType(type);
+    if (type !== 'square') {
+      setSize((prev) => prev + (prev % 2));
+      setCouplingDiagonal(0);
+      if (!supportsBoundary(type, boundary)) setBoundary('periodic');
+    }
+  };
+
+  const criticalT = criticalTemperature({
+    latticeType,
+    model,
+    q,
+    ...couplings,
+  });
+  // Vortices are only counted on the square lattice
+  const isSeriesAvailable = (name) => {
+    if (name === 'vortexDensity') return hasAngles && latticeType === 'square';
+    if (name === 'helicityModulus') return hasAngles;
+    return true;
+  };
+  const toggleSeries = (name) =>
+    setPlottedSeries((prev) =>
+      prev.includes(name)
+        ? prev.filter((other) => other !== name)
+        : [...prev, name]
+    );
+  const chartSeries = Object.keys(CHART_SERIES)
+    .filter((name) => plottedSeries.includes(name) && isSeriesAvailable(name))
+    .map((name) => {
+      const { scale, color, background } = CHART_SERIES[name];
+      return {
+        label: seriesTitle(CHART_SERIES[name]),
+        data: history[name].map((value) =>
+          value === null ? null : value * scale
+        ),
+        borderColor: color,
+        backgroundColor: background,
+        spanGaps: Boolean(CHART_SERIES[name].sparse),
+        yAxisID: name,
+      };
+    });
+  // One y-axis per plotted series, alternating sides
+  const seriesAxes = Object.fromEntries(
+    chartSeries.map(({ yAxisID }, k) => [
+      yAxisID,
+      {
+        display: true,
+        position: k % 2 === 0 ? 'left' : 'right',
+        grid: { drawOnChartArea: k === 0 },
+        title: {
+          display: true,
+          text: seriesTitle(CHART_SERIES[yAxisID]),
+          color: CHART_SERIES[yAxisID].color,
+        },
+        ticks: {
+          color: CHART_SERIES[yAxisID].color,
+        },
+      },
+    ])
+  );
+
   return (
     <div
       className={`relative min-h-screen w-full flex items-center justify-center p-8 ${getBackgroundStyle()}`}
@@ -547,9 +1964,10 @@ const IsingModel = () => {
             <h2 className="text-4xl font-bold text-transparent bg-clip-text bg-gradient-to-r from-[#00FFF0] to-[#FF71CE]">
               Vaporwave Ising Model
             </h2>
-            <div className="flex space-x-2">
+            <div className="flex flex-wrap justify-end gap-2">
               <Button
                 onClick={() => setIsPlaying(!isPlaying)}
+                disabled={isRecordingOffline}
                 variant="contained"
                 style={{
                   background: 'linear-gradient(to right, #B967FF, #FF6B99)',
@@ -559,6 +1977,26 @@ const IsingModel = () => {
               >
                 {isPlaying ? 'Pause' : 'Play'}
               </Button>
+              <Button
+                onClick={undo}
+                disabled={undoable.undo === 0 || isRecordingOffline}
+                variant="outlined"
+                style={{ color: '#FF71CE', borderColor: '#FF71CE' }}
+                startIcon={<Undo2 />}
+                title="Undo (Ctrl+Z)"
+              >
+                Undo
+              </Button>
+              <Button
+                onClick={redo}
+                disabled={undoable.redo === 0 || isRecordingOffline}
+                variant="outlined"
+                style={{ color: '#FF71CE', borderColor: '#FF71CE' }}
+                startIcon={<Redo2 />}
+                title="Redo (Ctrl+Shift+Z)"
+              >
+                Redo
+              </Button>
               <Button
                 onClick={handleReset}
                 variant="contained"
@@ -574,6 +2012,7 @@ const IsingModel = () => {
                 onClick={
                   isRecording ? handleStopRecording : handleStartRecording
                 }
+                disabled={recording !== null && !isRecording}
                 variant="contained"
                 style={{
                   background: isRecording
@@ -583,10 +2022,54 @@ const IsingModel = () => {
                 }}
                 startIcon={isRecording ? <StopCircle /> : <Video />}
               >
-                {isRecording ? 'Stop Recording' : 'Start Recording'}
+                {recording !== null && !isRecording
+                  ? 'Encoding…'
+                  : isRecording
+                  ? 'Stop Recording'
+                  : 'Start Recording'}
+              </Button>
+              <Button
+                onClick={handleCopyLink}
+                variant="outlined"
+                style={{ color: '#00FFF0', borderColor: '#00FFF0' }}
+                startIcon={<LinkIcon />}
+              >
+                {linkCopied ? 'Link Copied' : 'Copy Link'}
               </Button>
+              <label className="flex items-center gap-1 text-sm text-[#00FFF0]">
+                <input
+                  type="checkbox"
+                  checked={linkSpins}
+                  onChange={(e) => setLinkSpins(e.target.checked)}
+                />
+                with spins
+              </label>
+              <Button
+                onClick={handleSave}
+                variant="outlined"
+                style={{ color: '#00FFF0', borderColor: '#00FFF0' }}
+                startIcon={<Save />}
+              >
+                Save
+              </Button>
+              <Button
+                onClick={() => fileInputRef.current.click()}
+                variant="outlined"
+                style={{ color: '#00FFF0', borderColor: '#00FFF0' }}
+                startIcon={<FolderOpen />}
+              >
+                Load
+              </Button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".json,application/json"
+                onChange={handleLoad}
+                className="hidden"
+              />
             </div>
           </div>
+          {notice && <div className="text-sm text-[#FF71CE]">{notice}</div>}
 
           {/* Controls */}
           <div className="space-y-6 bg-[#1A0B2E]/70 p-6 rounded-lg border border-[#FF71CE]/30">
@@ -609,10 +2092,7 @@ const IsingModel = () => {
                     color: initialPattern === 'positive' ? 'white' : '#FF71CE',
                   }}
                   startIcon={<Plus className="w-5 h-5" />}
-                  onClick={() => {
-                    setInitialPattern('positive');
-                    initializeGrid('positive');
-                  }}
+                  onClick={() => choosePattern('positive')}
                 >
                   All Spins Up
                 </Button>
@@ -627,10 +2107,7 @@ const IsingModel = () => {
                     color: initialPattern === 'negative' ? 'white' : '#FF71CE',
                   }}
                   startIcon={<Minus className="w-5 h-5" />}
-                  onClick={() => {
-                    setInitialPattern('negative');
-                    initializeGrid('negative');
-                  }}
+                  onClick={() => choosePattern('negative')}
                 >
                   All Spins Down
                 </Button>
@@ -647,10 +2124,7 @@ const IsingModel = () => {
                     color: initialPattern === 'checkerboard' ? 'white' : '#FF71CE',
                   }}
                   startIcon={<GridIcon className="w-5 h-5" size={20} />}
-                  onClick={() => {
-                    setInitialPattern('checkerboard');
-                    initializeGrid('checkerboard');
-                  }}
+                  onClick={() => choosePattern('checkerboard')}
                 >
                   Checkerboard
                 </Button>
@@ -665,30 +2139,163 @@ const IsingModel = () => {
                     color: initialPattern === 'random' ? 'white' : '#FF71CE',
                   }}
                   startIcon={<RefreshCcw className="w-5 h-5" />}
+                  onClick={() => choosePattern('random')}
+                >
+                  Random
+                </Button>
+                <Button
+                  variant={initialPattern === 'fraction' ? 'contained' : 'outlined'}
+                  style={{
+                    flex: 1,
+                    background:
+                      initialPattern === 'fraction'
+                        ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                        : 'transparent',
+                    color: initialPattern === 'fraction' ? 'white' : '#FF71CE',
+                  }}
+                  startIcon={<Percent className="w-5 h-5" />}
+                  onClick={() => choosePattern('fraction')}
+                >
+                  Fixed Fraction
+                </Button>
+              </div>
+              {initialPattern === 'fraction' && (
+                <div>
+                  <label className="text-[#FF71CE] font-medium">
+                    Up Spins:{' '}
+                    {((upFractionDraft ?? upFraction) * 100).toFixed(0)}%
+                  </label>
+                  <Slider
+                    value={upFractionDraft ?? upFraction}
+                    onChange={(e, value) => setUpFractionDraft(value)}
+                    onChangeCommitted={handleUpFractionChange}
+                    min={PARAMETER_RANGES.upFraction.min}
+                    max={PARAMETER_RANGES.upFraction.max}
+                    step={0.01}
+                    style={{ color: '#FF71CE' }}
+                  />
+                </div>
+              )}
+              <div className="flex items-center gap-2">
+                <label className="text-[#FF71CE] font-medium">Run Seed:</label>
+                <input
+                  type="number"
+                  value={seedText ?? seed}
+                  onChange={(e) => setSeedText(e.target.value)}
+                  onBlur={(e) => commitSeed(parseInt(e.target.value, 10))}
+                  onKeyDown={(e) => {
+                    if (e.key === 'Enter') {
+                      commitSeed(parseInt(e.target.value, 10));
+                    }
+                  }}
+                  className="w-28 rounded bg-black/40 px-2 py-1 text-white border border-[#FF71CE]/40"
+                />
+                <Button
+                  variant="outlined"
+                  style={{ color: '#FF71CE', borderColor: '#FF71CE' }}
+                  startIcon={<Dices />}
                   onClick={() => {
-                    setInitialPattern('random');
-                    initializeGrid('random');
+                    checkpoint();
+                    setSeed(randomSeed());
                   }}
                 >
-                  Random
+                  New Seed
                 </Button>
               </div>
             </div>
 
+            {/* Image Import and Export */}
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <ImagePlus className="w-5 h-5 text-[#FFD700]" />
+                <label className="text-[#FFD700] font-medium">Image:</label>
+                <span className="text-sm text-white/60">
+                  or drop a PNG, PBM or PGM onto the lattice
+                </span>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                <Button
+                  variant="outlined"
+                  style={{ color: '#FFD700', borderColor: '#FFD700' }}
+                  startIcon={<ImagePlus />}
+                  onClick={() => imageInputRef.current.click()}
+                >
+                  Import Image
+                </Button>
+                <input
+                  ref={imageInputRef}
+                  type="file"
+                  accept="image/*,.pbm,.pgm,.ppm"
+                  onChange={handleImageInput}
+                  className="hidden"
+                />
+                <Button
+                  variant="outlined"
+                  style={{ color: '#FFD700', borderColor: '#FFD700' }}
+                  startIcon={<ImageDown />}
+                  onClick={handleExportPortableMap}
+                >
+                  {model === 'ising' ? 'Export PBM' : 'Export PGM'}
+                </Button>
+                <Button
+                  variant="outlined"
+                  style={{ color: '#FFD700', borderColor: '#FFD700' }}
+                  startIcon={<ImageDown />}
+                  onClick={() => handleExportPng(false)}
+                >
+                  Export PNG
+                </Button>
+                <Button
+                  variant="outlined"
+                  style={{ color: '#FFD700', borderColor: '#FFD700' }}
+                  startIcon={<ImageDown />}
+                  onClick={() => handleExportPng(true)}
+                >
+                  Export Styled PNG
+                </Button>
+              </div>
+              <label className="text-[#FFD700] font-medium">
+                Threshold: {imageThreshold.toFixed(2)}
+              </label>
+              <Slider
+                value={imageThreshold}
+                onChange={(e, value) => setImageThreshold(value)}
+                onChangeCommitted={(e, value) =>
+                  reapplyImage(value, imageInvert)
+                }
+                min={0.05}
+                max={0.95}
+                step={0.01}
+                style={{ color: '#FFD700' }}
+              />
+              <label className="flex items-center gap-2 text-sm text-[#FFD700]">
+                <input
+                  type="checkbox"
+                  checked={imageInvert}
+                  onChange={(e) => {
+                    setImageInvert(e.target.checked);
+                    reapplyImage(imageThreshold, e.target.checked);
+                  }}
+                />
+                Light pixels are up spins
+              </label>
+            </div>
+
             {/* Grid Size */}
             <div className="space-y-2">
               <div className="flex items-center gap-2">
                 <Activity className="w-5 h-5 text-[#FF8C41]" />
                 <label className="text-[#FF8C41] font-medium">
-                  Grid Size: {size} x {size}
+                  Grid Size: {sizeDraft ?? size} x {sizeDraft ?? size}
                 </label>
               </div>
               <Slider
-                value={size}
-                onChange={handleGridSizeChange}
-                min={10}
-                max={69} // Maximum grid size set to 69
-                step={1}
+                value={sizeDraft ?? size}
+                onChange={(e, value) => setSizeDraft(value)}
+                onChangeCommitted={handleGridSizeChange}
+                min={MIN_SIZE}
+                max={MAX_SIZE}
+                step={latticeType === 'square' ? 1 : 2}
                 style={{ color: '#FF8C41' }}
               />
             </div>
@@ -712,48 +2319,273 @@ const IsingModel = () => {
               />
             </div>
 
+            {/* Recording */}
+            <RecordingPanel
+              settings={recordSettings}
+              onChange={setRecordSettings}
+              recording={recording}
+              webmAvailable={webmAvailable}
+            />
+
+            {/* Spin Model */}
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <label className="text-[#B967FF] font-medium">Model:</label>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {MODELS.map((name) => (
+                  <Button
+                    key={name}
+                    variant={model === name ? 'contained' : 'outlined'}
+                    style={{
+                      flex: 1,
+                      background:
+                        model === name
+                          ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                          : 'transparent',
+                      color: model === name ? 'white' : '#FF71CE',
+                    }}
+                    onClick={() => setModel(name)}
+                  >
+                    {MODEL_LABELS[name]}
+                  </Button>
+                ))}
+              </div>
+              {hasStates && (
+                <>
+                  <label className="text-[#B967FF] font-medium">
+                    States q: {q}
+                    {model === 'potts' &&
+                      (q > 4
+                        ? ' (first-order transition)'
+                        : ' (continuous transition)')}
+                  </label>
+                  <Slider
+                    value={q}
+                    onChange={(e, value) => setQ(value)}
+                    min={MIN_STATES}
+                    max={MAX_STATES}
+                    step={1}
+                    marks
+                    style={{ color: '#B967FF' }}
+                  />
+                </>
+              )}
+              {model === 'xy' && (
+                <>
+                  <label className="text-[#B967FF] font-medium">
+                    Proposal Width: ±{proposalWidth.toFixed(2)} rad
+                  </label>
+                  <Slider
+                    value={proposalWidth}
+                    onChange={(e, value) => setProposalWidth(value)}
+                    min={PARAMETER_RANGES.proposalWidth.min}
+                    max={PARAMETER_RANGES.proposalWidth.max}
+                    step={0.05}
+                    style={{ color: '#B967FF' }}
+                  />
+                </>
+              )}
+              {hasAngles && (
+                <div className="flex flex-wrap gap-2">
+                  {[
+                    ['Arrows', showArrows, setShowArrows],
+                    ['Vortices', showVortices, setShowVortices],
+                  ].map(([label, enabled, setEnabled]) => (
+                    <Button
+                      key={label}
+                      variant={enabled ? 'contained' : 'outlined'}
+                      style={{
+                        flex: 1,
+                        background: enabled
+                          ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                          : 'transparent',
+                        color: enabled ? 'white' : '#FF71CE',
+                      }}
+                      onClick={() => setEnabled((prev) => !prev)}
+                    >
+                      {label}
+                    </Button>
+                  ))}
+                </div>
+              )}
+            </div>
+
+            {/* Update Algorithm */}
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <label className="text-[#B967FF] font-medium">Algorithm:</label>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {ALGORITHMS.map((name) => (
+                  <Button
+                    key={name}
+                    variant={
+                      activeAlgorithm === name ? 'contained' : 'outlined'
+                    }
+                    disabled={!isAvailable(name)}
+                    style={{
+                      flex: 1,
+                      background:
+                        activeAlgorithm === name
+                          ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                          : 'transparent',
+                      color: activeAlgorithm === name ? 'white' : '#FF71CE',
+                      opacity: isAvailable(name) ? 1 : 0.4,
+                    }}
+                    onClick={() => setAlgorithm(name)}
+                  >
+                    {ALGORITHM_LABELS[name]}
+                  </Button>
+                ))}
+              </div>
+            </div>
+
+            {/* Lattice Type */}
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <label className="text-[#B967FF] font-medium">Lattice:</label>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {LATTICE_TYPES.map((name) => (
+                  <Button
+                    key={name}
+                    variant={latticeType === name ? 'contained' : 'outlined'}
+                    style={{
+                      flex: 1,
+                      background:
+                        latticeType === name
+                          ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                          : 'transparent',
+                      color: latticeType === name ? 'white' : '#FF71CE',
+                    }}
+                    onClick={() => handleLatticeTypeChange(name)}
+                  >
+                    {LATTICE_LABELS[name]}
+                  </Button>
+                ))}
+              </div>
+            </div>
+
+            {/* Boundary Conditions */}
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <label className="text-[#B967FF] font-medium">Boundary:</label>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {BOUNDARIES.map((name) => (
+                  <Button
+                    key={name}
+                    variant={boundary === name ? 'contained' : 'outlined'}
+                    disabled={!supportsBoundary(latticeType, name)}
+                    style={{
+                      flex: 1,
+                      background:
+                        boundary === name
+                          ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                          : 'transparent',
+                      color: boundary === name ? 'white' : '#FF71CE',
+                      opacity: supportsBoundary(latticeType, name) ? 1 : 0.4,
+                    }}
+                    onClick={() => setBoundary(name)}
+                  >
+                    {BOUNDARY_LABELS[name]}
+                  </Button>
+                ))}
+              </div>
+            </div>
+
             {/* Temperature */}
             <div className="space-y-2">
               <div className="flex items-center gap-2">
                 <Thermometer className="w-5 h-5 text-[#00FFF0]" />
                 <label className="text-[#00FFF0] font-medium">
-                  Temperature: {temperature.toFixed(2)}
+                  Temperature:{' '}
+                  {annealing
+                    ? `${annealing.temperature.toFixed(2)} (annealing)`
+                    : temperature.toFixed(2)}
+                  {criticalT !== null && (
+                    <>
+                      {' '}
+                      (T<sub>c</sub> ≈ {criticalT.toFixed(2)})
+                    </>
+                  )}
                 </label>
               </div>
               <Slider
                 value={temperature}
                 onChange={(e, value) => setTemperature(value)}
-                min={0.1}
-                max={5}
+                min={PARAMETER_RANGES.temperature.min}
+                max={PARAMETER_RANGES.temperature.max}
                 step={0.1}
+                disabled={isAnnealing}
                 style={{ color: '#00FFF0' }}
               />
             </div>
 
-            {/* Coupling */}
+            {/* Couplings: negative values are antiferromagnetic */}
             <div className="space-y-2">
               <div className="flex items-center gap-2">
                 <Link2 className="w-5 h-5 text-[#FF71CE]" />
                 <label className="text-[#FF71CE] font-medium">
-                  Coupling: {coupling.toFixed(2)}
+                  Horizontal Coupling J<sub>x</sub>: {couplingX.toFixed(2)}
                 </label>
               </div>
               <Slider
-                value={coupling}
-                onChange={(e, value) => setCoupling(value)}
-                min={0}
-                max={2}
+                value={couplingX}
+                onChange={(e, value) => setCouplingX(value)}
+                min={PARAMETER_RANGES.couplingX.min}
+                max={PARAMETER_RANGES.couplingX.max}
+                step={0.1}
+                style={{ color: '#FF71CE' }}
+              />
+            </div>
+
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <Link2 className="w-5 h-5 text-[#FF71CE] rotate-90" />
+                <label className="text-[#FF71CE] font-medium">
+                  Vertical Coupling J<sub>y</sub>: {couplingY.toFixed(2)}
+                </label>
+              </div>
+              <Slider
+                value={couplingY}
+                onChange={(e, value) => setCouplingY(value)}
+                min={PARAMETER_RANGES.couplingY.min}
+                max={PARAMETER_RANGES.couplingY.max}
                 step={0.1}
                 style={{ color: '#FF71CE' }}
               />
             </div>
 
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <Link2 className="w-5 h-5 text-[#B967FF] rotate-45" />
+                <label className="text-[#B967FF] font-medium">
+                  Diagonal Coupling J<sub>2</sub>: {couplingDiagonal.toFixed(2)}
+                  {latticeType !== 'square' && ' (square lattice only)'}
+                </label>
+              </div>
+              <Slider
+                value={couplingDiagonal}
+                onChange={(e, value) => setCouplingDiagonal(value)}
+                disabled={latticeType !== 'square'}
+                min={PARAMETER_RANGES.couplingDiagonal.min}
+                max={PARAMETER_RANGES.couplingDiagonal.max}
+                step={0.1}
+                style={{ color: '#B967FF' }}
+              />
+            </div>
+
             {/* External Field */}
             <div className="space-y-2">
               <div className="flex items-center gap-2">
                 <Magnet className="w-5 h-5 text-[#FFD700]" />
                 <label className="text-[#FFD700] font-medium">
-                  External Field: {externalField.toFixed(2)}
+                  External Field:{' '}
+                  {loopField === null
+                    ? externalField.toFixed(2)
+                    : `${loopField.toFixed(2)} (cycling)`}
                 </label>
               </div>
               <Slider
@@ -762,8 +2594,155 @@ const IsingModel = () => {
                 min={-2}
                 max={2}
                 step={0.1}
+                disabled={hysteresisOn}
                 style={{ color: '#FFD700' }}
               />
+              <div className="flex items-center gap-2">
+                <Button
+                  variant={hysteresisOn ? 'contained' : 'outlined'}
+                  style={{
+                    background: hysteresisOn ? '#FFD700' : 'transparent',
+                    color: hysteresisOn ? '#0D0D0D' : '#FFD700',
+                    borderColor: '#FFD700',
+                  }}
+                  startIcon={<RefreshCcw />}
+                  onClick={() => setHysteresisOn((prev) => !prev)}
+                >
+                  Hysteresis Loop
+                </Button>
+                <Button
+                  variant="outlined"
+                  style={{ color: '#FFD700', borderColor: '#FFD700' }}
+                  disabled={loops.length === 0}
+                  onClick={() => setLoops([])}
+                >
+                  Clear Loops
+                </Button>
+              </div>
+              {hysteresisOn && (
+                <>
+                  <label className="text-[#FFD700] font-medium">
+                    Field Amplitude h_max: {fieldMax.toFixed(1)}
+                  </label>
+                  <Slider
+                    value={fieldMax}
+                    onChange={(e, value) => setFieldMax(value)}
+                    min={0.5}
+                    max={PARAMETER_RANGES.externalField.max}
+                    step={0.1}
+                    style={{ color: '#FFD700' }}
+                  />
+                  <label className="text-[#FFD700] font-medium">
+                    Field Rate: {fieldRate.toFixed(3)} per sweep
+                  </label>
+                  <Slider
+                    value={fieldRate}
+                    onChange={(e, value) => setFieldRate(value)}
+                    min={0.005}
+                    max={0.1}
+                    step={0.005}
+                    style={{ color: '#FFD700' }}
+                  />
+                </>
+              )}
+            </div>
+
+            {/* Quenched Disorder */}
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <Shuffle className="w-5 h-5 text-[#FFD700]" />
+                <label className="text-[#FFD700] font-medium">
+                  Random Field σ: {randomField.toFixed(2)}
+                </label>
+              </div>
+              <Slider
+                value={randomField}
+                onChange={(e, value) => setRandomField(value)}
+                min={PARAMETER_RANGES.randomField.min}
+                max={PARAMETER_RANGES.randomField.max}
+                step={0.05}
+                style={{ color: '#FFD700' }}
+              />
+              <div className="flex items-center gap-2">
+                <label className="text-[#FFD700] font-medium">Bonds:</label>
+              </div>
+              <div className="flex flex-wrap gap-2">
+                {BOND_DISORDERS.map((name) => (
+                  <Button
+                    key={name}
+                    variant={bondDisorder === name ? 'contained' : 'outlined'}
+                    style={{
+                      flex: 1,
+                      background:
+                        bondDisorder === name
+                          ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                          : 'transparent',
+                      color: bondDisorder === name ? 'white' : '#FF71CE',
+                    }}
+                    onClick={() => setBondDisorder(name)}
+                  >
+                    {BOND_DISORDER_LABELS[name]}
+                  </Button>
+                ))}
+              </div>
+              {bondDisorder === 'gaussian' && (
+                <>
+                  <label className="text-[#FFD700] font-medium">
+                    Bond Spread σ: {bondSpread.toFixed(2)}
+                  </label>
+                  <Slider
+                    value={bondSpread}
+                    onChange={(e, value) => setBondSpread(value)}
+                    min={PARAMETER_RANGES.bondSpread.min}
+                    max={PARAMETER_RANGES.bondSpread.max}
+                    step={0.05}
+                    style={{ color: '#FFD700' }}
+                  />
+                </>
+              )}
+              <label className="text-[#FFD700] font-medium">
+                Dilution p: {dilution.toFixed(2)}
+              </label>
+              <Slider
+                value={dilution}
+                onChange={(e, value) => setDilution(value)}
+                min={PARAMETER_RANGES.dilution.min}
+                max={PARAMETER_RANGES.dilution.max}
+                step={0.01}
+                style={{ color: '#FFD700' }}
+              />
+              <div className="flex items-center gap-2">
+                <label className="text-[#FFD700] font-medium">Seed:</label>
+                <input
+                  type="number"
+                  value={disorderSeed}
+                  onChange={(e) => {
+                    const seed = parseInt(e.target.value, 10);
+                    if (Number.isInteger(seed)) setDisorderSeed(seed);
+                  }}
+                  className="w-28 rounded bg-black/40 px-2 py-1 text-white border border-[#FFD700]/40"
+                />
+                <Button
+                  variant="outlined"
+                  style={{ color: '#FFD700', borderColor: '#FFD700' }}
+                  startIcon={<Shuffle />}
+                  onClick={() => setDisorderSeed(randomSeed())}
+                >
+                  New Seed
+                </Button>
+                <Button
+                  variant={showFieldMap ? 'contained' : 'outlined'}
+                  style={{
+                    background: showFieldMap
+                      ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                      : 'transparent',
+                    color: showFieldMap ? 'white' : '#FF71CE',
+                  }}
+                  onClick={() => setShowFieldMap((prev) => !prev)}
+                >
+                  Field Map
+                </Button>
+              </div>
             </div>
 
             {/* Annealing */}
@@ -771,52 +2750,250 @@ const IsingModel = () => {
               <div className="flex items-center gap-2">
                 <Thermometer className="w-5 h-5 text-[#FF8C41]" />
                 <label className="text-[#FF8C41] font-medium">
-                  Annealing Rate: {annealingRate.toFixed(3)}
+                  Annealing Schedule:
                 </label>
               </div>
-              <Slider
-                value={annealingRate}
-                onChange={(e, value) => setAnnealingRate(value)}
-                min={-0.05}
-                max={0.05}
-                step={0.005}
-                style={{ color: '#FF8C41' }}
-              />
+              <div className="flex flex-wrap gap-1">
+                {SCHEDULES.map((kind) => (
+                  <Button
+                    key={kind}
+                    size="small"
+                    variant={scheduleKind === kind ? 'contained' : 'outlined'}
+                    style={{
+                      background:
+                        scheduleKind === kind ? '#FF8C41' : 'transparent',
+                      color: scheduleKind === kind ? '#0D0D0D' : '#FF8C41',
+                      borderColor: '#FF8C41',
+                    }}
+                    disabled={isAnnealing}
+                    onClick={() => setScheduleKind(kind)}
+                  >
+                    {SCHEDULE_LABELS[kind]}
+                  </Button>
+                ))}
+              </div>
+              {scheduleKind === 'keyframes' ? (
+                <input
+                  type="text"
+                  value={keyframeText}
+                  disabled={isAnnealing}
+                  onChange={(e) => setKeyframeText(e.target.value)}
+                  placeholder="sweep:T, sweep:T, …"
+                  className="w-full rounded bg-black/40 px-2 py-1 text-white border border-[#FF8C41]/40 font-mono"
+                />
+              ) : (
+                <>
+                  <label className="text-[#FF8C41] font-medium">
+                    Target Temperature: {scheduleTarget.toFixed(2)}
+                  </label>
+                  <Slider
+                    value={scheduleTarget}
+                    onChange={(e, value) => setScheduleTarget(value)}
+                    min={PARAMETER_RANGES.temperature.min}
+                    max={PARAMETER_RANGES.temperature.max}
+                    step={0.05}
+                    disabled={isAnnealing}
+                    style={{ color: '#FF8C41' }}
+                  />
+                  <label className="text-[#FF8C41] font-medium">
+                    {scheduleKind === 'quench' ? 'Hold' : 'Duration'}:{' '}
+                    {scheduleDuration} sweeps
+                  </label>
+                  <Slider
+                    value={scheduleDuration}
+                    onChange={(e, value) => setScheduleDuration(value)}
+                    min={100}
+                    max={20000}
+                    step={100}
+                    disabled={isAnnealing}
+                    style={{ color: '#FF8C41' }}
+                  />
+                </>
+              )}
+              <div className="flex items-center gap-2">
+                <Button
+                  variant="outlined"
+                  style={{ color: '#FF8C41', borderColor: '#FF8C41' }}
+                  startIcon={isAnnealing ? <StopCircle /> : <Thermometer />}
+                  disabled={!isAnnealing && schedule === null}
+                  onClick={
+                    isAnnealing
+                      ? () => stopAnnealing(annealing && annealing.temperature)
+                      : startAnnealing
+                  }
+                >
+                  {isAnnealing ? 'Stop Annealing' : 'Start Annealing'}
+                </Button>
+                {scheduleError && (
+                  <span className="text-sm text-[#FF8C41]">
+                    {scheduleError}
+                  </span>
+                )}
+                {annealing && (
+                  <span className="text-sm text-[#FF8C41]">
+                    Sweep {Math.min(annealing.sweep, annealing.length)} /{' '}
+                    {annealing.length}
+                  </span>
+                )}
+              </div>
             </div>
 
             {/* Draw Mode */}
             <div className="space-y-2">
+              <label className="text-[#B967FF] font-medium">Draw Mode:</label>
+              <div className="flex flex-wrap gap-2">
+                {BRUSH_SHAPES.map((shape) => {
+                  const { label, Icon } = BRUSH_SHAPE_BUTTONS[shape];
+                  return (
+                    <Button
+                      key={shape}
+                      variant={drawMode === shape ? 'contained' : 'outlined'}
+                      style={{
+                        background:
+                          drawMode === shape
+                            ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                            : 'transparent',
+                        color: drawMode === shape ? 'white' : '#FF71CE',
+                      }}
+                      startIcon={<Icon />}
+                      onClick={() => setDrawMode(shape)}
+                    >
+                      {label}
+                    </Button>
+                  );
+                })}
+              </div>
+              <label className="text-[#B967FF] font-medium">Tool:</label>
+              <div className="flex flex-wrap gap-2">
+                {Object.entries(BRUSH_TOOL_BUTTONS).map(
+                  ([tool, { label, Icon }]) => (
+                    <Button
+                      key={tool}
+                      variant={
+                        activeBrushTool === tool ? 'contained' : 'outlined'
+                      }
+                      disabled={tool === 'state' && model === 'ising'}
+                      style={{
+                        background:
+                          activeBrushTool === tool
+                            ? 'linear-gradient(to right, #FF71CE, #B967FF)'
+                            : 'transparent',
+                        color: activeBrushTool === tool ? 'white' : '#FF71CE',
+                        opacity:
+                          tool === 'state' && model === 'ising' ? 0.4 : 1,
+                      }}
+                      startIcon={<Icon />}
+                      onClick={() => {
+                        setBrushTool(tool);
+                        // Show what the field brush paints
+                        if (tool === 'field') setShowFieldMap(true);
+                      }}
+                    >
+                      {label}
+                    </Button>
+                  )
+                )}
+              </div>
               <div className="flex items-center gap-2">
-                <label className="text-[#B967FF] font-medium">Draw Mode:</label>
+                <label className="text-[#B967FF] font-medium whitespace-nowrap">
+                  Brush Size: {radius.toFixed(1)}
+                </label>
+                <Slider
+                  value={radius}
+                  onChange={(e, value) => setRadius(value)}
+                  min={0}
+                  max={15}
+                  step={0.5}
+                  disabled={drawMode === 'rectangle' || drawMode === 'fill'}
+                  style={{ color: '#B967FF', flex: 1 }}
+                />
+              </div>
+              {activeBrushTool === 'field' && (
+                <div className="flex items-center gap-2">
+                  <label className="text-[#B967FF] font-medium whitespace-nowrap">
+                    Painted Field: {brushField.toFixed(1)}
+                  </label>
+                  <Slider
+                    value={brushField}
+                    onChange={(e, value) => setBrushField(value)}
+                    min={-3}
+                    max={3}
+                    step={0.1}
+                    style={{ color: '#B967FF', flex: 1 }}
+                  />
+                </div>
+              )}
+              <div className="flex flex-wrap gap-2">
                 <Button
-                  variant={drawMode === 'circle' ? 'contained' : 'outlined'}
-                  style={{
-                    background:
-                      drawMode === 'circle'
-                        ? 'linear-gradient(to right, #FF71CE, #B967FF)'
-                        : 'transparent',
-                    color: drawMode === 'circle' ? 'white' : '#FF71CE',
+                  size="small"
+                  variant="outlined"
+                  style={{ color: '#FF71CE', borderColor: '#FF71CE' }}
+                  startIcon={<PinOff />}
+                  onClick={() => {
+                    checkpoint();
+                    workerRef.current.postMessage({ type: 'clearPins' });
                   }}
-                  startIcon={<Circle />}
-                  onClick={() => setDrawMode('circle')}
                 >
-                  Circle
+                  Clear Pins
                 </Button>
                 <Button
-                  variant={drawMode === 'square' ? 'contained' : 'outlined'}
-                  style={{
-                    background:
-                      drawMode === 'square'
-                        ? 'linear-gradient(to right, #FF71CE, #B967FF)'
-                        : 'transparent',
-                    color: drawMode === 'square' ? 'white' : '#FF71CE',
+                  size="small"
+                  variant="outlined"
+                  style={{ color: '#FF71CE', borderColor: '#FF71CE' }}
+                  startIcon={<Zap />}
+                  onClick={() => {
+                    checkpoint();
+                    workerRef.current.postMessage({ type: 'clearField' });
                   }}
-                  startIcon={<Square />}
-                  onClick={() => setDrawMode('square')}
                 >
-                  Square
+                  Clear Field
                 </Button>
               </div>
+              {model === 'xy' && (
+                <div className="flex items-center gap-2">
+                  <label className="text-[#B967FF] font-medium">
+                    Paint Angle: {Math.round((brushAngle * 180) / Math.PI)}°
+                  </label>
+                  <span
+                    className="w-6 h-6 rounded"
+                    style={{
+                      background: angleColor(brushAngle).main,
+                      boxShadow: `0 0 6px ${angleColor(brushAngle).shadow}`,
+                    }}
+                  />
+                  <Slider
+                    value={brushAngle}
+                    onChange={(e, value) => setBrushAngle(value)}
+                    min={0}
+                    max={2 * Math.PI}
+                    step={Math.PI / 36}
+                    style={{ color: '#B967FF', flex: 1 }}
+                  />
+                </div>
+              )}
+              {hasStates && (
+                <div className="flex items-center gap-2">
+                  <label className="text-[#B967FF] font-medium">
+                    Paint State:
+                  </label>
+                  {STATE_COLORS.slice(0, q).map((color, state) => (
+                    <button
+                      key={state}
+                      type="button"
+                      aria-label={`Paint state ${state}`}
+                      onClick={() => setBrushState(state)}
+                      className="w-6 h-6 rounded"
+                      style={{
+                        background: color.main,
+                        boxShadow: `0 0 6px ${color.shadow}`,
+                        outline:
+                          paintState === state ? '2px solid white' : 'none',
+                        outlineOffset: 2,
+                      }}
+                    />
+                  ))}
+                </div>
+              )}
             </div>
 
             {/* Net Magnetization */}
@@ -832,71 +3009,260 @@ const IsingModel = () => {
                 Net Magnetization: {magnetization.toFixed(1)}%
               </span>
             </div>
+
+            {/* Measurements */}
+            <div className="space-y-2">
+              <div className="flex items-center gap-2">
+                <Activity className="w-5 h-5 text-[#01CDFE]" />
+                <label className="text-[#01CDFE] font-medium">
+                  Burn-in: {burnIn} sweeps
+                </label>
+              </div>
+              <Slider
+                value={burnIn}
+                onChange={(e, value) => setBurnIn(value)}
+                min={0}
+                max={2000}
+                step={50}
+                style={{ color: '#01CDFE' }}
+              />
+              <label className="text-[#01CDFE] font-medium">
+                Measurement Window: {measurementWindow} sweeps
+              </label>
+              <Slider
+                value={measurementWindow}
+                onChange={(e, value) => setMeasurementWindow(value)}
+                min={100}
+                max={10000}
+                step={100}
+                style={{ color: '#01CDFE' }}
+              />
+              {estimates && (
+                <div className="text-[#01CDFE] text-sm">
+                  <div>
+                    {estimates.burnInRemaining > 0
+                      ? `Burning in: ${estimates.burnInRemaining} sweeps left`
+                      : `Averaging ${estimates.samples} / ${estimates.window} sweeps`}
+                  </div>
+                  <div className="grid grid-cols-5 gap-2 font-mono">
+                    {Object.entries(ESTIMATE_LABELS).map(([name, label]) => (
+                      <div key={name}>
+                        <div>{label}</div>
+                        <div className="text-white">
+                          {estimates[name] === null
+                            ? '—'
+                            : estimates[name].toFixed(3)}
+                        </div>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              )}
+            </div>
           </div>
 
           {/* Canvas and Chart */}
           <div className="flex flex-col md:flex-row gap-6">
-            <canvas
-              ref={canvasRef}
-              width={400}
-              height={400}
-              className="rounded-lg cursor-pointer shadow-2xl border border-[#FF71CE]/30"
-              onMouseDown={handleMouseDown}
-              onMouseMove={handleMouseMove}
-              onMouseUp={handleMouseUp}
-              onMouseLeave={handleMouseUp}
-              onTouchStart={handleTouchStart}
-              onTouchMove={handleTouchMove}
-              onTouchEnd={handleTouchEnd}
-            />
-            {/* Magnetization Chart */}
+            <div className="flex flex-col gap-2">
+              <canvas
+                ref={canvasRef}
+                width={400}
+                height={400}
+                className={`rounded-lg cursor-pointer shadow-2xl border ${
+                  isDraggingFile ? 'border-[#FFD700]' : 'border-[#FF71CE]/30'
+                }`}
+                onDragOver={handleDragOver}
+                onDragLeave={() => setIsDraggingFile(false)}
+                onDrop={handleDrop}
+                onMouseDown={handleMouseDown}
+                onMouseMove={handleMouseMove}
+                onMouseUp={handleMouseUp}
+                onMouseLeave={handleMouseUp}
+                onTouchStart={handleTouchStart}
+                onTouchMove={handleTouchMove}
+                onTouchEnd={handleTouchEnd}
+              />
+              {/* Timeline of recent frames */}
+              {timelineRange && (
+                <div className="flex items-center gap-2 text-sm text-[#FFD700]">
+                  <History className="w-4 h-4" />
+                  <Slider
+                    size="small"
+                    value={scrubFrame ? scrubFrame.id : timelineRange.last}
+                    min={timelineRange.first}
+                    max={timelineRange.last}
+                    step={1}
+                    disabled={
+                      timelineRange.first === timelineRange.last ||
+                      isRecordingOffline
+                    }
+                    onChange={(e, value) => showFrame(value)}
+                    style={{ color: '#FFD700', flex: 1 }}
+                  />
+                  <span className="font-mono whitespace-nowrap">
+                    {scrubFrame ? `sweep ${scrubFrame.sweeps}` : 'live'}
+                  </span>
+                </div>
+              )}
+              {scrubFrame && (
+                <div className="flex gap-2">
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    style={{ color: '#FFD700', borderColor: '#FFD700' }}
+                    startIcon={<Play />}
+                    onClick={resumeFromFrame}
+                  >
+                    Resume Here
+                  </Button>
+                  <Button
+                    size="small"
+                    variant="outlined"
+                    style={{ color: '#FFD700', borderColor: '#FFD700' }}
+                    onClick={goLive}
+                  >
+                    Back to Live
+                  </Button>
+                </div>
+              )}
+            </div>
+            {/* Observables Chart */}
             <div className="flex-1">
-              <Line
-                data={{
-                  labels: magnetizationHistory.map((_, i) => i),
-                  datasets: [
-                    {
-                      label: 'Net Magnetization (%)',
-                      data: magnetizationHistory,
-                      borderColor: '#FF71CE',
-                      backgroundColor: 'rgba(255, 113, 206, 0.2)',
-                    },
-                  ],
-                }}
-                options={{
-                  scales: {
-                    x: {
-                      display: true,
-                      title: {
-                        display: true,
-                        text: 'Time Steps',
-                        color: '#FFFFFF',
-                      },
-                      ticks: {
-                        color: '#FFFFFF',
-                      },
-                    },
-                    y: {
-                      display: true,
-                      title: {
-                        display: true,
-                        text: 'Magnetization (%)',
-                        color: '#FFFFFF',
+              {/* Magnetization against field while the loop runs */}
+              {hysteresisOn ? (
+                <HysteresisPanel
+                  loops={loops}
+                  onExport={handleExportHysteresis}
+                />
+              ) : (
+                <>
+                  <div className="flex flex-wrap gap-1 mb-2">
+                    {Object.entries(CHART_SERIES)
+                      .filter(([name]) => isSeriesAvailable(name))
+                      .map(([name, { label, color }]) => {
+                        const plotted = plottedSeries.includes(name);
+                        return (
+                          <Button
+                            key={name}
+                            size="small"
+                            variant={plotted ? 'contained' : 'outlined'}
+                            style={{
+                              background: plotted ? color : 'transparent',
+                              color: plotted ? '#0D0D0D' : color,
+                              borderColor: color,
+                              textTransform: 'none',
+                            }}
+                            onClick={() => toggleSeries(name)}
+                          >
+                            {label}
+                          </Button>
+                        );
+                      })}
+                    <div className="ml-auto">
+                      <ExportButtons
+                        label="Time Series"
+                        color="#FFFFFF"
+                        disabled={history.magnetization.length === 0}
+                        onExport={handleExportTimeSeries}
+                      />
+                    </div>
+                  </div>
+                  <Line
+                    data={{
+                      labels: history.magnetization.map((_, i) => i),
+                      datasets: chartSeries,
+                    }}
+                    plugins={[TIMELINE_CURSOR]}
+                    options={{
+                      scales: {
+                        x: {
+                          display: true,
+                          title: {
+                            display: true,
+                            text: 'Time Steps',
+                            color: '#FFFFFF',
+                          },
+                          ticks: {
+                            color: '#FFFFFF',
+                          },
+                        },
+                        ...seriesAxes,
                       },
-                      ticks: {
-                        color: '#FFFFFF',
+                      plugins: {
+                        legend: {
+                          display: chartSeries.length > 1,
+                          labels: { color: '#FFFFFF' },
+                        },
+                        timelineCursor: {
+                          step: scrubFrame
+                            ? stepAtSweeps(history.sweeps, scrubFrame.sweeps)
+                            : null,
+                        },
                       },
-                    },
-                  },
-                  plugins: {
-                    legend: {
-                      display: false,
-                    },
-                  },
-                }}
-              />
+                    }}
+                  />
+                </>
+              )}
+              {/* Planned temperature of the annealing schedule */}
+              {schedule && (
+                <SchedulePreview schedule={schedule} progress={annealing} />
+              )}
             </div>
           </div>
+
+          {/* Correlation Function */}
+          <CorrelationPanel
+            correlation={correlation}
+            settings={correlationSettings}
+            onChange={setCorrelationSettings}
+            onMeasure={() =>
+              workerRef.current.postMessage({ type: 'measureCorrelation' })
+            }
+          />
+
+          {/* Structure Factor */}
+          <StructureFactorPanel
+            structure={structure}
+            settings={structureSettings}
+            onChange={setStructureSettings}
+            onMeasure={() =>
+              workerRef.current.postMessage({ type: 'measureStructureFactor' })
+            }
+            growth={history.domainLength.flatMap((length, step) =>
+              length === null ? [] : [{ x: history.sweeps[step], y: length }]
+            )}
+          />
+
+          {/* Domains and Clusters */}
+          <DomainPanel
+            domains={domains}
+            kind={domainKind}
+            onKindChange={setDomainKind}
+            model={model}
+            selected={
+              selectedCluster === null
+                ? null
+                : {
+                    x: selectedSite % size,
+                    y: Math.floor(selectedSite / size),
+                    size: domains.sizes[selectedCluster],
+                  }
+            }
+          />
+
+          {/* Temperature Sweep */}
+          <ExperimentPanel
+            experiment={experiment}
+            onStart={startExperiment}
+            onCancel={cancelExperiment}
+            onExport={handleExportExperiment}
+            criticalT={criticalT}
+            criticalLabel={
+              model === 'ising' && latticeType === 'square'
+                ? 'Onsager Tc'
+                : 'Exact Tc'
+            }
+          />
         </div>
       </div>
     </div>
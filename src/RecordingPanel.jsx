@@ -0,0 +1,155 @@
+// RecordingPanel.jsx
+// Settings and progress of the canvas recorder (recorder.js). Live
+// recordings capture whatever the canvas shows until stopped; offline ones
+// advance the simulation a fixed number of sweeps per frame and play back at
+// a fixed frame rate, optionally with the magnetization chart beside the
+// lattice. The Record button in the header starts and stops both.
+import React from 'react';
+import Button from '@mui/material/Button';
+import { Video } from 'lucide-react';
+import { validateRecording } from './recorder';
+
+const SETTING_FIELDS = [
+  { name: 'sweepsPerFrame', label: 'Sweeps / frame', step: 1 },
+  { name: 'fps', label: 'Frames / s', step: 1 },
+  { name: 'frames', label: 'Frames', step: 10 },
+];
+
+const FORMAT_LABELS = { gif: 'GIF', webm: 'WebM' };
+const MODE_LABELS = { live: 'Live', offline: 'Offline' };
+
+const COLOR = '#FF6B99';
+
+// `recording` is null or { mode, phase, frames, total, progress }: phase
+// 'recording' counts frames (out of `total` offline) and phase 'encoding'
+// reports `progress` from 0 to 1
+const RecordingPanel = ({ settings, onChange, recording, webmAvailable }) => {
+  const busy = recording !== null;
+
+  let settingsError = null;
+  try {
+    validateRecording(settings);
+  } catch (error) {
+    settingsError = error.message;
+  }
+
+  const setSetting = (name, value) => {
+    const parsed = Number(value);
+    if (value !== '' && Number.isFinite(parsed)) {
+      onChange({ ...settings, [name]: parsed });
+    }
+  };
+
+  const choice = (name, value, label, disabled = false) => {
+    const selected = settings[name] === value;
+    return (
+      <Button
+        key={value}
+        size="small"
+        variant={selected ? 'contained' : 'outlined'}
+        disabled={busy || disabled}
+        style={{
+          background: selected ? COLOR : 'transparent',
+          color: selected ? '#0D0D0D' : COLOR,
+          borderColor: COLOR,
+        }}
+        onClick={() => onChange({ ...settings, [name]: value })}
+      >
+        {label}
+      </Button>
+    );
+  };
+
+  let status = null;
+  let fraction = 0;
+  if (recording && recording.phase === 'encoding') {
+    status = `Encoding ${Math.round(100 * recording.progress)}%`;
+    fraction = recording.progress;
+  } else if (recording && recording.mode === 'offline') {
+    status = `Rendered ${recording.frames} / ${recording.total} frames`;
+    fraction = recording.frames / recording.total;
+  } else if (recording) {
+    status = `Recording · ${recording.frames} frames`;
+  }
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Video className="w-5 h-5" style={{ color: COLOR }} />
+        <label className="font-medium" style={{ color: COLOR }}>
+          Recording
+        </label>
+      </div>
+      <div className="flex flex-wrap gap-2">
+        {Object.entries(FORMAT_LABELS).map(([format, label]) =>
+          choice('format', format, label, format === 'webm' && !webmAvailable)
+        )}
+        {Object.entries(MODE_LABELS).map(([mode, label]) =>
+          choice('mode', mode, label)
+        )}
+      </div>
+      {!webmAvailable && (
+        <div className="text-sm text-white/60">
+          This browser cannot record WebM
+        </div>
+      )}
+      {settings.mode === 'offline' && (
+        <>
+          <div className="grid grid-cols-3 gap-2">
+            {SETTING_FIELDS.map(({ name, label, step }) => (
+              <label key={name} className="text-sm" style={{ color: COLOR }}>
+                {label}
+                <input
+                  type="number"
+                  value={settings[name]}
+                  step={step}
+                  min={1}
+                  disabled={busy}
+                  onChange={(e) => setSetting(name, e.target.value)}
+                  className="w-full rounded bg-black/40 px-2 py-1 text-white border border-[#FF6B99]/40"
+                />
+              </label>
+            ))}
+          </div>
+          <label
+            className="flex items-center gap-2 text-sm"
+            style={{ color: COLOR }}
+          >
+            <input
+              type="checkbox"
+              checked={settings.chart}
+              disabled={busy}
+              onChange={(e) =>
+                onChange({ ...settings, chart: e.target.checked })
+              }
+            />
+            Magnetization chart beside the lattice
+          </label>
+          <div className="text-sm" style={{ color: COLOR }}>
+            {settingsError ??
+              `${settings.frames * settings.sweepsPerFrame} sweeps in ${(
+                settings.frames / settings.fps
+              ).toFixed(1)} s of video`}
+          </div>
+        </>
+      )}
+      {status && (
+        <div className="space-y-1">
+          <div className="text-sm" style={{ color: COLOR }}>
+            {status}
+          </div>
+          {(recording.phase === 'encoding' || recording.mode === 'offline') && (
+            <div className="h-2 rounded bg-black/40 overflow-hidden">
+              <div
+                className="h-full"
+                style={{ width: `${100 * fraction}%`, background: COLOR }}
+              />
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default RecordingPanel;
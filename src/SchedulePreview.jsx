@@ -0,0 +1,67 @@
+// SchedulePreview.jsx
+// Planned temperature T(t) of an annealing schedule over Monte Carlo sweeps,
+// with the sweep the running schedule has reached.
+import React from 'react';
+import { Line } from 'react-chartjs-2';
+import 'chart.js/auto';
+import { scheduleLength, scheduleTemperature } from './simulation/annealing';
+
+// Points sampled along the schedule
+const PREVIEW_POINTS = 200;
+
+// `progress` is the worker's annealing state while the schedule runs, or null
+const SchedulePreview = ({ schedule, progress }) => {
+  // Run a little past the end so the hold at the target shows
+  const span = Math.max(1, Math.ceil(scheduleLength(schedule) * 1.1));
+  const curve = Array.from({ length: PREVIEW_POINTS + 1 }, (_, k) => {
+    const sweep = (span * k) / PREVIEW_POINTS;
+    return { x: sweep, y: scheduleTemperature(schedule, sweep) };
+  });
+  const datasets = [
+    {
+      label: 'Scheduled T',
+      data: curve,
+      borderColor: '#FF8C41',
+      backgroundColor: '#FF8C41',
+      pointRadius: 0,
+    },
+  ];
+  if (progress) {
+    datasets.push({
+      label: 'Now',
+      data: [{ x: progress.sweep, y: progress.temperature }],
+      borderColor: '#FFFFFF',
+      backgroundColor: '#FFFFFF',
+      pointRadius: 5,
+    });
+  }
+
+  return (
+    <div style={{ height: 160 }}>
+      <Line
+        data={{ datasets }}
+        options={{
+          animation: false,
+          maintainAspectRatio: false,
+          scales: {
+            x: {
+              type: 'linear',
+              max: span,
+              title: { display: true, text: 'Sweeps', color: '#FFFFFF' },
+              ticks: { color: '#FFFFFF' },
+            },
+            y: {
+              title: { display: true, text: 'T', color: '#FF8C41' },
+              ticks: { color: '#FF8C41' },
+            },
+          },
+          plugins: {
+            legend: { display: false },
+          },
+        }}
+      />
+    </div>
+  );
+};
+
+export default SchedulePreview;
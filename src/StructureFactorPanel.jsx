@@ -0,0 +1,216 @@
+// StructureFactorPanel.jsx
+// Fourier view of the lattice for coarsening studies: the 2D structure
+// factor S(k) on its own canvas with k = 0 in the middle and a logarithmic
+// color scale, its circular average S(|k|), and the domain size L(t) from
+// the first moment against MC time on log-log axes, where the t^(1/2) growth
+// after a quench from a random state is a straight line of slope 1/2. The
+// worker measures S (structureFactor.js) on demand or, while Live is on,
+// every few sweeps.
+import React, { useEffect, useRef } from 'react';
+import Button from '@mui/material/Button';
+import { Waves } from 'lucide-react';
+import { Line } from 'react-chartjs-2';
+import 'chart.js/auto';
+
+const COLOR = '#B967FF';
+
+// Color scale of log(1 + S), from no weight to the strongest mode
+const SCALE_STOPS = [
+  [0, [13, 13, 13]],
+  [0.35, [185, 103, 255]],
+  [0.7, [255, 113, 206]],
+  [1, [0, 255, 240]],
+];
+
+const scaleRgb = (level) => {
+  let k = 1;
+  while (k < SCALE_STOPS.length - 1 && SCALE_STOPS[k][0] < level) k += 1;
+  const [from, low] = SCALE_STOPS[k - 1];
+  const [to, high] = SCALE_STOPS[k];
+  const t = Math.min(1, Math.max(0, (level - from) / (to - from)));
+  return low.map((value, c) => Math.round(value + t * (high[c] - value)));
+};
+
+// Paint S(k) one pixel per mode, shifted so k = 0 is in the middle. The
+// scale tops out at the strongest mode other than k = 0, which would
+// otherwise swamp the rest of an ordered lattice.
+const drawStructureFactor = (canvas, { size, factor }) => {
+  canvas.width = size;
+  canvas.height = size;
+  const ctx = canvas.getContext('2d');
+  const image = ctx.createImageData(size, size);
+  const top = Math.log1p(
+    factor.reduce((max, value, k) => (k === 0 ? max : Math.max(max, value)), 0)
+  );
+  const half = Math.floor(size / 2);
+  for (let py = 0; py < size; py++) {
+    const ny = (py - half + size) % size;
+    for (let px = 0; px < size; px++) {
+      const nx = (px - half + size) % size;
+      const value = Math.log1p(factor[ny * size + nx]);
+      const rgb = scaleRgb(top > 0 ? Math.min(1, value / top) : 0);
+      const pixel = 4 * (py * size + px);
+      image.data.set(rgb, pixel);
+      image.data[pixel + 3] = 255;
+    }
+  }
+  ctx.putImageData(image, 0, 0);
+};
+
+const logAxis = (text) => ({
+  type: 'logarithmic',
+  title: { display: true, text, color: '#FFFFFF' },
+  ticks: { color: '#FFFFFF' },
+});
+
+// `structure` is the worker's latest { sweeps, size, factor, k, s, length }
+// or null; `settings` are { live, interval } and onChange(settings) updates
+// them; onMeasure() asks for a measurement now; `growth` holds the
+// { x: sweeps, y: L } points of the run so far
+const StructureFactorPanel = ({
+  structure,
+  settings,
+  onChange,
+  onMeasure,
+  growth,
+}) => {
+  const canvasRef = useRef(null);
+  const { live, interval } = settings;
+
+  useEffect(() => {
+    if (structure && canvasRef.current) {
+      drawStructureFactor(canvasRef.current, structure);
+    }
+  }, [structure]);
+
+  const setLiveInterval = (value) => {
+    const parsed = Number(value);
+    if (Number.isInteger(parsed) && parsed > 0) {
+      onChange({ ...settings, interval: parsed });
+    }
+  };
+
+  // Logarithmic axes only take positive values
+  const average = structure
+    ? structure.k
+        .map((k, bin) => ({ x: k, y: structure.s[bin] }))
+        .filter(({ y }) => y > 0)
+    : [];
+  const growthPoints = growth.filter(({ x }) => x > 0);
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center gap-2">
+        <Waves className="w-5 h-5" style={{ color: COLOR }} />
+        <label className="font-medium" style={{ color: COLOR }}>
+          Structure Factor
+        </label>
+      </div>
+      <div className="flex flex-wrap items-center gap-2">
+        <Button
+          size="small"
+          variant="outlined"
+          style={{ color: COLOR, borderColor: COLOR }}
+          onClick={onMeasure}
+        >
+          Measure Now
+        </Button>
+        <Button
+          size="small"
+          variant={live ? 'contained' : 'outlined'}
+          style={{
+            background: live ? COLOR : 'transparent',
+            color: live ? '#0D0D0D' : COLOR,
+            borderColor: COLOR,
+          }}
+          onClick={() => onChange({ ...settings, live: !live })}
+        >
+          Live
+        </Button>
+        <label
+          className="flex items-center gap-2 text-sm"
+          style={{ color: COLOR }}
+        >
+          every
+          <input
+            type="number"
+            value={interval}
+            step={1}
+            min={1}
+            onChange={(e) => setLiveInterval(e.target.value)}
+            className="w-20 rounded bg-black/40 px-2 py-1 text-white border border-[#B967FF]/40"
+          />
+          sweeps
+        </label>
+      </div>
+      <div className="text-sm font-mono" style={{ color: COLOR }}>
+        {structure
+          ? `L = ${
+              structure.length === null ? '—' : structure.length.toFixed(2)
+            } sites · sweep ${structure.sweeps}`
+          : 'Not measured yet'}
+      </div>
+      <div className="flex flex-col md:flex-row gap-4">
+        <canvas
+          ref={canvasRef}
+          width={1}
+          height={1}
+          className="w-48 h-48 rounded-lg border border-[#B967FF]/30 bg-black/40"
+          style={{ imageRendering: 'pixelated' }}
+          title="S(k), k = 0 in the middle"
+        />
+        <div className="flex-1 space-y-2">
+          <Line
+            data={{
+              datasets: [
+                {
+                  label: 'S(|k|)',
+                  data: average,
+                  borderColor: COLOR,
+                  backgroundColor: COLOR,
+                },
+              ],
+            }}
+            options={{
+              animation: false,
+              parsing: false,
+              scales: {
+                x: {
+                  type: 'linear',
+                  title: { display: true, text: '|k|', color: '#FFFFFF' },
+                  ticks: { color: '#FFFFFF' },
+                },
+                y: logAxis('S(|k|)'),
+              },
+              plugins: { legend: { labels: { color: '#FFFFFF' } } },
+            }}
+          />
+          <Line
+            data={{
+              datasets: [
+                {
+                  label: 'Domain Size L(t)',
+                  data: growthPoints,
+                  borderColor: '#FF71CE',
+                  backgroundColor: '#FF71CE',
+                  pointRadius: 2,
+                },
+              ],
+            }}
+            options={{
+              animation: false,
+              parsing: false,
+              scales: {
+                x: logAxis('MC Time (sweeps)'),
+                y: logAxis('L (sites)'),
+              },
+              plugins: { legend: { labels: { color: '#FFFFFF' } } },
+            }}
+          />
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default StructureFactorPanel;
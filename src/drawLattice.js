@@ -0,0 +1,378 @@
+// drawLattice.js
+// Canvas rendering of a lattice snapshot: square cells, hexagons for the
+// triangular lattice and triangles for the honeycomb lattice, all with the
+// neon glow effect. Ising spins are cyan (up) or pink (down); Potts and clock
+// states take the first q colors of STATE_COLORS; XY spins are colored by
+// angle around the hue wheel. Clock and XY lattices can be overlaid with
+// arrows along each spin and markers on vortices and antivortices. Vacant
+// sites of a diluted lattice are dark, and a heat map can show the quenched
+// field on every site. The domain overlay replaces the spin colors with one
+// color per cluster (simulation/domains.js), outlines the domain walls and
+// can dim every cluster but a selected one, and sites pinned by a brush can
+// be marked with small dark squares.
+import { layoutWidth, siteCenter, siteOutline } from './simulation/lattice';
+
+// Below this many pixels per cell the glow effect is invisible, so the
+// lattice is drawn one pixel per spin instead
+const MIN_GLOW_CELL_SIZE = 4;
+
+export const STATE_COLORS = [
+  { main: '#00FFF0', shadow: '#00bfb7' }, // Cyan
+  { main: '#FF71CE', shadow: '#b000b0' }, // Pink
+  { main: '#B967FF', shadow: '#7a3dbf' }, // Purple
+  { main: '#FFD700', shadow: '#b39700' }, // Gold
+  { main: '#05FFA1', shadow: '#03b371' }, // Mint
+  { main: '#FF8C41', shadow: '#b3622e' }, // Orange
+  { main: '#01CDFE', shadow: '#0190b2' }, // Blue
+  { main: '#FFFB96', shadow: '#b3b069' }, // Pale yellow
+];
+
+export const VACANCY_COLOR = { main: '#1A1A2E', shadow: '#0D0D0D' };
+
+// Heat-map colors of positive and negative fields
+const FIELD_RGB = { positive: [255, 59, 59], negative: [59, 107, 255] };
+
+// Main color of each state as [r, g, b] for one-pixel-per-spin drawing
+const STATE_RGB = STATE_COLORS.map(({ main }) =>
+  [1, 3, 5].map((k) => parseInt(main.slice(k, k + 2), 16))
+);
+
+// Below this many pixels per cell spin arrows are unreadable and skipped
+const MIN_ARROW_CELL_SIZE = 10;
+
+// Hue step between consecutive cluster labels, the golden angle, so that
+// neighboring labels never get similar colors
+const GOLDEN_ANGLE = Math.PI * (3 - Math.sqrt(5));
+
+// Brightness of the clusters other than the selected one
+const DIMMED = 0.3;
+
+// Palette index of a spin: Ising +1 and -1 use the first two colors
+const colorIndex = (model, value) =>
+  model === 'ising' ? (value === 1 ? 0 : 1) : value;
+
+// Hue in degrees of an XY spin, red at θ = 0
+const angleHue = (angle) => (angle * 180) / Math.PI;
+
+export const angleColor = (angle) => ({
+  main: `hsl(${angleHue(angle)}, 100%, 60%)`,
+  shadow: `hsl(${angleHue(angle)}, 100%, 35%)`,
+});
+
+// [r, g, b] of a fully saturated hue at 60% lightness
+const angleRgb = (angle) => {
+  const hue = angleHue(angle);
+  const amplitude = 0.4; // S · min(L, 1 - L) at L = 0.6
+  return [0, 8, 4].map((n) => {
+    const k = (n + hue / 30) % 12;
+    const level = 0.6 - amplitude * Math.max(-1, Math.min(k - 3, 9 - k, 1));
+    return Math.round(level * 255);
+  });
+};
+
+const spinColor = (model, value) =>
+  model === 'xy' ? angleColor(value) : STATE_COLORS[colorIndex(model, value)];
+
+const spinRgb = (model, value) =>
+  model === 'xy' ? angleRgb(value) : STATE_RGB[colorIndex(model, value)];
+
+const VACANCY_RGB = [1, 3, 5].map((k) =>
+  parseInt(VACANCY_COLOR.main.slice(k, k + 2), 16)
+);
+
+const isVacant = ({ vacancies }, i) => Boolean(vacancies) && vacancies[i] === 1;
+
+// Angle of a clock or XY spin, as in IsingSimulation.spinAngle
+const spinAngle = (model, q, value) =>
+  model === 'xy' ? value : (2 * Math.PI * value) / q;
+
+// Pixels per layout unit in each direction
+export const layoutScale = (width, height, { latticeType, size }) => [
+  width / layoutWidth(latticeType, size),
+  height / size,
+];
+
+// Trace a cell outline in pixels, pulled `inset` pixels towards its centroid
+const traceCell = (ctx, outline, [scaleX, scaleY], inset) => {
+  const cx = outline.reduce((sum, [u]) => sum + u, 0) / outline.length;
+  const cy = outline.reduce((sum, [, v]) => sum + v, 0) / outline.length;
+  ctx.beginPath();
+  outline.forEach(([u, v], k) => {
+    const dx = (u - cx) * scaleX;
+    const dy = (v - cy) * scaleY;
+    const shrink = Math.max(0, 1 - inset / Math.hypot(dx, dy));
+    const px = cx * scaleX + dx * shrink;
+    const py = cy * scaleY + dy * shrink;
+    if (k === 0) ctx.moveTo(px, py);
+    else ctx.lineTo(px, py);
+  });
+  ctx.closePath();
+};
+
+// Paint one pixel per spin into `pixelCanvas` and stretch it over the
+// canvas. Row offsets of non-square lattices are invisible at this scale.
+const drawPixels = (ctx, width, height, snapshot, pixelCanvas) => {
+  const { size, spins, model } = snapshot;
+  pixelCanvas.width = size;
+  pixelCanvas.height = size;
+  const pixelCtx = pixelCanvas.getContext('2d');
+  const image = pixelCtx.createImageData(size, size);
+  for (let i = 0; i < spins.length; i++) {
+    const [r, g, b] = isVacant(snapshot, i)
+      ? VACANCY_RGB
+      : spinRgb(model, spins[i]);
+    image.data[4 * i] = r;
+    image.data[4 * i + 1] = g;
+    image.data[4 * i + 2] = b;
+    image.data[4 * i + 3] = 255;
+  }
+  pixelCtx.putImageData(image, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(pixelCanvas, 0, 0, width, height);
+};
+
+// Short white arrow through the center of every site along its spin
+const drawArrows = (ctx, [scaleX, scaleY], snapshot) => {
+  const { size, spins, latticeType, model, q } = snapshot;
+  const length = 0.35 * Math.min(scaleX, scaleY);
+  ctx.save();
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.85)';
+  ctx.lineWidth = 1.5;
+  ctx.beginPath();
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      if (isVacant(snapshot, y * size + x)) continue;
+      const [u, v] = siteCenter(latticeType, x, y);
+      const angle = spinAngle(model, q, spins[y * size + x]);
+      // Screen y points down, so counterclockwise angles flip their sine
+      const dx = Math.cos(angle) * length;
+      const dy = -Math.sin(angle) * length;
+      const tipX = u * scaleX + dx;
+      const tipY = v * scaleY + dy;
+      ctx.moveTo(u * scaleX - dx, v * scaleY - dy);
+      ctx.lineTo(tipX, tipY);
+      // Arrow head
+      for (const side of [0.5, -0.5]) {
+        ctx.moveTo(tipX, tipY);
+        ctx.lineTo(
+          tipX - 0.4 * (dx * Math.cos(side) - dy * Math.sin(side)),
+          tipY - 0.4 * (dx * Math.sin(side) + dy * Math.cos(side))
+        );
+      }
+    }
+  }
+  ctx.stroke();
+  ctx.restore();
+};
+
+// Vortices as white discs and antivortices as white rings at the centers
+// of their plaquettes; winding[i] belongs to the plaquette whose top-left
+// site is i
+const drawVortices = (ctx, [scaleX, scaleY], { size, vortices }) => {
+  const radius = Math.max(2.5, 0.3 * Math.min(scaleX, scaleY));
+  ctx.save();
+  ctx.lineWidth = 2;
+  for (let i = 0; i < vortices.length; i++) {
+    if (vortices[i] === 0) continue;
+    const cx = ((i % size) + 1) * scaleX;
+    const cy = (Math.floor(i / size) + 1) * scaleY;
+    ctx.beginPath();
+    ctx.arc(cx, cy, radius, 0, 2 * Math.PI);
+    ctx.fillStyle = vortices[i] > 0 ? '#FFFFFF' : 'rgba(0, 0, 0, 0.7)';
+    ctx.strokeStyle = vortices[i] > 0 ? '#000000' : '#FFFFFF';
+    ctx.fill();
+    ctx.stroke();
+  }
+  ctx.restore();
+};
+
+// Dark square with a white rim at the center of every pinned site, at least
+// a few pixels wide however small the cells
+const drawPins = (ctx, [scaleX, scaleY], { size, latticeType, pinned }) => {
+  const side = Math.max(3, 0.4 * Math.min(scaleX, scaleY));
+  ctx.save();
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.75)';
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.9)';
+  ctx.lineWidth = 1;
+  for (let i = 0; i < pinned.length; i++) {
+    if (pinned[i] === 0) continue;
+    const [u, v] = siteCenter(latticeType, i % size, Math.floor(i / size));
+    ctx.fillRect(u * scaleX - side / 2, v * scaleY - side / 2, side, side);
+    ctx.strokeRect(u * scaleX - side / 2, v * scaleY - side / 2, side, side);
+  }
+  ctx.restore();
+};
+
+// Semi-transparent heat map of the field on every site, red where it favors
+// up spins and blue where it favors down spins, with its range in the
+// top-left corner
+const drawFieldMap = (ctx, width, height, { size, fields }, pixelCanvas) => {
+  const range = fields.reduce((max, h) => Math.max(max, Math.abs(h)), 0);
+  pixelCanvas.width = size;
+  pixelCanvas.height = size;
+  const pixelCtx = pixelCanvas.getContext('2d');
+  const image = pixelCtx.createImageData(size, size);
+  for (let i = 0; i < fields.length; i++) {
+    const [r, g, b] = FIELD_RGB[fields[i] >= 0 ? 'positive' : 'negative'];
+    image.data[4 * i] = r;
+    image.data[4 * i + 1] = g;
+    image.data[4 * i + 2] = b;
+    image.data[4 * i + 3] = range > 0 ? (180 * Math.abs(fields[i])) / range : 0;
+  }
+  pixelCtx.putImageData(image, 0, 0);
+  ctx.imageSmoothingEnabled = false;
+  ctx.drawImage(pixelCanvas, 0, 0, width, height);
+
+  const label = `Field ±${range.toFixed(2)}`;
+  ctx.save();
+  ctx.font = '12px sans-serif';
+  ctx.textBaseline = 'top';
+  ctx.fillStyle = 'rgba(0, 0, 0, 0.5)';
+  ctx.fillRect(6, 6, ctx.measureText(label).width + 10, 18);
+  ctx.fillStyle = '#FFFFFF';
+  ctx.fillText(label, 11, 9);
+  ctx.restore();
+};
+
+// Corners shared by the outlines of two sites: the wall between them when
+// they touch, nothing when their bond wraps around the lattice
+const sharedEdge = (latticeType, size, i, j) => {
+  const corners = siteOutline(latticeType, i % size, Math.floor(i / size));
+  const others = siteOutline(latticeType, j % size, Math.floor(j / size));
+  const shared = corners.filter(([u, v]) =>
+    others.some(([a, b]) => Math.abs(a - u) < 1e-9 && Math.abs(b - v) < 1e-9)
+  );
+  return shared.length === 2 ? shared : null;
+};
+
+// One color per cluster in place of the spin colors, the domain walls in
+// white on top when the cells are large enough to show them
+const drawDomains = (
+  ctx,
+  width,
+  height,
+  scale,
+  snapshot,
+  pixelCanvas,
+  { selectedCluster = null }
+) => {
+  const { size, latticeType } = snapshot;
+  const { labels, walls } = snapshot.domains;
+  const clusterRgb = (i) => {
+    if (labels[i] === -1) return VACANCY_RGB;
+    const rgb = angleRgb(labels[i] * GOLDEN_ANGLE);
+    const dim = selectedCluster !== null && labels[i] !== selectedCluster;
+    return dim ? rgb.map((level) => Math.round(level * DIMMED)) : rgb;
+  };
+  const [scaleX, scaleY] = scale;
+
+  if (Math.min(scaleX, scaleY) < MIN_GLOW_CELL_SIZE) {
+    pixelCanvas.width = size;
+    pixelCanvas.height = size;
+    const pixelCtx = pixelCanvas.getContext('2d');
+    const image = pixelCtx.createImageData(size, size);
+    for (let i = 0; i < labels.length; i++) {
+      const [r, g, b] = clusterRgb(i);
+      image.data[4 * i] = r;
+      image.data[4 * i + 1] = g;
+      image.data[4 * i + 2] = b;
+      image.data[4 * i + 3] = 255;
+    }
+    pixelCtx.putImageData(image, 0, 0);
+    ctx.imageSmoothingEnabled = false;
+    ctx.drawImage(pixelCanvas, 0, 0, width, height);
+    return;
+  }
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      ctx.fillStyle = `rgb(${clusterRgb(y * size + x).join(', ')})`;
+      traceCell(ctx, siteOutline(latticeType, x, y), scale, 0);
+      ctx.fill();
+    }
+  }
+  ctx.save();
+  ctx.strokeStyle = '#FFFFFF';
+  ctx.lineWidth = 2;
+  ctx.lineCap = 'round';
+  ctx.beginPath();
+  for (let k = 0; k < walls.length; k += 2) {
+    const edge = sharedEdge(latticeType, size, walls[k], walls[k + 1]);
+    if (!edge) continue;
+    ctx.moveTo(edge[0][0] * scaleX, edge[0][1] * scaleY);
+    ctx.lineTo(edge[1][0] * scaleX, edge[1][1] * scaleY);
+  }
+  ctx.stroke();
+  ctx.restore();
+};
+
+const drawCells = (ctx, scale, snapshot) => {
+  const { size, spins, latticeType, model } = snapshot;
+  const [scaleX, scaleY] = scale;
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      const color = isVacant(snapshot, i)
+        ? VACANCY_COLOR
+        : spinColor(model, spins[i]);
+
+      if (latticeType === 'square') {
+        const cellX = x * scaleX;
+        const cellY = y * scaleY;
+
+        // Draw glow effect
+        ctx.fillStyle = color.shadow;
+        ctx.fillRect(cellX + 1, cellY + 1, scaleX - 2, scaleY - 2);
+
+        // Draw main color
+        ctx.fillStyle = color.main;
+        ctx.fillRect(cellX + 2, cellY + 2, scaleX - 4, scaleY - 4);
+      } else {
+        const outline = siteOutline(latticeType, x, y);
+
+        ctx.fillStyle = color.shadow;
+        traceCell(ctx, outline, scale, 1);
+        ctx.fill();
+
+        ctx.fillStyle = color.main;
+        traceCell(ctx, outline, scale, 2.5);
+        ctx.fill();
+      }
+    }
+  }
+};
+
+// `overlays` turns on the spin arrows, vortex markers, field heat map,
+// cluster colors (`domains`, dimming all but `selectedCluster`) and pin
+// markers where the snapshot supports them
+export const drawLattice = (
+  ctx,
+  width,
+  height,
+  snapshot,
+  pixelCanvas,
+  overlays = {}
+) => {
+  const { model } = snapshot;
+  const scale = layoutScale(width, height, snapshot);
+  const cellSize = Math.min(...scale);
+
+  if (overlays.domains && snapshot.domains) {
+    drawDomains(ctx, width, height, scale, snapshot, pixelCanvas, overlays);
+  } else if (cellSize < MIN_GLOW_CELL_SIZE) {
+    drawPixels(ctx, width, height, snapshot, pixelCanvas);
+  } else {
+    drawCells(ctx, scale, snapshot);
+  }
+  if (overlays.fieldMap && snapshot.fields) {
+    drawFieldMap(ctx, width, height, snapshot, pixelCanvas);
+  }
+  const hasAngles = model === 'clock' || model === 'xy';
+  if (overlays.arrows && hasAngles && cellSize >= MIN_ARROW_CELL_SIZE) {
+    drawArrows(ctx, scale, snapshot);
+  }
+  if (overlays.vortices && snapshot.vortices) {
+    drawVortices(ctx, scale, snapshot);
+  }
+  if (overlays.pins && snapshot.pinned) drawPins(ctx, scale, snapshot);
+};
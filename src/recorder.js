@@ -0,0 +1,257 @@
+// recorder.js
+// Recordings of the lattice as GIF (gif.js, encoded in web workers) or WebM
+// (MediaRecorder on a canvas stream). Frames are added with the time in ms
+// at which they appear in the recording and last until the next one: live
+// recordings pass the wall-clock time since they started, offline ones
+// frame / fps. Either way playback runs at the speed the frames were taken
+// at, however long each of them took to draw.
+//
+// GIF delays are whole centiseconds, rounded from the frame times rather
+// than one delay at a time so the rounding never adds up. WebM frames are
+// kept as PNG blobs while recording and replayed into the encoder on the
+// recording's own clock once it stops, so a slow machine cannot stretch or
+// squeeze them.
+//
+// A GIF whose workers fail, abort or report no progress for
+// GIF_STALL_TIMEOUT ms rejects instead of leaving the encoding hanging.
+import GIF from 'gif.js.optimized';
+
+export const RECORDING_FORMATS = ['gif', 'webm'];
+
+export const DEFAULT_RECORDING = {
+  format: 'gif',
+  mode: 'live', // 'live' or 'offline'
+  sweepsPerFrame: 1,
+  fps: 20,
+  frames: 200,
+  chart: false,
+};
+
+export const validateRecording = ({ sweepsPerFrame, fps, frames }) => {
+  if (!(Number.isInteger(sweepsPerFrame) && sweepsPerFrame >= 1)) {
+    throw new Error('Sweeps per frame must be a whole number of at least 1');
+  }
+  if (!(fps >= 1 && fps <= 60)) {
+    throw new Error('The frame rate must be between 1 and 60 fps');
+  }
+  if (!(Number.isInteger(frames) && frames >= 1)) {
+    throw new Error('The frame count must be a whole number of at least 1');
+  }
+};
+
+const WEBM_TYPES = [
+  'video/webm;codecs=vp9',
+  'video/webm;codecs=vp8',
+  'video/webm',
+];
+
+// MIME type of the WebM encoder this browser offers, or null
+export const webmType = () => {
+  if (
+    typeof MediaRecorder === 'undefined' ||
+    !HTMLCanvasElement.prototype.captureStream
+  ) {
+    return null;
+  }
+  return WEBM_TYPES.find((type) => MediaRecorder.isTypeSupported(type)) ?? null;
+};
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Longest wait for the GIF workers between progress reports, e.g. when
+// gif.worker.js cannot be loaded
+const GIF_STALL_TIMEOUT = 30000;
+
+const createGifEncoder = (width, height) => {
+  const gif = new GIF({
+    workers: 2,
+    quality: 10,
+    width,
+    height,
+    // Served from public/, which moves with the homepage subpath
+    workerScript: `${process.env.PUBLIC_URL}/js/gif.worker.js`,
+  });
+  let pending = null; // { data, time } of the frame still waiting for its delay
+  const centiseconds = (time) => Math.round(time / 10);
+
+  const addPending = (nextTime) => {
+    const delay = centiseconds(nextTime) - centiseconds(pending.time);
+    gif.addFrame(pending.data, { delay: 10 * Math.max(1, delay) });
+  };
+
+  return {
+    add: (canvas, time) => {
+      const data = canvas.getContext('2d').getImageData(0, 0, width, height);
+      if (pending) addPending(time);
+      pending = { data, time };
+    },
+    finish: (endTime, onProgress) =>
+      new Promise((resolve, reject) => {
+        let timer = null;
+        let settled = false;
+        const settle = (callback) => {
+          if (settled) return;
+          settled = true;
+          clearTimeout(timer);
+          callback();
+        };
+        // Aborting emits 'abort' again, which then finds the promise settled
+        const fail = (message) =>
+          settle(() => {
+            reject(new Error(message));
+            gif.abort();
+          });
+        const watch = () => {
+          clearTimeout(timer);
+          timer = setTimeout(
+            () => fail('The GIF encoder stopped responding'),
+            GIF_STALL_TIMEOUT
+          );
+        };
+        addPending(endTime);
+        gif.on('progress', (progress) => {
+          if (settled) return;
+          watch();
+          onProgress(progress);
+        });
+        gif.on('finished', (blob) => settle(() => resolve(blob)));
+        gif.on('abort', () => fail('The GIF encoding was aborted'));
+        watch();
+        try {
+          gif.render();
+        } catch (error) {
+          fail(`The GIF encoder failed: ${error.message}`);
+          return;
+        }
+        // gif.js does not listen for errors of its own workers, such as a
+        // worker script that fails to load
+        for (const worker of [...gif.freeWorkers, ...gif.activeWorkers]) {
+          worker.addEventListener('error', () =>
+            fail('The GIF encoder failed to start or crashed')
+          );
+        }
+      }),
+  };
+};
+
+const createWebmEncoder = (width, height, type) => {
+  const frames = []; // { blob, time }, blob a promise of the frame's PNG
+
+  return {
+    add: (canvas, time) => {
+      frames.push({
+        blob: new Promise((resolve) => canvas.toBlob(resolve)),
+        time,
+      });
+    },
+    finish: async (endTime, onProgress) => {
+      const canvas = document.createElement('canvas');
+      canvas.width = width;
+      canvas.height = height;
+      const ctx = canvas.getContext('2d');
+      // A frame rate of 0 captures only the frames requested below
+      const stream = canvas.captureStream(0);
+      const [track] = stream.getVideoTracks();
+      const recorder = new MediaRecorder(stream, { mimeType: type });
+      const chunks = [];
+      recorder.ondataavailable = (e) => chunks.push(e.data);
+      const stopped = new Promise((resolve) => {
+        recorder.onstop = resolve;
+      });
+
+      recorder.start();
+      const start = performance.now() - frames[0].time;
+      for (let k = 0; k < frames.length; k++) {
+        const bitmap = await createImageBitmap(await frames[k].blob);
+        await wait(start + frames[k].time - performance.now());
+        ctx.drawImage(bitmap, 0, 0);
+        bitmap.close();
+        track.requestFrame();
+        onProgress((k + 1) / frames.length);
+      }
+      await wait(start + endTime - performance.now());
+      recorder.stop();
+      await stopped;
+      track.stop();
+      return new Blob(chunks, { type: 'video/webm' });
+    },
+  };
+};
+
+// Recorder of width × height frames in `format`. finish(endTime, onProgress)
+// encodes everything added, reporting progress from 0 to 1, and resolves to
+// the file; the last frame lasts until endTime.
+export const createRecorder = ({ format, width, height }) => {
+  const encoder =
+    format === 'webm'
+      ? createWebmEncoder(width, height, webmType())
+      : createGifEncoder(width, height);
+  let frames = 0;
+  return {
+    get frames() {
+      return frames;
+    },
+    addFrame: (canvas, time) => {
+      encoder.add(canvas, time);
+      frames += 1;
+    },
+    finish: (endTime, onProgress = () => {}) =>
+      frames === 0
+        ? Promise.reject(new Error('No frames were recorded'))
+        : encoder.finish(endTime, onProgress),
+  };
+};
+
+// Magnetization per sweep as a line chart filling the given box, with room
+// on the time axis for `length` sweeps so the line grows across the frames
+// of an offline recording
+export const drawMagnetizationTrace = (
+  ctx,
+  { x, y, width, height },
+  values,
+  length
+) => {
+  const margin = { left: 44, right: 12, top: 28, bottom: 24 };
+  const plotWidth = width - margin.left - margin.right;
+  const plotHeight = height - margin.top - margin.bottom;
+  const left = x + margin.left;
+  const top = y + margin.top;
+  const toX = (sweep) => left + (plotWidth * sweep) / Math.max(1, length);
+  const toY = (m) => top + (plotHeight * (1 - m)) / 2;
+
+  ctx.save();
+  ctx.fillStyle = '#1A0B2E';
+  ctx.fillRect(x, y, width, height);
+
+  ctx.font = '12px sans-serif';
+  ctx.fillStyle = '#FF71CE';
+  ctx.textAlign = 'left';
+  ctx.textBaseline = 'top';
+  ctx.fillText('Net Magnetization (%)', left, y + 8);
+
+  // Axes at ±100 % and 0, labelled on the left
+  ctx.strokeStyle = 'rgba(255, 255, 255, 0.25)';
+  ctx.lineWidth = 1;
+  ctx.fillStyle = '#FFFFFF';
+  ctx.textAlign = 'right';
+  ctx.textBaseline = 'middle';
+  for (const m of [1, 0, -1]) {
+    ctx.beginPath();
+    ctx.moveTo(left, toY(m));
+    ctx.lineTo(left + plotWidth, toY(m));
+    ctx.stroke();
+    ctx.fillText(String(100 * m), left - 6, toY(m));
+  }
+  ctx.textBaseline = 'top';
+  ctx.fillText(`${length} sweeps`, left + plotWidth, top + plotHeight + 6);
+
+  ctx.strokeStyle = '#FF71CE';
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  values.forEach((m, k) => {
+    if (k === 0) ctx.moveTo(toX(k + 1), toY(m));
+    else ctx.lineTo(toX(k + 1), toY(m));
+  });
+  ctx.stroke();
+  ctx.restore();
+};
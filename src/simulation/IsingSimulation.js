@@ -0,0 +1,937 @@
+// IsingSimulation.js
+// Framework-free Monte Carlo engine for the 2D Ising model, its q-state
+// Potts and clock relatives and the continuous XY model (see spinModels.js).
+// The lattice is a flat typed array indexed as y * size + x holding ±1 Ising
+// spins, Potts/clock state indices or XY angles; the lattice type and
+// boundary condition come from the neighbor table built in lattice.js.
+//
+// E = -Jx Σ horizontal bonds - Jy Σ vertical bonds - J2 Σ diagonal bonds
+//     - h Σ s_i
+// Negative couplings are antiferromagnetic; `coupling` sets Jx = Jy at once.
+// Quenched random fields, random bonds and vacancies (see disorder.js) are
+// folded into the per-site `fields`, the per-slot `couplings` and a neighbor
+// table from which vacant sites are cut out. Vacant sites never update and
+// all per-spin observables average over the occupied sites only.
+// The brushes of brushes.js can pin sites, which no dynamics ever changes,
+// and paint a local field that adds to the external and random ones.
+// Every random decision draws from `random`, Math.random unless a seeded
+// generator from random.js is passed in to make the run replayable.
+import { swendsenWangSweep, wolffSweep } from './clusters';
+import {
+  bondCoupling,
+  DEFAULT_DISORDER,
+  siteField,
+  vacancyMask,
+  validateDisorder,
+} from './disorder';
+import {
+  BOND_DIAGONAL,
+  BOND_HORIZONTAL,
+  BOND_VERTICAL,
+  buildLattice,
+  CRITICAL_TEMPERATURES,
+  GHOST,
+  GHOST_SPINS,
+  NO_NEIGHBOR,
+  siteAt,
+  siteCenter,
+  sublatticeSign,
+  validateGeometry,
+} from './lattice';
+import { acceptanceProbability, heatBathProbability } from './probabilities';
+import {
+  convertSpin,
+  createSpins,
+  downSpin,
+  frameState,
+  stateCount,
+  stateOverlap,
+  stateProjection,
+  upSpin,
+  validateModel,
+  wrapAngle,
+} from './spinModels';
+
+export { acceptanceProbability, heatBathProbability };
+
+// Onsager's exact critical temperature for the square lattice (J = 1, k_B = 1)
+export const CRITICAL_TEMPERATURE = CRITICAL_TEMPERATURES.square;
+
+export const PATTERNS = [
+  'positive',
+  'negative',
+  'checkerboard',
+  'random',
+  'fraction',
+];
+
+// Kawasaki exchange dynamics conserves the magnetization; all other
+// algorithms flip spins
+export const ALGORITHMS = [
+  'metropolis',
+  'glauber',
+  'wolff',
+  'swendsenWang',
+  'kawasaki',
+];
+
+// Cluster moves need Fortuin–Kasteleyn clusters, which exist for the Ising
+// model with any couplings and for the Potts model with ferromagnetic ones
+// only. The clock and XY models have no cluster representation here.
+export const supportsAlgorithm = (
+  algorithm,
+  {
+    model = 'ising',
+    couplingX = 1,
+    couplingY = 1,
+    couplingDiagonal = 0,
+    boundary = 'periodic',
+    bondDisorder = 'none',
+  } = {}
+) => {
+  if (algorithm !== 'wolff' && algorithm !== 'swendsenWang') return true;
+  if (model === 'ising') return true;
+  return (
+    model === 'potts' &&
+    couplingX >= 0 &&
+    couplingY >= 0 &&
+    couplingDiagonal >= 0 &&
+    boundary !== 'antiperiodic' &&
+    bondDisorder === 'none'
+  );
+};
+
+const validateAlgorithm = (algorithm, options) => {
+  if (!ALGORITHMS.includes(algorithm)) {
+    throw new Error(`Unknown update algorithm: ${algorithm}`);
+  }
+  if (!supportsAlgorithm(algorithm, options)) {
+    throw new Error(
+      options.model === 'potts'
+        ? `${algorithm} updates need ferromagnetic Potts couplings`
+        : `${algorithm} updates do not support the ${options.model} model`
+    );
+  }
+};
+
+// Throws what the constructor would for these options, but only checks them,
+// so a saved file or link can be vetted before any lattice is allocated. An
+// undefined algorithm is not checked.
+export const validateOptions = ({
+  size,
+  coupling = 1.0,
+  couplingX = coupling,
+  couplingY = coupling,
+  couplingDiagonal = 0.0,
+  model = 'ising',
+  q = 3,
+  randomField = DEFAULT_DISORDER.randomField,
+  bondDisorder = DEFAULT_DISORDER.bondDisorder,
+  bondSpread = DEFAULT_DISORDER.bondSpread,
+  dilution = DEFAULT_DISORDER.dilution,
+  disorderSeed = DEFAULT_DISORDER.disorderSeed,
+  algorithm,
+  boundary = 'periodic',
+  latticeType = 'square',
+}) => {
+  validateModel(model, q);
+  validateDisorder({
+    randomField,
+    bondDisorder,
+    bondSpread,
+    dilution,
+    disorderSeed,
+  });
+  if (algorithm !== undefined) {
+    validateAlgorithm(algorithm, {
+      model,
+      couplingX,
+      couplingY,
+      couplingDiagonal,
+      boundary,
+      bondDisorder,
+    });
+  }
+  validateGeometry(size, boundary, latticeType, {
+    diagonals: couplingDiagonal !== 0,
+  });
+};
+
+class IsingSimulation {
+  constructor({
+    size = 30,
+    temperature = 2.0,
+    coupling = 1.0,
+    couplingX = coupling,
+    couplingY = coupling,
+    couplingDiagonal = 0.0,
+    externalField = 0.0,
+    model = 'ising',
+    q = 3,
+    proposalWidth = 1.0,
+    randomField = DEFAULT_DISORDER.randomField,
+    bondDisorder = DEFAULT_DISORDER.bondDisorder,
+    bondSpread = DEFAULT_DISORDER.bondSpread,
+    dilution = DEFAULT_DISORDER.dilution,
+    disorderSeed = DEFAULT_DISORDER.disorderSeed,
+    algorithm = 'metropolis',
+    boundary = 'periodic',
+    latticeType = 'square',
+    pattern = 'random',
+    random = Math.random,
+  } = {}) {
+    validateModel(model, q);
+    this.disorder = {
+      randomField,
+      bondDisorder,
+      bondSpread,
+      dilution,
+      disorderSeed,
+    };
+    validateDisorder(this.disorder);
+    this.temperature = temperature;
+    this.couplingX = couplingX;
+    this.couplingY = couplingY;
+    this.couplingDiagonal = couplingDiagonal;
+    this.externalField = externalField;
+    this.model = model;
+    this.q = q;
+    this.proposalWidth = proposalWidth;
+    this.boundary = boundary;
+    this.latticeType = latticeType;
+    this.random = random;
+    this.setParameters({ algorithm });
+    this.resize(size, pattern);
+  }
+
+  // Number of states a site can take: 2 for Ising, q for Potts and clock,
+  // Infinity for XY
+  get states() {
+    return stateCount(this.model, this.q);
+  }
+
+  // Fill the lattice with one of the PATTERNS and rewind the sweep counter.
+  // 'fraction' places exactly round(upFraction * N) up spins at random; in
+  // the Potts and clock models "up" is state 0, "down" the opposite state,
+  // and the remaining sites share the other states equally. XY spins point
+  // along θ = 0 or θ = π.
+  reset(pattern = 'random', { upFraction = 0.5 } = {}) {
+    const { size, spins, states, model } = this;
+    const discrete = model === 'potts' || model === 'clock';
+    const up = upSpin(model);
+    const down = downSpin(model, this.q);
+    if (pattern === 'fraction') {
+      const upCount = Math.round(upFraction * spins.length);
+      for (let i = 0; i < spins.length; i++) {
+        if (i < upCount) spins[i] = up;
+        else spins[i] = discrete ? 1 + ((i - upCount) % (states - 1)) : down;
+      }
+      // Fisher–Yates shuffle
+      for (let i = spins.length - 1; i > 0; i--) {
+        const j = Math.floor(this.random() * (i + 1));
+        const spin = spins[i];
+        spins[i] = spins[j];
+        spins[j] = spin;
+      }
+    } else {
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          let spin;
+          if (pattern === 'positive') {
+            spin = up;
+          } else if (pattern === 'negative') {
+            spin = down;
+          } else if (pattern === 'checkerboard') {
+            spin = (x + y) % 2 === 0 ? up : down;
+          } else if (model === 'ising') {
+            spin = this.random() < 0.5 ? 1 : -1;
+          } else if (model === 'xy') {
+            spin = 2 * Math.PI * this.random();
+          } else {
+            spin = Math.floor(this.random() * states);
+          }
+          spins[y * size + x] = spin;
+        }
+      }
+    }
+    this.pinned = null;
+    this.sweeps = 0;
+    this.meanClusterSize = 1;
+  }
+
+  // Continue from saved spins of the current size, model and q, e.g. from
+  // savedState.js or timeline.js. Pins and the painted field stay.
+  restore(spins, sweeps = 0) {
+    if (spins.length !== this.spins.length) {
+      throw new Error(
+        `Cannot restore ${spins.length} spins onto ${this.spins.length} sites`
+      );
+    }
+    this.spins.set(spins);
+    this.sweeps = sweeps;
+    this.meanClusterSize = 1;
+  }
+
+  // Resize the lattice; the old configuration, pins and painted field are
+  // discarded. A size the geometry does not allow throws before anything
+  // has changed.
+  resize(size, pattern = 'random', options) {
+    const lattice = buildLattice(size, this.boundary, this.latticeType, {
+      diagonals: this.couplingDiagonal !== 0,
+    });
+    this.size = size;
+    this.spins = createSpins(this.model, size * size);
+    this.paintedField = null;
+    this.setGeometry(lattice);
+    this.reset(pattern, options);
+  }
+
+  // Install a neighbor table from buildLattice
+  setGeometry(lattice) {
+    const { coordination, signs, bondKinds, bondDx } = lattice;
+    this.lattice = lattice;
+    this.coordination = coordination;
+    this.signs = signs;
+    this.bondKinds = bondKinds;
+    this.bondDx = bondDx;
+    this.updateCouplings();
+  }
+
+  // Derive the per-slot bond couplings, the per-site fields (including any
+  // painted field), the field
+  // exerted by a fixed frame of ghost spins and the Potts/clock state tables
+  // from the current parameters, disorder and geometry. For Potts, clock and
+  // XY spins boundaryField holds the coupling towards the frame state rather
+  // than a field along +1.
+  updateCouplings() {
+    const { signs, bondKinds, states, disorder } = this;
+    const bonds = this.lattice.neighbors;
+    const n = this.spins.length;
+    const z = this.coordination;
+    const fixed = GHOST_SPINS[this.boundary] || 0;
+    const ghostSpin = this.model === 'ising' ? fixed : Math.abs(fixed);
+    const constants = [];
+    constants[BOND_HORIZONTAL] = this.couplingX;
+    constants[BOND_VERTICAL] = this.couplingY;
+    constants[BOND_DIAGONAL] = this.couplingDiagonal;
+
+    // Vacant sites lose all their bonds, in both directions
+    const vacancies = vacancyMask(disorder, n);
+    const isVacant = (i) => vacancies !== null && i >= 0 && vacancies[i] === 1;
+    this.vacancies = vacancies;
+    this.occupiedCount = vacancies
+      ? vacancies.reduce((count, vacant) => count + 1 - vacant, 0)
+      : n;
+    this.neighbors = vacancies ? Int32Array.from(bonds) : bonds;
+    this.couplings = new Float64Array(bonds.length);
+    this.boundaryField = new Float64Array(n);
+    this.fields = new Float64Array(n);
+    this.updateFields();
+    for (let slot = 0; slot < bonds.length; slot++) {
+      const i = Math.floor(slot / z);
+      const j = bonds[slot];
+      if (isVacant(i) || isVacant(j)) {
+        this.neighbors[slot] = NO_NEIGHBOR;
+        continue;
+      }
+      // The frame is a clean boundary; only bonds between sites are random
+      const constant = constants[bondKinds[slot]];
+      this.couplings[slot] =
+        (j >= 0
+          ? bondCoupling(disorder, constant, i, j, bondKinds[slot])
+          : constant) * signs[slot];
+      if (j === GHOST) {
+        this.boundaryField[i] += this.couplings[slot] * ghostSpin;
+      }
+    }
+    if (this.model === 'potts' || this.model === 'clock') {
+      this.overlap = stateOverlap(this.model, states);
+      this.projection = stateProjection(this.model, states);
+    }
+    this.frameState = frameState(this.boundary, this.model, this.q);
+  }
+
+  // Refill the per-site fields (external, random and painted) in place,
+  // leaving the bonds alone. Vacant sites feel no field.
+  updateFields() {
+    const { disorder, vacancies, paintedField, fields } = this;
+    for (let i = 0; i < fields.length; i++) {
+      fields[i] =
+        vacancies !== null && vacancies[i] === 1
+          ? 0
+          : siteField(disorder, this.externalField, i) +
+            (paintedField ? paintedField[i] : 0);
+    }
+  }
+
+  setParameters({
+    temperature,
+    coupling,
+    couplingX = coupling,
+    couplingY = coupling,
+    couplingDiagonal,
+    externalField,
+    model,
+    q,
+    proposalWidth,
+    randomField,
+    bondDisorder,
+    bondSpread,
+    dilution,
+    disorderSeed,
+    algorithm,
+    boundary,
+    latticeType,
+  }) {
+    const nextModel = model ?? this.model;
+    const nextQ = q ?? this.q;
+    validateModel(nextModel, nextQ);
+    const nextDisorder = {
+      randomField: randomField ?? this.disorder.randomField,
+      bondDisorder: bondDisorder ?? this.disorder.bondDisorder,
+      bondSpread: bondSpread ?? this.disorder.bondSpread,
+      dilution: dilution ?? this.disorder.dilution,
+      disorderSeed: disorderSeed ?? this.disorder.disorderSeed,
+    };
+    validateDisorder(nextDisorder);
+    const nextBoundary = boundary ?? this.boundary;
+    const nextLatticeType = latticeType ?? this.latticeType;
+    const nextDiagonal = couplingDiagonal ?? this.couplingDiagonal;
+    validateAlgorithm(algorithm ?? this.algorithm, {
+      model: nextModel,
+      couplingX: couplingX ?? this.couplingX,
+      couplingY: couplingY ?? this.couplingY,
+      couplingDiagonal: nextDiagonal,
+      boundary: nextBoundary,
+      bondDisorder: nextDisorder.bondDisorder,
+    });
+    // Build the new neighbor table first, so an invalid combination throws
+    // before any parameter has changed
+    const lattice =
+      nextBoundary !== this.boundary ||
+      nextLatticeType !== this.latticeType ||
+      (nextDiagonal !== 0) !== (this.couplingDiagonal !== 0)
+        ? buildLattice(this.size, nextBoundary, nextLatticeType, {
+            diagonals: nextDiagonal !== 0,
+          })
+        : null;
+    const statesChanged =
+      nextModel !== this.model || stateCount(nextModel, nextQ) !== this.states;
+    const couplingChanged =
+      statesChanged ||
+      (couplingX ?? this.couplingX) !== this.couplingX ||
+      (couplingY ?? this.couplingY) !== this.couplingY ||
+      nextDiagonal !== this.couplingDiagonal ||
+      Object.keys(nextDisorder).some(
+        (name) =>
+          name !== 'randomField' && nextDisorder[name] !== this.disorder[name]
+      );
+    // The fields alone change often, e.g. every sweep of a hysteresis loop,
+    // and are cheap to refill
+    const fieldChanged =
+      (externalField ?? this.externalField) !== this.externalField ||
+      nextDisorder.randomField !== this.disorder.randomField;
+
+    // Keep the configuration across model changes, mapping each spin to the
+    // state with the nearest angle
+    if (statesChanged && this.spins) {
+      const { spins } = this;
+      const converted = createSpins(nextModel, spins.length);
+      for (let i = 0; i < spins.length; i++) {
+        converted[i] = convertSpin(
+          spins[i],
+          this.model,
+          this.q,
+          nextModel,
+          nextQ
+        );
+      }
+      this.spins = converted;
+    }
+
+    if (temperature !== undefined) this.temperature = temperature;
+    if (externalField !== undefined) this.externalField = externalField;
+    if (algorithm !== undefined) this.algorithm = algorithm;
+    if (couplingX !== undefined) this.couplingX = couplingX;
+    if (couplingY !== undefined) this.couplingY = couplingY;
+    this.couplingDiagonal = nextDiagonal;
+    this.disorder = nextDisorder;
+    this.model = nextModel;
+    this.q = nextQ;
+    if (proposalWidth !== undefined) this.proposalWidth = proposalWidth;
+    this.boundary = nextBoundary;
+    this.latticeType = nextLatticeType;
+
+    if (lattice) {
+      this.setGeometry(lattice);
+    } else if (couplingChanged) {
+      this.updateCouplings();
+    } else if (fieldChanged) {
+      this.updateFields();
+    }
+  }
+
+  getSpin(x, y) {
+    return this.spins[y * this.size + x];
+  }
+
+  setSpin(x, y, spin) {
+    this.spins[y * this.size + x] = spin;
+  }
+
+  // Field acting on Ising spin i from its neighbors, the boundary frame and
+  // the external and random fields: E = -s_i * localField(i) + terms
+  // independent of s_i
+  localField(i) {
+    const { spins, neighbors, couplings } = this;
+    const z = this.coordination;
+    let field = this.fields[i] + this.boundaryField[i];
+    for (let slot = i * z; slot < (i + 1) * z; slot++) {
+      const j = neighbors[slot];
+      if (j >= 0) field += couplings[slot] * spins[j];
+    }
+    return field;
+  }
+
+  // Energy change from flipping the Ising spin at site i
+  siteDeltaE(i) {
+    return 2 * this.spins[i] * this.localField(i);
+  }
+
+  // Energy of site i in `state` from its field and the fixed frame alone,
+  // which cluster moves account for separately from the bonds
+  siteFieldEnergy(i, state) {
+    if (this.model === 'ising') {
+      return -state * (this.fields[i] + this.boundaryField[i]);
+    }
+    if (this.model === 'xy') {
+      return (
+        -this.fields[i] * Math.cos(state) -
+        this.boundaryField[i] * Math.cos(state - this.frameState)
+      );
+    }
+    const { overlap, states } = this;
+    return (
+      -this.fields[i] * overlap[state] -
+      this.boundaryField[i] *
+        overlap[(state - this.frameState + states) % states]
+    );
+  }
+
+  // Energy of all terms involving site i if it held `state` (Potts, clock
+  // and XY models)
+  siteEnergy(i, state) {
+    const { spins, neighbors, couplings, overlap, states } = this;
+    const z = this.coordination;
+    const xy = this.model === 'xy';
+    let energy = this.siteFieldEnergy(i, state);
+    for (let slot = i * z; slot < (i + 1) * z; slot++) {
+      const j = neighbors[slot];
+      if (j < 0) continue;
+      energy -= xy
+        ? couplings[slot] * Math.cos(state - spins[j])
+        : couplings[slot] * overlap[(state - spins[j] + states) % states];
+    }
+    return energy;
+  }
+
+  // Energy change from setting site i to `state`, in any model
+  stateDeltaE(i, state) {
+    if (state === this.spins[i]) return 0;
+    if (this.model === 'ising') return this.siteDeltaE(i);
+    return this.siteEnergy(i, state) - this.siteEnergy(i, this.spins[i]);
+  }
+
+  // Energy change from flipping the Ising spin at (x, y)
+  deltaE(x, y) {
+    return this.siteDeltaE(y * this.size + x);
+  }
+
+  // Single Metropolis update; returns true if the spin was flipped
+  attemptFlip(x, y) {
+    return this.attemptSiteFlip(y * this.size + x, acceptanceProbability);
+  }
+
+  // Propose a new state for site i and accept it with `probability`. Ising
+  // spins propose the flip; Potts and clock spins a uniformly chosen
+  // different state; XY spins a rotation drawn uniformly from
+  // [-proposalWidth, proposalWidth]. All these proposals are symmetric.
+  attemptSiteFlip(i, probability) {
+    const { spins, states, vacancies } = this;
+    if ((vacancies && vacancies[i]) || this.isPinned(i)) return false;
+    let state;
+    if (this.model === 'ising') {
+      state = -spins[i];
+    } else if (this.model === 'xy') {
+      const rotation = (2 * this.random() - 1) * this.proposalWidth;
+      state = wrapAngle(spins[i] + rotation);
+    } else {
+      state =
+        (spins[i] + 1 + Math.floor(this.random() * (states - 1))) % states;
+    }
+    const p = probability(this.stateDeltaE(i, state), this.temperature);
+    if (p >= 1 || this.random() < p) {
+      spins[i] = state;
+      return true;
+    }
+    return false;
+  }
+
+  // Single-spin sweep: N updates on randomly chosen sites
+  singleSpinSweep(probability) {
+    const n = this.spins.length;
+    for (let k = 0; k < n; k++) {
+      this.attemptSiteFlip(Math.floor(this.random() * n), probability);
+    }
+  }
+
+  // Kawasaki sweep: N attempted exchanges of a random site with a random
+  // neighbor. Only unequal pairs can change, so the number of sites in each
+  // state (the magnetization) is conserved exactly.
+  kawasakiSweep() {
+    const { spins, neighbors } = this;
+    const n = spins.length;
+    const z = this.coordination;
+    for (let k = 0; k < n; k++) {
+      const i = Math.floor(this.random() * n);
+      const j = neighbors[i * z + Math.floor(this.random() * z)];
+      if (j < 0 || spins[i] === spins[j]) continue;
+      if (this.isPinned(i) || this.isPinned(j)) continue;
+
+      // Exchange energy: change i, then change j in the updated environment
+      const si = spins[i];
+      const sj = spins[j];
+      const deltaI = this.stateDeltaE(i, sj);
+      spins[i] = sj;
+      const deltaE = deltaI + this.stateDeltaE(j, si);
+      const p = acceptanceProbability(deltaE, this.temperature);
+      if (p >= 1 || this.random() < p) {
+        spins[j] = si;
+      } else {
+        spins[i] = si;
+      }
+    }
+  }
+
+  // One Monte Carlo sweep with the selected algorithm. For the cluster
+  // algorithms a sweep touches N sites on average, so times are comparable.
+  sweep() {
+    switch (this.algorithm) {
+      case 'glauber':
+        this.singleSpinSweep(heatBathProbability);
+        break;
+      case 'wolff': {
+        // Enough clusters to visit about N sites, judged from a slowly
+        // updated mean cluster size so the count is fixed before the sweep
+        // starts and barely correlates with the current configuration
+        const steps = Math.max(
+          1,
+          Math.round(this.spins.length / this.meanClusterSize)
+        );
+        const visited = wolffSweep(this, steps);
+        this.meanClusterSize += 0.01 * (visited / steps - this.meanClusterSize);
+        break;
+      }
+      case 'swendsenWang':
+        swendsenWangSweep(this);
+        break;
+      case 'kawasaki':
+        this.kawasakiSweep();
+        break;
+      default:
+        this.singleSpinSweep(acceptanceProbability);
+    }
+    this.sweeps += 1;
+  }
+
+  // Call visit(x, y) for every site whose center lies inside a circle or
+  // square around (u, v), in layout units (see lattice.js). The site under
+  // the pointer is always included, however small the radius.
+  forEachSiteInShape(u, v, radius, shape, visit) {
+    const { size, latticeType } = this;
+    const [hitX, hitY] = siteAt(latticeType, size, u, v);
+    // Cells are at most two layout units wide, so this window covers the shape
+    const xStart = Math.max(0, Math.floor(u - radius) - 2);
+    const xEnd = Math.min(size - 1, Math.ceil(u + radius) + 1);
+    const yStart = Math.max(0, Math.floor(v - radius) - 1);
+    const yEnd = Math.min(size - 1, Math.ceil(v + radius) + 1);
+
+    for (let y = yStart; y <= yEnd; y++) {
+      for (let x = xStart; x <= xEnd; x++) {
+        const [cx, cy] = siteCenter(latticeType, x, y);
+        const dx = cx - u;
+        const dy = cy - v;
+        const inShape =
+          shape === 'square'
+            ? Math.abs(dx) <= radius && Math.abs(dy) <= radius
+            : dx * dx + dy * dy <= radius * radius;
+        if (inShape || (x === hitX && y === hitY)) visit(x, y);
+      }
+    }
+  }
+
+  // Metropolis-flip every site inside the brush shape
+  flipSpinsInRadius(u, v, radius, shape = 'circle') {
+    this.forEachSiteInShape(u, v, radius, shape, (x, y) =>
+      this.attemptFlip(x, y)
+    );
+  }
+
+  // The spin a brush sets for `state` (an angle for XY), which must be valid
+  // for the model
+  paintableSpin(state) {
+    const { model } = this;
+    let valid;
+    if (model === 'ising') valid = state === 1 || state === -1;
+    else if (model === 'xy') valid = Number.isFinite(state);
+    else valid = Number.isInteger(state) && state >= 0 && state < this.q;
+    if (!valid) {
+      throw new Error(`Invalid ${model} state: ${state}`);
+    }
+    return model === 'xy' ? wrapAngle(state) : state;
+  }
+
+  // Set every site inside the brush shape to `state` (an angle for XY)
+  paintSpinsInRadius(u, v, radius, shape, state) {
+    const spin = this.paintableSpin(state);
+    this.forEachSiteInShape(u, v, radius, shape, (x, y) =>
+      this.setSpin(x, y, spin)
+    );
+  }
+
+  // Whether the dynamics must leave site i alone
+  isPinned(i) {
+    return this.pinned !== null && this.pinned[i] === 1;
+  }
+
+  // Pin site i, or release it. Brushes still set pinned spins.
+  setPinned(i, pinned) {
+    if (this.pinned === null) {
+      if (!pinned) return;
+      this.pinned = new Uint8Array(this.spins.length);
+    }
+    this.pinned[i] = pinned ? 1 : 0;
+  }
+
+  clearPins() {
+    this.pinned = null;
+  }
+
+  // Painted field on site i, on top of the external and random fields
+  paintedFieldAt(i) {
+    return this.paintedField ? this.paintedField[i] : 0;
+  }
+
+  setPaintedField(i, value) {
+    if (!Number.isFinite(value)) {
+      throw new Error(`Invalid field: ${value}`);
+    }
+    if (this.paintedField === null) {
+      if (value === 0) return;
+      this.paintedField = new Float64Array(this.spins.length);
+    }
+    this.paintedField[i] = value;
+    if (this.isOccupied(i)) {
+      this.fields[i] = siteField(this.disorder, this.externalField, i) + value;
+    }
+  }
+
+  clearPaintedField() {
+    this.paintedField = null;
+    this.updateCouplings();
+  }
+
+  // Copies of the pins and painted field, for restoreEdits
+  captureEdits() {
+    return {
+      pinned: this.pinned && this.pinned.slice(),
+      paintedField: this.paintedField && this.paintedField.slice(),
+    };
+  }
+
+  restoreEdits({ pinned, paintedField }) {
+    this.pinned = pinned && pinned.slice();
+    this.paintedField = paintedField && paintedField.slice();
+    this.updateCouplings();
+  }
+
+  // Spin value used by the magnetizations: ±1 for Ising, the projection onto
+  // state 0 for Potts and clock spins, cos θ for XY spins
+  spinValue(spin) {
+    if (this.model === 'ising') return spin;
+    if (this.model === 'xy') return Math.cos(spin);
+    return this.projection[spin];
+  }
+
+  // Angle of a clock or XY spin
+  spinAngle(spin) {
+    return this.model === 'xy' ? spin : (2 * Math.PI * spin) / this.q;
+  }
+
+  get hasAngles() {
+    return this.model === 'clock' || this.model === 'xy';
+  }
+
+  // Net magnetization per spin along +1 (state 0), in [-1, 1]
+  magnetization() {
+    const { spins } = this;
+    let sum = 0;
+    for (let i = 0; i < spins.length; i++) {
+      if (this.isOccupied(i)) sum += this.spinValue(spins[i]);
+    }
+    return sum / this.occupiedCount;
+  }
+
+  // Staggered magnetization per spin, Σ (-1)^(x+y) s / N: the order
+  // parameter of the Néel state on the bipartite square and honeycomb lattices
+  staggeredMagnetization() {
+    const { size, spins } = this;
+    let sum = 0;
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        const i = y * size + x;
+        if (!this.isOccupied(i)) continue;
+        sum += sublatticeSign(x, y) * this.spinValue(spins[i]);
+      }
+    }
+    return sum / this.occupiedCount;
+  }
+
+  // Order parameter of the current model, in [0, 1]: |m| for Ising,
+  // (q n_max / N - 1) / (q - 1) for Potts with n_max the population of the
+  // most common state, and the length of the mean spin vector for clock and
+  // XY spins
+  orderParameter() {
+    const { spins, states } = this;
+    const n = this.occupiedCount;
+    if (this.model === 'ising') return Math.abs(this.magnetization());
+    if (this.model === 'potts') {
+      const counts = new Array(states).fill(0);
+      for (let i = 0; i < spins.length; i++) {
+        if (this.isOccupied(i)) counts[spins[i]]++;
+      }
+      return (states * Math.max(...counts) - n) / (n * (states - 1));
+    }
+    let mx = 0;
+    let my = 0;
+    for (let i = 0; i < spins.length; i++) {
+      if (!this.isOccupied(i)) continue;
+      const angle = this.spinAngle(spins[i]);
+      mx += Math.cos(angle);
+      my += Math.sin(angle);
+    }
+    return Math.hypot(mx, my) / n;
+  }
+
+  // Total energy per spin. Bonds between sites appear in both neighbor
+  // lists and are halved; ghost bonds and the field are counted once.
+  // Vacant sites have neither bonds nor a field.
+  energy() {
+    const { spins, neighbors, couplings, overlap, states } = this;
+    const z = this.coordination;
+    const { model } = this;
+    let energy = 0;
+    for (let i = 0; i < spins.length; i++) {
+      let bonds = 0;
+      for (let slot = i * z; slot < (i + 1) * z; slot++) {
+        const j = neighbors[slot];
+        if (j < 0) continue;
+        if (model === 'ising') {
+          bonds += couplings[slot] * spins[i] * spins[j];
+        } else if (model === 'xy') {
+          bonds += couplings[slot] * Math.cos(spins[i] - spins[j]);
+        } else {
+          bonds +=
+            couplings[slot] * overlap[(spins[i] - spins[j] + states) % states];
+        }
+      }
+      energy += this.siteFieldEnergy(i, spins[i]) - bonds / 2;
+    }
+    return energy / this.occupiedCount;
+  }
+
+  // Whether site i holds a spin
+  isOccupied(i) {
+    return !this.vacancies || this.vacancies[i] === 0;
+  }
+
+  // Winding number of every plaquette of a square lattice of clock or XY
+  // spins, stored at the plaquette's top-left site: +1 for a vortex, -1 for
+  // an antivortex, 0 otherwise and for plaquettes cut by an open or fixed
+  // edge. Bonds across an antiperiodic seam carry a twist of π. Returns null
+  // for other models and lattices.
+  vorticity() {
+    if (!this.hasAngles || this.latticeType !== 'square') return null;
+    const { spins, neighbors, signs } = this;
+    const n = spins.length;
+    const z = this.coordination;
+    // Slots of the square lattice, walking clockwise on screen
+    const [UP, DOWN, LEFT, RIGHT] = [0, 1, 2, 3];
+    const winding = new Int8Array(n);
+    for (let i = 0; i < n; i++) {
+      let site = i;
+      let total = 0;
+      let closed = true;
+      for (const slot of [RIGHT, DOWN, LEFT, UP]) {
+        const next = neighbors[site * z + slot];
+        if (next < 0) {
+          closed = false;
+          break;
+        }
+        const twist = signs[site * z + slot] < 0 ? Math.PI : 0;
+        const step =
+          wrapAngle(
+            this.spinAngle(spins[next]) -
+              this.spinAngle(spins[site]) +
+              twist +
+              Math.PI
+          ) - Math.PI;
+        total += step;
+        site = next;
+      }
+      if (closed) winding[i] = Math.round(total / (2 * Math.PI));
+    }
+    return winding;
+  }
+
+  // Vortices plus antivortices per site, or null where vorticity() is
+  // undefined
+  vortexDensity() {
+    const winding = this.vorticity();
+    if (!winding) return null;
+    let count = 0;
+    for (let i = 0; i < winding.length; i++) count += Math.abs(winding[i]);
+    return count / this.occupiedCount;
+  }
+
+  // Instantaneous estimator of the helicity modulus (spin stiffness) for a
+  // twist along x, whose time average is
+  //   Υ = ⟨Σ J dx² cos(θ_i - θ_j)⟩ / N - ⟨(Σ J dx sin(θ_i - θ_j))²⟩ / (N T)
+  // with sums over bonds and dx their horizontal extent. It jumps from
+  // 2T/π to zero at the Kosterlitz–Thouless transition. Null for models
+  // without angles.
+  helicityModulus() {
+    if (!this.hasAngles) return null;
+    const { spins, neighbors, couplings, bondDx } = this;
+    const z = this.coordination;
+    let stiffness = 0;
+    let current = 0;
+    for (let i = 0; i < spins.length; i++) {
+      const angle = this.spinAngle(spins[i]);
+      for (let slot = i * z; slot < (i + 1) * z; slot++) {
+        const j = neighbors[slot];
+        if (j < 0 || bondDx[slot] === 0) continue;
+        const difference = angle - this.spinAngle(spins[j]);
+        const dx = bondDx[slot];
+        // Every bond appears in both neighbor lists
+        stiffness += (couplings[slot] * dx * dx * Math.cos(difference)) / 2;
+        current += (couplings[slot] * dx * Math.sin(difference)) / 2;
+      }
+    }
+    const fluctuation =
+      this.temperature > 0 ? (current * current) / this.temperature : 0;
+    return (stiffness - fluctuation) / this.occupiedCount;
+  }
+}
+
+export default IsingSimulation;
@@ -0,0 +1,968 @@
+import IsingSimulation, {
+  acceptanceProbability,
+  ALGORITHMS,
+  CRITICAL_TEMPERATURE,
+  heatBathProbability,
+  supportsAlgorithm,
+  validateOptions,
+} from './IsingSimulation';
+import {
+  BOUNDARIES,
+  CRITICAL_TEMPERATURES,
+  criticalTemperature,
+  LATTICE_TYPES,
+  supportsBoundary,
+} from './lattice';
+import { createRandom } from './random';
+
+const SPIN_FLIP_ALGORITHMS = ALGORITHMS.filter((a) => a !== 'kawasaki');
+
+const GEOMETRIES = LATTICE_TYPES.flatMap((latticeType) =>
+  BOUNDARIES.filter((boundary) => supportsBoundary(latticeType, boundary)).map(
+    (boundary) => [latticeType, boundary]
+  )
+);
+
+// Exact energy distribution of a 3 × 3 lattice, enumerating all states, and
+// the distribution sampled by `samples` sweeps after a burn-in
+const energyDistributions = (sim, samples) => {
+  const n = 9;
+  const { states, temperature, occupiedCount } = sim;
+  const values =
+    sim.model === 'ising'
+      ? [1, -1]
+      : Array.from({ length: states }, (_, k) => k);
+  const level = () => (sim.energy() * occupiedCount).toFixed(6);
+  const exact = new Map();
+  let Z = 0;
+  for (let state = 0; state < states ** n; state++) {
+    for (
+      let i = 0, rest = state;
+      i < n;
+      i++, rest = Math.floor(rest / states)
+    ) {
+      sim.spins[i] = values[rest % states];
+    }
+    const weight = Math.exp((-sim.energy() * occupiedCount) / temperature);
+    exact.set(level(), (exact.get(level()) || 0) + weight);
+    Z += weight;
+  }
+  for (const [E, weight] of exact) exact.set(E, weight / Z);
+
+  sim.reset('random');
+  for (let i = 0; i < 1000; i++) sim.sweep();
+  const sampled = new Map();
+  for (let i = 0; i < samples; i++) {
+    sim.sweep();
+    sampled.set(level(), (sampled.get(level()) || 0) + 1 / samples);
+  }
+  return { exact, sampled };
+};
+
+const STATES = {
+  ferromagnetic: () => 1,
+  Néel: (x, y) => ((x + y) % 2 ? -1 : 1),
+  'row stripe': (x, y) => (y % 2 ? -1 : 1),
+  'column stripe': (x) => (x % 2 ? -1 : 1),
+};
+
+const COUPLINGS = {
+  ferromagnet: {},
+  'J1–J2': { couplingX: 1, couplingY: -0.5, couplingDiagonal: -0.5 },
+};
+
+describe('IsingSimulation', () => {
+  test('initial patterns', () => {
+    const sim = new IsingSimulation({ size: 4, pattern: 'positive' });
+    expect(sim.magnetization()).toBe(1);
+    sim.reset('negative');
+    expect(sim.magnetization()).toBe(-1);
+    sim.reset('checkerboard');
+    expect(sim.magnetization()).toBe(0);
+    expect(sim.getSpin(0, 0)).toBe(1);
+    expect(sim.getSpin(1, 0)).toBe(-1);
+  });
+
+  test.each([
+    ['periodic', -2],
+    ['helical', -2],
+    ['open', -2 + 2 / 8],
+    ['antiperiodic', -2 + 2 / 8],
+    ['fixedUp', -2 - 2 / 8],
+    ['fixedDown', -2 + 6 / 8],
+  ])('all-up energy with %s boundaries', (boundary, expected) => {
+    const sim = new IsingSimulation({ size: 8, boundary, pattern: 'positive' });
+    expect(sim.energy()).toBeCloseTo(expected);
+  });
+
+  test.each([
+    ['triangular', -3],
+    ['honeycomb', -1.5],
+  ])('all-up energy on the %s lattice', (latticeType, expected) => {
+    const sim = new IsingSimulation({
+      size: 8,
+      latticeType,
+      pattern: 'positive',
+    });
+    expect(sim.energy()).toBeCloseTo(expected);
+  });
+
+  test.each(['triangular', 'honeycomb'])(
+    'the %s lattice orders at its own critical temperature',
+    (latticeType) => {
+      const Tc = CRITICAL_TEMPERATURES[latticeType];
+      const run = (temperature) => {
+        const sim = new IsingSimulation({
+          size: 24,
+          temperature,
+          latticeType,
+          algorithm: 'wolff',
+          random: createRandom(13),
+        });
+        let total = 0;
+        for (let i = 0; i < 200; i++) sim.sweep();
+        for (let i = 0; i < 200; i++) {
+          sim.sweep();
+          total += Math.abs(sim.magnetization());
+        }
+        return total / 200;
+      };
+      expect(run(0.8 * Tc)).toBeGreaterThan(0.8);
+      expect(run(1.3 * Tc)).toBeLessThan(0.3);
+    }
+  );
+
+  test('an invalid geometry change leaves the simulation untouched', () => {
+    const sim = new IsingSimulation({ size: 7, boundary: 'helical' });
+    expect(() => sim.setParameters({ latticeType: 'triangular' })).toThrow();
+    expect(sim.latticeType).toBe('square');
+    expect(sim.boundary).toBe('helical');
+  });
+
+  test('a size the geometry does not allow leaves the simulation untouched', () => {
+    const sim = new IsingSimulation({ size: 8, latticeType: 'triangular' });
+    const before = sim.spins;
+    expect(() => sim.resize(9)).toThrow(/even size/);
+    expect(sim.size).toBe(8);
+    expect(sim.spins).toBe(before);
+    expect(sim.neighbors).toHaveLength(64 * 6);
+  });
+
+  test('changing the boundary keeps the configuration', () => {
+    const sim = new IsingSimulation({ size: 8, random: createRandom(12) });
+    const before = sim.spins.slice();
+    sim.setParameters({ boundary: 'fixedDown' });
+    expect(sim.spins).toEqual(before);
+    expect(() => sim.setParameters({ boundary: 'mobius' })).toThrow(/mobius/);
+    expect(sim.boundary).toBe('fixedDown');
+  });
+
+  test('fixed fraction pattern places an exact number of up spins', () => {
+    const sim = new IsingSimulation({ size: 10, random: createRandom(2) });
+    sim.reset('fraction', { upFraction: 0.3 });
+    expect(sim.magnetization()).toBeCloseTo((30 - 70) / 100);
+  });
+
+  test('ground state energy is -2J - h per spin', () => {
+    const sim = new IsingSimulation({
+      size: 8,
+      coupling: 1.5,
+      externalField: 0.5,
+      pattern: 'positive',
+    });
+    expect(sim.energy()).toBeCloseTo(-2 * 1.5 - 0.5);
+  });
+
+  test.each([
+    ['Néel', { coupling: -1 }, -2],
+    ['row stripe', { couplingX: 1, couplingY: -1 }, -2],
+    ['Néel', { couplingX: 1, couplingY: -1 }, 0],
+    ['ferromagnetic', { couplingDiagonal: -1 }, 0],
+    ['Néel', { couplingDiagonal: -1 }, 4],
+    ['column stripe', { couplingDiagonal: -1 }, -2],
+  ])('%s state energy with couplings %o', (state, couplings, expected) => {
+    const sim = new IsingSimulation({ size: 8, ...couplings });
+    for (let y = 0; y < 8; y++) {
+      for (let x = 0; x < 8; x++) sim.setSpin(x, y, STATES[state](x, y));
+    }
+    expect(sim.energy()).toBeCloseTo(expected);
+  });
+
+  test('staggered magnetization measures Néel order', () => {
+    const sim = new IsingSimulation({ size: 8, pattern: 'checkerboard' });
+    expect(sim.staggeredMagnetization()).toBe(1);
+    sim.reset('positive');
+    expect(sim.staggeredMagnetization()).toBe(0);
+  });
+
+  test('antiferromagnet orders on the staggered sublattices', () => {
+    const sim = new IsingSimulation({
+      size: 16,
+      temperature: 1,
+      coupling: -1,
+      random: createRandom(14),
+    });
+    for (let i = 0; i < 300; i++) sim.sweep();
+    expect(Math.abs(sim.staggeredMagnetization())).toBeGreaterThan(0.9);
+    expect(Math.abs(sim.magnetization())).toBeLessThan(0.1);
+  });
+
+  test('diagonal couplings rebuild the neighbor table only when needed', () => {
+    const sim = new IsingSimulation({ size: 6, random: createRandom(15) });
+    const before = sim.spins.slice();
+    sim.setParameters({ couplingDiagonal: -0.5 });
+    expect(sim.coordination).toBe(8);
+    expect(sim.spins).toEqual(before);
+    sim.setParameters({ couplingDiagonal: 0 });
+    expect(sim.coordination).toBe(4);
+    expect(() =>
+      sim.setParameters({ latticeType: 'honeycomb', couplingDiagonal: 1 })
+    ).toThrow(/square/);
+    expect(sim.couplingDiagonal).toBe(0);
+  });
+
+  test.each(GEOMETRIES)(
+    'deltaE matches the change in total energy (%s, %s)',
+    (latticeType, boundary) => {
+      const sim = new IsingSimulation({
+        size: 6,
+        couplingX: 0.7,
+        couplingY: -0.4,
+        couplingDiagonal: latticeType === 'square' ? -0.3 : 0,
+        externalField: 0.3,
+        boundary,
+        latticeType,
+        random: createRandom(1),
+      });
+      const n = sim.size * sim.size;
+      for (let y = 0; y < sim.size; y++) {
+        for (let x = 0; x < sim.size; x++) {
+          const before = sim.energy() * n;
+          const deltaE = sim.deltaE(x, y);
+          sim.setSpin(x, y, -sim.getSpin(x, y));
+          expect(sim.energy() * n - before).toBeCloseTo(deltaE);
+        }
+      }
+    }
+  );
+
+  test.each([acceptanceProbability, heatBathProbability])(
+    'acceptance satisfies detailed balance',
+    (probability) => {
+      const T = 1.7;
+      for (const deltaE of [0.5, 2, 4, 8]) {
+        const ratio = probability(deltaE, T) / probability(-deltaE, T);
+        expect(ratio).toBeCloseTo(Math.exp(-deltaE / T));
+      }
+    }
+  );
+
+  test.each(
+    SPIN_FLIP_ALGORITHMS.flatMap((algorithm) => [
+      [algorithm, 0, 'periodic', 'ferromagnet'],
+      [algorithm, 0.3, 'periodic', 'ferromagnet'],
+      [algorithm, 0, 'fixedUp', 'ferromagnet'],
+      [algorithm, 0.3, 'antiperiodic', 'ferromagnet'],
+      [algorithm, 0, 'open', 'ferromagnet'],
+      [algorithm, 0.3, 'periodic', 'J1–J2'],
+    ])
+  )(
+    '%s samples the exact Boltzmann distribution (h = %s, %s, %s)',
+    (algorithm, h, boundary, couplings) => {
+      const sim = new IsingSimulation({
+        size: 3,
+        temperature: 2.5,
+        externalField: h,
+        algorithm,
+        boundary,
+        ...COUPLINGS[couplings],
+        random: createRandom(42),
+      });
+      const { exact, sampled } = energyDistributions(sim, 40000);
+
+      // Wolff samples are strongly correlated on so small a lattice, hence
+      // the looser tolerance
+      for (const [E, p] of exact) {
+        expect(Math.abs((sampled.get(E) || 0) - p)).toBeLessThan(0.02);
+      }
+    }
+  );
+
+  test('kawasaki samples the fixed-magnetization ensemble', () => {
+    const T = 2;
+    const sim = new IsingSimulation({
+      size: 3,
+      temperature: T,
+      externalField: 0.4,
+      algorithm: 'kawasaki',
+      random: createRandom(8),
+    });
+    const n = 9;
+    const up = 4;
+
+    const exact = new Map();
+    let Z = 0;
+    for (let state = 0; state < 1 << n; state++) {
+      let count = 0;
+      for (let i = 0; i < n; i++) {
+        sim.spins[i] = (state >> i) & 1 ? 1 : -1;
+        count += (state >> i) & 1;
+      }
+      if (count !== up) continue;
+      const E = Math.round(sim.energy() * n);
+      const weight = Math.exp(-E / T);
+      exact.set(E, (exact.get(E) || 0) + weight);
+      Z += weight;
+    }
+
+    sim.reset('fraction', { upFraction: up / n });
+    const m = sim.magnetization();
+    const counts = new Map();
+    const samples = 40000;
+    for (let i = 0; i < samples; i++) {
+      sim.sweep();
+      const E = Math.round(sim.energy() * n);
+      counts.set(E, (counts.get(E) || 0) + 1);
+    }
+    expect(sim.magnetization()).toBe(m);
+    for (const [E, weight] of exact) {
+      expect(
+        Math.abs((counts.get(E) || 0) / samples - weight / Z)
+      ).toBeLessThan(0.01);
+    }
+  });
+
+  test('kawasaki quench coarsens at conserved magnetization', () => {
+    const sim = new IsingSimulation({
+      size: 32,
+      temperature: 1,
+      algorithm: 'kawasaki',
+      random: createRandom(4),
+    });
+    sim.reset('fraction', { upFraction: 0.5 });
+    const before = sim.energy();
+    for (let i = 0; i < 100; i++) sim.sweep();
+    expect(sim.magnetization()).toBe(0);
+    expect(sim.energy()).toBeLessThan(before - 0.5);
+  });
+
+  test('stays ordered as T -> 0', () => {
+    const sim = new IsingSimulation({
+      size: 16,
+      temperature: 0.5,
+      pattern: 'positive',
+      random: createRandom(7),
+    });
+    for (let i = 0; i < 200; i++) sim.sweep();
+    expect(sim.magnetization()).toBeGreaterThan(0.99);
+    expect(sim.energy()).toBeLessThan(-1.95);
+  });
+
+  test('zero-temperature quench in a field reaches the aligned ground state', () => {
+    const sim = new IsingSimulation({
+      size: 16,
+      temperature: 0,
+      externalField: 4.5,
+      random: createRandom(3),
+    });
+    for (let i = 0; i < 20; i++) sim.sweep();
+    expect(sim.magnetization()).toBe(1);
+  });
+
+  test('magnetization vanishes as T -> infinity', () => {
+    const sim = new IsingSimulation({
+      size: 32,
+      temperature: Infinity,
+      pattern: 'positive',
+      random: createRandom(11),
+    });
+    let total = 0;
+    const samples = 200;
+    for (let i = 0; i < 20; i++) sim.sweep();
+    for (let i = 0; i < samples; i++) {
+      sim.sweep();
+      total += sim.magnetization();
+    }
+    expect(Math.abs(total / samples)).toBeLessThan(0.02);
+  });
+
+  test('rejects unknown algorithms', () => {
+    expect(() => new IsingSimulation({ algorithm: 'bogus' })).toThrow(/bogus/);
+  });
+
+  test('options are vetted without building a lattice', () => {
+    expect(() => validateOptions({ size: 1e6 })).not.toThrow();
+    expect(() => validateOptions({ size: 8, algorithm: 'bogus' })).toThrow(
+      /bogus/
+    );
+    expect(() =>
+      validateOptions({ size: 8, model: 'clock', algorithm: 'wolff' })
+    ).toThrow(/clock/);
+    expect(() =>
+      validateOptions({ size: 9, latticeType: 'honeycomb' })
+    ).toThrow(/even size/);
+    expect(() => validateOptions({ size: 8, dilution: 1 })).toThrow(/Dilution/);
+  });
+
+  test.each(['wolff', 'swendsenWang'])(
+    '%s cluster moves respect a strong field',
+    (algorithm) => {
+      const sim = new IsingSimulation({
+        size: 16,
+        temperature: 1.5,
+        externalField: 1,
+        algorithm,
+        pattern: 'negative',
+        random: createRandom(9),
+      });
+      for (let i = 0; i < 50; i++) sim.sweep();
+      expect(sim.magnetization()).toBeGreaterThan(0.95);
+    }
+  );
+
+  test('orders below Tc and disorders above it', () => {
+    const below = new IsingSimulation({
+      size: 24,
+      temperature: 0.8 * CRITICAL_TEMPERATURE,
+      pattern: 'positive',
+      random: createRandom(5),
+    });
+    const above = new IsingSimulation({
+      size: 24,
+      temperature: 1.5 * CRITICAL_TEMPERATURE,
+      pattern: 'positive',
+      random: createRandom(6),
+    });
+    for (let i = 0; i < 300; i++) {
+      below.sweep();
+      above.sweep();
+    }
+    expect(Math.abs(below.magnetization())).toBeGreaterThan(0.8);
+    expect(Math.abs(above.magnetization())).toBeLessThan(0.3);
+  });
+
+  test('brush flips only sites inside the shape', () => {
+    const sim = new IsingSimulation({
+      size: 10,
+      temperature: Infinity,
+      pattern: 'positive',
+    });
+    sim.flipSpinsInRadius(5.5, 5.5, 1, 'square');
+    let flipped = 0;
+    for (let i = 0; i < sim.spins.length; i++)
+      if (sim.spins[i] === -1) flipped++;
+    expect(flipped).toBe(9);
+    expect(sim.getSpin(0, 0)).toBe(1);
+  });
+});
+
+describe('Potts and clock models', () => {
+  test.each(['potts', 'clock'])(
+    '%s ground state energy is -2J - h per spin',
+    (model) => {
+      const sim = new IsingSimulation({
+        size: 8,
+        model,
+        q: 5,
+        coupling: 1.5,
+        externalField: 0.5,
+        pattern: 'positive',
+      });
+      expect(sim.spins.every((s) => s === 0)).toBe(true);
+      expect(sim.energy()).toBeCloseTo(-2 * 1.5 - 0.5);
+      expect(sim.orderParameter()).toBeCloseTo(1);
+    }
+  );
+
+  test.each(
+    ['potts', 'clock'].flatMap((model) =>
+      GEOMETRIES.map((geometry) => [model, ...geometry])
+    )
+  )(
+    'stateDeltaE matches the change in total energy (%s, %s, %s)',
+    (model, latticeType, boundary) => {
+      const sim = new IsingSimulation({
+        size: 6,
+        model,
+        q: 5,
+        couplingX: 0.7,
+        couplingY: -0.4,
+        couplingDiagonal: latticeType === 'square' ? 0.3 : 0,
+        externalField: 0.3,
+        boundary,
+        latticeType,
+        random: createRandom(21),
+      });
+      const n = sim.size * sim.size;
+      for (let i = 0; i < n; i++) {
+        const state = (sim.spins[i] + 1 + (i % 4)) % 5;
+        const before = sim.energy() * n;
+        const deltaE = sim.stateDeltaE(i, state);
+        sim.spins[i] = state;
+        expect(sim.energy() * n - before).toBeCloseTo(deltaE);
+      }
+    }
+  );
+
+  test.each([
+    ['potts', 3, 'metropolis', 0.3, 'periodic'],
+    ['potts', 3, 'glauber', 0, 'fixedDown'],
+    ['potts', 3, 'wolff', 0.3, 'periodic'],
+    ['potts', 3, 'wolff', 0, 'fixedDown'],
+    ['potts', 3, 'swendsenWang', 0.3, 'periodic'],
+    ['potts', 3, 'swendsenWang', 0, 'fixedDown'],
+    ['clock', 4, 'metropolis', 0.3, 'periodic'],
+    ['clock', 4, 'glauber', 0, 'antiperiodic'],
+  ])(
+    '%s (q = %s) %s samples the exact Boltzmann distribution (h = %s, %s)',
+    (model, q, algorithm, h, boundary) => {
+      const sim = new IsingSimulation({
+        size: 3,
+        model,
+        q,
+        temperature: 1.2,
+        externalField: h,
+        algorithm,
+        boundary,
+        random: createRandom(31),
+      });
+      const { exact, sampled } = energyDistributions(sim, 40000);
+      for (const [E, p] of exact) {
+        expect(Math.abs((sampled.get(E) || 0) - p)).toBeLessThan(0.02);
+      }
+    }
+  );
+
+  test('kawasaki conserves the population of every state', () => {
+    const sim = new IsingSimulation({
+      size: 12,
+      model: 'potts',
+      q: 4,
+      temperature: 0.8,
+      algorithm: 'kawasaki',
+      random: createRandom(22),
+    });
+    sim.reset('fraction', { upFraction: 0.4 });
+    const census = () =>
+      [0, 1, 2, 3].map((k) => sim.spins.filter((s) => s === k).length);
+    expect(census()).toEqual([58, 29, 29, 28]);
+    for (let i = 0; i < 20; i++) sim.sweep();
+    expect(census()).toEqual([58, 29, 29, 28]);
+  });
+
+  test('the 3-state Potts model orders below its exact Tc', () => {
+    const Tc = criticalTemperature({ model: 'potts', q: 3 });
+    expect(Tc).toBeCloseTo(1 / Math.log(1 + Math.sqrt(3)));
+    const run = (temperature) => {
+      const sim = new IsingSimulation({
+        size: 24,
+        model: 'potts',
+        q: 3,
+        temperature,
+        algorithm: 'swendsenWang',
+        random: createRandom(23),
+      });
+      let total = 0;
+      for (let i = 0; i < 100; i++) sim.sweep();
+      for (let i = 0; i < 200; i++) {
+        sim.sweep();
+        total += sim.orderParameter();
+      }
+      return total / 200;
+    };
+    expect(run(0.8 * Tc)).toBeGreaterThan(0.8);
+    expect(run(1.3 * Tc)).toBeLessThan(0.3);
+  });
+
+  test('switching models keeps the configuration', () => {
+    const sim = new IsingSimulation({ size: 4, pattern: 'checkerboard' });
+    sim.setParameters({ model: 'clock', q: 4 });
+    expect(sim.getSpin(0, 0)).toBe(0);
+    expect(sim.getSpin(1, 0)).toBe(2);
+    expect(sim.magnetization()).toBeCloseTo(0);
+    expect(sim.staggeredMagnetization()).toBeCloseTo(1);
+    sim.setParameters({ q: 8 });
+    expect(sim.getSpin(1, 0)).toBe(4);
+    sim.setParameters({ model: 'ising' });
+    expect(sim.getSpin(0, 0)).toBe(1);
+    expect(sim.getSpin(1, 0)).toBe(-1);
+  });
+
+  test('cluster moves need ferromagnetic Potts couplings', () => {
+    expect(supportsAlgorithm('wolff', { model: 'clock' })).toBe(false);
+    expect(supportsAlgorithm('glauber', { model: 'clock' })).toBe(true);
+    expect(
+      supportsAlgorithm('swendsenWang', { model: 'ising', couplingX: -1 })
+    ).toBe(true);
+    const sim = new IsingSimulation({ model: 'potts', algorithm: 'wolff' });
+    expect(() => sim.setParameters({ couplingX: -1 })).toThrow(/ferro/);
+    expect(() => sim.setParameters({ model: 'clock' })).toThrow(/clock/);
+    expect(sim.couplingX).toBe(1);
+    expect(sim.model).toBe('potts');
+    expect(() => sim.setParameters({ q: 9 })).toThrow(/states/);
+  });
+
+  test('brush painting sets the chosen state', () => {
+    const sim = new IsingSimulation({
+      size: 10,
+      model: 'clock',
+      q: 6,
+      pattern: 'positive',
+    });
+    sim.paintSpinsInRadius(5.5, 5.5, 1, 'square', 4);
+    expect(sim.spins.filter((s) => s === 4)).toHaveLength(9);
+    expect(() => sim.paintSpinsInRadius(5.5, 5.5, 1, 'square', 6)).toThrow(
+      /state/
+    );
+  });
+});
+
+describe('XY model', () => {
+  // Configuration θ(x, y) = ±atan2 around the center of the lattice
+  const vortexAngles = (sim, sign) => {
+    const center = (sim.size - 1) / 2;
+    for (let y = 0; y < sim.size; y++) {
+      for (let x = 0; x < sim.size; x++) {
+        const angle = sign * Math.atan2(y - center, x - center);
+        sim.setSpin(x, y, (angle + 2 * Math.PI) % (2 * Math.PI));
+      }
+    }
+  };
+
+  test('ordered state has energy -2J - h and stiffness J', () => {
+    const sim = new IsingSimulation({
+      size: 8,
+      model: 'xy',
+      couplingX: 1.5,
+      couplingY: 0.5,
+      externalField: 0.5,
+      pattern: 'positive',
+    });
+    expect(sim.spins).toBeInstanceOf(Float64Array);
+    expect(sim.energy()).toBeCloseTo(-1.5 - 0.5 - 0.5);
+    expect(sim.orderParameter()).toBeCloseTo(1);
+    expect(sim.helicityModulus()).toBeCloseTo(1.5);
+    expect(sim.vortexDensity()).toBe(0);
+  });
+
+  test.each(GEOMETRIES)(
+    'stateDeltaE matches the change in total energy (%s, %s)',
+    (latticeType, boundary) => {
+      const sim = new IsingSimulation({
+        size: 6,
+        model: 'xy',
+        couplingX: 0.7,
+        couplingY: -0.4,
+        couplingDiagonal: latticeType === 'square' ? 0.3 : 0,
+        externalField: 0.3,
+        boundary,
+        latticeType,
+        random: createRandom(24),
+      });
+      const n = sim.size * sim.size;
+      for (let i = 0; i < n; i++) {
+        const state = (sim.spins[i] + 1 + i / 7) % (2 * Math.PI);
+        const before = sim.energy() * n;
+        const deltaE = sim.stateDeltaE(i, state);
+        sim.spins[i] = state;
+        expect(sim.energy() * n - before).toBeCloseTo(deltaE);
+      }
+    }
+  );
+
+  test.each(['metropolis', 'glauber'])(
+    '%s samples free spins in a field exactly',
+    (algorithm) => {
+      // ⟨cos θ⟩ = I1(h/T) / I0(h/T) for uncoupled spins
+      const sim = new IsingSimulation({
+        size: 8,
+        model: 'xy',
+        coupling: 0,
+        externalField: 1,
+        temperature: 1,
+        algorithm,
+        proposalWidth: 2,
+        random: createRandom(25),
+      });
+      for (let i = 0; i < 200; i++) sim.sweep();
+      let total = 0;
+      for (let i = 0; i < 4000; i++) {
+        sim.sweep();
+        total += sim.magnetization();
+      }
+      expect(total / 4000).toBeCloseTo(0.44639, 2);
+    }
+  );
+
+  test('low-temperature energy follows equipartition', () => {
+    const sim = new IsingSimulation({
+      size: 8,
+      model: 'xy',
+      temperature: 0.1,
+      proposalWidth: 0.3,
+      pattern: 'positive',
+      random: createRandom(26),
+    });
+    for (let i = 0; i < 500; i++) sim.sweep();
+    let total = 0;
+    for (let i = 0; i < 2000; i++) {
+      sim.sweep();
+      total += sim.energy();
+    }
+    // Every mode but the global rotation holds T / 2
+    expect(total / 2000).toBeCloseTo(-2 + (0.1 / 2) * (63 / 64), 2);
+  });
+
+  test.each([
+    [1, 'vortex'],
+    [-1, 'antivortex'],
+  ])('winding %s is detected as a %s', (sign) => {
+    const sim = new IsingSimulation({
+      size: 8,
+      model: 'xy',
+      boundary: 'open',
+    });
+    vortexAngles(sim, sign);
+    const winding = sim.vorticity();
+    expect(winding[3 * 8 + 3]).toBe(sign);
+    expect(winding.reduce((sum, w) => sum + Math.abs(w), 0)).toBe(1);
+    expect(sim.vortexDensity()).toBeCloseTo(1 / 64);
+  });
+
+  test('smooth antiperiodic configurations carry no vortices', () => {
+    // A half turn spread over the lattice in each direction is smooth once
+    // the seams add their π twist
+    const size = 6;
+    const sim = new IsingSimulation({
+      size,
+      model: 'xy',
+      boundary: 'antiperiodic',
+    });
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        sim.setSpin(x, y, (Math.PI * (x + y)) / size);
+      }
+    }
+    expect(sim.vorticity().every((w) => w === 0)).toBe(true);
+  });
+
+  test('vorticity needs angles on the square lattice', () => {
+    expect(new IsingSimulation({ model: 'potts' }).vorticity()).toBeNull();
+    expect(new IsingSimulation().helicityModulus()).toBeNull();
+    expect(
+      new IsingSimulation({
+        model: 'xy',
+        latticeType: 'triangular',
+      }).vortexDensity()
+    ).toBeNull();
+  });
+
+  test('switching to and from XY keeps the configuration', () => {
+    const sim = new IsingSimulation({ size: 4, pattern: 'checkerboard' });
+    sim.setParameters({ model: 'xy' });
+    expect(sim.getSpin(0, 0)).toBe(0);
+    expect(sim.getSpin(1, 0)).toBeCloseTo(Math.PI);
+    sim.setSpin(0, 0, 1.7);
+    sim.setParameters({ model: 'clock', q: 4 });
+    expect(sim.getSpin(0, 0)).toBe(1);
+    expect(sim.getSpin(1, 0)).toBe(2);
+  });
+
+  test('brush painting sets a wrapped angle', () => {
+    const sim = new IsingSimulation({ size: 10, model: 'xy' });
+    sim.paintSpinsInRadius(5.5, 5.5, 1, 'square', -Math.PI / 2);
+    expect(sim.getSpin(5, 5)).toBeCloseTo((3 * Math.PI) / 2);
+    expect(() => sim.paintSpinsInRadius(5.5, 5.5, 1, 'square', NaN)).toThrow(
+      /state/
+    );
+  });
+});
+
+describe('Quenched disorder', () => {
+  const DISORDER = {
+    randomField: 0.8,
+    bondDisorder: 'gaussian',
+    bondSpread: 0.5,
+    dilution: 0.2,
+    disorderSeed: 7,
+  };
+
+  test('realizations are reproducible from the seed', () => {
+    const a = new IsingSimulation({ size: 12, ...DISORDER });
+    const b = new IsingSimulation({ size: 12, ...DISORDER });
+    expect(b.fields).toEqual(a.fields);
+    expect(b.couplings).toEqual(a.couplings);
+    expect(b.vacancies).toEqual(a.vacancies);
+    b.setParameters({ disorderSeed: 8 });
+    expect(b.fields).not.toEqual(a.fields);
+    b.setParameters({ disorderSeed: 7 });
+    expect(b.couplings).toEqual(a.couplings);
+  });
+
+  test('a field-only change refills the fields and leaves the bonds alone', () => {
+    const sim = new IsingSimulation({ size: 12, ...DISORDER });
+    sim.setPaintedField(5, 2);
+    const { neighbors, couplings, boundaryField } = sim;
+    sim.setParameters({ externalField: 0.4, randomField: 0.3 });
+    expect(sim.neighbors).toBe(neighbors);
+    expect(sim.couplings).toBe(couplings);
+    expect(sim.boundaryField).toBe(boundaryField);
+    // The same fields as a simulation built with them
+    const fresh = new IsingSimulation({
+      size: 12,
+      ...DISORDER,
+      externalField: 0.4,
+      randomField: 0.3,
+    });
+    fresh.setPaintedField(5, 2);
+    expect(sim.fields).toEqual(fresh.fields);
+  });
+
+  test('the random field has the requested mean and spread', () => {
+    const sim = new IsingSimulation({
+      size: 100,
+      externalField: 0.3,
+      randomField: 1.5,
+    });
+    const n = sim.fields.length;
+    const mean = sim.fields.reduce((sum, h) => sum + h, 0) / n;
+    const variance =
+      sim.fields.reduce((sum, h) => sum + (h - mean) ** 2, 0) / n;
+    expect(mean).toBeCloseTo(0.3, 1);
+    expect(Math.sqrt(variance)).toBeCloseTo(1.5, 1);
+  });
+
+  test.each(GEOMETRIES)(
+    'random bonds are the same from both ends (%s, %s)',
+    (latticeType, boundary) => {
+      const sim = new IsingSimulation({
+        size: 6,
+        latticeType,
+        boundary,
+        bondDisorder: 'binary',
+        disorderSeed: 3,
+      });
+      const z = sim.coordination;
+      const pairs = new Map();
+      sim.neighbors.forEach((j, slot) => {
+        if (j < 0) return;
+        const i = Math.floor(slot / z);
+        const key = `${Math.min(i, j)}-${Math.max(i, j)}-${
+          sim.bondKinds[slot]
+        }`;
+        const coupling = sim.couplings[slot] * sim.signs[slot];
+        pairs.set(key, [...(pairs.get(key) || []), coupling]);
+      });
+      for (const couplings of pairs.values()) {
+        expect(new Set(couplings).size).toBe(1);
+      }
+      const values = [...pairs.values()].map(([coupling]) => coupling);
+      expect(new Set(values.map(Math.abs))).toEqual(new Set([1]));
+      expect(values.some((coupling) => coupling < 0)).toBe(true);
+    }
+  );
+
+  test('raising the dilution only adds vacancies', () => {
+    const sim = new IsingSimulation({ size: 40, dilution: 0.1 });
+    const sparse = sim.vacancies.slice();
+    sim.setParameters({ dilution: 0.3 });
+    expect(sparse.every((vacant, i) => !vacant || sim.vacancies[i])).toBe(true);
+    expect(sim.occupiedCount / 1600).toBeCloseTo(0.7, 1);
+    sim.setParameters({ dilution: 0 });
+    expect(sim.vacancies).toBeNull();
+    expect(sim.occupiedCount).toBe(1600);
+  });
+
+  test('vacant sites never update and are left out of the observables', () => {
+    const sim = new IsingSimulation({
+      size: 10,
+      temperature: Infinity,
+      dilution: 0.3,
+      pattern: 'positive',
+      random: createRandom(41),
+    });
+    const vacant = [...sim.vacancies.keys()].filter((i) => sim.vacancies[i]);
+    vacant.forEach((i) => {
+      sim.spins[i] = -1;
+    });
+    expect(sim.magnetization()).toBe(1);
+    expect(sim.energy()).toBeLessThan(-1);
+    for (let i = 0; i < 5; i++) sim.sweep();
+    expect(vacant.every((i) => sim.spins[i] === -1)).toBe(true);
+  });
+
+  test.each(
+    ['ising', 'potts', 'xy'].flatMap((model) =>
+      GEOMETRIES.slice(0, 4).map((geometry) => [model, ...geometry])
+    )
+  )(
+    'stateDeltaE matches the change in total energy (%s, %s, %s)',
+    (model, latticeType, boundary) => {
+      const sim = new IsingSimulation({
+        size: 6,
+        model,
+        q: 4,
+        externalField: 0.2,
+        latticeType,
+        boundary,
+        ...DISORDER,
+        random: createRandom(42),
+      });
+      const n = sim.occupiedCount;
+      for (let i = 0; i < sim.spins.length; i++) {
+        let state;
+        if (model === 'ising') state = -sim.spins[i];
+        else if (model === 'xy') state = (sim.spins[i] + 2) % (2 * Math.PI);
+        else state = (sim.spins[i] + 1) % 4;
+        const before = sim.energy() * n;
+        const deltaE = sim.isOccupied(i) ? sim.stateDeltaE(i, state) : 0;
+        sim.spins[i] = state;
+        expect(sim.energy() * n - before).toBeCloseTo(deltaE);
+      }
+    }
+  );
+
+  test.each([
+    ['ising', 'metropolis'],
+    ['ising', 'glauber'],
+    ['ising', 'wolff'],
+    ['ising', 'swendsenWang'],
+    ['potts', 'metropolis'],
+  ])(
+    '%s %s samples the exact Boltzmann distribution of a disordered lattice',
+    (model, algorithm) => {
+      const sim = new IsingSimulation({
+        size: 3,
+        model,
+        temperature: 1.5,
+        externalField: 0.2,
+        algorithm,
+        randomField: 0.6,
+        bondDisorder: model === 'ising' ? 'gaussian' : 'none',
+        dilution: 0.15,
+        disorderSeed: 9,
+        random: createRandom(43),
+      });
+      expect(sim.occupiedCount).toBeLessThan(9);
+      const { exact, sampled } = energyDistributions(sim, 40000);
+      for (const [E, p] of exact) {
+        expect(Math.abs((sampled.get(E) || 0) - p)).toBeLessThan(0.02);
+      }
+    }
+  );
+
+  test('Potts cluster moves need clean bonds', () => {
+    expect(
+      supportsAlgorithm('wolff', { model: 'potts', bondDisorder: 'binary' })
+    ).toBe(false);
+    const sim = new IsingSimulation({ model: 'potts', algorithm: 'wolff' });
+    expect(() => sim.setParameters({ bondDisorder: 'gaussian' })).toThrow(
+      /ferro/
+    );
+    expect(() => sim.setParameters({ dilution: 1 })).toThrow(/Dilution/);
+    expect(() => sim.setParameters({ bondDisorder: 'glassy' })).toThrow(
+      /glassy/
+    );
+    expect(sim.disorder.bondDisorder).toBe('none');
+  });
+});
@@ -0,0 +1,107 @@
+// annealing.js
+// Annealing schedules: the temperature as a function of the number of Monte
+// Carlo sweeps t since the schedule started, so that cooling does not depend
+// on how fast the sweeps happen to run. Every schedule goes from `start` to
+// `target` over `duration` sweeps and then stays at the target:
+//   linear       T = T0 + (T1 - T0) t / d
+//   geometric    T = T0 (T1 / T0)^(t / d), a constant factor per sweep
+//   logarithmic  T = T0 / (1 + k ln(1 + t)), with k chosen to reach T1 at d
+//   keyframes    piecewise linear through [{ sweep, temperature }, ...]
+//   quench       T = T1 straight away, held for d sweeps
+// Keyframe schedules ignore start, target and duration: they start at the
+// first keyframe and end at the last.
+
+export const SCHEDULES = [
+  'linear',
+  'geometric',
+  'logarithmic',
+  'keyframes',
+  'quench',
+];
+
+export const DEFAULT_SCHEDULE = {
+  kind: 'linear',
+  start: 3.5,
+  target: 1.5,
+  duration: 2000,
+  keyframes: [],
+};
+
+// Keyframes written as "sweep:T" pairs separated by commas or spaces, e.g.
+// "0:3.5, 500:2.5, 2000:1.5"
+export const parseKeyframes = (text) =>
+  text
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map((pair) => {
+      const match = /^(\d+):(\d*\.?\d+)$/.exec(pair);
+      if (!match) throw new Error(`Keyframes look like 500:2.5, got ${pair}`);
+      return { sweep: Number(match[1]), temperature: Number(match[2]) };
+    });
+
+export const formatKeyframes = (keyframes) =>
+  keyframes
+    .map(({ sweep, temperature }) => `${sweep}:${temperature}`)
+    .join(', ');
+
+export const validateSchedule = ({
+  kind,
+  start,
+  target,
+  duration,
+  keyframes,
+}) => {
+  if (!SCHEDULES.includes(kind)) {
+    throw new Error(`Unknown annealing schedule: ${kind}`);
+  }
+  if (kind === 'keyframes') {
+    if (keyframes.length === 0) {
+      throw new Error('A keyframe schedule needs at least one keyframe');
+    }
+    keyframes.forEach(({ sweep, temperature }, k) => {
+      if (!(temperature > 0)) {
+        throw new Error('Temperatures must be positive');
+      }
+      if (k > 0 && !(sweep > keyframes[k - 1].sweep)) {
+        throw new Error('Keyframe sweeps must increase');
+      }
+    });
+    return;
+  }
+  if (!(start > 0 && target > 0)) {
+    throw new Error('Temperatures must be positive');
+  }
+  if (!(Number.isInteger(duration) && duration >= 1)) {
+    throw new Error(
+      `The duration must be a whole number of sweeps, got ${duration}`
+    );
+  }
+};
+
+// Sweeps until the schedule reaches its final temperature
+export const scheduleLength = (schedule) =>
+  schedule.kind === 'keyframes'
+    ? schedule.keyframes[schedule.keyframes.length - 1].sweep
+    : schedule.duration;
+
+const keyframeTemperature = (keyframes, sweep) => {
+  if (sweep <= keyframes[0].sweep) return keyframes[0].temperature;
+  const k = keyframes.findIndex((keyframe) => keyframe.sweep >= sweep);
+  if (k === -1) return keyframes[keyframes.length - 1].temperature;
+  const from = keyframes[k - 1];
+  const to = keyframes[k];
+  const fraction = (sweep - from.sweep) / (to.sweep - from.sweep);
+  return from.temperature + (to.temperature - from.temperature) * fraction;
+};
+
+// Temperature after `sweep` sweeps of the schedule
+export const scheduleTemperature = (schedule, sweep) => {
+  const { kind, start, target, duration, keyframes } = schedule;
+  if (kind === 'keyframes') return keyframeTemperature(keyframes, sweep);
+  if (kind === 'quench' || sweep >= duration) return target;
+  const fraction = sweep / duration;
+  if (kind === 'linear') return start + (target - start) * fraction;
+  if (kind === 'geometric') return start * (target / start) ** fraction;
+  const k = (start / target - 1) / Math.log(1 + duration);
+  return start / (1 + k * Math.log(1 + sweep));
+};
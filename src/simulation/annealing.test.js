@@ -0,0 +1,86 @@
+import {
+  formatKeyframes,
+  parseKeyframes,
+  scheduleLength,
+  scheduleTemperature,
+  validateSchedule,
+} from './annealing';
+
+const schedule = (kind, extra = {}) => ({
+  kind,
+  start: 4,
+  target: 1,
+  duration: 100,
+  keyframes: [],
+  ...extra,
+});
+
+describe('annealing schedules', () => {
+  test.each(['linear', 'geometric', 'logarithmic'])(
+    '%s schedules cool monotonically from start to target',
+    (kind) => {
+      const temperatures = Array.from({ length: 121 }, (_, t) =>
+        scheduleTemperature(schedule(kind), t)
+      );
+      expect(temperatures[0]).toBeCloseTo(4, 10);
+      expect(temperatures[100]).toBeCloseTo(1, 10);
+      expect(temperatures[120]).toBe(1);
+      for (let t = 1; t <= 100; t++) {
+        expect(temperatures[t]).toBeLessThan(temperatures[t - 1]);
+      }
+    }
+  );
+
+  test('each schedule has its own shape', () => {
+    expect(scheduleTemperature(schedule('linear'), 50)).toBeCloseTo(2.5, 10);
+    // Halfway through a geometric schedule is the geometric mean
+    expect(scheduleTemperature(schedule('geometric'), 50)).toBeCloseTo(2, 10);
+    // Logarithmic cooling does most of its work early
+    expect(scheduleTemperature(schedule('logarithmic'), 10)).toBeLessThan(
+      scheduleTemperature(schedule('geometric'), 10)
+    );
+    expect(scheduleTemperature(schedule('quench'), 0)).toBe(1);
+    expect(scheduleLength(schedule('quench'))).toBe(100);
+  });
+
+  test('logarithmic schedules can heat as well', () => {
+    const heating = schedule('logarithmic', { start: 1, target: 3 });
+    expect(scheduleTemperature(heating, 0)).toBe(1);
+    expect(scheduleTemperature(heating, 50)).toBeGreaterThan(2);
+    expect(scheduleTemperature(heating, 100)).toBeCloseTo(3, 10);
+  });
+
+  test('keyframes interpolate linearly and hold their ends', () => {
+    const keyframes = parseKeyframes('10:3, 20:2.5;  40:1.5');
+    expect(keyframes).toEqual([
+      { sweep: 10, temperature: 3 },
+      { sweep: 20, temperature: 2.5 },
+      { sweep: 40, temperature: 1.5 },
+    ]);
+    expect(formatKeyframes(keyframes)).toBe('10:3, 20:2.5, 40:1.5');
+    const piecewise = schedule('keyframes', { keyframes });
+    expect(scheduleLength(piecewise)).toBe(40);
+    expect(scheduleTemperature(piecewise, 0)).toBe(3);
+    expect(scheduleTemperature(piecewise, 15)).toBeCloseTo(2.75, 10);
+    expect(scheduleTemperature(piecewise, 30)).toBeCloseTo(2, 10);
+    expect(scheduleTemperature(piecewise, 50)).toBe(1.5);
+  });
+
+  test('rejects invalid schedules', () => {
+    expect(() => parseKeyframes('10:3, 20')).toThrow(/Keyframes/);
+    expect(() => validateSchedule(schedule('cosine'))).toThrow(/Unknown/);
+    expect(() => validateSchedule(schedule('linear', { target: 0 }))).toThrow(
+      /positive/
+    );
+    expect(() =>
+      validateSchedule(schedule('linear', { duration: 0.5 }))
+    ).toThrow(/duration/);
+    expect(() => validateSchedule(schedule('keyframes'))).toThrow(/keyframe/);
+    expect(() =>
+      validateSchedule(
+        schedule('keyframes', { keyframes: parseKeyframes('10:3 10:2') })
+      )
+    ).toThrow(/increase/);
+    expect(() => validateSchedule(schedule('geometric'))).not.toThrow();
+  });
+});
@@ -0,0 +1,173 @@
+// brushes.js
+// Editing tools for the lattice. An edit applies a tool to every site of a
+// region. Regions are given in layout units (see lattice.js):
+//   { shape: 'circle' | 'square', x, y, radius }  around (x, y)
+//   { shape: 'line', x0, y0, x, y, radius }        sites within `radius` of
+//                                                  the segment (x0, y0)–(x, y)
+//   { shape: 'rectangle', x0, y0, x, y }           sites inside the box with
+//                                                  those corners
+//   { shape: 'fill', x, y }                        flood fill: the domain of
+//                                                  equal spins under (x, y),
+//                                                  joined by nearest-neighbor
+//                                                  bonds
+// The sites under the pointer are always included, so a line is unbroken
+// however thin and every region holds at least one site. Tools:
+//   { tool: 'set', state }      set the spins to `state` (an angle for XY)
+//   { tool: 'pin' | 'unpin' }   pin the sites, which no dynamics then
+//                               changes, or release them
+//   { tool: 'field', value }    paint a local field h(x, y) = value, added to
+//                               the external and random fields
+//   { tool: 'flip' }            Metropolis-flip every spin at the current T
+// All but 'flip' act the same at any temperature.
+import { BOND_DIAGONAL, siteAt, siteCenter } from './lattice';
+import { acceptanceProbability } from './probabilities';
+
+export const BRUSH_SHAPES = ['circle', 'square', 'line', 'rectangle', 'fill'];
+
+export const BRUSH_TOOLS = ['set', 'pin', 'unpin', 'field', 'flip'];
+
+// Largest step along a line between two sampled pointer positions, in
+// layout units; smaller than any cell
+const LINE_STEP = 0.25;
+
+// Index of the site under (u, v)
+const siteIndexAt = (sim, u, v) => {
+  const [x, y] = siteAt(sim.latticeType, sim.size, u, v);
+  return y * sim.size + x;
+};
+
+// Visit every site whose center lies in the window [u0, u1] × [v0, v1],
+// widened so that no cell overlapping it is missed
+const forEachSiteNear = (sim, [u0, u1], [v0, v1], visit) => {
+  const { size, latticeType } = sim;
+  // Cells are at most two layout units wide
+  const xStart = Math.max(0, Math.floor(u0) - 2);
+  const xEnd = Math.min(size - 1, Math.ceil(u1) + 1);
+  const yStart = Math.max(0, Math.floor(v0) - 1);
+  const yEnd = Math.min(size - 1, Math.ceil(v1) + 1);
+  for (let y = yStart; y <= yEnd; y++) {
+    for (let x = xStart; x <= xEnd; x++) {
+      const [cx, cy] = siteCenter(latticeType, x, y);
+      visit(y * size + x, cx, cy);
+    }
+  }
+};
+
+// Squared distance from (u, v) to the segment (x0, y0)–(x1, y1)
+const segmentDistanceSquared = (u, v, x0, y0, x1, y1) => {
+  const dx = x1 - x0;
+  const dy = y1 - y0;
+  const length = dx * dx + dy * dy;
+  const t =
+    length > 0
+      ? Math.min(1, Math.max(0, ((u - x0) * dx + (v - y0) * dy) / length))
+      : 0;
+  const ex = x0 + t * dx - u;
+  const ey = y0 + t * dy - v;
+  return ex * ex + ey * ey;
+};
+
+const lineSites = (sim, { x0, y0, x, y, radius }, mark) => {
+  forEachSiteNear(
+    sim,
+    [Math.min(x0, x) - radius, Math.max(x0, x) + radius],
+    [Math.min(y0, y) - radius, Math.max(y0, y) + radius],
+    (i, cx, cy) => {
+      if (segmentDistanceSquared(cx, cy, x0, y0, x, y) <= radius * radius) {
+        mark(i);
+      }
+    }
+  );
+  const steps = Math.ceil(Math.hypot(x - x0, y - y0) / LINE_STEP);
+  for (let step = 0; step <= steps; step++) {
+    const t = steps > 0 ? step / steps : 0;
+    mark(siteIndexAt(sim, x0 + t * (x - x0), y0 + t * (y - y0)));
+  }
+};
+
+const rectangleSites = (sim, { x0, y0, x, y }, mark) => {
+  const us = [Math.min(x0, x), Math.max(x0, x)];
+  const vs = [Math.min(y0, y), Math.max(y0, y)];
+  forEachSiteNear(sim, us, vs, (i, cx, cy) => {
+    if (cx >= us[0] && cx <= us[1] && cy >= vs[0] && cy <= vs[1]) mark(i);
+  });
+  mark(siteIndexAt(sim, x0, y0));
+  mark(siteIndexAt(sim, x, y));
+};
+
+// Breadth-first search over nearest-neighbor bonds between equal spins
+const fillSites = (sim, { x, y }, mark, marked) => {
+  const { spins, neighbors, bondKinds } = sim;
+  const z = sim.coordination;
+  const start = siteIndexAt(sim, x, y);
+  if (!sim.isOccupied(start)) return;
+  const queue = [start];
+  mark(start);
+  for (let head = 0; head < queue.length; head++) {
+    const i = queue[head];
+    for (let slot = i * z; slot < (i + 1) * z; slot++) {
+      const j = neighbors[slot];
+      if (
+        j >= 0 &&
+        bondKinds[slot] !== BOND_DIAGONAL &&
+        !marked[j] &&
+        spins[j] === spins[start]
+      ) {
+        mark(j);
+        queue.push(j);
+      }
+    }
+  }
+};
+
+// Indices of the sites in `region`, in increasing order
+export const regionSites = (sim, region) => {
+  const { shape } = region;
+  const marked = new Uint8Array(sim.spins.length);
+  const mark = (i) => {
+    marked[i] = 1;
+  };
+  if (shape === 'circle' || shape === 'square') {
+    sim.forEachSiteInShape(region.x, region.y, region.radius, shape, (x, y) =>
+      mark(y * sim.size + x)
+    );
+  } else if (shape === 'line') {
+    lineSites(sim, region, mark);
+  } else if (shape === 'rectangle') {
+    rectangleSites(sim, region, mark);
+  } else if (shape === 'fill') {
+    fillSites(sim, region, mark, marked);
+  } else {
+    throw new Error(`Unknown brush shape: ${shape}`);
+  }
+  const sites = [];
+  marked.forEach((inRegion, i) => {
+    if (inRegion) sites.push(i);
+  });
+  return sites;
+};
+
+// Apply `tool` to every site of `region`; returns the number of sites
+export const applyBrush = (sim, region, { tool, state, value }) => {
+  if (!BRUSH_TOOLS.includes(tool)) {
+    throw new Error(`Unknown brush tool: ${tool}`);
+  }
+  // Check the arguments before touching any site
+  const spin = tool === 'set' ? sim.paintableSpin(state) : null;
+  if (tool === 'field' && !Number.isFinite(value)) {
+    throw new Error(`Invalid field: ${value}`);
+  }
+  const sites = regionSites(sim, region);
+  for (const i of sites) {
+    if (tool === 'set') {
+      sim.spins[i] = spin;
+    } else if (tool === 'pin' || tool === 'unpin') {
+      sim.setPinned(i, tool === 'pin');
+    } else if (tool === 'field') {
+      sim.setPaintedField(i, value);
+    } else {
+      sim.attemptSiteFlip(i, acceptanceProbability);
+    }
+  }
+  return sites.length;
+};
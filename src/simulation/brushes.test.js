@@ -0,0 +1,235 @@
+import { applyBrush, regionSites } from './brushes';
+import IsingSimulation, { ALGORITHMS } from './IsingSimulation';
+import { createRandom } from './random';
+
+const simulation = (options) =>
+  new IsingSimulation({ size: 10, random: createRandom(7), ...options });
+
+const count = (spins, spin) => spins.filter((s) => s === spin).length;
+
+describe('brush regions', () => {
+  test('circles and squares match forEachSiteInShape', () => {
+    const sim = simulation();
+    expect(
+      regionSites(sim, { shape: 'square', x: 5.5, y: 5.5, radius: 1 })
+    ).toEqual([44, 45, 46, 54, 55, 56, 64, 65, 66]);
+    expect(
+      regionSites(sim, { shape: 'circle', x: 5.5, y: 5.5, radius: 0 })
+    ).toEqual([55]);
+  });
+
+  test('a thin line is unbroken from end to end', () => {
+    const sim = simulation();
+    const sites = regionSites(sim, {
+      shape: 'line',
+      x0: 0.5,
+      y0: 0.5,
+      x: 9.5,
+      y: 9.5,
+      radius: 0,
+    });
+    // Every diagonal site, plus a neighbor wherever the line grazes a corner
+    for (let k = 0; k < 10; k++) expect(sites).toContain(11 * k);
+    expect(sites.length).toBeLessThanOrEqual(28);
+  });
+
+  test('a wide line covers its half-width on both sides', () => {
+    const sim = simulation();
+    const sites = regionSites(sim, {
+      shape: 'line',
+      x0: 2.5,
+      y0: 5.5,
+      x: 7.5,
+      y: 5.5,
+      radius: 1,
+    });
+    // Rows 4 to 6 between the ends, plus the round caps
+    expect(sites).toHaveLength(3 * 6 + 2);
+    expect(sites).toContain(51);
+    expect(sites).toContain(58);
+    expect(sites).not.toContain(41);
+  });
+
+  test('rectangles span their two corners in either order', () => {
+    const sim = simulation();
+    const box = { shape: 'rectangle', x0: 2.2, y0: 1.2, x: 5.8, y: 3.8 };
+    const sites = regionSites(sim, box);
+    expect(sites).toHaveLength(4 * 3);
+    expect(sites).toContain(12);
+    expect(sites).toContain(35);
+    expect(
+      regionSites(sim, { ...box, x0: box.x, y0: box.y, x: box.x0, y: box.y0 })
+    ).toEqual(sites);
+  });
+
+  test('flood fill stops at domain walls', () => {
+    const sim = simulation({ pattern: 'positive' });
+    // A closed ring of down spins around the center
+    applyBrush(
+      sim,
+      { shape: 'rectangle', x0: 3.5, y0: 3.5, x: 6.5, y: 6.5 },
+      { tool: 'set', state: -1 }
+    );
+    applyBrush(
+      sim,
+      { shape: 'rectangle', x0: 4.5, y0: 4.5, x: 5.5, y: 5.5 },
+      { tool: 'set', state: 1 }
+    );
+    expect(regionSites(sim, { shape: 'fill', x: 5, y: 5 })).toEqual([
+      44, 45, 54, 55,
+    ]);
+    expect(regionSites(sim, { shape: 'fill', x: 3.5, y: 3.5 })).toHaveLength(
+      12
+    );
+    expect(regionSites(sim, { shape: 'fill', x: 0.5, y: 0.5 })).toHaveLength(
+      100 - 16
+    );
+  });
+
+  test('flood fill ignores diagonal bonds and vacancies', () => {
+    const sim = simulation({ pattern: 'checkerboard', couplingDiagonal: 1 });
+    expect(regionSites(sim, { shape: 'fill', x: 0.5, y: 0.5 })).toEqual([0]);
+    const diluted = simulation({ dilution: 0.3, disorderSeed: 3 });
+    const vacant = diluted.vacancies.indexOf(1);
+    const [x, y] = [vacant % 10, Math.floor(vacant / 10)];
+    expect(
+      regionSites(diluted, { shape: 'fill', x: x + 0.5, y: y + 0.5 })
+    ).toEqual([]);
+  });
+
+  test('unknown shapes and tools are rejected', () => {
+    const sim = simulation();
+    expect(() => regionSites(sim, { shape: 'star', x: 1, y: 1 })).toThrow(
+      'Unknown brush shape: star'
+    );
+    expect(() =>
+      applyBrush(sim, { shape: 'fill', x: 1, y: 1 }, { tool: 'smudge' })
+    ).toThrow('Unknown brush tool: smudge');
+  });
+});
+
+describe('brush tools', () => {
+  test('set paints the state whatever the temperature', () => {
+    const sim = simulation({ temperature: 0.01, pattern: 'positive' });
+    const painted = applyBrush(
+      sim,
+      { shape: 'square', x: 5.5, y: 5.5, radius: 1 },
+      { tool: 'set', state: -1 }
+    );
+    expect(painted).toBe(9);
+    expect(count(Array.from(sim.spins), -1)).toBe(9);
+    expect(() =>
+      applyBrush(
+        sim,
+        { shape: 'circle', x: 1, y: 1, radius: 1 },
+        { tool: 'set', state: 0 }
+      )
+    ).toThrow('Invalid ising state: 0');
+  });
+
+  test.each(ALGORITHMS)('%s never changes pinned spins', (algorithm) => {
+    const sim = simulation({ algorithm, temperature: 5 });
+    const inclusion = { shape: 'square', x: 5.5, y: 5.5, radius: 1 };
+    applyBrush(sim, inclusion, { tool: 'set', state: 1 });
+    applyBrush(sim, inclusion, { tool: 'pin' });
+    const before = sim.spins.slice();
+    for (let k = 0; k < 50; k++) sim.sweep();
+    for (const i of regionSites(sim, inclusion)) expect(sim.spins[i]).toBe(1);
+    // The rest of the lattice still moves
+    expect(sim.spins.some((spin, i) => spin !== before[i])).toBe(true);
+
+    applyBrush(sim, inclusion, { tool: 'unpin' });
+    expect(sim.pinned.every((pinned) => pinned === 0)).toBe(true);
+  });
+
+  test('pinned Potts clusters keep their state under Swendsen–Wang', () => {
+    const sim = simulation({
+      model: 'potts',
+      q: 3,
+      algorithm: 'swendsenWang',
+      temperature: 0.5,
+      pattern: 'positive',
+    });
+    applyBrush(sim, { shape: 'fill', x: 0, y: 0 }, { tool: 'pin' });
+    applyBrush(
+      sim,
+      { shape: 'fill', x: 0, y: 0 },
+      { tool: 'field', value: -2 }
+    );
+    for (let k = 0; k < 20; k++) sim.sweep();
+    expect(count(Array.from(sim.spins), 0)).toBe(100);
+  });
+
+  test('pins go with a reset and a new size but not a restore', () => {
+    const sim = simulation();
+    const region = { shape: 'circle', x: 2, y: 2, radius: 1 };
+    applyBrush(sim, region, { tool: 'pin' });
+    expect(sim.isPinned(regionSites(sim, region)[0])).toBe(true);
+    sim.reset('positive');
+    expect(sim.pinned).toBeNull();
+    applyBrush(sim, region, { tool: 'pin' });
+    sim.restore(sim.spins.slice());
+    expect(sim.isPinned(regionSites(sim, region)[0])).toBe(true);
+    sim.resize(12);
+    expect(sim.pinned).toBeNull();
+  });
+
+  test('edits can be captured and restored', () => {
+    const sim = simulation();
+    const region = { shape: 'square', x: 5, y: 5, radius: 1 };
+    applyBrush(sim, region, { tool: 'pin' });
+    applyBrush(sim, region, { tool: 'field', value: 1.5 });
+    const edits = sim.captureEdits();
+    sim.clearPins();
+    sim.clearPaintedField();
+    expect(sim.fields[44]).toBe(0);
+    sim.restoreEdits(edits);
+    expect(sim.isPinned(44)).toBe(true);
+    expect(sim.fields[44]).toBe(1.5);
+    // The capture is a copy
+    applyBrush(sim, region, { tool: 'unpin' });
+    expect(edits.pinned[44]).toBe(1);
+  });
+
+  test('a painted field adds to the external and random fields', () => {
+    const sim = simulation({ externalField: 0.5 });
+    const region = { shape: 'rectangle', x0: 0, y0: 0, x: 9.9, y: 4.9 };
+    applyBrush(sim, region, { tool: 'field', value: 2 });
+    expect(sim.fields[0]).toBeCloseTo(2.5);
+    expect(sim.fields[99]).toBeCloseTo(0.5);
+    expect(sim.paintedFieldAt(0)).toBe(2);
+
+    // Kept through parameter changes and resets
+    sim.setParameters({ externalField: -1 });
+    sim.reset('random');
+    expect(sim.fields[0]).toBeCloseTo(1);
+    expect(sim.fields[99]).toBeCloseTo(-1);
+
+    // The top half ends up aligned with its field, the bottom half with h
+    sim.setParameters({ temperature: 0.5 });
+    for (let k = 0; k < 200; k++) sim.sweep();
+    expect(count(Array.from(sim.spins.slice(0, 50)), 1)).toBeGreaterThan(45);
+    expect(count(Array.from(sim.spins.slice(50)), -1)).toBeGreaterThan(45);
+
+    sim.clearPaintedField();
+    expect(sim.fields[0]).toBeCloseTo(-1);
+    applyBrush(sim, region, { tool: 'field', value: 2 });
+    sim.resize(10);
+    expect(sim.paintedFieldAt(0)).toBe(0);
+    expect(() =>
+      applyBrush(sim, region, { tool: 'field', value: NaN })
+    ).toThrow('Invalid field: NaN');
+  });
+
+  test('painted fields skip vacant sites', () => {
+    const sim = simulation({ dilution: 0.3, disorderSeed: 3 });
+    applyBrush(
+      sim,
+      { shape: 'rectangle', x0: 0, y0: 0, x: 10, y: 10 },
+      { tool: 'field', value: 1 }
+    );
+    sim.vacancies.forEach((vacant, i) =>
+      expect(sim.fields[i]).toBe(vacant ? 0 : 1)
+    );
+  });
+});
@@ -0,0 +1,215 @@
+// clusters.js
+// Cluster updates for the Ising and ferromagnetic Potts models. Both
+// algorithms grow Fortuin–Kasteleyn clusters by activating satisfied bonds
+// with probability 1 - exp(-ΔE/T), where ΔE is the energy it costs to break
+// the bond: 2|J| for Ising spins, J for Potts states. Bond activation ignores
+// the external field and the bonds to a fixed boundary frame, so each
+// cluster move is then accepted (Wolff) or its new state drawn
+// (Swendsen–Wang) using that field energy alone, which keeps detailed
+// balance for any h. A cluster holding a pinned site (see brushes.js) is
+// frozen: Wolff rejects it and Swendsen–Wang leaves it as it is.
+import {
+  acceptanceProbability,
+  bondProbability,
+  heatBathProbability,
+  heatBathState,
+} from './probabilities';
+
+// Union–find root lookup with path halving
+export const findRoot = (parent, i) => {
+  while (parent[i] !== i) {
+    parent[i] = parent[parent[i]];
+    i = parent[i];
+  }
+  return i;
+};
+
+// Bond activation probability with the last coupling memoized, since most
+// lattices only have one or two distinct bond strengths. A Potts bond costs
+// J to break rather than 2J.
+const bondActivation = ({ temperature, model }) => {
+  const scale = model === 'potts' ? 0.5 : 1;
+  let lastCoupling = 0;
+  let lastProbability = 0;
+  return (coupling) => {
+    if (coupling !== lastCoupling) {
+      lastCoupling = coupling;
+      lastProbability = bondProbability(scale * coupling, temperature);
+    }
+    return lastProbability;
+  };
+};
+
+// Whether the bond between sites i and j is satisfied, i.e. at its lowest
+// energy, which is the only kind of bond FK clusters may activate
+const bondSatisfied = (sim, coupling, i, j) => {
+  const { spins } = sim;
+  if (sim.model === 'potts') return coupling > 0 && spins[i] === spins[j];
+  return coupling * spins[i] * spins[j] > 0;
+};
+
+// Field felt by Ising site i that cluster moves must account for separately
+const siteField = (sim, i) => sim.fields[i] + sim.boundaryField[i];
+
+// Build the FK clusters of the current configuration. Returns a parent table
+// in which findRoot(parent, i) identifies the cluster containing site i.
+// Bonds are drawn from `random`, the simulation's own generator by default.
+export const fortuinKasteleynClusters = (sim, random = sim.random) => {
+  const { spins, neighbors, couplings } = sim;
+  const n = spins.length;
+  const z = sim.coordination;
+  const activation = bondActivation(sim);
+  const parent = new Int32Array(n);
+  for (let i = 0; i < n; i++) parent[i] = i;
+
+  for (let i = 0; i < n; i++) {
+    for (let slot = i * z; slot < (i + 1) * z; slot++) {
+      const j = neighbors[slot];
+      const coupling = couplings[slot];
+      // Visit each bond once and only activate bonds the coupling satisfies
+      if (j <= i || !bondSatisfied(sim, coupling, i, j)) continue;
+      if (random() < activation(coupling)) {
+        const a = findRoot(parent, i);
+        const b = findRoot(parent, j);
+        if (a !== b) parent[a] = b;
+      }
+    }
+  }
+  return parent;
+};
+
+// Mark the roots of the clusters that hold a pinned site, or null
+const frozenClusters = (sim, roots) => {
+  if (sim.pinned === null) return null;
+  const frozen = new Uint8Array(roots.length);
+  for (let i = 0; i < roots.length; i++) {
+    if (sim.pinned[i]) frozen[roots[i]] = 1;
+  }
+  return frozen;
+};
+
+// Give every Potts cluster a heat-bath state. The field energy of a cluster
+// in state k is -H overlap(k) - F overlap(k - frame), with H and F the sums
+// of the site fields and the frame coupling over its sites.
+const relabelPottsClusters = (sim, roots) => {
+  const { spins, temperature, overlap, states, frameState } = sim;
+  const n = spins.length;
+  const field = new Float64Array(n);
+  const frame = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    field[roots[i]] += sim.fields[i];
+    frame[roots[i]] += sim.boundaryField[i];
+  }
+
+  const frozen = frozenClusters(sim, roots);
+  const energies = new Float64Array(states);
+  for (let i = 0; i < n; i++) {
+    if (roots[i] !== i || (frozen && frozen[i])) continue;
+    for (let k = 0; k < states; k++) {
+      energies[k] =
+        -field[i] * overlap[k] -
+        frame[i] * overlap[(k - frameState + states) % states];
+    }
+    spins[i] = heatBathState(energies, temperature, sim.random);
+  }
+  for (let i = 0; i < n; i++) spins[i] = spins[roots[i]];
+};
+
+// Swendsen–Wang: decompose the whole lattice into FK clusters and give each
+// cluster a heat-bath orientation (a fair coin flip when h = 0)
+export const swendsenWangSweep = (sim) => {
+  const parent = fortuinKasteleynClusters(sim);
+  const { spins, temperature } = sim;
+  const n = spins.length;
+  const roots = new Int32Array(n);
+  const fieldEnergy = new Float64Array(n);
+  for (let i = 0; i < n; i++) roots[i] = findRoot(parent, i);
+  if (sim.model === 'potts') {
+    relabelPottsClusters(sim, roots);
+    return;
+  }
+  for (let i = 0; i < n; i++) {
+    fieldEnergy[roots[i]] += spins[i] * siteField(sim, i);
+  }
+
+  const frozen = frozenClusters(sim, roots);
+  const flip = new Uint8Array(n);
+  for (let i = 0; i < n; i++) {
+    if (roots[i] !== i || (frozen && frozen[i])) continue;
+    const deltaE = 2 * fieldEnergy[i];
+    flip[i] = sim.random() < heatBathProbability(deltaE, temperature) ? 1 : 0;
+  }
+  for (let i = 0; i < n; i++) {
+    if (flip[roots[i]]) spins[i] *= -1;
+  }
+};
+
+// Grow one Wolff cluster from a random seed and move it to a new state with
+// a Metropolis test on its field energy: Ising clusters flip (with
+// antiferromagnetic bonds they need not be uniform), Potts clusters all move
+// to one uniformly chosen different state, unless the cluster holds a
+// pinned site. `cluster` and `inCluster` are
+// scratch buffers of length N; inCluster is left cleared. Returns the
+// cluster size.
+export const wolffStep = (sim, cluster, inCluster) => {
+  const { spins, neighbors, couplings, temperature, states } = sim;
+  const n = spins.length;
+  const z = sim.coordination;
+  const activation = bondActivation(sim);
+
+  const seed = Math.floor(sim.random() * n);
+  const pottsState =
+    sim.model === 'potts'
+      ? (spins[seed] + 1 + Math.floor(sim.random() * (states - 1))) % states
+      : 0;
+  const target = (i) => (sim.model === 'potts' ? pottsState : -spins[i]);
+  const siteDeltaE = (i) =>
+    sim.siteFieldEnergy(i, target(i)) - sim.siteFieldEnergy(i, spins[i]);
+
+  cluster[0] = seed;
+  inCluster[seed] = 1;
+  let size = 1;
+  let deltaE = siteDeltaE(seed);
+  let pinned = sim.isPinned(seed);
+
+  for (let head = 0; head < size; head++) {
+    const i = cluster[head];
+    for (let slot = i * z; slot < (i + 1) * z; slot++) {
+      const j = neighbors[slot];
+      const coupling = couplings[slot];
+      if (
+        j >= 0 &&
+        !inCluster[j] &&
+        bondSatisfied(sim, coupling, i, j) &&
+        sim.random() < activation(coupling)
+      ) {
+        inCluster[j] = 1;
+        cluster[size++] = j;
+        deltaE += siteDeltaE(j);
+        pinned = pinned || sim.isPinned(j);
+      }
+    }
+  }
+
+  const accept =
+    sim.random() < acceptanceProbability(deltaE, temperature) && !pinned;
+  for (let m = 0; m < size; m++) {
+    const i = cluster[m];
+    if (accept) spins[i] = target(i);
+    inCluster[i] = 0;
+  }
+  return size;
+};
+
+// Run a fixed number of Wolff steps; returns the total number of sites
+// visited. The step count must not depend on the clusters grown during the
+// sweep (e.g. "stop after N sites"), or sampling is biased towards states
+// with large clusters.
+export const wolffSweep = (sim, steps) => {
+  const n = sim.spins.length;
+  const cluster = new Int32Array(n);
+  const inCluster = new Uint8Array(n);
+  let visited = 0;
+  for (let s = 0; s < steps; s++) visited += wolffStep(sim, cluster, inCluster);
+  return visited;
+};
@@ -0,0 +1,161 @@
+// correlation.js
+// Connected spin-spin correlation function of a single lattice,
+//   G(r) = ⟨s_0 · s_r⟩ − ⟨s⟩ · ⟨s⟩,
+// averaged over every site and over all displacements whose length rounds
+// to r, for r = 0..L/2. Spins are vectors so that one definition covers
+// every model: Ising spins are s = ±1, clock and XY spins (cos θ, sin θ) and
+// Potts spins the one-hot vector of their state scaled by √(q/(q−1)), which
+// gives G(0) = 1 on a uniformly random Potts lattice as on every other.
+// Vacant sites count as zero spin.
+//
+// Displacements wrap around the lattice, as periodic boundaries do, and are
+// measured in lattice indices, so on triangular and honeycomb lattices r is
+// the index distance rather than the geometric one; with open or fixed
+// boundaries the wrap-around pairs are simply included. Small lattices are
+// summed directly; larger ones use the Wiener–Khinchin theorem, the
+// autocorrelation being the inverse FFT of |FFT(s)|², in O(N log N).
+//
+// fitCorrelationLength fits G(r) ≈ A e^(−r/ξ) by least squares on ln G.
+import { fft2 } from './fft';
+
+// Largest side still summed directly over all pairs
+export const DIRECT_MAX_SIZE = 32;
+
+// The fit stops where G falls below this fraction of G(0), into noise
+export const FIT_FLOOR = 0.01;
+
+// Spin components as arrays of N values, one array per component
+export const spinComponents = (spins, size, { model, q, vacancies }) => {
+  const n = size * size;
+  const occupied = (i) => !vacancies || vacancies[i] === 0;
+  if (model === 'ising') {
+    return [Float64Array.from(spins, (s, i) => (occupied(i) ? s : 0))];
+  }
+  if (model === 'potts') {
+    const scale = Math.sqrt(q / (q - 1));
+    const components = Array.from({ length: q }, () => new Float64Array(n));
+    for (let i = 0; i < n; i++) {
+      if (occupied(i)) components[spins[i]][i] = scale;
+    }
+    return components;
+  }
+  const angle = (s) => (model === 'xy' ? s : (2 * Math.PI * s) / q);
+  return [
+    Float64Array.from(spins, (s, i) => (occupied(i) ? Math.cos(angle(s)) : 0)),
+    Float64Array.from(spins, (s, i) => (occupied(i) ? Math.sin(angle(s)) : 0)),
+  ];
+};
+
+// Σ_x c(x) c(x + d) / N for every displacement d = dy·L + dx
+const directAutocorrelation = (values, size) => {
+  const n = size * size;
+  const result = new Float64Array(n);
+  for (let dy = 0; dy < size; dy++) {
+    for (let dx = 0; dx < size; dx++) {
+      let sum = 0;
+      for (let y = 0; y < size; y++) {
+        const row = ((y + dy) % size) * size;
+        for (let x = 0; x < size; x++) {
+          sum += values[y * size + x] * values[row + ((x + dx) % size)];
+        }
+      }
+      result[dy * size + dx] = sum / n;
+    }
+  }
+  return result;
+};
+
+const fftAutocorrelation = (values, size) => {
+  const n = size * size;
+  const re = Float64Array.from(values);
+  const im = new Float64Array(n);
+  fft2(re, im, size, size);
+  for (let k = 0; k < n; k++) {
+    re[k] = re[k] * re[k] + im[k] * im[k];
+    im[k] = 0;
+  }
+  fft2(re, im, size, size, true);
+  for (let k = 0; k < n; k++) re[k] /= n;
+  return re;
+};
+
+// Connected correlation for every displacement, summed over the components
+export const displacementCorrelation = (
+  spins,
+  size,
+  { model, q, vacancies = null, method = 'auto' }
+) => {
+  const n = size * size;
+  const useFft =
+    method === 'fft' || (method === 'auto' && size > DIRECT_MAX_SIZE);
+  const total = new Float64Array(n);
+  for (const values of spinComponents(spins, size, { model, q, vacancies })) {
+    const mean = values.reduce((sum, value) => sum + value, 0) / n;
+    const correlation = useFft
+      ? fftAutocorrelation(values, size)
+      : directAutocorrelation(values, size);
+    for (let d = 0; d < n; d++) total[d] += correlation[d] - mean * mean;
+  }
+  return total;
+};
+
+// { r, g }: the mean distance and mean G of every radial bin up to L/2
+export const correlationFunction = (spins, size, options) => {
+  const byDisplacement = displacementCorrelation(spins, size, options);
+  const bins = Math.floor(size / 2) + 1;
+  const distance = new Float64Array(bins);
+  const sum = new Float64Array(bins);
+  const count = new Uint32Array(bins);
+  for (let dy = 0; dy < size; dy++) {
+    const ry = Math.min(dy, size - dy);
+    for (let dx = 0; dx < size; dx++) {
+      const rx = Math.min(dx, size - dx);
+      const r = Math.hypot(rx, ry);
+      const bin = Math.round(r);
+      if (bin >= bins) continue;
+      distance[bin] += r;
+      sum[bin] += byDisplacement[dy * size + dx];
+      count[bin] += 1;
+    }
+  }
+  const r = [];
+  const g = [];
+  for (let bin = 0; bin < bins; bin++) {
+    if (count[bin] === 0) continue;
+    r.push(distance[bin] / count[bin]);
+    g.push(sum[bin] / count[bin]);
+  }
+  return { r, g };
+};
+
+// { xi, amplitude, from, to } from the points r ≥ 1 before G first drops
+// below FIT_FLOOR · G(0), or null when G does not decay over two points
+export const fitCorrelationLength = ({ r, g }) => {
+  if (g.length < 2 || !(g[0] > 0)) return null;
+  const floor = FIT_FLOOR * g[0];
+  let end = 1;
+  while (end < g.length && g[end] > floor) end += 1;
+  // Too short a decay for two points beyond the origin: include r = 0
+  const start = end > 2 ? 1 : 0;
+  const count = end - start;
+  if (count < 2) return null;
+  let sx = 0;
+  let sy = 0;
+  let sxx = 0;
+  let sxy = 0;
+  for (let i = start; i < end; i++) {
+    const y = Math.log(g[i]);
+    sx += r[i];
+    sy += y;
+    sxx += r[i] * r[i];
+    sxy += r[i] * y;
+  }
+  const slope = (count * sxy - sx * sy) / (count * sxx - sx * sx);
+  if (!(slope < 0)) return null;
+  return {
+    xi: -1 / slope,
+    amplitude: Math.exp((sy - slope * sx) / count),
+    from: r[start],
+    to: r[end - 1],
+  };
+};
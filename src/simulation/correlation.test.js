@@ -0,0 +1,140 @@
+import {
+  correlationFunction,
+  displacementCorrelation,
+  fitCorrelationLength,
+} from './correlation';
+import { createRandom } from './random';
+
+const randomSpins = (size, model, q, seed = 7) => {
+  const random = createRandom(seed);
+  if (model === 'ising') {
+    return Int8Array.from({ length: size * size }, () =>
+      random() < 0.5 ? 1 : -1
+    );
+  }
+  if (model === 'xy') {
+    return Float64Array.from(
+      { length: size * size },
+      () => random() * 2 * Math.PI
+    );
+  }
+  return Int8Array.from({ length: size * size }, () =>
+    Math.floor(random() * q)
+  );
+};
+
+describe('correlation function', () => {
+  test('ordered lattices have no connected correlation', () => {
+    const { r, g } = correlationFunction(new Int8Array(64).fill(1), 8, {
+      model: 'ising',
+    });
+    expect(r).toHaveLength(5);
+    expect(r[0]).toBe(0);
+    g.forEach((value) => expect(value).toBeCloseTo(0, 12));
+  });
+
+  test('a checkerboard anticorrelates nearest neighbours', () => {
+    const size = 6;
+    const spins = Int8Array.from({ length: size * size }, (_, i) =>
+      (Math.floor(i / size) + (i % size)) % 2 === 0 ? 1 : -1
+    );
+    const g = displacementCorrelation(spins, size, { model: 'ising' });
+    expect(g[0]).toBeCloseTo(1, 12);
+    expect(g[1]).toBeCloseTo(-1, 12);
+    expect(g[size]).toBeCloseTo(-1, 12);
+    expect(g[size + 1]).toBeCloseTo(1, 12);
+  });
+
+  test('Potts spins are scaled to unit variance when disordered', () => {
+    // Two states in equal numbers
+    const spins = Int8Array.from({ length: 16 }, (_, i) => i % 2);
+    const { g } = correlationFunction(spins, 4, { model: 'potts', q: 2 });
+    expect(g[0]).toBeCloseTo(1, 12);
+  });
+
+  test('vacant sites count as zero spin', () => {
+    const vacancies = Uint8Array.from({ length: 16 }, (_, i) =>
+      i < 8 ? 1 : 0
+    );
+    const { g } = correlationFunction(new Int8Array(16).fill(1), 4, {
+      model: 'ising',
+      vacancies,
+    });
+    // Half the sites carry s = 1: ⟨s²⟩ − ⟨s⟩² = 1/2 − 1/4
+    expect(g[0]).toBeCloseTo(0.25, 12);
+  });
+
+  test.each([
+    ['ising', 2],
+    ['potts', 3],
+    ['clock', 6],
+    ['xy', 0],
+  ])('the FFT agrees with the direct sum for %s spins', (model, q) => {
+    for (const size of [12, 16]) {
+      const spins = randomSpins(size, model, q);
+      const direct = displacementCorrelation(spins, size, {
+        model,
+        q,
+        method: 'direct',
+      });
+      const viaFft = displacementCorrelation(spins, size, {
+        model,
+        q,
+        method: 'fft',
+      });
+      direct.forEach((value, d) => expect(viaFft[d]).toBeCloseTo(value, 9));
+    }
+  });
+
+  test('radial bins average the displacements of each distance', () => {
+    const size = 5;
+    const spins = randomSpins(size, 'ising', 2, 3);
+    const byDisplacement = displacementCorrelation(spins, size, {
+      model: 'ising',
+    });
+    const { r, g } = correlationFunction(spins, size, { model: 'ising' });
+    // Distance 1 and √2 share the first bin; the wrap makes dx = 4 a 1
+    const first = [1, 4, 5, 20, 6, 9, 21, 24].map((d) => byDisplacement[d]);
+    expect(r[1]).toBeCloseTo((4 + 4 * Math.SQRT2) / 8, 12);
+    expect(g[1]).toBeCloseTo(first.reduce((a, b) => a + b) / 8, 12);
+  });
+});
+
+describe('correlation length fit', () => {
+  test('recovers an exponential decay', () => {
+    const r = [0, 1, 2, 3, 4, 5, 6, 7, 8];
+    const fit = fitCorrelationLength({
+      r,
+      g: r.map((distance) => 2 * Math.exp(-distance / 3)),
+    });
+    expect(fit.xi).toBeCloseTo(3, 10);
+    expect(fit.amplitude).toBeCloseTo(2, 10);
+    expect(fit.from).toBe(1);
+    expect(fit.to).toBe(8);
+  });
+
+  test('stops where the correlation falls into noise', () => {
+    const fit = fitCorrelationLength({
+      r: [0, 1, 2, 3, 4, 5],
+      g: [1, 0.5, 0.25, 0.125, 0.001, 0.2],
+    });
+    expect(fit.to).toBe(3);
+    expect(fit.xi).toBeCloseTo(1 / Math.LN2, 10);
+  });
+
+  test('falls back on the origin for very short correlations', () => {
+    const fit = fitCorrelationLength({ r: [0, 1, 2], g: [1, 0.1, -0.01] });
+    expect(fit.from).toBe(0);
+    expect(fit.xi).toBeCloseTo(1 / Math.log(10), 10);
+  });
+
+  test('gives nothing when there is no decay to fit', () => {
+    expect(fitCorrelationLength({ r: [0, 1], g: [0, 0] })).toBeNull();
+    expect(
+      fitCorrelationLength({ r: [0, 1, 2], g: [1, -0.2, 0.1] })
+    ).toBeNull();
+    expect(
+      fitCorrelationLength({ r: [0, 1, 2, 3], g: [1, 0.5, 0.6, 0.7] })
+    ).toBeNull();
+  });
+});
@@ -0,0 +1,5 @@
+// createSimulationWorker.js
+// Starts simulation.worker.js in a web worker. This is the only module that
+// needs import.meta, which jest cannot parse, so tests of the UI mock it.
+export const createSimulationWorker = () =>
+  new Worker(new URL('./simulation.worker.js', import.meta.url));
@@ -0,0 +1,125 @@
+// dataExport.js
+// Recorded data as tidy tables, one row per observation and one column per
+// variable, for analysis outside the app. Every file carries metadata
+//   { format: 'ising-data', version: 1, kind, exportedAt, size,
+//     parameters, seed, ...extra }
+// with the IsingSimulation parameters and run seed, so the data can be
+// reproduced. CSV files put it on a first line of JSON after '#', e.g. for
+// pandas
+//   table = pandas.read_csv(path, comment='#')
+//   metadata = json.loads(open(path).readline()[1:])
+// and JSON files hold { metadata, columns, rows }. Missing values are empty
+// cells in CSV and null in JSON.
+//
+// Tables:
+//   timeSeriesTable      step, sweeps, temperature, externalField, then every
+//                        observable recorded at least once
+//   experimentTable      temperature, observable, mean, error
+//   hysteresisTable      loop, temperature, step, field, magnetization
+//   hysteresisCycleTable loop, temperature, cycle, coerciveField, remanence
+import { loopWidths } from './hysteresis';
+
+export const EXPORT_FORMAT = 'ising-data';
+export const EXPORT_VERSION = 1;
+
+// Time-series columns that come first, in this order: the conditions of
+// every step, kept even when missing, then the main observables
+const CONDITION_COLUMNS = ['sweeps', 'temperature', 'externalField'];
+const LEADING_OBSERVABLES = ['magnetization', 'energy'];
+
+export const createMetadata = ({
+  kind,
+  size,
+  parameters,
+  seed,
+  exportedAt = new Date().toISOString(),
+  ...extra
+}) => ({
+  format: EXPORT_FORMAT,
+  version: EXPORT_VERSION,
+  kind,
+  exportedAt,
+  size,
+  parameters,
+  seed,
+  ...extra,
+});
+
+// `history` maps series names to a value (or null) per recorded step, as the
+// worker's snapshots do
+export const timeSeriesTable = (history) => {
+  const observables = [
+    ...LEADING_OBSERVABLES.filter((name) => name in history),
+    ...Object.keys(history).filter(
+      (name) =>
+        !CONDITION_COLUMNS.includes(name) && !LEADING_OBSERVABLES.includes(name)
+    ),
+  ].filter((name) => history[name].some((value) => value !== null));
+  const names = [...CONDITION_COLUMNS, ...observables];
+  const length = Math.max(
+    0,
+    ...Object.values(history).map((values) => values.length)
+  );
+  return {
+    columns: ['step', ...names],
+    rows: Array.from({ length }, (_, step) => [
+      step,
+      ...names.map((name) => (history[name] ?? [])[step] ?? null),
+    ]),
+  };
+};
+
+// `points` of a temperature sweep (experiment.js), each observable one row
+export const experimentTable = (points) => ({
+  columns: ['temperature', 'observable', 'mean', 'error'],
+  rows: points.flatMap(({ temperature, ...observables }) =>
+    Object.entries(observables).map(([name, { mean, error }]) => [
+      temperature,
+      name,
+      mean,
+      error,
+    ])
+  ),
+});
+
+// `loops` of { loop, temperature, points: [[h, m], ...] }, step counting the
+// points of each loop
+export const hysteresisTable = (loops) => ({
+  columns: ['loop', 'temperature', 'step', 'field', 'magnetization'],
+  rows: loops.flatMap(({ loop, temperature, points }) =>
+    points.map(([field, magnetization], step) => [
+      loop,
+      temperature,
+      step,
+      field,
+      magnetization,
+    ])
+  ),
+});
+
+// Coercive field and remanence of every cycle of `loops` (hysteresis.js)
+export const hysteresisCycleTable = (loops) => ({
+  columns: ['loop', 'temperature', 'cycle', 'coerciveField', 'remanence'],
+  rows: loops.flatMap(({ loop, temperature, cycles }) =>
+    cycles.map((cycle) => {
+      const { coerciveField, remanence } = loopWidths(cycle);
+      return [loop, temperature, cycle.cycle, coerciveField, remanence];
+    })
+  ),
+});
+
+const csvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const formatCsv = ({ columns, rows }, metadata) =>
+  [
+    `# ${JSON.stringify(metadata)}`,
+    columns.map(csvCell).join(','),
+    ...rows.map((row) => row.map(csvCell).join(',')),
+  ].join('\n') + '\n';
+
+export const formatJson = ({ columns, rows }, metadata) =>
+  JSON.stringify({ metadata, columns, rows });
@@ -0,0 +1,154 @@
+import {
+  createMetadata,
+  experimentTable,
+  EXPORT_FORMAT,
+  formatCsv,
+  formatJson,
+  hysteresisCycleTable,
+  hysteresisTable,
+  timeSeriesTable,
+} from './dataExport';
+
+const METADATA = createMetadata({
+  kind: 'timeSeries',
+  size: 16,
+  parameters: { temperature: 2.2, model: 'ising' },
+  seed: 1234,
+  exportedAt: '2024-01-01T00:00:00.000Z',
+});
+
+describe('data export', () => {
+  test('metadata carries the parameters and seed', () => {
+    expect(METADATA).toEqual({
+      format: EXPORT_FORMAT,
+      version: 1,
+      kind: 'timeSeries',
+      exportedAt: '2024-01-01T00:00:00.000Z',
+      size: 16,
+      parameters: { temperature: 2.2, model: 'ising' },
+      seed: 1234,
+    });
+    expect(createMetadata({ ...METADATA, sweep: { runs: 3 } }).sweep).toEqual({
+      runs: 3,
+    });
+  });
+
+  test('time series put the conditions first and drop empty series', () => {
+    const table = timeSeriesTable({
+      specificHeat: [null, 1.5],
+      energy: [-2, -1.9],
+      vortexDensity: [null, null],
+      magnetization: [1, 0.9],
+      externalField: [0, 0.1],
+      temperature: [2, 2],
+      sweeps: [0, 1],
+    });
+    expect(table.columns).toEqual([
+      'step',
+      'sweeps',
+      'temperature',
+      'externalField',
+      'magnetization',
+      'energy',
+      'specificHeat',
+    ]);
+    expect(table.rows).toEqual([
+      [0, 0, 2, 0, 1, -2, null],
+      [1, 1, 2, 0.1, 0.9, -1.9, 1.5],
+    ]);
+  });
+
+  test('histories without conditions keep empty condition columns', () => {
+    const table = timeSeriesTable({ magnetization: [0.5] });
+    expect(table.columns).toEqual([
+      'step',
+      'sweeps',
+      'temperature',
+      'externalField',
+      'magnetization',
+    ]);
+    expect(table.rows).toEqual([[0, null, null, null, 0.5]]);
+  });
+
+  test('experiment points become one row per observable', () => {
+    const table = experimentTable([
+      {
+        temperature: 2,
+        magnetization: { mean: 0.9, error: 0.01 },
+        specificHeat: { mean: 0.5, error: null },
+      },
+      {
+        temperature: 2.5,
+        magnetization: { mean: 0.2, error: 0.05 },
+        specificHeat: { mean: 1.1, error: null },
+      },
+    ]);
+    expect(table.columns).toEqual([
+      'temperature',
+      'observable',
+      'mean',
+      'error',
+    ]);
+    expect(table.rows).toEqual([
+      [2, 'magnetization', 0.9, 0.01],
+      [2, 'specificHeat', 0.5, null],
+      [2.5, 'magnetization', 0.2, 0.05],
+      [2.5, 'specificHeat', 1.1, null],
+    ]);
+  });
+
+  test('hysteresis loops export their points and cycle widths', () => {
+    const loops = [
+      {
+        loop: 3,
+        temperature: 1.5,
+        points: [
+          [-1, -1],
+          [-0.5, -0.8],
+        ],
+        cycles: [
+          {
+            cycle: 0,
+            coercive: { increasing: 0.4, decreasing: -0.6 },
+            remanence: { increasing: -0.8, decreasing: 0.8 },
+          },
+        ],
+      },
+    ];
+    expect(hysteresisTable(loops).rows).toEqual([
+      [3, 1.5, 0, -1, -1],
+      [3, 1.5, 1, -0.5, -0.8],
+    ]);
+    expect(hysteresisCycleTable(loops).rows).toEqual([[3, 1.5, 0, 0.5, 0.8]]);
+  });
+
+  test('CSV starts with the metadata as a comment', () => {
+    const csv = formatCsv(
+      {
+        columns: ['temperature', 'observable', 'mean'],
+        rows: [
+          [2, 'a, "quoted" name', null],
+          [2.5, 'magnetization', 0.25],
+        ],
+      },
+      METADATA
+    );
+    const lines = csv.trimEnd().split('\n');
+    expect(JSON.parse(lines[0].slice(1))).toEqual(METADATA);
+    expect(lines.slice(1)).toEqual([
+      'temperature,observable,mean',
+      '2,"a, ""quoted"" name",',
+      '2.5,magnetization,0.25',
+    ]);
+    expect(csv.endsWith('\n')).toBe(true);
+  });
+
+  test('JSON holds the metadata, columns and rows', () => {
+    const table = timeSeriesTable({ sweeps: [0], magnetization: [null] });
+    expect(JSON.parse(formatJson(table, METADATA))).toEqual({
+      metadata: METADATA,
+      columns: ['step', 'sweeps', 'temperature', 'externalField'],
+      rows: [[0, 0, null, null]],
+    });
+  });
+});
@@ -0,0 +1,99 @@
+// disorder.js
+// Quenched disorder, drawn once from a seed and held fixed while the spins
+// evolve:
+//   randomField   σ_h of a Gaussian random field, h_i = h + σ_h g_i (RFIM)
+//   bondDisorder  'binary' bonds J_ij = ±J with equal odds or 'gaussian'
+//                 bonds J_ij = J + σ_J g_ij (Edwards–Anderson at J = 0)
+//   dilution      probability p that a site is vacant
+// Every random number is a hash of the seed, the kind of disorder and the
+// sites involved rather than the next draw of a generator, so a realization
+// does not depend on the order it is built in: raising p only adds
+// vacancies, and changing h, J or the boundary keeps the noise of every site
+// and bond.
+import { mix32 } from './random';
+
+export const BOND_DISORDERS = ['none', 'binary', 'gaussian'];
+
+export const DEFAULT_DISORDER = {
+  randomField: 0,
+  bondDisorder: 'none',
+  bondSpread: 1,
+  dilution: 0,
+  disorderSeed: 1,
+};
+
+// Independent streams of hashed noise
+const FIELD_STREAM = 1;
+const BOND_STREAM = 2;
+const DILUTION_STREAM = 3;
+
+// Uniform number in [0, 1) determined by the seed and integer keys alone
+export const hashUniform = (seed, ...keys) => {
+  let h = mix32(seed >>> 0);
+  for (const key of keys) h = mix32((h + Math.imul(key, 0x9e3779b9)) >>> 0);
+  return h / 4294967296;
+};
+
+// Standard normal number from two hashed uniforms (Box–Muller)
+export const hashGaussian = (seed, ...keys) => {
+  const u = 1 - hashUniform(seed, ...keys, 0);
+  const v = hashUniform(seed, ...keys, 1);
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+export const hasDisorder = ({ randomField, bondDisorder, dilution }) =>
+  randomField > 0 || bondDisorder !== 'none' || dilution > 0;
+
+export const validateDisorder = ({
+  randomField,
+  bondDisorder,
+  bondSpread,
+  dilution,
+  disorderSeed,
+}) => {
+  if (!BOND_DISORDERS.includes(bondDisorder)) {
+    throw new Error(`Unknown bond disorder: ${bondDisorder}`);
+  }
+  if (!(randomField >= 0) || !(bondSpread >= 0)) {
+    throw new Error('Disorder strengths must be non-negative');
+  }
+  if (!(dilution >= 0 && dilution < 1)) {
+    throw new Error(`Dilution must be in [0, 1), got ${dilution}`);
+  }
+  if (!Number.isInteger(disorderSeed)) {
+    throw new Error(`Disorder seed must be an integer, got ${disorderSeed}`);
+  }
+};
+
+// Vacancy mask for N sites, or null without dilution
+export const vacancyMask = ({ dilution, disorderSeed }, n) => {
+  if (dilution === 0) return null;
+  const vacant = new Uint8Array(n);
+  for (let i = 0; i < n; i++) {
+    vacant[i] = hashUniform(disorderSeed, DILUTION_STREAM, i) < dilution;
+  }
+  return vacant;
+};
+
+// Field on site i: the uniform field plus the site's random field
+export const siteField = ({ randomField, disorderSeed }, externalField, i) =>
+  randomField === 0
+    ? externalField
+    : externalField + randomField * hashGaussian(disorderSeed, FIELD_STREAM, i);
+
+// Coupling of the bond of `kind` between sites i and j; the same from both
+// ends
+export const bondCoupling = (
+  { bondDisorder, bondSpread, disorderSeed },
+  coupling,
+  i,
+  j,
+  kind
+) => {
+  if (bondDisorder === 'none') return coupling;
+  const keys = [BOND_STREAM, Math.min(i, j), Math.max(i, j), kind];
+  if (bondDisorder === 'binary') {
+    return hashUniform(disorderSeed, ...keys) < 0.5 ? -coupling : coupling;
+  }
+  return coupling + bondSpread * hashGaussian(disorderSeed, ...keys);
+};
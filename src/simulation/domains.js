@@ -0,0 +1,123 @@
+// domains.js
+// Domain and cluster analysis of a configuration, for the overlay that
+// colors every cluster on its own. Two kinds of clusters:
+//   geometric  sites joined by nearest-neighbor bonds between equal spins,
+//              i.e. the domains; needs discrete spins, so not XY
+//   fk         Fortuin–Kasteleyn clusters (clusters.js), which keep each
+//              satisfied bond with probability 1 - exp(-ΔE/T) and so only
+//              percolate at Tc; Ising and Potts only
+// Bonds wrapping across a periodic boundary join clusters as any other
+// bond does, while next-nearest-neighbor bonds never do: domains and domain
+// walls are always those of the nearest-neighbor lattice.
+//
+// analyzeDomains returns
+//   { kind, labels, sizes, count, largestFraction, interfaceLength, walls }
+// with labels[i] the cluster of site i (-1 for vacancies), numbered in the
+// order of their first site, sizes[label] the number of sites in each,
+// largestFraction the size of the largest over the occupied sites and
+// interfaceLength the number of nearest-neighbor bonds between unequal
+// spins, in lattice spacings. walls lists those bonds as pairs of sites
+// [i0, j0, i1, j1, ...] so they can be outlined.
+import { findRoot, fortuinKasteleynClusters } from './clusters';
+import { BOND_DIAGONAL } from './lattice';
+
+export const CLUSTER_KINDS = ['geometric', 'fk'];
+
+export const supportsClusterKind = (kind, model) => {
+  if (kind === 'geometric') return model !== 'xy';
+  if (kind === 'fk') return model === 'ising' || model === 'potts';
+  throw new Error(`Unknown cluster kind: ${kind}`);
+};
+
+// Nearest-neighbor bonds i–j with j > i, each visited once
+const forEachBond = (sim, visit) => {
+  const { neighbors, bondKinds } = sim;
+  const z = sim.coordination;
+  for (let slot = 0; slot < neighbors.length; slot++) {
+    const i = Math.floor(slot / z);
+    const j = neighbors[slot];
+    if (j > i && bondKinds[slot] !== BOND_DIAGONAL) visit(i, j);
+  }
+};
+
+const geometricClusters = (sim) => {
+  const { spins } = sim;
+  const parent = Int32Array.from({ length: spins.length }, (_, i) => i);
+  forEachBond(sim, (i, j) => {
+    if (spins[i] !== spins[j]) return;
+    const a = findRoot(parent, i);
+    const b = findRoot(parent, j);
+    if (a !== b) parent[a] = b;
+  });
+  return parent;
+};
+
+export const analyzeDomains = (
+  sim,
+  { kind = 'geometric', random = sim.random } = {}
+) => {
+  if (!supportsClusterKind(kind, sim.model)) {
+    throw new Error(`No ${kind} clusters for ${sim.model} spins`);
+  }
+  const { spins } = sim;
+  const n = spins.length;
+  const parent =
+    kind === 'fk'
+      ? fortuinKasteleynClusters(sim, random)
+      : geometricClusters(sim);
+
+  // Number the roots in order of their first site
+  const labels = new Int32Array(n).fill(-1);
+  const rootLabels = new Int32Array(n).fill(-1);
+  const sizes = [];
+  for (let i = 0; i < n; i++) {
+    if (!sim.isOccupied(i)) continue;
+    const root = findRoot(parent, i);
+    if (rootLabels[root] === -1) {
+      rootLabels[root] = sizes.length;
+      sizes.push(0);
+    }
+    labels[i] = rootLabels[root];
+    sizes[labels[i]] += 1;
+  }
+
+  const walls = [];
+  forEachBond(sim, (i, j) => {
+    if (spins[i] !== spins[j]) walls.push(i, j);
+  });
+
+  return {
+    kind,
+    labels,
+    sizes: Int32Array.from(sizes),
+    count: sizes.length,
+    largestFraction:
+      sizes.reduce((largest, size) => Math.max(largest, size), 0) /
+      sim.occupiedCount,
+    interfaceLength: walls.length / 2,
+    walls: Int32Array.from(walls),
+  };
+};
+
+// Cluster-size distribution in logarithmic bins [2^b, 2^(b+1)): every
+// non-empty bin as { size, count, density } with the mean size of its
+// clusters and density = count / bin width / sites, the number of clusters
+// of each size per site, n_s, which falls as a power law s^(-τ) at Tc
+export const clusterSizeHistogram = (sizes, sites) => {
+  const counts = [];
+  const totals = [];
+  for (const size of sizes) {
+    const bin = Math.floor(Math.log2(size));
+    counts[bin] = (counts[bin] || 0) + 1;
+    totals[bin] = (totals[bin] || 0) + size;
+  }
+  const histogram = [];
+  counts.forEach((count, bin) => {
+    histogram.push({
+      size: totals[bin] / count,
+      count,
+      density: count / 2 ** bin / sites,
+    });
+  });
+  return histogram;
+};
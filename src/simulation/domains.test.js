@@ -0,0 +1,124 @@
+import {
+  analyzeDomains,
+  clusterSizeHistogram,
+  supportsClusterKind,
+} from './domains';
+import IsingSimulation from './IsingSimulation';
+import { createRandom } from './random';
+
+// Up spins in the left `width` columns, down spins elsewhere
+const stripe = (sim, width) => {
+  const { size } = sim;
+  sim.restore(
+    Int8Array.from({ length: size * size }, (_, i) =>
+      i % size < width ? 1 : -1
+    )
+  );
+  return sim;
+};
+
+describe('domain analysis', () => {
+  test('a uniform lattice is one domain without walls', () => {
+    const sim = new IsingSimulation({ size: 6, pattern: 'positive' });
+    const domains = analyzeDomains(sim);
+    expect(domains.count).toBe(1);
+    expect(Array.from(domains.sizes)).toEqual([36]);
+    expect(domains.largestFraction).toBe(1);
+    expect(domains.interfaceLength).toBe(0);
+    expect(domains.walls).toHaveLength(0);
+  });
+
+  test('periodic stripes have two walls per row', () => {
+    const sim = stripe(new IsingSimulation({ size: 6 }), 2);
+    const domains = analyzeDomains(sim);
+    expect(domains.count).toBe(2);
+    expect(Array.from(domains.sizes)).toEqual([12, 24]);
+    expect(domains.labels[0]).toBe(0);
+    expect(domains.labels[2]).toBe(1);
+    expect(domains.largestFraction).toBeCloseTo(2 / 3, 12);
+    expect(domains.interfaceLength).toBe(12);
+    // Every wall separates an up from a down spin
+    for (let k = 0; k < domains.walls.length; k += 2) {
+      expect(sim.spins[domains.walls[k]]).not.toBe(
+        sim.spins[domains.walls[k + 1]]
+      );
+    }
+  });
+
+  test('open boundaries do not join across the edge', () => {
+    const sim = stripe(new IsingSimulation({ size: 6, boundary: 'open' }), 2);
+    sim.restore(
+      sim.spins.map((s, i) => (i % 6 === 5 ? 1 : s)),
+      0
+    );
+    const domains = analyzeDomains(sim);
+    expect(domains.count).toBe(3);
+    expect(domains.interfaceLength).toBe(12);
+  });
+
+  test('a checkerboard is all single-site domains', () => {
+    const sim = new IsingSimulation({ size: 4, pattern: 'checkerboard' });
+    const domains = analyzeDomains(sim);
+    expect(domains.count).toBe(16);
+    expect(domains.interfaceLength).toBe(32);
+    // Next-nearest neighbors do not join domains
+    sim.setParameters({ couplingDiagonal: 1 });
+    expect(analyzeDomains(sim).count).toBe(16);
+  });
+
+  test('vacant sites belong to no cluster', () => {
+    const sim = new IsingSimulation({
+      size: 8,
+      pattern: 'positive',
+      dilution: 0.3,
+    });
+    const { labels, sizes } = analyzeDomains(sim);
+    const vacant = Array.from(labels).filter((_, i) => sim.vacancies[i]);
+    expect(vacant.length).toBeGreaterThan(0);
+    expect(vacant.every((label) => label === -1)).toBe(true);
+    expect(sizes.reduce((a, b) => a + b, 0)).toBe(sim.occupiedCount);
+  });
+
+  test('Fortuin–Kasteleyn clusters split domains at high temperature', () => {
+    const sim = new IsingSimulation({
+      size: 8,
+      pattern: 'positive',
+      temperature: 1000,
+    });
+    const random = createRandom(5);
+    const domains = analyzeDomains(sim, { kind: 'fk', random });
+    expect(domains.kind).toBe('fk');
+    expect(domains.count).toBeGreaterThan(50);
+    expect(domains.interfaceLength).toBe(0);
+
+    sim.setParameters({ temperature: 0.01 });
+    expect(analyzeDomains(sim, { kind: 'fk', random }).count).toBe(1);
+  });
+
+  test('leaves the simulation generator alone', () => {
+    const sim = new IsingSimulation({ size: 8, random: createRandom(1) });
+    const state = sim.random.getState();
+    analyzeDomains(sim, { kind: 'fk', random: createRandom(2) });
+    expect(sim.random.getState()).toEqual(state);
+  });
+
+  test('knows which models have which clusters', () => {
+    expect(supportsClusterKind('geometric', 'clock')).toBe(true);
+    expect(supportsClusterKind('geometric', 'xy')).toBe(false);
+    expect(supportsClusterKind('fk', 'potts')).toBe(true);
+    expect(supportsClusterKind('fk', 'clock')).toBe(false);
+    const sim = new IsingSimulation({ size: 4, model: 'xy' });
+    expect(() => analyzeDomains(sim)).toThrow('No geometric clusters');
+  });
+});
+
+describe('cluster size histogram', () => {
+  test('bins sizes by powers of two per site', () => {
+    expect(clusterSizeHistogram([1, 1, 2, 3, 3, 8], 100)).toEqual([
+      { size: 1, count: 2, density: 0.02 },
+      { size: 8 / 3, count: 3, density: 3 / 2 / 100 },
+      { size: 8, count: 1, density: 1 / 8 / 100 },
+    ]);
+    expect(clusterSizeHistogram([], 16)).toEqual([]);
+  });
+});
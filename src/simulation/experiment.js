@@ -0,0 +1,190 @@
+// experiment.js
+// Temperature-sweep experiment: independent runs step through a list of
+// temperatures, equilibrating and then measuring at each one. Every run
+// keeps its own lattice from one temperature to the next, starting from a
+// random configuration at the first. The sweep advances a given number of
+// Monte Carlo sweeps at a time so the caller can interleave it with other
+// work, report progress and cancel it between calls.
+//
+// Each finished temperature adds a point
+//   { temperature, magnetization, specificHeat, susceptibility,
+//     binderCumulant }
+// whose observables are { mean, error } over the runs, with error the
+// standard error of the mean (null for a single run). Runs measure ⟨|m|⟩ and
+// the fluctuation estimates of measurements.js.
+import IsingSimulation from './IsingSimulation';
+import { thermodynamics } from './measurements';
+
+export const DEFAULT_EXPERIMENT = {
+  start: 1.5,
+  end: 3.5,
+  step: 0.1,
+  equilibrationSweeps: 200,
+  measurementSweeps: 500,
+  runs: 3,
+};
+
+export const EXPERIMENT_OBSERVABLES = [
+  'magnetization',
+  'specificHeat',
+  'susceptibility',
+  'binderCumulant',
+];
+
+// Temperatures from start to end inclusive, `step` apart; the sweep goes
+// down when end < start
+export const temperatureSteps = ({ start, end, step }) => {
+  if (!(step > 0)) throw new Error('Temperature step must be positive');
+  if (!(start > 0 && end > 0)) {
+    throw new Error('Temperatures must be positive');
+  }
+  const count = Math.floor(Math.abs(end - start) / step + 1e-9) + 1;
+  const direction = end >= start ? 1 : -1;
+  return Array.from({ length: count }, (_, k) =>
+    // Round away the drift of repeated addition
+    Number((start + direction * k * step).toFixed(10))
+  );
+};
+
+export const validateExperiment = ({
+  equilibrationSweeps,
+  measurementSweeps,
+  runs,
+}) => {
+  if (!(Number.isInteger(equilibrationSweeps) && equilibrationSweeps >= 0)) {
+    throw new Error('Equilibration needs a whole number of sweeps');
+  }
+  if (!(Number.isInteger(measurementSweeps) && measurementSweeps >= 2)) {
+    throw new Error('Measurements need 2 or more sweeps');
+  }
+  if (!(Number.isInteger(runs) && runs >= 1)) {
+    throw new Error('An experiment needs at least one run');
+  }
+};
+
+// Mean and standard error of the mean of the values, skipping nulls
+const summarize = (values) => {
+  const defined = values.filter((value) => value !== null);
+  const n = defined.length;
+  if (n === 0) return { mean: null, error: null };
+  const mean = defined.reduce((sum, value) => sum + value, 0) / n;
+  if (n === 1) return { mean, error: null };
+  const variance =
+    defined.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+  return { mean, error: Math.sqrt(variance / n) };
+};
+
+// `parameters` are IsingSimulation options shared by every run; the sweep
+// sets their temperature
+export const createTemperatureSweep = ({
+  settings = DEFAULT_EXPERIMENT,
+  size,
+  parameters = {},
+  random = Math.random,
+}) => {
+  validateExperiment(settings);
+  const { equilibrationSweeps, measurementSweeps, runs } = settings;
+  const temperatures = temperatureSteps(settings);
+  const simulations = Array.from(
+    { length: runs },
+    () =>
+      new IsingSimulation({
+        ...parameters,
+        size,
+        temperature: temperatures[0],
+        pattern: 'random',
+        random,
+      })
+  );
+  const sweepsPerRun = equilibrationSweeps + measurementSweeps;
+  const total = temperatures.length * runs * sweepsPerRun;
+  const points = [];
+
+  let done = 0;
+  let temperatureIndex = 0;
+  let run = 0;
+  let sweep = 0; // Sweeps of the current run at the current temperature
+  let sums = null; // Σ e, e², |m|, m², m⁴ of the current run
+  let results = []; // Thermodynamics of the finished runs at this temperature
+
+  const finishTemperature = () => {
+    const temperature = temperatures[temperatureIndex];
+    points.push({
+      temperature,
+      ...Object.fromEntries(
+        EXPERIMENT_OBSERVABLES.map((name) => [
+          name,
+          summarize(results.map((result) => result[name])),
+        ])
+      ),
+    });
+    results = [];
+    run = 0;
+    temperatureIndex += 1;
+    if (temperatureIndex < temperatures.length) {
+      for (const simulation of simulations) {
+        simulation.setParameters({
+          temperature: temperatures[temperatureIndex],
+        });
+      }
+    }
+  };
+
+  const finishRun = () => {
+    const simulation = simulations[run];
+    const moments = Object.fromEntries(
+      Object.entries(sums).map(([name, sum]) => [name, sum / measurementSweeps])
+    );
+    results.push(
+      thermodynamics(moments, {
+        temperature: simulation.temperature,
+        spins: simulation.occupiedCount,
+      })
+    );
+    sweep = 0;
+    run += 1;
+    if (run === runs) finishTemperature();
+  };
+
+  // One Monte Carlo sweep of the current run
+  const step = () => {
+    const simulation = simulations[run];
+    simulation.sweep();
+    sweep += 1;
+    done += 1;
+    if (sweep === equilibrationSweeps + 1) {
+      sums = { energy: 0, energySquared: 0, magnetization: 0, m2: 0, m4: 0 };
+    }
+    if (sweep > equilibrationSweeps) {
+      const e = simulation.energy();
+      const m = simulation.orderParameter();
+      sums.energy += e;
+      sums.energySquared += e * e;
+      sums.magnetization += m;
+      sums.m2 += m * m;
+      sums.m4 += m * m * m * m;
+    }
+    if (sweep === sweepsPerRun) finishRun();
+  };
+
+  return {
+    temperatures,
+    total,
+    points,
+    get done() {
+      return done;
+    },
+    get finished() {
+      return done === total;
+    },
+    // Temperature currently being simulated
+    get temperature() {
+      return temperatures[Math.min(temperatureIndex, temperatures.length - 1)];
+    },
+    // Run up to `sweeps` more sweeps; returns the number of sweeps left
+    advance(sweeps) {
+      for (let k = 0; k < sweeps && done < total; k++) step();
+      return total - done;
+    },
+  };
+};
@@ -0,0 +1,83 @@
+import { createTemperatureSweep, temperatureSteps } from './experiment';
+import { createRandom } from './random';
+
+describe('temperature sweep', () => {
+  test('steps include both ends in either direction', () => {
+    expect(temperatureSteps({ start: 1, end: 2, step: 0.25 })).toEqual([
+      1, 1.25, 1.5, 1.75, 2,
+    ]);
+    expect(temperatureSteps({ start: 3, end: 2.8, step: 0.1 })).toEqual([
+      3, 2.9, 2.8,
+    ]);
+    expect(temperatureSteps({ start: 2, end: 2.35, step: 0.1 })).toEqual([
+      2, 2.1, 2.2, 2.3,
+    ]);
+    expect(() => temperatureSteps({ start: 1, end: 2, step: 0 })).toThrow(
+      /step/
+    );
+  });
+
+  test('reports progress and one point per temperature', () => {
+    const sweep = createTemperatureSweep({
+      settings: {
+        start: 1.5,
+        end: 3.5,
+        step: 2,
+        equilibrationSweeps: 100,
+        measurementSweeps: 200,
+        runs: 3,
+      },
+      size: 12,
+      random: createRandom(51),
+    });
+    expect(sweep.total).toBe(2 * 3 * 300);
+    expect(sweep.advance(899)).toBe(901);
+    expect(sweep.points).toHaveLength(0);
+    expect(sweep.temperature).toBe(1.5);
+    sweep.advance(1);
+    expect(sweep.points).toHaveLength(1);
+    expect(sweep.temperature).toBe(3.5);
+    expect(sweep.advance(10000)).toBe(0);
+    expect(sweep.finished).toBe(true);
+
+    const [cold, hot] = sweep.points;
+    expect(cold.temperature).toBe(1.5);
+    expect(cold.magnetization.mean).toBeGreaterThan(0.9);
+    expect(hot.magnetization.mean).toBeLessThan(0.4);
+    expect(cold.magnetization.error).toBeGreaterThan(0);
+    expect(hot.susceptibility.mean).toBeGreaterThan(cold.susceptibility.mean);
+    expect(hot.binderCumulant.mean).toBeLessThan(cold.binderCumulant.mean);
+  });
+
+  test('a single run has no error bars', () => {
+    const sweep = createTemperatureSweep({
+      settings: {
+        start: 2,
+        end: 2,
+        step: 0.1,
+        equilibrationSweeps: 0,
+        measurementSweeps: 10,
+        runs: 1,
+      },
+      size: 6,
+      parameters: { model: 'potts', q: 3 },
+      random: createRandom(52),
+    });
+    sweep.advance(10);
+    const [point] = sweep.points;
+    expect(point.specificHeat.mean).toBeGreaterThanOrEqual(0);
+    expect(point.specificHeat.error).toBeNull();
+  });
+
+  test('rejects invalid settings', () => {
+    const settings = {
+      start: 1,
+      end: 2,
+      step: 0.5,
+      equilibrationSweeps: 10,
+      measurementSweeps: 10,
+      runs: 0,
+    };
+    expect(() => createTemperatureSweep({ settings, size: 4 })).toThrow(/run/);
+  });
+});
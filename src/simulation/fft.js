@@ -0,0 +1,132 @@
+// fft.js
+// Fast Fourier transforms of complex data held as separate real and
+// imaginary Float64Arrays, transformed in place. Powers of two use the
+// iterative radix-2 Cooley–Tukey algorithm; other lengths go through
+// Bluestein's chirp z-transform, which rewrites them as a power-of-two
+// convolution, so every lattice size costs O(n log n).
+//
+// The forward transform is X_k = Σ_j x_j e^(-2πi jk / n); the inverse has
+// the opposite sign and divides by n, so inverse(forward(x)) = x. fft2
+// transforms a width × height grid stored row by row, as the lattice is.
+
+const isPowerOfTwo = (n) => n > 0 && (n & (n - 1)) === 0;
+
+// Unscaled radix-2 transform; n must be a power of two
+const radix2 = (re, im, inverse) => {
+  const n = re.length;
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      [re[i], re[j]] = [re[j], re[i]];
+      [im[i], im[j]] = [im[j], im[i]];
+    }
+  }
+  const sign = inverse ? 1 : -1;
+  for (let length = 2; length <= n; length <<= 1) {
+    const half = length >> 1;
+    const angle = (sign * 2 * Math.PI) / length;
+    for (let k = 0; k < half; k++) {
+      const wr = Math.cos(angle * k);
+      const wi = Math.sin(angle * k);
+      for (let start = 0; start < n; start += length) {
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+};
+
+// Unscaled transform of any length by Bluestein's algorithm
+const bluestein = (re, im, inverse) => {
+  const n = re.length;
+  let m = 1;
+  while (m < 2 * n - 1) m <<= 1;
+  const sign = inverse ? 1 : -1;
+  // Chirp e^(±πi k² / n), with k² reduced mod 2n to keep the angle exact
+  const chirpRe = new Float64Array(n);
+  const chirpIm = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    const angle = (sign * Math.PI * ((k * k) % (2 * n))) / n;
+    chirpRe[k] = Math.cos(angle);
+    chirpIm[k] = Math.sin(angle);
+  }
+  const aRe = new Float64Array(m);
+  const aIm = new Float64Array(m);
+  const bRe = new Float64Array(m);
+  const bIm = new Float64Array(m);
+  for (let k = 0; k < n; k++) {
+    aRe[k] = re[k] * chirpRe[k] - im[k] * chirpIm[k];
+    aIm[k] = re[k] * chirpIm[k] + im[k] * chirpRe[k];
+  }
+  bRe[0] = chirpRe[0];
+  bIm[0] = -chirpIm[0];
+  for (let k = 1; k < n; k++) {
+    bRe[k] = bRe[m - k] = chirpRe[k];
+    bIm[k] = bIm[m - k] = -chirpIm[k];
+  }
+  radix2(aRe, aIm, false);
+  radix2(bRe, bIm, false);
+  for (let k = 0; k < m; k++) {
+    const r = aRe[k] * bRe[k] - aIm[k] * bIm[k];
+    aIm[k] = aRe[k] * bIm[k] + aIm[k] * bRe[k];
+    aRe[k] = r;
+  }
+  radix2(aRe, aIm, true);
+  for (let k = 0; k < n; k++) {
+    const cr = aRe[k] / m;
+    const ci = aIm[k] / m;
+    re[k] = cr * chirpRe[k] - ci * chirpIm[k];
+    im[k] = cr * chirpIm[k] + ci * chirpRe[k];
+  }
+};
+
+export const fft = (re, im, inverse = false) => {
+  const n = re.length;
+  if (im.length !== n) {
+    throw new Error('Real and imaginary parts must have the same length');
+  }
+  if (n <= 1) return;
+  if (isPowerOfTwo(n)) radix2(re, im, inverse);
+  else bluestein(re, im, inverse);
+  if (inverse) {
+    for (let k = 0; k < n; k++) {
+      re[k] /= n;
+      im[k] /= n;
+    }
+  }
+};
+
+export const fft2 = (re, im, width, height, inverse = false) => {
+  if (re.length !== width * height || im.length !== width * height) {
+    throw new Error(`The data does not fit a ${width} × ${height} grid`);
+  }
+  for (let y = 0; y < height; y++) {
+    fft(
+      re.subarray(y * width, (y + 1) * width),
+      im.subarray(y * width, (y + 1) * width),
+      inverse
+    );
+  }
+  const columnRe = new Float64Array(height);
+  const columnIm = new Float64Array(height);
+  for (let x = 0; x < width; x++) {
+    for (let y = 0; y < height; y++) {
+      columnRe[y] = re[y * width + x];
+      columnIm[y] = im[y * width + x];
+    }
+    fft(columnRe, columnIm, inverse);
+    for (let y = 0; y < height; y++) {
+      re[y * width + x] = columnRe[y];
+      im[y * width + x] = columnIm[y];
+    }
+  }
+};
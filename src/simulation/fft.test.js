@@ -0,0 +1,81 @@
+import { fft, fft2 } from './fft';
+
+// Naive O(n²) DFT for reference
+const dft = (re, im, inverse = false) => {
+  const n = re.length;
+  const sign = inverse ? 1 : -1;
+  const outRe = new Float64Array(n);
+  const outIm = new Float64Array(n);
+  for (let k = 0; k < n; k++) {
+    for (let j = 0; j < n; j++) {
+      const angle = (sign * 2 * Math.PI * j * k) / n;
+      outRe[k] += re[j] * Math.cos(angle) - im[j] * Math.sin(angle);
+      outIm[k] += re[j] * Math.sin(angle) + im[j] * Math.cos(angle);
+    }
+  }
+  return [outRe, outIm];
+};
+
+const signal = (n, offset = 0) => [
+  Float64Array.from({ length: n }, (_, j) => Math.sin(j * 1.3 + offset) + j),
+  Float64Array.from({ length: n }, (_, j) => Math.cos(j * 0.7 - offset)),
+];
+
+const expectClose = (actual, expected) => {
+  expect(actual).toHaveLength(expected.length);
+  actual.forEach((value, i) => expect(value).toBeCloseTo(expected[i], 8));
+};
+
+describe('fast Fourier transform', () => {
+  test.each([1, 2, 8, 64, 3, 12, 50])('matches the DFT at length %i', (n) => {
+    const [re, im] = signal(n);
+    const [expectedRe, expectedIm] = dft(re, im);
+    fft(re, im);
+    expectClose(re, expectedRe);
+    expectClose(im, expectedIm);
+  });
+
+  test.each([16, 20])('inverts itself at length %i', (n) => {
+    const [re, im] = signal(n, 0.5);
+    const [originalRe, originalIm] = [re.slice(), im.slice()];
+    fft(re, im);
+    fft(re, im, true);
+    expectClose(re, originalRe);
+    expectClose(im, originalIm);
+  });
+
+  test('transforms grids row by row and column by column', () => {
+    const width = 4;
+    const height = 3;
+    const [re, im] = signal(width * height);
+    // The 2D DFT, written out
+    const expectedRe = new Float64Array(width * height);
+    const expectedIm = new Float64Array(width * height);
+    for (let v = 0; v < height; v++) {
+      for (let u = 0; u < width; u++) {
+        for (let y = 0; y < height; y++) {
+          for (let x = 0; x < width; x++) {
+            const angle = -2 * Math.PI * ((u * x) / width + (v * y) / height);
+            const i = y * width + x;
+            expectedRe[v * width + u] +=
+              re[i] * Math.cos(angle) - im[i] * Math.sin(angle);
+            expectedIm[v * width + u] +=
+              re[i] * Math.sin(angle) + im[i] * Math.cos(angle);
+          }
+        }
+      }
+    }
+    fft2(re, im, width, height);
+    expectClose(re, expectedRe);
+    expectClose(im, expectedIm);
+  });
+
+  test('rejects mismatched data', () => {
+    expect(() => fft(new Float64Array(4), new Float64Array(3))).toThrow(
+      'same length'
+    );
+    expect(() => fft2(new Float64Array(6), new Float64Array(6), 4, 2)).toThrow(
+      '4 × 2'
+    );
+  });
+});
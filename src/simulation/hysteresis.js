@@ -0,0 +1,108 @@
+// hysteresis.js
+// Hysteresis loop: the external field follows a triangle wave from -h_max up
+// to +h_max and back, moving `rate` per sweep, while the magnetization after
+// every sweep is recorded. Each cycle notes where its two branches cross
+//   coercive  m = 0, the field that reverses the magnetization
+//   remanence h = 0, the magnetization left once the field is removed
+// by linear interpolation between consecutive samples. The first crossing of
+// a branch counts, so thermal noise near the crossing cannot register twice.
+
+export const DEFAULT_HYSTERESIS = { fieldMax: 2, rate: 0.01 };
+
+export const validateHysteresis = ({ fieldMax, rate }) => {
+  if (!(fieldMax > 0)) {
+    throw new Error(`The field amplitude must be positive, got ${fieldMax}`);
+  }
+  if (!(rate > 0 && rate <= fieldMax)) {
+    throw new Error(`The field rate must be in (0, h_max], got ${rate}`);
+  }
+};
+
+// Half-widths of a cycle's loop, or null until both branches have crossed
+export const loopWidths = ({ coercive, remanence }) => ({
+  coerciveField:
+    coercive.increasing === null || coercive.decreasing === null
+      ? null
+      : (coercive.increasing - coercive.decreasing) / 2,
+  remanence:
+    remanence.increasing === null || remanence.decreasing === null
+      ? null
+      : (remanence.decreasing - remanence.increasing) / 2,
+});
+
+const emptyCycle = (cycle) => ({
+  cycle,
+  coercive: { increasing: null, decreasing: null },
+  remanence: { increasing: null, decreasing: null },
+});
+
+// Where the segment from (a0, b0) to (a1, b1) crosses a = 0
+const interpolate = (a0, b0, a1, b1) => b0 + ((b1 - b0) * -a0) / (a1 - a0);
+
+export const createHysteresisLoop = (settings = DEFAULT_HYSTERESIS) => {
+  validateHysteresis(settings);
+  const { fieldMax, rate } = settings;
+  const period = 4 * fieldMax;
+  const cycles = [];
+  let steps = 0;
+  let previous = null; // Last recorded { field, magnetization, increasing }
+
+  // Field and branch after `steps` steps; the field is computed from the step
+  // count rather than accumulated so it never drifts
+  const position = (n) => {
+    const travel = n * rate;
+    const cycle = Math.floor(travel / period);
+    const phase = travel - cycle * period;
+    const increasing = phase < 2 * fieldMax;
+    return {
+      cycle,
+      increasing,
+      field: increasing ? phase - fieldMax : 3 * fieldMax - phase,
+    };
+  };
+
+  // Field for the next sweep
+  const next = () => {
+    steps += 1;
+    return position(steps - 1).field;
+  };
+
+  // Record the magnetization reached at the field returned by next()
+  const record = (magnetization) => {
+    const { cycle, increasing, field } = position(steps - 1);
+    if (cycles.length === 0 || cycles[cycles.length - 1].cycle !== cycle) {
+      cycles.push(emptyCycle(cycle));
+    }
+    const current = cycles[cycles.length - 1];
+    const branch = increasing ? 'increasing' : 'decreasing';
+    const sign = increasing ? 1 : -1;
+    if (previous && previous.increasing === increasing) {
+      const { field: h0, magnetization: m0 } = previous;
+      if (
+        current.coercive[branch] === null &&
+        sign * m0 < 0 &&
+        sign * magnetization >= 0
+      ) {
+        current.coercive[branch] = interpolate(m0, h0, magnetization, field);
+      }
+      if (
+        current.remanence[branch] === null &&
+        sign * h0 < 0 &&
+        sign * field >= 0
+      ) {
+        current.remanence[branch] = interpolate(h0, m0, field, magnetization);
+      }
+    }
+    previous = { field, magnetization, increasing };
+  };
+
+  return {
+    cycles,
+    next,
+    record,
+    // Field of the most recent sweep
+    get field() {
+      return position(Math.max(0, steps - 1)).field;
+    },
+  };
+};
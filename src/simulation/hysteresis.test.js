@@ -0,0 +1,75 @@
+import IsingSimulation from './IsingSimulation';
+import { createHysteresisLoop, loopWidths } from './hysteresis';
+import { createRandom } from './random';
+
+// Drive the loop for `steps` sweeps with m = response(h, increasing)
+const drive = (loop, steps, response) => {
+  const fields = [];
+  let previous = -Infinity;
+  for (let k = 0; k < steps; k++) {
+    const field = loop.next();
+    fields.push(field);
+    loop.record(response(field, field > previous));
+    previous = field;
+  }
+  return fields;
+};
+
+describe('hysteresis loop', () => {
+  test('the field follows a triangle wave from -h_max', () => {
+    const loop = createHysteresisLoop({ fieldMax: 1, rate: 0.5 });
+    const fields = drive(loop, 10, () => 0);
+    expect(fields).toEqual([-1, -0.5, 0, 0.5, 1, 0.5, 0, -0.5, -1, -0.5]);
+    expect(loop.field).toBe(-0.5);
+    expect(loop.cycles.map(({ cycle }) => cycle)).toEqual([0, 1]);
+  });
+
+  test('records the coercive field and remanence of every cycle', () => {
+    const loop = createHysteresisLoop({ fieldMax: 2, rate: 0.1 });
+    // A square-ish loop reversing at h = ±0.5
+    drive(loop, 110, (h, increasing) =>
+      Math.tanh(4 * (h + (increasing ? -0.5 : 0.5)))
+    );
+    const [first, second] = loop.cycles;
+    expect(first.coercive.increasing).toBeCloseTo(0.5, 5);
+    expect(first.coercive.decreasing).toBeCloseTo(-0.5, 5);
+    expect(first.remanence.increasing).toBeCloseTo(Math.tanh(-2), 2);
+    expect(first.remanence.decreasing).toBeCloseTo(Math.tanh(2), 2);
+    const { coerciveField, remanence } = loopWidths(first);
+    expect(coerciveField).toBeCloseTo(0.5, 5);
+    expect(remanence).toBeCloseTo(Math.tanh(2), 2);
+    // The second cycle has only been through its increasing branch
+    expect(second.coercive.increasing).toBeCloseTo(0.5, 5);
+    expect(second.coercive.decreasing).toBeNull();
+    expect(loopWidths(second)).toEqual({
+      coerciveField: null,
+      remanence: null,
+    });
+  });
+
+  test('rejects invalid settings', () => {
+    expect(() => createHysteresisLoop({ fieldMax: 0, rate: 0.1 })).toThrow(
+      /amplitude/
+    );
+    expect(() => createHysteresisLoop({ fieldMax: 1, rate: 0 })).toThrow(
+      /rate/
+    );
+  });
+
+  test('an ordered Ising magnet remembers its magnetization', () => {
+    const simulation = new IsingSimulation({
+      size: 16,
+      temperature: 1.5,
+      random: createRandom(71),
+    });
+    const loop = createHysteresisLoop({ fieldMax: 3, rate: 0.05 });
+    for (let k = 0; k < 240; k++) {
+      simulation.setParameters({ externalField: loop.next() });
+      simulation.sweep();
+      loop.record(simulation.magnetization());
+    }
+    const { coerciveField, remanence } = loopWidths(loop.cycles[0]);
+    expect(coerciveField).toBeGreaterThan(0.3);
+    expect(remanence).toBeGreaterThan(0.9);
+  });
+});
@@ -0,0 +1,219 @@
+// images.js
+// Spin configurations to and from images. Imported images are reduced to a
+// gray level per pixel (0 black, 1 white), resampled onto the lattice by
+// averaging the pixels that fall in each site and thresholded: dark sites
+// become up spins and light ones down, or the reverse with `invert`. PNGs
+// are decoded by the browser; the Netpbm formats are parsed here:
+//   P1 / P4  PBM, ASCII / binary bitmaps, 1 is black
+//   P2 / P5  PGM, ASCII / binary gray maps
+//   P3 / P6  PPM, ASCII / binary color maps, reduced to luminance
+// Exports go the other way, one pixel per spin: Ising lattices as binary PBM
+// with up spins black, so that exporting and importing again round-trips,
+// and other models as binary PGM with state 0 black, the other states
+// lighter in turn and XY angles shaded from black at θ = 0 towards white.
+import { createSpins, downSpin, stateCount, upSpin } from './spinModels';
+
+const isSpace = (byte) =>
+  byte === 0x20 || byte === 0x09 || byte === 0x0a || byte === 0x0d;
+
+// Reads whitespace-separated header and ASCII tokens, skipping comments
+const createReader = (bytes) => {
+  let position = 0;
+  const skip = () => {
+    while (position < bytes.length) {
+      if (isSpace(bytes[position])) {
+        position += 1;
+      } else if (bytes[position] === 0x23) {
+        // '#' comments run to the end of the line
+        while (position < bytes.length && bytes[position] !== 0x0a) {
+          position += 1;
+        }
+      } else {
+        break;
+      }
+    }
+  };
+  const token = () => {
+    skip();
+    const start = position;
+    while (position < bytes.length && !isSpace(bytes[position])) {
+      position += 1;
+    }
+    if (start === position) throw new Error('The image data is truncated');
+    return String.fromCharCode(...bytes.subarray(start, position));
+  };
+  const integer = (what) => {
+    const text = token();
+    if (!/^\d+$/.test(text)) throw new Error(`Invalid ${what} in the image`);
+    return Number(text);
+  };
+  // P1 pixels may run together without whitespace
+  const bit = () => {
+    skip();
+    const byte = bytes[position];
+    if (byte !== 0x30 && byte !== 0x31) {
+      throw new Error('The image data is truncated or corrupt');
+    }
+    position += 1;
+    return byte - 0x30;
+  };
+  return {
+    token,
+    integer,
+    bit,
+    // Binary data starts after exactly one whitespace byte
+    binary: () => bytes.subarray(position + 1),
+  };
+};
+
+// { width, height, gray } from the bytes of a PBM, PGM or PPM file
+export const parsePortableMap = (bytes) => {
+  const reader = createReader(bytes);
+  const magic = bytes.length >= 2 ? reader.token() : '';
+  if (!/^P[1-6]$/.test(magic)) {
+    throw new Error('Not a PBM, PGM or PPM image');
+  }
+  const kind = Number(magic[1]);
+  const width = reader.integer('width');
+  const height = reader.integer('height');
+  if (width === 0 || height === 0) throw new Error('The image is empty');
+  const bitmap = kind === 1 || kind === 4;
+  const maxval = bitmap ? 1 : reader.integer('maximum value');
+  if (!bitmap && !(maxval >= 1 && maxval < 65536)) {
+    throw new Error(`Invalid maximum value ${maxval} in the image`);
+  }
+  const channels = kind === 3 || kind === 6 ? 3 : 1;
+  const n = width * height;
+  const gray = new Float32Array(n);
+
+  // Samples of one pixel in [0, 1] to its gray level
+  const level = (samples) =>
+    channels === 1
+      ? samples[0]
+      : 0.2126 * samples[0] + 0.7152 * samples[1] + 0.0722 * samples[2];
+
+  if (kind === 1) {
+    for (let i = 0; i < n; i++) gray[i] = 1 - reader.bit();
+  } else if (kind === 4) {
+    const data = reader.binary();
+    const rowBytes = Math.ceil(width / 8);
+    if (data.length < rowBytes * height) {
+      throw new Error('The image data is truncated');
+    }
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const byte = data[y * rowBytes + (x >> 3)];
+        gray[y * width + x] = (byte >> (7 - (x & 7))) & 1 ? 0 : 1;
+      }
+    }
+  } else if (kind === 2 || kind === 3) {
+    for (let i = 0; i < n; i++) {
+      const samples = Array.from(
+        { length: channels },
+        () => Math.min(reader.integer('sample'), maxval) / maxval
+      );
+      gray[i] = level(samples);
+    }
+  } else {
+    const data = reader.binary();
+    const sampleBytes = maxval < 256 ? 1 : 2;
+    if (data.length < n * channels * sampleBytes) {
+      throw new Error('The image data is truncated');
+    }
+    const sample = (k) =>
+      sampleBytes === 1 ? data[k] : (data[2 * k] << 8) | data[2 * k + 1];
+    for (let i = 0; i < n; i++) {
+      const samples = Array.from(
+        { length: channels },
+        (_, c) => Math.min(sample(i * channels + c), maxval) / maxval
+      );
+      gray[i] = level(samples);
+    }
+  }
+  return { width, height, gray };
+};
+
+// size × size gray levels: each site averages the pixels whose centers fall
+// inside it, or takes the pixel under its center when the image is smaller
+// than the lattice
+export const resampleGray = ({ width, height, gray }, size) => {
+  const sums = new Float64Array(size * size);
+  const counts = new Uint32Array(size * size);
+  for (let y = 0; y < height; y++) {
+    const row = Math.floor(((y + 0.5) * size) / height);
+    for (let x = 0; x < width; x++) {
+      const site = row * size + Math.floor(((x + 0.5) * size) / width);
+      sums[site] += gray[y * width + x];
+      counts[site] += 1;
+    }
+  }
+  return Float32Array.from(sums, (sum, i) => {
+    if (counts[i] > 0) return sum / counts[i];
+    const x = Math.floor((((i % size) + 0.5) * width) / size);
+    const y = Math.floor(((Math.floor(i / size) + 0.5) * height) / size);
+    return gray[y * width + x];
+  });
+};
+
+// Spins of a size × size lattice from an image
+export const imageToSpins = (
+  image,
+  size,
+  { threshold = 0.5, invert = false, model = 'ising', q = 2 } = {}
+) => {
+  const levels = resampleGray(image, size);
+  const spins = createSpins(model, size * size);
+  const up = upSpin(model);
+  const down = downSpin(model, q);
+  levels.forEach((level, i) => {
+    const dark = level < threshold;
+    spins[i] = dark !== invert ? up : down;
+  });
+  return spins;
+};
+
+const header = (magic, size, maxval) =>
+  Uint8Array.from(
+    `${magic}\n${size} ${size}\n${maxval ? `${maxval}\n` : ''}`,
+    (char) => char.charCodeAt(0)
+  );
+
+const concat = (head, body) => {
+  const bytes = new Uint8Array(head.length + body.length);
+  bytes.set(head);
+  bytes.set(body, head.length);
+  return bytes;
+};
+
+// { bytes, extension, type } of a one-pixel-per-spin Netpbm image
+export const encodePortableMap = (spins, size, model, q) => {
+  if (model === 'ising') {
+    const rowBytes = Math.ceil(size / 8);
+    const body = new Uint8Array(rowBytes * size);
+    for (let y = 0; y < size; y++) {
+      for (let x = 0; x < size; x++) {
+        if (spins[y * size + x] === 1) {
+          body[y * rowBytes + (x >> 3)] |= 0x80 >> (x & 7);
+        }
+      }
+    }
+    return {
+      bytes: concat(header('P4', size), body),
+      extension: 'pbm',
+      type: 'image/x-portable-bitmap',
+    };
+  }
+  const body =
+    model === 'xy'
+      ? Uint8Array.from(spins, (angle) =>
+          Math.round((255 * angle) / (2 * Math.PI))
+        )
+      : Uint8Array.from(spins, (state) =>
+          Math.round((255 * state) / (stateCount(model, q) - 1))
+        );
+  return {
+    bytes: concat(header('P5', size, 255), body),
+    extension: 'pgm',
+    type: 'image/x-portable-graymap',
+  };
+};
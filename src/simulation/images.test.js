@@ -0,0 +1,130 @@
+import {
+  encodePortableMap,
+  imageToSpins,
+  parsePortableMap,
+  resampleGray,
+} from './images';
+
+const bytes = (text) => Uint8Array.from(text, (char) => char.charCodeAt(0));
+
+const withBody = (head, body) => {
+  const data = new Uint8Array(head.length + body.length);
+  data.set(bytes(head));
+  data.set(body, head.length);
+  return data;
+};
+
+describe('image import and export', () => {
+  test('reads ASCII bitmaps with comments and packed pixels', () => {
+    const image = parsePortableMap(bytes('P1\n# a comment\n3 2\n101\n0 1 0\n'));
+    expect(image.width).toBe(3);
+    expect(image.height).toBe(2);
+    expect(Array.from(image.gray)).toEqual([0, 1, 0, 1, 0, 1]);
+  });
+
+  test('reads binary bitmaps with padded rows', () => {
+    const image = parsePortableMap(
+      withBody('P4\n10 2\n', [0b10000000, 0b01000000, 0b00000000, 0b11000000])
+    );
+    expect(image.gray[0]).toBe(0);
+    expect(image.gray[1]).toBe(1);
+    expect(image.gray[9]).toBe(0);
+    expect(image.gray[10 + 8]).toBe(0);
+    expect(image.gray[10 + 9]).toBe(0);
+    expect(image.gray[10]).toBe(1);
+  });
+
+  test('scales gray maps by their maximum value', () => {
+    expect(Array.from(parsePortableMap(bytes('P2 2 1 4 0 4')).gray)).toEqual([
+      0, 1,
+    ]);
+    expect(
+      Array.from(parsePortableMap(withBody('P5 2 1 255\n', [0, 255])).gray)
+    ).toEqual([0, 1]);
+    const deep = parsePortableMap(withBody('P5 1 1 65535\n', [0x80, 0x00]))
+      .gray[0];
+    expect(deep).toBeCloseTo(0.5, 4);
+  });
+
+  test('reduces color maps to luminance', () => {
+    const image = parsePortableMap(
+      withBody('P6 2 1 255\n', [255, 255, 255, 0, 0, 255])
+    );
+    expect(image.gray[0]).toBeCloseTo(1);
+    expect(image.gray[1]).toBeCloseTo(0.0722);
+  });
+
+  test.each([
+    ['other files', bytes('GIF89a'), /Not a PBM/],
+    ['empty images', bytes('P1 0 3'), /empty/],
+    ['truncated binary data', withBody('P5 4 4 255\n', [1, 2, 3]), /truncated/],
+    ['bad pixels', bytes('P1 2 1 1 7'), /truncated or corrupt/],
+    ['bad maximum values', bytes('P2 1 1 70000 1'), /maximum value/],
+  ])('rejects %s', (_, data, message) => {
+    expect(() => parsePortableMap(data)).toThrow(message);
+  });
+
+  test('averages pixels when shrinking and repeats them when growing', () => {
+    const image = {
+      width: 4,
+      height: 2,
+      gray: Float32Array.from([0, 1, 1, 1, 0, 0, 1, 1]),
+    };
+    expect(Array.from(resampleGray(image, 2))).toEqual([0.5, 1, 0, 1]);
+    expect(Array.from(resampleGray(image, 1))).toEqual([0.625]);
+    const grown = resampleGray({ width: 1, height: 1, gray: [0.3] }, 3);
+    grown.forEach((level) => expect(level).toBeCloseTo(0.3));
+  });
+
+  test('thresholds dark sites to up spins', () => {
+    const image = { width: 2, height: 1, gray: [0.2, 0.8] };
+    expect(Array.from(imageToSpins(image, 2))).toEqual([1, -1, 1, -1]);
+    expect(Array.from(imageToSpins(image, 2, { threshold: 0.1 }))).toEqual([
+      -1, -1, -1, -1,
+    ]);
+    expect(Array.from(imageToSpins(image, 2, { invert: true }))).toEqual([
+      -1, 1, -1, 1,
+    ]);
+    const potts = imageToSpins(image, 2, { model: 'potts', q: 5 });
+    expect(potts).toBeInstanceOf(Int8Array);
+    expect(Array.from(potts)).toEqual([0, 2, 0, 2]);
+    const xy = imageToSpins(image, 2, { model: 'xy' });
+    expect(Array.from(xy)).toEqual([0, Math.PI, 0, Math.PI]);
+  });
+
+  test('Ising lattices round-trip through PBM', () => {
+    let state = 7;
+    const spins = Int8Array.from({ length: 121 }, () => {
+      state = (state * 1103515245 + 12345) % 2147483648;
+      return state % 3 === 0 ? 1 : -1;
+    });
+    const { bytes: data, extension } = encodePortableMap(spins, 11, 'ising', 2);
+    expect(extension).toBe('pbm');
+    expect(data).toHaveLength('P4\n11 11\n'.length + 2 * 11);
+    const image = parsePortableMap(data);
+    expect(imageToSpins(image, 11)).toEqual(spins);
+  });
+
+  test('other models export gray levels per state', () => {
+    const potts = encodePortableMap(
+      Int8Array.from([0, 1, 2, 0]),
+      2,
+      'potts',
+      3
+    );
+    expect(potts.extension).toBe('pgm');
+    const states = parsePortableMap(potts.bytes).gray;
+    [0, 128 / 255, 1, 0].forEach((level, i) =>
+      expect(states[i]).toBeCloseTo(level)
+    );
+    const xy = encodePortableMap(
+      Float64Array.from([0, Math.PI, 0, Math.PI]),
+      2,
+      'xy',
+      2
+    );
+    const levels = parsePortableMap(xy.bytes).gray;
+    expect(levels[0]).toBe(0);
+    expect(levels[1]).toBeCloseTo(128 / 255);
+  });
+});
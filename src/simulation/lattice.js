@@ -0,0 +1,350 @@
+// lattice.js
+// Neighbor tables and layout for the simulation. Every lattice is stored on
+// a size × size grid indexed as y * size + x:
+//   square      4 neighbors
+//   triangular  6 neighbors; odd rows are shifted half a cell to the right,
+//               so each site is drawn as a hexagon
+//   honeycomb   3 neighbors in the brick-wall representation: left, right
+//               and one vertical bond, up when x + y is even. Sites are drawn
+//               as alternating ▼/▲ triangles.
+//
+// Every site has `coordination` slots; each slot holds a neighbor index,
+// NO_NEIGHBOR for a free edge, or GHOST for a bond to the fixed frame of spins
+// surrounding the lattice. `signs` flips the coupling of bonds that wrap
+// across an antiperiodic seam, `bondKinds` says which coupling constant
+// (horizontal, vertical or diagonal) each slot carries and `bondDx` how far
+// the neighbor lies to the right, in layout units. Square lattices can
+// add four diagonal next-nearest-neighbor slots for J1–J2 models.
+
+export const LATTICE_TYPES = ['square', 'triangular', 'honeycomb'];
+
+export const BOUNDARIES = [
+  'periodic',
+  'open',
+  'fixedUp',
+  'fixedDown',
+  'antiperiodic',
+  'helical',
+];
+
+// Sizes the app offers, and so the only ones saved files and links may ask
+// for; the engine itself takes smaller lattices too
+export const MIN_SIZE = 10;
+export const MAX_SIZE = 512;
+
+export const NO_NEIGHBOR = -1;
+export const GHOST = -2;
+
+// Spin of the frame outside the lattice for each boundary (0 = no frame)
+export const GHOST_SPINS = { fixedUp: 1, fixedDown: -1 };
+
+// Coupling constant carried by each slot. On the triangular lattice the four
+// inclined bonds count as vertical.
+export const BOND_HORIZONTAL = 0;
+export const BOND_VERTICAL = 1;
+export const BOND_DIAGONAL = 2;
+
+// Exact ferromagnetic critical temperatures (J = 1, k_B = 1)
+export const CRITICAL_TEMPERATURES = {
+  square: 2 / Math.log(1 + Math.SQRT2),
+  triangular: 4 / Math.log(3),
+  honeycomb: 2 / Math.log(2 + Math.sqrt(3)),
+};
+
+// Neighbor offsets [dx, dy, bond kind] of site (x, y), in slot order
+const OFFSETS = {
+  square: () => [
+    [0, -1, BOND_VERTICAL],
+    [0, 1, BOND_VERTICAL],
+    [-1, 0, BOND_HORIZONTAL],
+    [1, 0, BOND_HORIZONTAL],
+  ],
+  triangular: (x, y) => {
+    const shift = y % 2; // odd rows sit half a cell further right
+    return [
+      [-1, 0, BOND_HORIZONTAL],
+      [1, 0, BOND_HORIZONTAL],
+      [shift - 1, -1, BOND_VERTICAL],
+      [shift, -1, BOND_VERTICAL],
+      [shift - 1, 1, BOND_VERTICAL],
+      [shift, 1, BOND_VERTICAL],
+    ];
+  },
+  honeycomb: (x, y) => [
+    [-1, 0, BOND_HORIZONTAL],
+    [1, 0, BOND_HORIZONTAL],
+    [0, (x + y) % 2 === 0 ? -1 : 1, BOND_VERTICAL],
+  ],
+};
+
+const DIAGONAL_OFFSETS = [
+  [-1, -1, BOND_DIAGONAL],
+  [1, -1, BOND_DIAGONAL],
+  [-1, 1, BOND_DIAGONAL],
+  [1, 1, BOND_DIAGONAL],
+];
+
+// Helical boundaries chain the rows of a square lattice into one long
+// spiral; the row parity of the other lattices has no consistent helix
+export const supportsBoundary = (latticeType, boundary) =>
+  boundary !== 'helical' || latticeType === 'square';
+
+// Triangular and honeycomb rows alternate, so wrapping needs an even size
+const wraps = (boundary) =>
+  boundary === 'periodic' || boundary === 'antiperiodic';
+
+// Throws if buildLattice would reject these arguments, without building
+// anything
+export const validateGeometry = (
+  size,
+  boundary = 'periodic',
+  latticeType = 'square',
+  { diagonals = false } = {}
+) => {
+  if (!LATTICE_TYPES.includes(latticeType)) {
+    throw new Error(`Unknown lattice type: ${latticeType}`);
+  }
+  if (!BOUNDARIES.includes(boundary)) {
+    throw new Error(`Unknown boundary condition: ${boundary}`);
+  }
+  if (!supportsBoundary(latticeType, boundary)) {
+    throw new Error(
+      `${boundary} boundaries are not supported on the ${latticeType} lattice`
+    );
+  }
+  if (latticeType !== 'square' && wraps(boundary) && size % 2 !== 0) {
+    throw new Error(`The ${latticeType} lattice needs an even size to wrap`);
+  }
+  if (diagonals && latticeType !== 'square') {
+    throw new Error('Diagonal couplings need the square lattice');
+  }
+};
+
+export const buildLattice = (
+  size,
+  boundary = 'periodic',
+  latticeType = 'square',
+  { diagonals = false } = {}
+) => {
+  validateGeometry(size, boundary, latticeType, { diagonals });
+
+  const n = size * size;
+  const offsets = diagonals
+    ? (x, y) => [...OFFSETS[latticeType](x, y), ...DIAGONAL_OFFSETS]
+    : OFFSETS[latticeType];
+  const coordination = offsets(0, 0).length;
+  const neighbors = new Int32Array(n * coordination);
+  const signs = new Int8Array(n * coordination).fill(1);
+  const bondKinds = new Uint8Array(n * coordination);
+  const bondDx = new Float32Array(n * coordination);
+  const parity = (row) => ((row % 2) + 2) % 2;
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const i = y * size + x;
+      offsets(x, y).forEach(([dx, dy, kind], k) => {
+        const slot = i * coordination + k;
+        bondKinds[slot] = kind;
+        // Odd triangular rows are shifted half a cell to the right
+        bondDx[slot] =
+          latticeType === 'triangular'
+            ? dx + (parity(y + dy) - parity(y)) / 2
+            : dx;
+        const nx = x + dx;
+        const ny = y + dy;
+        const inside = nx >= 0 && nx < size && ny >= 0 && ny < size;
+
+        if (boundary === 'helical') {
+          // Sites form one long chain: right of the last column is the
+          // first column of the next row, and the last row wraps to the first
+          neighbors[slot] = (i + dx + dy * size + n) % n;
+        } else if (inside) {
+          neighbors[slot] = ny * size + nx;
+        } else if (boundary === 'open') {
+          neighbors[slot] = NO_NEIGHBOR;
+        } else if (boundary === 'fixedUp' || boundary === 'fixedDown') {
+          neighbors[slot] = GHOST;
+        } else {
+          const wx = (nx + size) % size;
+          neighbors[slot] = ((ny + size) % size) * size + wx;
+          // Antiperiodic in x: bonds across the vertical seam are reversed
+          if (boundary === 'antiperiodic' && wx !== nx) signs[slot] = -1;
+        }
+      });
+    }
+  }
+
+  return { coordination, neighbors, signs, bondKinds, bondDx };
+};
+
+// Sublattice sign (-1)^(x + y) of each site, the staggering that orders an
+// antiferromagnet on the bipartite square and honeycomb lattices
+export const sublatticeSign = (x, y) => ((x + y) % 2 === 0 ? 1 : -1);
+
+// Temperature at which `excess`, a decreasing function of T, crosses zero
+const bisectTemperature = (excess, high) => {
+  let low = 0;
+  for (let k = 0; k < 60; k++) {
+    const T = (low + high) / 2;
+    if (excess(T) > 0) low = T;
+    else high = T;
+  }
+  return (low + high) / 2;
+};
+
+// Critical temperature for the given model and couplings, or null where no
+// exact result applies (frustrated or next-nearest-neighbor models, Potts
+// models off the square lattice, clock models with q >= 5 and the XY model,
+// whose Kosterlitz–Thouless temperature is only known numerically). Unless the
+// lattice is frustrated, negative Ising bonds map onto ferromagnetic ones by
+// flipping a subset of spins, which leaves Tc unchanged.
+export const criticalTemperature = ({
+  latticeType = 'square',
+  couplingX = 1,
+  couplingY = 1,
+  couplingDiagonal = 0,
+  model = 'ising',
+  q = 2,
+}) => {
+  if (couplingDiagonal !== 0 || model === 'xy') return null;
+  const jx = Math.abs(couplingX);
+  const jy = Math.abs(couplingY);
+
+  if (model === 'clock') {
+    // The 2- and 4-state clock models are one and two decoupled Ising models
+    // (the latter at J/2); the 3-state one is a Potts model at 3J/2
+    const scale = { 2: 1, 3: 1.5, 4: 0.5 }[q];
+    if (!scale) return null;
+    return criticalTemperature({
+      latticeType,
+      couplingX: scale * couplingX,
+      couplingY: scale * couplingY,
+      model: q === 3 ? 'potts' : 'ising',
+      q,
+    });
+  }
+
+  if (model === 'potts') {
+    // Self-duality: (exp(Jx / Tc) - 1)(exp(Jy / Tc) - 1) = q
+    if (latticeType !== 'square' || couplingX <= 0 || couplingY <= 0) {
+      return null;
+    }
+    return bisectTemperature(
+      (T) => Math.expm1(couplingX / T) * Math.expm1(couplingY / T) - q,
+      4 * Math.max(jx, jy)
+    );
+  }
+
+  if (latticeType === 'square') {
+    if (jx === 0 || jy === 0) return null;
+    // Onsager: sinh(2Jx / Tc) sinh(2Jy / Tc) = 1
+    return bisectTemperature(
+      (T) => Math.sinh((2 * jx) / T) * Math.sinh((2 * jy) / T) - 1,
+      4 * Math.max(jx, jy)
+    );
+  }
+  if (jx !== jy || jx === 0) return null;
+  if (latticeType === 'triangular') {
+    // Every triangle has one horizontal and two inclined bonds, so it is
+    // frustrated exactly when the horizontal coupling is antiferromagnetic
+    return couplingX > 0 ? jx * CRITICAL_TEMPERATURES.triangular : null;
+  }
+  return jx * CRITICAL_TEMPERATURES[latticeType];
+};
+
+// Layout units: the lattice spans layoutWidth × size units, one unit per row.
+// Square and hexagonal cells are one unit wide; honeycomb triangles are two
+// units wide and overlap their row neighbors by one.
+export const layoutWidth = (latticeType, size) => {
+  if (latticeType === 'triangular') return size + 0.5;
+  if (latticeType === 'honeycomb') return size + 1;
+  return size;
+};
+
+// Center of site (x, y) in layout units
+export const siteCenter = (latticeType, x, y) => {
+  if (latticeType === 'triangular') return [x + 0.5 + (y % 2) / 2, y + 0.5];
+  if (latticeType === 'honeycomb') return [x + 1, y + 0.5];
+  return [x + 0.5, y + 0.5];
+};
+
+// Honeycomb site (x, y) points down (▼, flat top) when its vertical bond
+// goes up
+export const pointsDown = (x, y) => (x + y) % 2 === 0;
+
+// Outline of site (x, y) in layout units, as a list of [u, v] corners
+export const siteOutline = (latticeType, x, y) => {
+  if (latticeType === 'triangular') {
+    const [cx, cy] = siteCenter(latticeType, x, y);
+    return [
+      [cx, cy - 2 / 3],
+      [cx + 0.5, cy - 1 / 3],
+      [cx + 0.5, cy + 1 / 3],
+      [cx, cy + 2 / 3],
+      [cx - 0.5, cy + 1 / 3],
+      [cx - 0.5, cy - 1 / 3],
+    ];
+  }
+  if (latticeType === 'honeycomb') {
+    return pointsDown(x, y)
+      ? [
+          [x, y],
+          [x + 2, y],
+          [x + 1, y + 1],
+        ]
+      : [
+          [x, y + 1],
+          [x + 2, y + 1],
+          [x + 1, y],
+        ];
+  }
+  return [
+    [x, y],
+    [x + 1, y],
+    [x + 1, y + 1],
+    [x, y + 1],
+  ];
+};
+
+const clamp = (value, max) => Math.min(max, Math.max(0, value));
+
+// Site [x, y] whose cell contains the point (u, v) in layout units. Points
+// outside the lattice snap to the nearest edge site.
+export const siteAt = (latticeType, size, u, v) => {
+  const y = clamp(Math.floor(v), size - 1);
+
+  if (latticeType === 'triangular') {
+    // Nearest hexagon center, measured in units of the hexagon radius
+    let best = null;
+    let bestDistance = Infinity;
+    for (let ry = y - 1; ry <= y + 1; ry++) {
+      if (ry < 0 || ry >= size) continue;
+      const shift = (ry % 2) / 2;
+      const cx = clamp(Math.floor(u - shift), size - 1);
+      for (let rx = cx - 1; rx <= cx + 1; rx++) {
+        if (rx < 0 || rx >= size) continue;
+        const [sx, sy] = siteCenter(latticeType, rx, ry);
+        const du = (u - sx) * Math.sqrt(3);
+        const dv = (v - sy) * 1.5;
+        const distance = du * du + dv * dv;
+        if (distance < bestDistance) {
+          bestDistance = distance;
+          best = [rx, ry];
+        }
+      }
+    }
+    return best;
+  }
+
+  if (latticeType === 'honeycomb') {
+    // Triangle k spans [k, k + 2]; within the strip [k, k + 1) the diagonal
+    // edge of triangle k separates it from triangle k - 1
+    const k = Math.floor(u);
+    const f = u - k;
+    const fy = clamp(v - y, 1);
+    const insideK = pointsDown(k, y) ? f >= fy : f >= 1 - fy;
+    return [clamp(insideK ? k : k - 1, size - 1), y];
+  }
+
+  return [clamp(Math.floor(u), size - 1), y];
+};
@@ -0,0 +1,203 @@
+import {
+  BOND_DIAGONAL,
+  BOND_HORIZONTAL,
+  BOND_VERTICAL,
+  BOUNDARIES,
+  buildLattice,
+  CRITICAL_TEMPERATURES,
+  criticalTemperature,
+  GHOST,
+  LATTICE_TYPES,
+  NO_NEIGHBOR,
+  siteAt,
+  siteCenter,
+  supportsBoundary,
+} from './lattice';
+
+const GEOMETRIES = LATTICE_TYPES.flatMap((latticeType) =>
+  BOUNDARIES.filter((boundary) => supportsBoundary(latticeType, boundary)).map(
+    (boundary) => [latticeType, boundary]
+  )
+);
+
+const slotsOf = ({ coordination, neighbors, signs, bondKinds }, i) =>
+  Array.from({ length: coordination }, (_, k) => ({
+    j: neighbors[i * coordination + k],
+    sign: signs[i * coordination + k],
+    kind: bondKinds[i * coordination + k],
+  }));
+
+describe('buildLattice', () => {
+  test.each(GEOMETRIES)(
+    '%s lattice with %s bonds is symmetric',
+    (latticeType, boundary) => {
+      const lattice = buildLattice(6, boundary, latticeType, {
+        diagonals: latticeType === 'square',
+      });
+      for (let i = 0; i < 36; i++) {
+        for (const { j, sign, kind } of slotsOf(lattice, i)) {
+          if (j < 0) continue;
+          expect(slotsOf(lattice, j)).toContainEqual({ j: i, sign, kind });
+        }
+      }
+    }
+  );
+
+  test('diagonal slots follow the four nearest neighbors', () => {
+    const lattice = buildLattice(4, 'periodic', 'square', { diagonals: true });
+    expect(lattice.coordination).toBe(8);
+    expect(slotsOf(lattice, 5).map(({ j, kind }) => [j, kind])).toEqual([
+      [1, BOND_VERTICAL],
+      [9, BOND_VERTICAL],
+      [4, BOND_HORIZONTAL],
+      [6, BOND_HORIZONTAL],
+      [0, BOND_DIAGONAL],
+      [2, BOND_DIAGONAL],
+      [8, BOND_DIAGONAL],
+      [10, BOND_DIAGONAL],
+    ]);
+  });
+
+  test('open and fixed edges', () => {
+    const open = buildLattice(4, 'open');
+    const fixed = buildLattice(4, 'fixedUp');
+    // Corner site 0 lacks its up and left neighbors
+    expect(slotsOf(open, 0).map(({ j }) => j)).toEqual([
+      NO_NEIGHBOR,
+      4,
+      NO_NEIGHBOR,
+      1,
+    ]);
+    expect(slotsOf(fixed, 0).map(({ j }) => j)).toEqual([GHOST, 4, GHOST, 1]);
+  });
+
+  test('antiperiodic seam reverses horizontal wraparound bonds only', () => {
+    const lattice = buildLattice(4, 'antiperiodic');
+    expect(slotsOf(lattice, 0)).toEqual([
+      { j: 12, sign: 1, kind: BOND_VERTICAL },
+      { j: 4, sign: 1, kind: BOND_VERTICAL },
+      { j: 3, sign: -1, kind: BOND_HORIZONTAL },
+      { j: 1, sign: 1, kind: BOND_HORIZONTAL },
+    ]);
+  });
+
+  test('helical boundaries chain rows together', () => {
+    const lattice = buildLattice(4, 'helical');
+    // Right of the last site in row 0 is the first site of row 1
+    expect(slotsOf(lattice, 3)[3].j).toBe(4);
+    // Left of site 0 wraps to the very last site
+    expect(slotsOf(lattice, 0)[2].j).toBe(15);
+  });
+
+  test.each([
+    ['square', 4],
+    ['triangular', 6],
+    ['honeycomb', 3],
+  ])('%s lattice has %d distinct neighbors per site', (latticeType, z) => {
+    const lattice = buildLattice(6, 'periodic', latticeType);
+    expect(lattice.coordination).toBe(z);
+    for (let i = 0; i < 36; i++) {
+      expect(new Set(slotsOf(lattice, i).map(({ j }) => j)).size).toBe(z);
+    }
+  });
+
+  test('honeycomb vertical bonds alternate up and down', () => {
+    const lattice = buildLattice(4, 'periodic', 'honeycomb');
+    // (1, 1) has x + y even, so it bonds up to (1, 0); (2, 1) bonds down
+    expect(slotsOf(lattice, 5)[2].j).toBe(1);
+    expect(slotsOf(lattice, 6)[2].j).toBe(10);
+  });
+
+  test('rejects unknown or unsupported geometries', () => {
+    expect(() => buildLattice(4, 'mobius')).toThrow(/mobius/);
+    expect(() => buildLattice(4, 'periodic', 'kagome')).toThrow(/kagome/);
+    expect(() => buildLattice(4, 'helical', 'triangular')).toThrow(/helical/);
+    expect(() => buildLattice(5, 'periodic', 'honeycomb')).toThrow(/even/);
+    expect(() => buildLattice(5, 'open', 'honeycomb')).not.toThrow();
+    expect(() =>
+      buildLattice(4, 'periodic', 'triangular', { diagonals: true })
+    ).toThrow(/square/);
+  });
+});
+
+describe('criticalTemperature', () => {
+  test.each(LATTICE_TYPES)(
+    'matches the isotropic %s lattice',
+    (latticeType) => {
+      const Tc = CRITICAL_TEMPERATURES[latticeType];
+      expect(criticalTemperature({ latticeType })).toBeCloseTo(Tc);
+      expect(
+        criticalTemperature({ latticeType, couplingX: 2, couplingY: 2 })
+      ).toBeCloseTo(2 * Tc);
+    }
+  );
+
+  test.each(['square', 'honeycomb'])(
+    'antiferromagnets on the bipartite %s lattice share the ferromagnetic Tc',
+    (latticeType) => {
+      expect(
+        criticalTemperature({ latticeType, couplingX: -1, couplingY: -1 })
+      ).toBeCloseTo(CRITICAL_TEMPERATURES[latticeType]);
+    }
+  );
+
+  test('solves the anisotropic Onsager condition', () => {
+    const Tc = criticalTemperature({ couplingX: 1, couplingY: -0.5 });
+    expect(Math.sinh(2 / Tc) * Math.sinh(1 / Tc)).toBeCloseTo(1);
+  });
+
+  test('maps small clock models onto Ising and Potts models', () => {
+    const ising = CRITICAL_TEMPERATURES.square;
+    expect(criticalTemperature({ model: 'clock', q: 2 })).toBeCloseTo(ising);
+    expect(criticalTemperature({ model: 'clock', q: 4 })).toBeCloseTo(
+      ising / 2
+    );
+    expect(criticalTemperature({ model: 'clock', q: 3 })).toBeCloseTo(
+      1.5 / Math.log(1 + Math.sqrt(3))
+    );
+    expect(criticalTemperature({ model: 'clock', q: 6 })).toBeNull();
+    expect(criticalTemperature({ model: 'xy' })).toBeNull();
+    // The 2-state Potts model is an Ising model at J/2
+    expect(criticalTemperature({ model: 'potts', q: 2 })).toBeCloseTo(
+      ising / 2
+    );
+  });
+
+  test('is unknown for frustrated and next-nearest-neighbor models', () => {
+    expect(
+      criticalTemperature({ latticeType: 'triangular', couplingX: -1 })
+    ).toBeNull();
+    expect(criticalTemperature({ couplingDiagonal: -0.5 })).toBeNull();
+  });
+});
+
+describe('layout', () => {
+  test.each(LATTICE_TYPES)(
+    '%s sites are hit at their centers',
+    (latticeType) => {
+      const size = 7;
+      for (let y = 0; y < size; y++) {
+        for (let x = 0; x < size; x++) {
+          const [u, v] = siteCenter(latticeType, x, y);
+          expect(siteAt(latticeType, size, u, v)).toEqual([x, y]);
+        }
+      }
+    }
+  );
+
+  test('honeycomb hit-testing follows the triangle edges', () => {
+    // Site (0, 0) points down and spans u in [0, 2] along its top edge, but
+    // near the bottom of the row only its apex at u = 1 belongs to it
+    expect(siteAt('honeycomb', 4, 1.9, 0.05)).toEqual([0, 0]);
+    expect(siteAt('honeycomb', 4, 1.9, 0.95)).toEqual([1, 0]);
+  });
+
+  test('triangular odd rows are shifted half a cell', () => {
+    expect(siteAt('triangular', 4, 0.6, 1.5)).toEqual([0, 1]);
+    expect(siteAt('triangular', 4, 0.4, 1.5)).toEqual([0, 1]);
+    expect(siteAt('triangular', 4, 0.4, 0.5)).toEqual([0, 0]);
+    expect(siteAt('triangular', 4, 0.6, 0.5)).toEqual([0, 0]);
+    expect(siteAt('triangular', 4, 1.1, 1.5)).toEqual([0, 1]);
+    expect(siteAt('triangular', 4, 1.1, 0.5)).toEqual([1, 0]);
+  });
+});
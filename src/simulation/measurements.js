@@ -0,0 +1,111 @@
+// measurements.js
+// Thermodynamic estimates from running averages over the most recent
+// `window` sweeps, once `burnIn` sweeps have passed since the last restart.
+// Each sweep contributes the energy per spin e and the order parameter m
+// (|m| for Ising spins); with N spins at temperature T
+//   C  = N (⟨e²⟩ - ⟨e⟩²) / T²         specific heat per spin
+//   χ  = N (⟨m²⟩ - ⟨|m|⟩²) / T        susceptibility per spin
+//   U4 = 1 - ⟨m⁴⟩ / (3 ⟨m²⟩²)         Binder cumulant
+// Estimates are null until the burn-in is over and the window holds at
+// least two samples.
+
+export const DEFAULT_MEASUREMENT = { burnIn: 100, window: 1000 };
+
+// Names of the estimates that are tracked over time
+export const ESTIMATES = ['specificHeat', 'susceptibility', 'binderCumulant'];
+
+const validateMeasurement = ({ burnIn, window }) => {
+  if (!(Number.isInteger(burnIn) && burnIn >= 0)) {
+    throw new Error(`Burn-in must be a whole number of sweeps, got ${burnIn}`);
+  }
+  if (!(Number.isInteger(window) && window >= 2)) {
+    throw new Error('The measurement window needs 2 or more sweeps');
+  }
+};
+
+// Estimates from sample moments; `moments` holds the means of e, e², |m|,
+// m² and m⁴
+export const thermodynamics = (moments, { temperature, spins }) => {
+  const { energy, energySquared, magnetization, m2, m4 } = moments;
+  const energyVariance = Math.max(0, energySquared - energy * energy);
+  const magnetizationVariance = Math.max(0, m2 - magnetization * magnetization);
+  return {
+    energy,
+    magnetization,
+    specificHeat:
+      temperature > 0 ? (spins * energyVariance) / temperature ** 2 : null,
+    susceptibility:
+      temperature > 0 ? (spins * magnetizationVariance) / temperature : null,
+    binderCumulant: m2 > 0 ? 1 - m4 / (3 * m2 * m2) : null,
+  };
+};
+
+export const createMeasurement = (settings = DEFAULT_MEASUREMENT) => {
+  let burnIn;
+  let energies;
+  let magnetizations;
+  let seen; // Sweeps since the last restart
+  let count; // Samples in the window
+  let head; // Next slot of the ring buffers
+
+  const restart = () => {
+    seen = 0;
+    count = 0;
+    head = 0;
+  };
+
+  const configure = ({ burnIn: nextBurnIn, window }) => {
+    validateMeasurement({ burnIn: nextBurnIn, window });
+    burnIn = nextBurnIn;
+    energies = new Float64Array(window);
+    magnetizations = new Float64Array(window);
+    restart();
+  };
+
+  // Record one sweep; samples taken during the burn-in are dropped
+  const add = (energy, magnetization) => {
+    seen += 1;
+    if (seen <= burnIn) return;
+    energies[head] = energy;
+    magnetizations[head] = Math.abs(magnetization);
+    head = (head + 1) % energies.length;
+    count = Math.min(count + 1, energies.length);
+  };
+
+  // Current estimates plus the progress of the burn-in and window
+  const estimates = ({ temperature, spins }) => {
+    const progress = {
+      burnInRemaining: Math.max(0, burnIn - seen),
+      samples: count,
+      window: energies.length,
+    };
+    if (count < 2) {
+      return {
+        ...progress,
+        energy: null,
+        magnetization: null,
+        ...Object.fromEntries(ESTIMATES.map((name) => [name, null])),
+      };
+    }
+    const moments = {
+      energy: 0,
+      energySquared: 0,
+      magnetization: 0,
+      m2: 0,
+      m4: 0,
+    };
+    for (let k = 0; k < count; k++) {
+      const e = energies[k];
+      const m = magnetizations[k];
+      moments.energy += e / count;
+      moments.energySquared += (e * e) / count;
+      moments.magnetization += m / count;
+      moments.m2 += (m * m) / count;
+      moments.m4 += (m * m * m * m) / count;
+    }
+    return { ...progress, ...thermodynamics(moments, { temperature, spins }) };
+  };
+
+  configure(settings);
+  return { configure, restart, add, estimates };
+};
@@ -0,0 +1,69 @@
+import { createMeasurement, thermodynamics } from './measurements';
+
+describe('measurements', () => {
+  test('thermodynamics follows the fluctuation formulas', () => {
+    // e = -1 ± 0.5 and |m| = 0.5 ± 0.5 with equal odds
+    const moments = {
+      energy: -1,
+      energySquared: 1.25,
+      magnetization: 0.5,
+      m2: 0.5,
+      m4: 0.5,
+    };
+    const estimates = thermodynamics(moments, { temperature: 2, spins: 100 });
+    expect(estimates.specificHeat).toBeCloseTo((100 * 0.25) / 4);
+    expect(estimates.susceptibility).toBeCloseTo((100 * 0.25) / 2);
+    expect(estimates.binderCumulant).toBeCloseTo(1 - 0.5 / 0.75);
+  });
+
+  test('fluctuation estimates need a positive temperature', () => {
+    const moments = {
+      energy: -2,
+      energySquared: 4,
+      magnetization: 0,
+      m2: 0,
+      m4: 0,
+    };
+    expect(thermodynamics(moments, { temperature: 0, spins: 9 })).toEqual({
+      energy: -2,
+      magnetization: 0,
+      specificHeat: null,
+      susceptibility: null,
+      binderCumulant: null,
+    });
+  });
+
+  test('an ordered state has U4 = 2/3 and no fluctuations', () => {
+    const measurement = createMeasurement({ burnIn: 0, window: 10 });
+    for (let k = 0; k < 5; k++) measurement.add(-2, k % 2 ? 1 : -1);
+    const estimates = measurement.estimates({ temperature: 1, spins: 16 });
+    expect(estimates.magnetization).toBe(1);
+    expect(estimates.specificHeat).toBeCloseTo(0);
+    expect(estimates.susceptibility).toBeCloseTo(0);
+    expect(estimates.binderCumulant).toBeCloseTo(2 / 3);
+  });
+
+  test('only the latest window of samples after the burn-in counts', () => {
+    const measurement = createMeasurement({ burnIn: 2, window: 3 });
+    [100, 100, 1, 2, 3, 4, 5].forEach((e) => measurement.add(e, 0));
+    const estimates = measurement.estimates({ temperature: 1, spins: 1 });
+    expect(estimates).toMatchObject({ samples: 3, burnInRemaining: 0 });
+    expect(estimates.energy).toBeCloseTo(4);
+    expect(estimates.specificHeat).toBeCloseTo(2 / 3);
+
+    measurement.restart();
+    measurement.add(-1, 0);
+    expect(measurement.estimates({ temperature: 1, spins: 1 })).toMatchObject({
+      burnInRemaining: 1,
+      samples: 0,
+      energy: null,
+    });
+  });
+
+  test('rejects invalid settings', () => {
+    expect(() => createMeasurement({ burnIn: -1, window: 10 })).toThrow(
+      /Burn-in/
+    );
+    expect(() => createMeasurement({ burnIn: 0, window: 1 })).toThrow(/window/);
+  });
+});
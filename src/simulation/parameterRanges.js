@@ -0,0 +1,35 @@
+// parameterRanges.js
+// Range of each numeric parameter the UI lets the user set, as { min, max }.
+// The sliders are built from these, and saved files and share links use
+// them to reject values the UI could never have produced. The external
+// field's range is that of the hysteresis amplitude, which reaches beyond
+// the External Field slider.
+export const PARAMETER_RANGES = {
+  temperature: { min: 0.1, max: 5 },
+  couplingX: { min: -2, max: 2 },
+  couplingY: { min: -2, max: 2 },
+  couplingDiagonal: { min: -2, max: 2 },
+  externalField: { min: -4, max: 4 },
+  proposalWidth: { min: 0.05, max: Math.PI },
+  randomField: { min: 0, max: 3 },
+  bondSpread: { min: 0, max: 3 },
+  dilution: { min: 0, max: 0.6 },
+  upFraction: { min: 0, max: 1 },
+};
+
+// Whether `value` lies in the range of parameter `name`; parameters without
+// a range accept any value
+export const isInRange = (name, value) => {
+  const range = PARAMETER_RANGES[name];
+  return !range || (value >= range.min && value <= range.max);
+};
+
+// Throws an Error naming the parameter if `value` is out of its range
+export const validateRange = (name, value) => {
+  if (!isInRange(name, value)) {
+    const { min, max } = PARAMETER_RANGES[name];
+    throw new Error(
+      `Parameter ${name} must be in [${min}, ${max}], got ${value}`
+    );
+  }
+};
@@ -0,0 +1,51 @@
+// probabilities.js
+// Acceptance rules shared by the single-spin and cluster updates
+
+// Metropolis acceptance probability for an energy change at temperature T.
+// T <= 0 is treated as a zero-temperature quench (only downhill moves).
+export const acceptanceProbability = (deltaE, temperature) => {
+  if (deltaE <= 0) return 1;
+  if (temperature <= 0) return 0;
+  return Math.exp(-deltaE / temperature);
+};
+
+// Glauber (heat-bath) acceptance probability. Unlike Metropolis it flips
+// with probability 1/2 at ΔE = 0 and never accepts with certainty.
+export const heatBathProbability = (deltaE, temperature) => {
+  if (temperature <= 0) return deltaE < 0 ? 1 : deltaE === 0 ? 0.5 : 0;
+  return 1 / (1 + Math.exp(deltaE / temperature));
+};
+
+// Fortuin–Kasteleyn bond activation probability for a satisfied bond of
+// strength J: p = 1 - exp(-2|J|/T)
+export const bondProbability = (coupling, temperature) => {
+  if (coupling === 0) return 0;
+  if (temperature <= 0) return 1;
+  return 1 - Math.exp((-2 * Math.abs(coupling)) / temperature);
+};
+
+// Heat-bath choice among several states: returns k with probability
+// proportional to exp(-energies[k] / T). At T <= 0 one of the lowest-energy
+// states is picked uniformly.
+export const heatBathState = (energies, temperature, random) => {
+  let lowest = Infinity;
+  for (let k = 0; k < energies.length; k++) {
+    lowest = Math.min(lowest, energies[k]);
+  }
+  const weights = energies.map((energy) =>
+    temperature <= 0
+      ? energy === lowest
+        ? 1
+        : 0
+      : Math.exp(-(energy - lowest) / temperature)
+  );
+  let threshold = random() * weights.reduce((sum, w) => sum + w, 0);
+  let chosen = 0;
+  for (let k = 0; k < weights.length; k++) {
+    if (weights[k] === 0) continue;
+    chosen = k;
+    threshold -= weights[k];
+    if (threshold < 0) break;
+  }
+  return chosen;
+};
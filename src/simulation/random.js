@@ -0,0 +1,68 @@
+// random.js
+// Seedable pseudo-random numbers: xoshiro128** (Blackman and Vigna), a fast
+// 32-bit generator with 128 bits of state, seeded through splitmix32 so that
+// nearby seeds give unrelated streams. Every random decision of a run goes
+// through one generator, so the same seed, parameters and inputs replay the
+// same trajectory bit for bit.
+//
+// createRandom(seed) returns a function drawing uniform numbers in [0, 1),
+// like Math.random, with
+//   seed                the seed it started from
+//   getState()          the four 32-bit words of its state
+//   setState(state)     resume from a state returned by getState()
+
+// Largest seed; seeds are unsigned 32-bit integers
+export const MAX_SEED = 0xffffffff;
+
+export const validateSeed = (seed) => {
+  if (!(Number.isInteger(seed) && seed >= 0 && seed <= MAX_SEED)) {
+    throw new Error(`Seeds must be integers in [0, ${MAX_SEED}], got ${seed}`);
+  }
+};
+
+// Fresh seed from Math.random for runs nobody asked to replay
+export const randomSeed = () => Math.floor(Math.random() * (MAX_SEED + 1));
+
+// Murmur3 finalizer: a bijective avalanche mix of 32-bit integers, also
+// used to hash the quenched disorder
+export const mix32 = (h) => {
+  h = Math.imul(h ^ (h >>> 16), 0x85ebca6b);
+  h = Math.imul(h ^ (h >>> 13), 0xc2b2ae35);
+  return (h ^ (h >>> 16)) >>> 0;
+};
+
+const splitmix32 = (seed) => () => {
+  seed = (seed + 0x9e3779b9) | 0;
+  return mix32(seed);
+};
+
+const rotl = (x, k) => (x << k) | (x >>> (32 - k));
+
+export const createRandom = (seed) => {
+  validateSeed(seed);
+  const expand = splitmix32(seed);
+  const s = Uint32Array.from({ length: 4 }, expand);
+  // The all-zero state is a fixed point
+  if (s.every((word) => word === 0)) s[0] = 1;
+
+  const random = () => {
+    const result = Math.imul(rotl(Math.imul(s[1], 5), 7), 9) >>> 0;
+    const t = s[1] << 9;
+    s[2] ^= s[0];
+    s[3] ^= s[1];
+    s[1] ^= s[2];
+    s[0] ^= s[3];
+    s[2] ^= t;
+    s[3] = rotl(s[3], 11);
+    return result / 4294967296;
+  };
+  random.seed = seed;
+  random.getState = () => Array.from(s);
+  random.setState = (state) => {
+    if (state.length !== 4 || state.every((word) => word === 0)) {
+      throw new Error('A generator state is four words, not all zero');
+    }
+    s.set(state);
+  };
+  return random;
+};
@@ -0,0 +1,67 @@
+import IsingSimulation from './IsingSimulation';
+import { createRandom } from './random';
+
+describe('seeded random numbers', () => {
+  test('matches the xoshiro128** reference outputs', () => {
+    const random = createRandom(0);
+    random.setState([1, 2, 3, 4]);
+    const words = Array.from({ length: 4 }, () => random() * 4294967296);
+    expect(words).toEqual([11520, 0, 5927040, 70819200]);
+  });
+
+  test('the same seed gives the same stream', () => {
+    const a = createRandom(12345);
+    const b = createRandom(12345);
+    const c = createRandom(12346);
+    const draw = (random) => Array.from({ length: 100 }, random);
+    const stream = draw(a);
+    expect(draw(b)).toEqual(stream);
+    expect(draw(c)).not.toEqual(stream);
+    for (const value of stream) {
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('a saved state resumes the stream', () => {
+    const random = createRandom(99);
+    random();
+    const state = random.getState();
+    const ahead = [random(), random(), random()];
+    random.setState(state);
+    expect([random(), random(), random()]).toEqual(ahead);
+    expect(random.seed).toBe(99);
+  });
+
+  test('draws are uniform', () => {
+    const random = createRandom(7);
+    const bins = new Array(10).fill(0);
+    for (let k = 0; k < 100000; k++) bins[Math.floor(random() * 10)] += 1;
+    for (const count of bins) expect(Math.abs(count - 10000)).toBeLessThan(400);
+  });
+
+  test('rejects invalid seeds and states', () => {
+    expect(() => createRandom(-1)).toThrow(/Seeds/);
+    expect(() => createRandom(1.5)).toThrow(/Seeds/);
+    expect(() => createRandom(2 ** 32)).toThrow(/Seeds/);
+    expect(() => createRandom(1).setState([0, 0, 0, 0])).toThrow(/state/);
+  });
+
+  test.each(['metropolis', 'wolff', 'swendsenWang', 'kawasaki'])(
+    '%s trajectories replay bit for bit',
+    (algorithm) => {
+      const run = () => {
+        const simulation = new IsingSimulation({
+          size: 12,
+          temperature: 2.3,
+          algorithm,
+          random: createRandom(2024),
+        });
+        for (let k = 0; k < 20; k++) simulation.sweep();
+        simulation.flipSpinsInRadius(6, 6, 2, 'circle');
+        return simulation.spins;
+      };
+      expect(run()).toEqual(run());
+    }
+  );
+});
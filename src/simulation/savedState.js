@@ -0,0 +1,275 @@
+// savedState.js
+// Versioned JSON file holding everything needed to resume a run. Version 1:
+//
+// {
+//   "format": "ising-simulation",
+//   "version": 1,
+//   "savedAt": "2024-01-01T12:00:00.000Z",
+//   "lattice": { "size": L, "encoding": "bits" | "float64", "spins": base64 },
+//   "sweeps": sweeps done so far,
+//   "parameters": { IsingSimulation options: temperature, couplingX,
+//     couplingY, couplingDiagonal, externalField, model, q, proposalWidth,
+//     randomField, bondDisorder, bondSpread, dilution, disorderSeed,
+//     algorithm, boundary, latticeType },
+//   "random": { "seed": s, "state": [w0, w1, w2, w3] },
+//   "settings": { UI settings, free-form },
+//   "history": { series name: [number or null per recorded step] }
+// }
+//
+// Spins are stored in y * L + x order. Ising, Potts and clock lattices use
+// the "bits" encoding: ceil(log2 states) bits per spin, least significant
+// bit first, where Ising up is 1 and down 0 and Potts/clock spins are their
+// state index. XY angles use "float64", little-endian doubles, so that
+// resumed runs continue bit for bit. Vacancies are not stored; they follow
+// from the disorder parameters. `random.state` is the xoshiro128** state of
+// random.js at the time of saving.
+//
+// parseSavedState checks every part of a file and throws an Error saying
+// what is wrong instead of handing back a lattice that does not fit. The
+// lattice must be MIN_SIZE to MAX_SIZE sites across, and nothing of its
+// size is allocated until the file has passed every other check. Numeric
+// parameters must lie in the ranges of parameterRanges.js.
+import { validateOptions } from './IsingSimulation';
+import { MAX_SIZE, MIN_SIZE } from './lattice';
+import { validateRange } from './parameterRanges';
+import { validateSeed } from './random';
+import { stateCount } from './spinModels';
+
+export const FORMAT = 'ising-simulation';
+export const VERSION = 1;
+
+// Parameters every file must hold, by type
+const NUMBER_PARAMETERS = [
+  'temperature',
+  'couplingX',
+  'couplingY',
+  'couplingDiagonal',
+  'externalField',
+  'q',
+  'proposalWidth',
+  'randomField',
+  'bondSpread',
+  'dilution',
+  'disorderSeed',
+];
+const STRING_PARAMETERS = [
+  'model',
+  'bondDisorder',
+  'algorithm',
+  'boundary',
+  'latticeType',
+];
+
+const bytesToBase64 = (bytes) => {
+  let binary = '';
+  // Chunked so long lattices do not overflow the argument list
+  for (let k = 0; k < bytes.length; k += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(k, k + 0x8000));
+  }
+  return btoa(binary);
+};
+
+const isBase64 = (text) =>
+  typeof text === 'string' && /^[A-Za-z0-9+/]*={0,2}$/.test(text);
+
+const base64ToBytes = (text) => {
+  const binary = atob(text);
+  return Uint8Array.from(binary, (char) => char.charCodeAt(0));
+};
+
+// Bits per spin of the "bits" encoding
+const spinBits = (model, q) => Math.ceil(Math.log2(stateCount(model, q)));
+
+export const encodeSpins = (spins, model, q) => {
+  if (model === 'xy') {
+    const bytes = new Uint8Array(8 * spins.length);
+    const view = new DataView(bytes.buffer);
+    spins.forEach((angle, i) => view.setFloat64(8 * i, angle, true));
+    return { encoding: 'float64', spins: bytesToBase64(bytes) };
+  }
+  const bits = spinBits(model, q);
+  const bytes = new Uint8Array(Math.ceil((bits * spins.length) / 8));
+  spins.forEach((spin, i) => {
+    const value = model === 'ising' ? (spin === 1 ? 1 : 0) : spin;
+    for (let b = 0; b < bits; b++) {
+      if (value & (1 << b)) {
+        const bit = bits * i + b;
+        bytes[bit >> 3] |= 1 << (bit & 7);
+      }
+    }
+  });
+  return { encoding: 'bits', spins: bytesToBase64(bytes) };
+};
+
+// Spins of an n-site lattice from encodeSpins' output. The length of the
+// base64 text is checked before it is decoded.
+export const decodeSpins = ({ encoding, spins: data }, model, q, n) => {
+  const byteLength =
+    model === 'xy' ? 8 * n : Math.ceil((spinBits(model, q) * n) / 8);
+  const misfit = () =>
+    new Error(`The spin data does not fit a lattice of ${n} sites`);
+  if (model === 'xy') {
+    if (encoding !== 'float64') {
+      throw new Error(`XY spins need the float64 encoding, got ${encoding}`);
+    }
+  } else if (encoding !== 'bits') {
+    throw new Error(`${model} spins need the bits encoding, got ${encoding}`);
+  }
+  if (!isBase64(data)) throw new Error('The spin data is not valid base64');
+  if (data.length !== 4 * Math.ceil(byteLength / 3)) throw misfit();
+  const bytes = base64ToBytes(data);
+  if (bytes.length !== byteLength) throw misfit();
+  if (model === 'xy') {
+    const view = new DataView(bytes.buffer);
+    return Float64Array.from({ length: n }, (_, i) => {
+      const angle = view.getFloat64(8 * i, true);
+      if (!(angle >= 0 && angle < 2 * Math.PI)) {
+        throw new Error(`Site ${i} holds an invalid angle`);
+      }
+      return angle;
+    });
+  }
+  const bits = spinBits(model, q);
+  const states = stateCount(model, q);
+  return Int8Array.from({ length: n }, (_, i) => {
+    let value = 0;
+    for (let b = 0; b < bits; b++) {
+      const bit = bits * i + b;
+      if (bytes[bit >> 3] & (1 << (bit & 7))) value |= 1 << b;
+    }
+    if (model === 'ising') return value === 1 ? 1 : -1;
+    if (value >= states) {
+      throw new Error(
+        `Site ${i} holds state ${value} of a ${states}-state model`
+      );
+    }
+    return value;
+  });
+};
+
+export const createSavedState = ({
+  size,
+  spins,
+  sweeps,
+  parameters,
+  random,
+  settings = {},
+  history = {},
+  savedAt = new Date().toISOString(),
+}) => ({
+  format: FORMAT,
+  version: VERSION,
+  savedAt,
+  lattice: {
+    size,
+    ...encodeSpins(spins, parameters.model, parameters.q),
+  },
+  sweeps,
+  parameters,
+  random,
+  settings,
+  history,
+});
+
+const isObject = (value) =>
+  typeof value === 'object' && value !== null && !Array.isArray(value);
+
+const validateParameters = (parameters, size) => {
+  if (!isObject(parameters)) throw new Error('The file has no parameters');
+  for (const name of NUMBER_PARAMETERS) {
+    if (!Number.isFinite(parameters[name])) {
+      throw new Error(`Parameter ${name} is missing or not a number`);
+    }
+  }
+  for (const name of STRING_PARAMETERS) {
+    if (typeof parameters[name] !== 'string') {
+      throw new Error(`Parameter ${name} is missing or not a string`);
+    }
+  }
+  for (const name of NUMBER_PARAMETERS) validateRange(name, parameters[name]);
+  // The engine knows which combinations make sense
+  try {
+    validateOptions({ ...parameters, size });
+  } catch (error) {
+    throw new Error(`Invalid parameters: ${error.message}`);
+  }
+};
+
+const validateRandom = (random) => {
+  if (!isObject(random)) throw new Error('The file has no generator state');
+  validateSeed(random.seed);
+  const { state } = random;
+  if (
+    !Array.isArray(state) ||
+    state.length !== 4 ||
+    !state.every(
+      (word) => Number.isInteger(word) && word >= 0 && word <= 0xffffffff
+    ) ||
+    state.every((word) => word === 0)
+  ) {
+    throw new Error('The generator state must be four 32-bit words');
+  }
+};
+
+const validateHistory = (history) => {
+  if (!isObject(history)) throw new Error('The history must be an object');
+  const lengths = new Set();
+  for (const [name, values] of Object.entries(history)) {
+    if (
+      !Array.isArray(values) ||
+      !values.every((value) => value === null || Number.isFinite(value))
+    ) {
+      throw new Error(`History series ${name} must hold numbers or nulls`);
+    }
+    lengths.add(values.length);
+  }
+  if (lengths.size > 1) {
+    throw new Error('History series must all have the same length');
+  }
+};
+
+// Saved state from the text of a file, with `spins` decoded into a typed
+// array; throws if anything is missing, corrupt or inconsistent
+export const parseSavedState = (text) => {
+  let state;
+  try {
+    state = JSON.parse(text);
+  } catch (error) {
+    throw new Error('The file is not valid JSON');
+  }
+  if (!isObject(state) || state.format !== FORMAT) {
+    throw new Error('The file is not a saved Ising simulation');
+  }
+  if (!Number.isInteger(state.version) || state.version < 1) {
+    throw new Error('The file has no valid format version');
+  }
+  if (state.version > VERSION) {
+    throw new Error(
+      `The file is format version ${state.version}; this app reads up to version ${VERSION}`
+    );
+  }
+  const { lattice, sweeps, parameters, random } = state;
+  if (!isObject(lattice)) throw new Error('The file has no lattice');
+  const { size } = lattice;
+  if (!(Number.isInteger(size) && size >= MIN_SIZE && size <= MAX_SIZE)) {
+    throw new Error(
+      `Invalid lattice size: ${size}; sizes run from ${MIN_SIZE} to ${MAX_SIZE}`
+    );
+  }
+  if (!(Number.isInteger(sweeps) && sweeps >= 0)) {
+    throw new Error('The sweep count must be a whole number');
+  }
+  validateParameters(parameters, size);
+  validateRandom(random);
+  const settings = state.settings ?? {};
+  if (!isObject(settings)) throw new Error('The settings must be an object');
+  const history = state.history ?? {};
+  validateHistory(history);
+  const spins = decodeSpins(
+    lattice,
+    parameters.model,
+    parameters.q,
+    size * size
+  );
+  return { ...state, settings, history, spins };
+};
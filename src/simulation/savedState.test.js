@@ -0,0 +1,171 @@
+import IsingSimulation from './IsingSimulation';
+import { createRandom } from './random';
+import {
+  createSavedState,
+  decodeSpins,
+  encodeSpins,
+  parseSavedState,
+  VERSION,
+} from './savedState';
+
+const PARAMETERS = {
+  temperature: 2.2,
+  couplingX: 1,
+  couplingY: 1,
+  couplingDiagonal: 0,
+  externalField: 0,
+  model: 'ising',
+  q: 3,
+  proposalWidth: 1,
+  randomField: 0,
+  bondDisorder: 'none',
+  bondSpread: 1,
+  dilution: 0,
+  disorderSeed: 1,
+  algorithm: 'metropolis',
+  boundary: 'periodic',
+  latticeType: 'square',
+};
+
+const saved = (overrides = {}) => {
+  const parameters = { ...PARAMETERS, ...overrides };
+  const simulation = new IsingSimulation({
+    ...parameters,
+    size: 10,
+    random: createRandom(5),
+  });
+  simulation.sweep();
+  return createSavedState({
+    size: 10,
+    spins: simulation.spins,
+    sweeps: simulation.sweeps,
+    parameters,
+    random: { seed: 5, state: simulation.random.getState() },
+    settings: { drawMode: 'square' },
+    history: { magnetization: [0.5, null], energy: [-1, -1.5] },
+    savedAt: '2024-01-01T00:00:00.000Z',
+  });
+};
+
+// Round trip through JSON text, optionally editing the parsed file first
+const reload = (state, edit = () => {}) => {
+  const json = JSON.parse(JSON.stringify(state));
+  edit(json);
+  return parseSavedState(JSON.stringify(json));
+};
+
+describe('saved state', () => {
+  test.each([
+    ['ising', {}],
+    ['potts', { model: 'potts', q: 5 }],
+    ['clock', { model: 'clock', q: 8 }],
+    ['xy', { model: 'xy' }],
+  ])('%s lattices survive a round trip exactly', (_, overrides) => {
+    const state = saved(overrides);
+    const loaded = reload(state);
+    const model = overrides.model ?? 'ising';
+    const q = overrides.q ?? 3;
+    expect(loaded.spins).toEqual(decodeSpins(state.lattice, model, q, 100));
+    expect(encodeSpins(loaded.spins, model, q)).toEqual({
+      encoding: state.lattice.encoding,
+      spins: state.lattice.spins,
+    });
+    expect(loaded.version).toBe(VERSION);
+    expect(loaded.parameters).toEqual({ ...PARAMETERS, ...overrides });
+    expect(loaded.settings).toEqual({ drawMode: 'square' });
+    expect(loaded.history.magnetization).toEqual([0.5, null]);
+  });
+
+  test('Ising spins take one bit each', () => {
+    const spins = Int8Array.from({ length: 16 }, (_, i) =>
+      i % 3 === 0 ? 1 : -1
+    );
+    const encoded = encodeSpins(spins, 'ising', 2);
+    expect(atob(encoded.spins)).toHaveLength(2);
+    expect(decodeSpins(encoded, 'ising', 2, 16)).toEqual(spins);
+  });
+
+  test.each([
+    ['not JSON', (text) => text.slice(1), /JSON/],
+    [
+      'another format',
+      (text) => text.replace('ising-simulation', 'x'),
+      /not a saved/,
+    ],
+  ])('rejects files that are %s', (_, corrupt, message) => {
+    const text = JSON.stringify(saved());
+    expect(() => parseSavedState(corrupt(text))).toThrow(message);
+  });
+
+  test.each([
+    ['newer versions', (json) => (json.version = VERSION + 1), /version/],
+    ['lattices of another size', (json) => (json.lattice.size = 12), /fit/],
+    ['corrupt spin data', (json) => (json.lattice.spins = '@@@'), /base64/],
+    [
+      'the wrong encoding',
+      (json) => (json.lattice.encoding = 'float64'),
+      /encoding/,
+    ],
+    [
+      'missing parameters',
+      (json) => delete json.parameters.temperature,
+      /temperature/,
+    ],
+    [
+      'unknown models',
+      (json) => (json.parameters.model = 'heisenberg'),
+      /Invalid parameters/,
+    ],
+    [
+      'non-positive temperatures',
+      (json) => (json.parameters.temperature = 0),
+      /temperature must be in/,
+    ],
+    [
+      'dilutions beyond the slider',
+      (json) => (json.parameters.dilution = 0.999),
+      /dilution must be in/,
+    ],
+    [
+      'broken generator states',
+      (json) => (json.random.state = [0, 0, 0, 0]),
+      /generator/,
+    ],
+    ['invalid seeds', (json) => (json.random.seed = -3), /Seeds/],
+    ['ragged histories', (json) => json.history.energy.push(1), /same length/],
+    [
+      'non-numeric histories',
+      (json) => (json.history.energy = ['x']),
+      /numbers/,
+    ],
+    ['negative sweep counts', (json) => (json.sweeps = -1), /sweep/],
+  ])('rejects %s', (_, edit, message) => {
+    expect(() => reload(saved(), edit)).toThrow(message);
+  });
+
+  test.each([4, 20000, 10.5])(
+    'rejects lattices of size %p without allocating them',
+    (size) => {
+      expect(() =>
+        reload(saved(), (json) => (json.lattice.size = size))
+      ).toThrow(/Invalid lattice size/);
+    }
+  );
+
+  test('checks the length of the spin data before decoding it', () => {
+    const state = saved();
+    state.lattice.spins = 'AAAA'.repeat(1000);
+    expect(() => reload(state)).toThrow(/fit a lattice of 100 sites/);
+  });
+
+  test('rejects Potts states beyond q', () => {
+    const state = saved({ model: 'potts', q: 3 });
+    // Two bits per spin; 0xff makes the first sites state 3
+    const bytes = Uint8Array.from(atob(state.lattice.spins), (c) =>
+      c.charCodeAt(0)
+    );
+    bytes[0] = 0xff;
+    state.lattice.spins = btoa(String.fromCharCode(...bytes));
+    expect(() => reload(state)).toThrow(/state 3/);
+  });
+});
@@ -0,0 +1,174 @@
+// shareLink.js
+// Configuration carried in the hash of a shareable link, e.g.
+//   #T=2.3&Jx=1.2&Jy=1.2&pattern=checkerboard&seed=1234
+// Only values that differ from LINK_DEFAULTS are written, each under the
+// short key in LINK_KEYS. Small lattices can also carry their spins as
+// base64url in `spins`, in the encoding of savedState.js, as long as that
+// stays under MAX_LINK_SPINS characters.
+//
+// parseShareHash never throws: values that do not parse are skipped with an
+// error saying why, and a combination the engine rejects drops the whole
+// configuration, so a mangled link still opens the app. Sizes outside
+// MIN_SIZE to MAX_SIZE and parameters outside the ranges of
+// parameterRanges.js do not parse.
+import { ALGORITHMS, PATTERNS, validateOptions } from './IsingSimulation';
+import { BOND_DISORDERS } from './disorder';
+import { BOUNDARIES, LATTICE_TYPES, MAX_SIZE, MIN_SIZE } from './lattice';
+import { isInRange } from './parameterRanges';
+import { MAX_SEED } from './random';
+import { decodeSpins, encodeSpins } from './savedState';
+import { MODELS } from './spinModels';
+
+export const LINK_DEFAULTS = {
+  size: 30,
+  temperature: 2,
+  couplingX: 1,
+  couplingY: 1,
+  couplingDiagonal: 0,
+  externalField: 0,
+  model: 'ising',
+  q: 3,
+  proposalWidth: 1,
+  randomField: 0,
+  bondDisorder: 'none',
+  bondSpread: 1,
+  dilution: 0,
+  disorderSeed: 1,
+  algorithm: 'metropolis',
+  boundary: 'periodic',
+  latticeType: 'square',
+  pattern: 'random',
+  upFraction: 0.5,
+};
+
+export const LINK_KEYS = {
+  size: 'L',
+  temperature: 'T',
+  couplingX: 'Jx',
+  couplingY: 'Jy',
+  couplingDiagonal: 'J2',
+  externalField: 'h',
+  model: 'model',
+  q: 'q',
+  proposalWidth: 'step',
+  randomField: 'sh',
+  bondDisorder: 'bonds',
+  bondSpread: 'sJ',
+  dilution: 'p',
+  disorderSeed: 'dseed',
+  algorithm: 'alg',
+  boundary: 'bc',
+  latticeType: 'lattice',
+  pattern: 'pattern',
+  upFraction: 'up',
+  seed: 'seed',
+};
+
+// Longest spin payload put in a link
+export const MAX_LINK_SPINS = 4096;
+
+const CHOICES = {
+  model: MODELS,
+  bondDisorder: BOND_DISORDERS,
+  algorithm: ALGORITHMS,
+  boundary: BOUNDARIES,
+  latticeType: LATTICE_TYPES,
+  pattern: PATTERNS,
+};
+
+const INTEGERS = ['size', 'q', 'disorderSeed', 'seed'];
+
+// Value of `name` from its text in a link, or undefined if it is invalid
+const parseValue = (name, text) => {
+  if (CHOICES[name]) return CHOICES[name].includes(text) ? text : undefined;
+  const value = Number(text);
+  if (text === '' || !Number.isFinite(value)) return undefined;
+  if (INTEGERS.includes(name) && !Number.isInteger(value)) return undefined;
+  if (name === 'size' && !(value >= MIN_SIZE && value <= MAX_SIZE)) {
+    return undefined;
+  }
+  if (name === 'seed' && !(value >= 0 && value <= MAX_SEED)) return undefined;
+  return isInRange(name, value) ? value : undefined;
+};
+
+const toBase64Url = (base64) =>
+  base64.replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+const fromBase64Url = (text) => {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+};
+
+// Hash (without '#') for `values`, holding any of the LINK_KEYS names, and
+// optionally the current spins. Returns the hash and whether the spins fit.
+export const createShareHash = (values, spins = null) => {
+  const params = new URLSearchParams();
+  for (const [name, key] of Object.entries(LINK_KEYS)) {
+    const value = values[name];
+    if (value !== undefined && value !== LINK_DEFAULTS[name]) {
+      params.set(key, String(value));
+    }
+  }
+  let spinsIncluded = false;
+  if (spins) {
+    const model = values.model ?? LINK_DEFAULTS.model;
+    const q = values.q ?? LINK_DEFAULTS.q;
+    const { encoding, spins: data } = encodeSpins(spins, model, q);
+    const encoded = toBase64Url(data);
+    if (encoded.length <= MAX_LINK_SPINS) {
+      params.set('encoding', encoding);
+      params.set('spins', encoded);
+      spinsIncluded = true;
+    }
+  }
+  return { hash: params.toString(), spinsIncluded };
+};
+
+// { values, spins, errors } from a location hash, with or without '#'.
+// `values` holds only what the link sets; `spins` is a typed array or null.
+export const parseShareHash = (hash) => {
+  const params = new URLSearchParams(hash.replace(/^#/, ''));
+  const values = {};
+  const errors = [];
+  for (const [name, key] of Object.entries(LINK_KEYS)) {
+    if (!params.has(key)) continue;
+    const value = parseValue(name, params.get(key));
+    if (value === undefined) {
+      errors.push(`Ignored invalid ${key}=${params.get(key)}`);
+    } else {
+      values[name] = value;
+    }
+  }
+
+  const merged = { ...LINK_DEFAULTS, ...values };
+  const { size, pattern, upFraction, algorithm, ...parameters } = merged;
+  try {
+    // The algorithm falls back to Metropolis where unsupported, so only the
+    // rest has to make sense together
+    validateOptions({ ...parameters, size });
+  } catch (error) {
+    return {
+      values: {},
+      spins: null,
+      errors: [...errors, `Ignored the link: ${error.message}`],
+    };
+  }
+
+  let spins = null;
+  if (params.has('spins')) {
+    try {
+      spins = decodeSpins(
+        {
+          encoding: params.get('encoding'),
+          spins: fromBase64Url(params.get('spins')),
+        },
+        merged.model,
+        merged.q,
+        size * size
+      );
+    } catch (error) {
+      errors.push(`Ignored the spins: ${error.message}`);
+    }
+  }
+  return { values, spins, errors };
+};
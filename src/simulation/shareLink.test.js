@@ -0,0 +1,119 @@
+import { createShareHash, MAX_LINK_SPINS, parseShareHash } from './shareLink';
+
+describe('share links', () => {
+  test('only values that differ from the defaults are written', () => {
+    const { hash } = createShareHash({
+      size: 30,
+      temperature: 2.3,
+      couplingX: 1.2,
+      couplingY: 1.2,
+      model: 'ising',
+      pattern: 'checkerboard',
+      seed: 1234,
+    });
+    expect(hash).toBe('T=2.3&Jx=1.2&Jy=1.2&pattern=checkerboard&seed=1234');
+  });
+
+  test('a link restores what it was made from', () => {
+    const values = {
+      size: 16,
+      temperature: 1.7,
+      externalField: -0.4,
+      model: 'potts',
+      q: 4,
+      boundary: 'fixedUp',
+      algorithm: 'wolff',
+      pattern: 'fraction',
+      upFraction: 0.3,
+      seed: 99,
+    };
+    const { hash } = createShareHash(values);
+    expect(parseShareHash(`#${hash}`)).toEqual({
+      values,
+      spins: null,
+      errors: [],
+    });
+  });
+
+  test('small lattices carry their spins', () => {
+    const clockSpins = Int8Array.from({ length: 100 }, (_, i) => (i * 7) % 4);
+    const values = { size: 10, model: 'clock', q: 4 };
+    const { hash, spinsIncluded } = createShareHash(values, clockSpins);
+    expect(spinsIncluded).toBe(true);
+    // base64url needs no escaping in a URL
+    expect(hash).not.toMatch(/%/);
+    expect(new URLSearchParams(hash).get('spins')).not.toMatch(/[+/=]/);
+    expect(parseShareHash(hash).spins).toEqual(clockSpins);
+
+    const xy = Float64Array.from({ length: 40000 }, (_, i) => i % 6);
+    const large = createShareHash({ size: 200, model: 'xy' }, xy);
+    expect(large.spinsIncluded).toBe(false);
+    expect(large.hash.length).toBeLessThan(MAX_LINK_SPINS);
+  });
+
+  test('invalid values are skipped with a reason', () => {
+    const { values, errors } = parseShareHash(
+      '#T=hot&L=8.5&model=heisenberg&Jx=0.5&seed=-1'
+    );
+    expect(values).toEqual({ couplingX: 0.5 });
+    expect(errors).toEqual([
+      'Ignored invalid L=8.5',
+      'Ignored invalid T=hot',
+      'Ignored invalid model=heisenberg',
+      'Ignored invalid seed=-1',
+    ]);
+  });
+
+  test('sizes outside the Grid Size range are invalid', () => {
+    const { values, errors } = parseShareHash('#L=1024&T=3');
+    expect(values).toEqual({ temperature: 3 });
+    expect(errors).toEqual(['Ignored invalid L=1024']);
+    expect(parseShareHash('#L=4').errors).toEqual(['Ignored invalid L=4']);
+    expect(parseShareHash('#L=512').values).toEqual({ size: 512 });
+  });
+
+  test.each([
+    ['T=-1', 'T'],
+    ['T=0', 'T'],
+    ['T=9', 'T'],
+    ['up=1.7', 'up'],
+    ['up=-0.1', 'up'],
+    ['step=-1', 'step'],
+    ['step=1e9', 'step'],
+    ['p=0.999', 'p'],
+    ['sh=-0.5', 'sh'],
+    ['Jx=40', 'Jx'],
+    ['h=100', 'h'],
+  ])('%s is outside the range of its slider', (pair) => {
+    const { values, errors } = parseShareHash(`#${pair}&L=40`);
+    expect(values).toEqual({ size: 40 });
+    expect(errors).toEqual([`Ignored invalid ${pair}`]);
+  });
+
+  test('values at the ends of the slider ranges are valid', () => {
+    const { values, errors } = parseShareHash('#T=0.1&up=1&p=0.6&h=-4');
+    expect(errors).toEqual([]);
+    expect(values).toEqual({
+      temperature: 0.1,
+      upFraction: 1,
+      dilution: 0.6,
+      externalField: -4,
+    });
+  });
+
+  test('combinations the engine rejects drop the whole link', () => {
+    const { values, errors } = parseShareHash('#model=potts&q=12&T=3');
+    expect(values).toEqual({});
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^Ignored the link: .*states/);
+  });
+
+  test('spins that do not fit the lattice are ignored', () => {
+    const { values, spins, errors } = parseShareHash(
+      '#L=10&encoding=bits&spins=AAAA'
+    );
+    expect(values).toEqual({ size: 10 });
+    expect(spins).toBeNull();
+    expect(errors[0]).toMatch(/^Ignored the spins/);
+  });
+});
@@ -0,0 +1,12 @@
+// simulation.worker.js
+// Worker entry point: forwards messages to a simulation host
+import { createSimulationHost } from './simulationHost';
+
+// eslint-disable-next-line no-restricted-globals
+const scope = self;
+
+const host = createSimulationHost((message, transfer) =>
+  scope.postMessage(message, transfer)
+);
+
+scope.onmessage = (e) => host.handle(e.data);
@@ -0,0 +1,744 @@
+// simulationHost.js
+// Message protocol between the UI thread and the simulation worker. The host
+// owns an IsingSimulation, runs sweeps on a timer and posts lattice snapshots
+// back. Snapshots are flow-controlled: a new one is only posted once the UI
+// has acknowledged the previous one, so the worker never floods the main
+// thread and frames arrive at whatever rate the display can draw.
+//
+// Incoming messages:
+//   { type: 'reset', epoch, size, pattern, upFraction, parameters, seed }
+//   { type: 'setParameters', parameters }
+//   { type: 'play', interval } / { type: 'pause' }
+//   { type: 'advance', id, sweeps }
+//   { type: 'brush', shape, x, y, x0, y0, radius, tool, state, value }
+//                                           (a brushes.js region and tool)
+//   { type: 'clearPins' } / { type: 'clearField' }
+//   { type: 'checkpoint' }                  (before an edit that can be undone)
+//   { type: 'undo' } / { type: 'redo' }
+//   { type: 'showFrame', id }               (a timeline.js frame id)
+//   { type: 'seek', id }
+//   { type: 'setMeasurement', burnIn, window }
+//   { type: 'setHysteresis', hysteresis }   ({ fieldMax, rate } or null)
+//   { type: 'setSchedule', schedule }       (annealing.js schedule or null)
+//   { type: 'setCorrelation', interval }    (sweeps between measurements or
+//                                            null)
+//   { type: 'measureCorrelation' }
+//   { type: 'setDomains', kind }            ('geometric', 'fk' or null)
+//   { type: 'setStructureFactor', interval } (as setCorrelation)
+//   { type: 'measureStructureFactor' }
+//   { type: 'save' }
+//   { type: 'load', epoch, state }   (state from savedState.parseSavedState)
+//   { type: 'startExperiment', id, size, parameters, settings, seed }
+//   { type: 'cancelExperiment' }
+//   { type: 'ack' }
+//
+// Outgoing messages:
+//   { type: 'snapshot', epoch, size, latticeType, model, q, spins, vortices,
+//     vacancies, pinned, fields, sweeps, magnetization, energy, measurement,
+//     hysteresis, annealing, advanced, correlation, domains,
+//     structureFactor, timeline, undoable, history }
+//   { type: 'frame', epoch, id, sweeps, spins }
+//   { type: 'state', size, spins, sweeps, temperature, externalField,
+//     random }
+//   { type: 'experiment', id, temperature, done, total, points, finished }
+//   { type: 'error', request, message }   (a message of type `request` failed)
+//
+// `epoch` is chosen by the UI on every reset and echoed back so snapshots
+// that were already in flight for the previous lattice can be discarded.
+// `history` maps each of the CONDITIONS, OBSERVABLES and ESTIMATES to its
+// values after every sweep or edit since the previous snapshot, so every
+// measurement comes with the sweep count, temperature and field it was taken
+// at; observables that do not apply to the current model are recorded as
+// null, as are `vortices` (the plaquette winding numbers) outside clock and
+// XY models on the square lattice. `vacancies` masks the vacant sites of a
+// diluted lattice (null without dilution), `pinned` the sites pinned by a
+// brush (null without any) and `fields` holds the external, random and
+// painted field on every site. A brush without a `tool` paints its `state`,
+// or Metropolis-flips the spins it covers when it has none. Pins are
+// dropped by resets and loads; the painted field stays until 'clearField'
+// or a new lattice size.
+//
+// `correlation` is the latest correlation function (correlation.js) of the
+// live lattice: { sweeps, r, g, fit } with the sweep count it was measured
+// at, or null before any measurement on the current lattice.
+// 'measureCorrelation' measures it once, straight away; 'setCorrelation'
+// measures it now and then after every `interval`-th sweep, recording the
+// fitted correlation length in the `correlationLength` series of `history`
+// (null where it was not measured or no decay could be fitted).
+//
+// The structure factor (structureFactor.js) is measured the same way, on
+// demand or every `interval` sweeps, and recorded as the `domainLength`
+// series. Being N values, it is only sent once: `structureFactor` is
+// { sweeps, size, factor, k, s, length } in the first snapshot after a
+// measurement and null in the others.
+//
+// While 'setDomains' has chosen a kind of cluster, every snapshot carries
+// `domains`: the clusters of domains.js analyzeDomains plus their size
+// `histogram`. It is null without a kind, or when the model has no such
+// clusters. Fortuin–Kasteleyn bonds are drawn from Math.random rather than
+// the simulation's generator, so watching clusters never changes a run.
+//
+// 'checkpoint' keeps the lattice, sweep count, pins and painted field on an
+// undo stack of up to UNDO_DEPTH states, so the UI sends one before each
+// brush stroke, new initial state or other edit it wants to be undoable.
+// 'undo' goes back to the newest of them and 'redo' forward again; states
+// that no longer fit the lattice, after a change of size or model, are
+// skipped. `undoable` is { undo, redo }, the number of states on each stack.
+//
+// Every configuration recorded in `history` also goes into a timeline.js
+// ring buffer, which resets and loads empty; `timeline` is its range
+// { first, last, firstSweeps, lastSweeps } of frame ids and sweep counts.
+// 'showFrame' answers with the spins of one frame, for rewinding the view,
+// without touching the simulation; 'seek' resumes the simulation from that
+// frame, dropping the frames after it. Only the spins and the sweep count
+// go back: parameters, pins and the painted field stay as they are.
+//
+// Every reset reseeds the simulation's generator (random.js) with `seed`, or
+// a fresh seed when there is none, so resetting with the same seed, pattern
+// and parameters replays the run. Experiments given a seed are reproducible
+// the same way.
+//
+// 'save' answers with the lattice, the current temperature and field (which
+// annealing and hysteresis loops move) and the generator's seed and state,
+// as savedState.js stores them. 'load' resumes from a parsed saved state as
+// a reset to its `epoch` would, but with the saved spins, sweep count and
+// generator state. Without a saved generator state the generator starts
+// afresh from the seed, without a seed it carries on, and without a sweep
+// count the count starts at 0.
+//
+// `measurement` holds the running averages of measurements.js over the
+// sweeps since the burn-in. Resets, parameter changes and brush edits all
+// disturb equilibrium, so each of them restarts the burn-in.
+//
+// While a hysteresis loop (hysteresis.js) is set, every sweep of the live
+// simulation first moves the external field along the loop. Snapshots then
+// carry `hysteresis`: { loop, temperature, field, points, cycles } with the
+// [h, m] pairs recorded since the previous snapshot and the crossings of
+// every cycle so far. Changing the temperature starts a new loop with a new
+// `loop` number so loops at several temperatures can be told apart; without
+// a loop `hysteresis` is null.
+//
+// 'advance' runs exactly `sweeps` sweeps at once, as the timer would, and
+// then posts a single snapshot whose `advanced` is the message's `id`, so
+// offline recordings get one frame per fixed number of sweeps whatever the
+// speed of the machine. Later snapshots keep the id of the last advance;
+// before any advance it is null.
+//
+// An annealing schedule sets the temperature before every sweep of the live
+// simulation, counting sweeps from when it was set. Snapshots then carry
+// `annealing`: { sweep, length, temperature, finished }; once finished the
+// temperature stays at the schedule's target. Without a schedule
+// `annealing` is null.
+//
+// A temperature-sweep experiment (experiment.js) runs on its own lattices
+// alongside the live simulation, in slices of about EXPERIMENT_SLICE spin
+// updates so that other messages, cancellation included, are handled in
+// between. Every slice posts the progress and the points so far.
+import {
+  scheduleLength,
+  scheduleTemperature,
+  validateSchedule,
+} from './annealing';
+import { correlationFunction, fitCorrelationLength } from './correlation';
+import {
+  analyzeDomains,
+  CLUSTER_KINDS,
+  clusterSizeHistogram,
+  supportsClusterKind,
+} from './domains';
+import { applyBrush } from './brushes';
+import { createTemperatureSweep } from './experiment';
+import { createTimeline, DEFAULT_TIMELINE } from './timeline';
+import {
+  circularAverage,
+  domainLength,
+  structureFactor,
+} from './structureFactor';
+import { createHysteresisLoop } from './hysteresis';
+import IsingSimulation from './IsingSimulation';
+import { createRandom, randomSeed } from './random';
+import {
+  createMeasurement,
+  DEFAULT_MEASUREMENT,
+  ESTIMATES,
+} from './measurements';
+
+// Settings a measurement was taken under, which schedules and loops move
+export const CONDITIONS = {
+  sweeps: (simulation) => simulation.sweeps,
+  temperature: (simulation) => simulation.temperature,
+  externalField: (simulation) => simulation.externalField,
+};
+
+export const OBSERVABLES = {
+  magnetization: (simulation) => simulation.magnetization(),
+  staggeredMagnetization: (simulation) => simulation.staggeredMagnetization(),
+  orderParameter: (simulation) => simulation.orderParameter(),
+  vortexDensity: (simulation) => simulation.vortexDensity(),
+  helicityModulus: (simulation) => simulation.helicityModulus(),
+  energy: (simulation) => simulation.energy(),
+};
+
+const EXPERIMENT_SLICE = 200000;
+
+// Most states kept for undo
+export const UNDO_DEPTH = 30;
+
+const emptyHistory = () =>
+  Object.fromEntries(
+    [
+      ...Object.keys(CONDITIONS),
+      ...Object.keys(OBSERVABLES),
+      'correlationLength',
+      'domainLength',
+      ...ESTIMATES,
+    ].map((name) => [name, []])
+  );
+
+const measure = (simulation) =>
+  Object.fromEntries(
+    Object.entries(OBSERVABLES).map(([name, observable]) => [
+      name,
+      observable(simulation),
+    ])
+  );
+
+export const createSimulationHost = (post) => {
+  let simulation = null;
+  let epoch = 0;
+  let timer = null;
+  let history = emptyHistory();
+  let dirty = false;
+  let awaitingAck = false;
+  const measurement = createMeasurement(DEFAULT_MEASUREMENT);
+  let experimentTimer = null;
+  let hysteresisSettings = null;
+  let hysteresis = null; // Current loop, see startLoop
+  let loopCount = 0;
+  let loopPoints = []; // [h, m] since the previous snapshot
+  let annealing = null; // { schedule, sweep } while a schedule is set
+  let advancing = false; // Holds snapshots back until an advance is done
+  let advanced = null; // Id of the last finished advance
+  let correlationInterval = null; // Sweeps between live measurements
+  let correlation = null; // Latest measurement, see measureCorrelation
+  let domainKind = null; // Clusters analyzed for every snapshot
+  let structureInterval = null; // Sweeps between live structure factors
+  let structure = null; // Latest structure factor, see measureStructure
+  let structurePending = false; // Measured since the previous snapshot
+  const timeline = createTimeline(DEFAULT_TIMELINE);
+  const undoStack = []; // States before each checkpointed edit, see editState
+  let redoStack = [];
+
+  const estimates = () =>
+    measurement.estimates({
+      temperature: simulation.temperature,
+      spins: simulation.occupiedCount,
+    });
+
+  const measureCorrelation = () => {
+    const { r, g } = correlationFunction(simulation.spins, simulation.size, {
+      model: simulation.model,
+      q: simulation.q,
+      vacancies: simulation.vacancies,
+    });
+    correlation = {
+      sweeps: simulation.sweeps,
+      r,
+      g,
+      fit: fitCorrelationLength({ r, g }),
+    };
+    return correlation;
+  };
+
+  const measureStructure = () => {
+    const { size } = simulation;
+    const factor = structureFactor(simulation.spins, size, {
+      model: simulation.model,
+      q: simulation.q,
+      vacancies: simulation.vacancies,
+    });
+    structure = {
+      sweeps: simulation.sweeps,
+      size,
+      factor: Float32Array.from(factor),
+      ...circularAverage(factor, size),
+      length: domainLength(factor, size),
+    };
+    structurePending = true;
+    return structure;
+  };
+
+  // Whether a live measurement every `interval` sweeps is due at the
+  // current sweep and not yet done
+  const isDue = (interval, latest) =>
+    interval !== null &&
+    simulation.sweeps % interval === 0 &&
+    !(latest && latest.sweeps === simulation.sweeps);
+
+  const editState = () => ({
+    model: simulation.model,
+    states: simulation.states,
+    spins: simulation.spins.slice(),
+    sweeps: simulation.sweeps,
+    edits: simulation.captureEdits(),
+  });
+
+  const fits = (state) =>
+    state.model === simulation.model &&
+    state.states === simulation.states &&
+    state.spins.length === simulation.spins.length;
+
+  // Go back to the newest state of `from` that fits the lattice, keeping
+  // the current one on `to`
+  const travel = (from, to) => {
+    while (from.length > 0) {
+      const state = from.pop();
+      if (!fits(state)) continue;
+      to.push(editState());
+      simulation.restore(state.spins, state.sweeps);
+      simulation.restoreEdits(state.edits);
+      measurement.restart();
+      record();
+      return;
+    }
+    dirty = true;
+    flush();
+  };
+
+  const analyzeClusters = () => {
+    if (!domainKind || !supportsClusterKind(domainKind, simulation.model)) {
+      return null;
+    }
+    const domains = analyzeDomains(simulation, {
+      kind: domainKind,
+      random: Math.random,
+    });
+    return {
+      ...domains,
+      histogram: clusterSizeHistogram(domains.sizes, simulation.occupiedCount),
+    };
+  };
+
+  const flush = () => {
+    if (!simulation || !dirty || awaitingAck || advancing) return;
+    const spins = simulation.spins.slice();
+    const domains = analyzeClusters();
+    const vortices = simulation.vorticity();
+    const vacancies = simulation.vacancies && simulation.vacancies.slice();
+    const pinned = simulation.pinned && simulation.pinned.slice();
+    const fields = Float32Array.from(simulation.fields);
+    post(
+      {
+        type: 'snapshot',
+        epoch,
+        size: simulation.size,
+        latticeType: simulation.latticeType,
+        model: simulation.model,
+        q: simulation.q,
+        spins,
+        vortices,
+        vacancies,
+        pinned,
+        fields,
+        sweeps: simulation.sweeps,
+        magnetization: simulation.magnetization(),
+        energy: simulation.energy(),
+        measurement: estimates(),
+        hysteresis: hysteresis && {
+          loop: loopCount,
+          temperature: hysteresis.temperature,
+          field: hysteresis.loop.field,
+          points: loopPoints,
+          cycles: hysteresis.loop.cycles.map((cycle) => ({ ...cycle })),
+        },
+        annealing: annealing && {
+          sweep: annealing.sweep,
+          length: scheduleLength(annealing.schedule),
+          temperature: simulation.temperature,
+          finished: annealing.sweep > scheduleLength(annealing.schedule),
+        },
+        advanced,
+        correlation,
+        domains,
+        structureFactor: structurePending ? structure : null,
+        timeline: timeline.range,
+        undoable: { undo: undoStack.length, redo: redoStack.length },
+        history,
+      },
+      [
+        spins,
+        vortices,
+        vacancies,
+        pinned,
+        fields,
+        domains && domains.labels,
+        domains && domains.walls,
+      ]
+        .filter(Boolean)
+        .map((array) => array.buffer)
+    );
+    history = emptyHistory();
+    loopPoints = [];
+    structurePending = false;
+    dirty = false;
+    awaitingAck = true;
+  };
+
+  const record = (values = measure(simulation)) => {
+    const current = estimates();
+    for (const [name, condition] of Object.entries(CONDITIONS)) {
+      history[name].push(condition(simulation));
+    }
+    for (const name of Object.keys(OBSERVABLES)) {
+      history[name].push(values[name]);
+    }
+    for (const name of ESTIMATES) history[name].push(current[name]);
+    const fit = isDue(correlationInterval, correlation)
+      ? measureCorrelation().fit
+      : null;
+    history.correlationLength.push(fit && fit.xi);
+    history.domainLength.push(
+      isDue(structureInterval, structure) ? measureStructure().length : null
+    );
+    timeline.push(simulation.spins, simulation.sweeps);
+    dirty = true;
+    flush();
+  };
+
+  const pause = () => {
+    clearInterval(timer);
+    timer = null;
+  };
+
+  const startLoop = () => {
+    loopCount += 1;
+    loopPoints = [];
+    hysteresis = {
+      temperature: simulation.temperature,
+      loop: createHysteresisLoop(hysteresisSettings),
+    };
+  };
+
+  // One sweep of the live simulation, moved along any schedule or loop
+  const step = () => {
+    if (annealing && annealing.sweep <= scheduleLength(annealing.schedule)) {
+      simulation.setParameters({
+        temperature: scheduleTemperature(annealing.schedule, annealing.sweep),
+      });
+      annealing.sweep += 1;
+    }
+    if (hysteresis) {
+      simulation.setParameters({ externalField: hysteresis.loop.next() });
+    }
+    simulation.sweep();
+    const values = measure(simulation);
+    if (hysteresis) {
+      hysteresis.loop.record(values.magnetization);
+      loopPoints.push([simulation.externalField, values.magnetization]);
+    }
+    measurement.add(values.energy, values.orderParameter);
+    record(values);
+  };
+
+  const play = (interval) => {
+    pause();
+    timer = setInterval(step, interval);
+  };
+
+  const cancelExperiment = () => {
+    clearTimeout(experimentTimer);
+    experimentTimer = null;
+  };
+
+  const runExperiment = (id, sweep, sweepsPerSlice) => {
+    sweep.advance(sweepsPerSlice);
+    post({
+      type: 'experiment',
+      id,
+      temperature: sweep.temperature,
+      done: sweep.done,
+      total: sweep.total,
+      points: sweep.points.slice(),
+      finished: sweep.finished,
+    });
+    if (sweep.finished) {
+      cancelExperiment();
+    } else {
+      experimentTimer = setTimeout(() =>
+        runExperiment(id, sweep, sweepsPerSlice)
+      );
+    }
+  };
+
+  const startExperiment = ({ id, size, parameters, settings, seed }) => {
+    cancelExperiment();
+    const sweep = createTemperatureSweep({
+      settings,
+      size,
+      parameters,
+      random: seed === undefined ? Math.random : createRandom(seed),
+    });
+    const sweepsPerSlice = Math.max(
+      1,
+      Math.floor(EXPERIMENT_SLICE / (size * size))
+    );
+    experimentTimer = setTimeout(() =>
+      runExperiment(id, sweep, sweepsPerSlice)
+    );
+  };
+
+  // Apply `parameters` and a new `size` together, leaving the lattice to be
+  // filled by the caller. Some parameters only fit the new size, such as a
+  // wrapping triangular lattice replacing an odd square one, and then the
+  // size has to change first.
+  const reshape = (size, parameters) => {
+    if (!simulation) {
+      simulation = new IsingSimulation({
+        ...parameters,
+        size,
+        pattern: 'positive',
+      });
+      return;
+    }
+    if (parameters) {
+      try {
+        simulation.setParameters(parameters);
+      } catch (error) {
+        if (simulation.size === size) throw error;
+        simulation.resize(size, 'positive');
+        simulation.setParameters(parameters);
+      }
+    }
+    if (simulation.size !== size) simulation.resize(size, 'positive');
+  };
+
+  const dispatch = (message) => {
+    switch (message.type) {
+      case 'reset': {
+        const { size, pattern, upFraction, parameters } = message;
+        const { seed = randomSeed() } = message;
+        epoch = message.epoch;
+        reshape(size, parameters);
+        simulation.random = createRandom(seed);
+        simulation.reset(pattern, { upFraction });
+        history = emptyHistory();
+        timeline.clear();
+        correlation = null;
+        structure = null;
+        structurePending = false;
+        awaitingAck = false;
+        measurement.restart();
+        if (hysteresisSettings) startLoop();
+        record();
+        break;
+      }
+      case 'save':
+        if (!simulation) break;
+        post({
+          type: 'state',
+          size: simulation.size,
+          spins: simulation.spins.slice(),
+          sweeps: simulation.sweeps,
+          temperature: simulation.temperature,
+          externalField: simulation.externalField,
+          random: {
+            seed: simulation.random.seed,
+            state: simulation.random.getState(),
+          },
+        });
+        break;
+      case 'load': {
+        const { size, spins, sweeps, parameters, random } = message.state;
+        epoch = message.epoch;
+        reshape(size, parameters);
+        simulation.restore(spins, sweeps);
+        simulation.clearPins();
+        if (random) {
+          simulation.random = createRandom(random.seed);
+          if (random.state) simulation.random.setState(random.state);
+        }
+        history = emptyHistory();
+        timeline.clear();
+        correlation = null;
+        structure = null;
+        structurePending = false;
+        awaitingAck = false;
+        measurement.restart();
+        if (hysteresisSettings) startLoop();
+        record();
+        break;
+      }
+      case 'setParameters':
+        if (simulation) {
+          simulation.setParameters(message.parameters);
+          if (hysteresis && hysteresis.temperature !== simulation.temperature) {
+            startLoop();
+          }
+        }
+        measurement.restart();
+        break;
+      case 'setHysteresis':
+        hysteresisSettings = message.hysteresis;
+        hysteresis = null;
+        if (simulation && hysteresisSettings) startLoop();
+        break;
+      case 'setSchedule':
+        if (message.schedule) validateSchedule(message.schedule);
+        annealing = message.schedule && {
+          schedule: message.schedule,
+          sweep: 0,
+        };
+        break;
+      case 'setCorrelation': {
+        const { interval } = message;
+        if (
+          interval !== null &&
+          !(Number.isInteger(interval) && interval > 0)
+        ) {
+          throw new Error(`Invalid correlation interval: ${interval}`);
+        }
+        correlationInterval = interval;
+        if (simulation && interval !== null) {
+          measureCorrelation();
+          dirty = true;
+          flush();
+        }
+        break;
+      }
+      case 'measureCorrelation':
+        if (!simulation) break;
+        measureCorrelation();
+        dirty = true;
+        flush();
+        break;
+      case 'setStructureFactor': {
+        const { interval } = message;
+        if (
+          interval !== null &&
+          !(Number.isInteger(interval) && interval > 0)
+        ) {
+          throw new Error(`Invalid structure factor interval: ${interval}`);
+        }
+        structureInterval = interval;
+        if (simulation && interval !== null) {
+          measureStructure();
+          dirty = true;
+          flush();
+        }
+        break;
+      }
+      case 'measureStructureFactor':
+        if (!simulation) break;
+        measureStructure();
+        dirty = true;
+        flush();
+        break;
+      case 'setDomains':
+        if (message.kind !== null && !CLUSTER_KINDS.includes(message.kind)) {
+          throw new Error(`Unknown cluster kind: ${message.kind}`);
+        }
+        domainKind = message.kind;
+        dirty = true;
+        flush();
+        break;
+      case 'setMeasurement':
+        measurement.configure(message);
+        break;
+      case 'startExperiment':
+        startExperiment(message);
+        break;
+      case 'cancelExperiment':
+        cancelExperiment();
+        break;
+      case 'play':
+        if (simulation) play(message.interval);
+        break;
+      case 'pause':
+        pause();
+        break;
+      case 'brush': {
+        if (!simulation) break;
+        const { tool, state, value } = message;
+        applyBrush(simulation, message, {
+          tool: tool || (state === undefined ? 'flip' : 'set'),
+          state,
+          value,
+        });
+        measurement.restart();
+        record();
+        break;
+      }
+      case 'clearPins':
+        if (!simulation) break;
+        simulation.clearPins();
+        dirty = true;
+        flush();
+        break;
+      case 'clearField':
+        if (!simulation) break;
+        simulation.clearPaintedField();
+        measurement.restart();
+        record();
+        break;
+      case 'checkpoint':
+        if (!simulation) break;
+        undoStack.push(editState());
+        if (undoStack.length > UNDO_DEPTH) undoStack.shift();
+        redoStack = [];
+        break;
+      case 'undo':
+        if (simulation) travel(undoStack, redoStack);
+        break;
+      case 'redo':
+        if (simulation) travel(redoStack, undoStack);
+        break;
+      case 'showFrame': {
+        const frame = timeline.get(message.id);
+        if (!frame) break;
+        post({ type: 'frame', epoch, ...frame }, [frame.spins.buffer]);
+        break;
+      }
+      case 'seek': {
+        // Frames dropped since the UI saw them are ignored
+        const frame = simulation && timeline.get(message.id);
+        if (!frame) break;
+        simulation.restore(frame.spins, frame.sweeps);
+        timeline.truncate(frame.id);
+        measurement.restart();
+        record();
+        break;
+      }
+      case 'advance':
+        if (!simulation) break;
+        advancing = true;
+        for (let k = 0; k < message.sweeps; k++) step();
+        advancing = false;
+        advanced = message.id;
+        flush();
+        break;
+      case 'ack':
+        awaitingAck = false;
+        flush();
+        break;
+      default:
+        throw new Error(`Unknown simulation message: ${message.type}`);
+    }
+  };
+
+  const dispose = () => {
+    pause();
+    cancelExperiment();
+  };
+
+  // A message that fails is answered with an error instead of taking the
+  // worker down, so the UI can say what went wrong
+  const handle = (message) => {
+    try {
+      dispatch(message);
+    } catch (error) {
+      post({ type: 'error', request: message.type, message: error.message });
+    }
+  };
+
+  return { handle, dispose };
+};
@@ -0,0 +1,684 @@
+import { createSimulationHost } from './simulationHost';
+
+const setup = () => {
+  const messages = [];
+  const host = createSimulationHost((message) => messages.push(message));
+  host.handle({
+    type: 'reset',
+    epoch: 1,
+    size: 8,
+    pattern: 'positive',
+    parameters: { temperature: 2, coupling: 1, externalField: 0 },
+  });
+  return { host, messages };
+};
+
+// What the host answers `message` with
+const reply = (host, messages, message) => {
+  host.handle(message);
+  return messages[messages.length - 1];
+};
+
+const failure = (request, message) => ({
+  type: 'error',
+  request,
+  message: expect.stringMatching(message),
+});
+
+describe('simulation host', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('posts a snapshot of the new lattice on reset', () => {
+    const { messages } = setup();
+    expect(messages).toHaveLength(1);
+    const [snapshot] = messages;
+    expect(snapshot.type).toBe('snapshot');
+    expect(snapshot.epoch).toBe(1);
+    expect(snapshot.size).toBe(8);
+    expect(snapshot.spins).toBeInstanceOf(Int8Array);
+    expect(snapshot.spins).toHaveLength(64);
+    expect(snapshot.history).toEqual({
+      sweeps: [0],
+      temperature: [2],
+      externalField: [0],
+      magnetization: [1],
+      staggeredMagnetization: [0],
+      orderParameter: [1],
+      vortexDensity: [null],
+      helicityModulus: [null],
+      energy: [-2],
+      correlationLength: [null],
+      domainLength: [null],
+      specificHeat: [null],
+      susceptibility: [null],
+      binderCumulant: [null],
+    });
+    expect(snapshot.vortices).toBeNull();
+    expect(snapshot.vacancies).toBeNull();
+    expect(snapshot.fields).toEqual(new Float32Array(64));
+    expect(snapshot.hysteresis).toBeNull();
+    expect(snapshot.annealing).toBeNull();
+    expect(snapshot.correlation).toBeNull();
+    expect(snapshot.domains).toBeNull();
+    expect(snapshot.structureFactor).toBeNull();
+  });
+
+  test('holds snapshots until the previous one is acknowledged', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'play', interval: 10 });
+    jest.advanceTimersByTime(50);
+    expect(messages).toHaveLength(1);
+
+    host.handle({ type: 'ack' });
+    expect(messages).toHaveLength(2);
+    expect(messages[1].sweeps).toBe(5);
+    expect(messages[1].history.magnetization).toHaveLength(5);
+
+    host.handle({ type: 'pause' });
+    host.handle({ type: 'ack' });
+    jest.advanceTimersByTime(50);
+    expect(messages).toHaveLength(2);
+  });
+
+  test('brush edits are reported and tagged with the current epoch', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'ack' });
+    host.handle({
+      type: 'setParameters',
+      parameters: { temperature: Infinity },
+    });
+    host.handle({ type: 'reset', epoch: 2, size: 8, pattern: 'positive' });
+    host.handle({ type: 'ack' });
+    host.handle({
+      type: 'brush',
+      x: 4.5,
+      y: 4.5,
+      radius: 1,
+      shape: 'square',
+    });
+    const last = messages[messages.length - 1];
+    expect(last.epoch).toBe(2);
+    expect(last.magnetization).toBeCloseTo((64 - 2 * 9) / 64);
+  });
+
+  test('a brush with a state paints it instead of flipping', () => {
+    const { host, messages } = setup();
+    host.handle({
+      type: 'setParameters',
+      parameters: { model: 'potts', q: 4 },
+    });
+    host.handle({ type: 'ack' });
+    host.handle({
+      type: 'brush',
+      x: 4.5,
+      y: 4.5,
+      radius: 1,
+      shape: 'square',
+      state: 3,
+    });
+    const last = messages[messages.length - 1];
+    expect(last.model).toBe('potts');
+    expect(last.spins.filter((s) => s === 3)).toHaveLength(9);
+  });
+
+  test('brush tools pin sites and paint fields until cleared', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'ack' });
+    const region = { shape: 'line', x0: 1, y0: 1, x: 6, y: 1, radius: 0 };
+    host.handle({ type: 'brush', ...region, tool: 'pin' });
+    let last = messages[messages.length - 1];
+    expect(last.pinned).toBeInstanceOf(Uint8Array);
+    expect(Array.from(last.pinned.slice(8, 16))).toEqual([
+      0, 1, 1, 1, 1, 1, 1, 0,
+    ]);
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'brush', ...region, tool: 'field', value: -3 });
+    last = messages[messages.length - 1];
+    expect(last.fields[9]).toBeCloseTo(-3);
+    expect(last.fields[1]).toBe(0);
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'clearPins' });
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'clearField' });
+    last = messages[messages.length - 1];
+    expect(last.pinned).toBeNull();
+    expect(last.fields[9]).toBe(0);
+  });
+
+  test('XY snapshots carry angles and plaquette winding numbers', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'setParameters', parameters: { model: 'xy' } });
+    host.handle({ type: 'ack' });
+    host.handle({
+      type: 'brush',
+      x: 4.5,
+      y: 4.5,
+      radius: 1,
+      shape: 'square',
+      state: Math.PI / 2,
+    });
+    const last = messages[messages.length - 1];
+    expect(last.spins).toBeInstanceOf(Float64Array);
+    expect(last.vortices).toBeInstanceOf(Int8Array);
+    expect(last.history.helicityModulus[0]).toEqual(expect.any(Number));
+    expect(last.history.vortexDensity).toEqual([0]);
+  });
+
+  test('checkpointed edits can be undone and redone', () => {
+    const { host, messages } = setup();
+    const paint = (state) => {
+      host.handle({ type: 'ack' });
+      host.handle({ type: 'checkpoint' });
+      host.handle({
+        type: 'brush',
+        shape: 'rectangle',
+        x0: 0,
+        y0: 0,
+        x: 3.9,
+        y: 7.9,
+        state,
+      });
+    };
+    const last = () => messages[messages.length - 1];
+    paint(-1);
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'checkpoint' });
+    host.handle({ type: 'brush', shape: 'fill', x: 1, y: 1, tool: 'pin' });
+    expect(last().magnetization).toBe(0);
+    expect(last().undoable).toEqual({ undo: 2, redo: 0 });
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'undo' });
+    expect(last().pinned).toBeNull();
+    expect(last().magnetization).toBe(0);
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'undo' });
+    expect(last().magnetization).toBe(1);
+    expect(last().undoable).toEqual({ undo: 0, redo: 2 });
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'redo' });
+    expect(last().magnetization).toBe(0);
+    // A new edit forgets what could be redone
+    paint(1);
+    expect(last().magnetization).toBe(1);
+    expect(last().undoable).toEqual({ undo: 2, redo: 0 });
+
+    // States from before a new lattice size are skipped
+    host.handle({ type: 'reset', epoch: 2, size: 10, pattern: 'negative' });
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'undo' });
+    expect(last().size).toBe(10);
+    expect(last().undoable).toEqual({ undo: 0, redo: 0 });
+  });
+
+  test('the timeline rewinds the view and resumes from any frame', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'setParameters', parameters: { temperature: 5 } });
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'advance', id: 1, sweeps: 10 });
+    const snapshot = messages[messages.length - 1];
+    expect(snapshot.timeline).toMatchObject({
+      firstSweeps: 0,
+      lastSweeps: 10,
+    });
+    const { first, last } = snapshot.timeline;
+    expect(last - first).toBe(10);
+
+    host.handle({ type: 'showFrame', id: first + 4 });
+    const frame = messages[messages.length - 1];
+    expect(frame).toMatchObject({ type: 'frame', epoch: 1, sweeps: 4 });
+    expect(frame.spins).toHaveLength(64);
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'seek', id: first + 4 });
+    const resumed = messages[messages.length - 1];
+    expect(resumed.sweeps).toBe(4);
+    expect(resumed.spins).toEqual(frame.spins);
+    expect(resumed.timeline.last).toBe(first + 4);
+
+    // Frames that are gone are ignored
+    const count = messages.length;
+    host.handle({ type: 'showFrame', id: last });
+    host.handle({ type: 'seek', id: last });
+    expect(messages).toHaveLength(count);
+
+    host.handle({ type: 'reset', epoch: 2, size: 8, pattern: 'positive' });
+    expect(messages[messages.length - 1].timeline).toMatchObject({
+      firstSweeps: 0,
+      lastSweeps: 0,
+    });
+  });
+
+  test('snapshots carry the quenched fields and vacancies', () => {
+    const { host, messages } = setup();
+    host.handle({
+      type: 'setParameters',
+      parameters: { externalField: 0.5, randomField: 1, dilution: 0.25 },
+    });
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'reset', epoch: 2, size: 8, pattern: 'positive' });
+    const last = messages[messages.length - 1];
+    expect(last.vacancies).toHaveLength(64);
+    expect(last.vacancies.some((vacant) => vacant)).toBe(true);
+    expect(last.fields.every((h, i) => !last.vacancies[i] || h === 0)).toBe(
+      true
+    );
+    expect(new Set(last.fields).size).toBeGreaterThan(2);
+  });
+
+  test('running averages start after the burn-in', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'setMeasurement', burnIn: 3, window: 4 });
+    host.handle({ type: 'play', interval: 10 });
+    jest.advanceTimersByTime(20);
+    host.handle({ type: 'ack' });
+    expect(messages[1].measurement).toMatchObject({
+      burnInRemaining: 1,
+      samples: 0,
+      specificHeat: null,
+    });
+
+    jest.advanceTimersByTime(80);
+    host.handle({ type: 'ack' });
+    const { measurement, history } = messages[2];
+    expect(measurement).toMatchObject({ burnInRemaining: 0, samples: 4 });
+    expect(measurement.energy).toEqual(expect.any(Number));
+    expect(measurement.susceptibility).toBeGreaterThanOrEqual(0);
+    expect(history.binderCumulant.slice(0, 2)).toEqual([null, null]);
+    expect(history.binderCumulant[history.binderCumulant.length - 1]).toBe(
+      measurement.binderCumulant
+    );
+
+    host.handle({ type: 'setParameters', parameters: { temperature: 1 } });
+    host.handle({ type: 'pause' });
+    host.handle({ type: 'brush', x: 1, y: 1, radius: 1, shape: 'circle' });
+    host.handle({ type: 'ack' });
+    const last = messages[messages.length - 1];
+    expect(last.measurement.burnInRemaining).toBe(3);
+  });
+
+  test('experiments run in slices and can be cancelled', () => {
+    const { host, messages } = setup();
+    const settings = {
+      start: 2,
+      end: 3,
+      step: 0.5,
+      equilibrationSweeps: 1000,
+      measurementSweeps: 2000,
+      runs: 2,
+    };
+    host.handle({ type: 'startExperiment', id: 7, size: 10, settings });
+    jest.advanceTimersByTime(0);
+    const progress = messages.filter(({ type }) => type === 'experiment');
+    expect(progress).toHaveLength(1);
+    expect(progress[0]).toMatchObject({
+      id: 7,
+      temperature: 2,
+      done: 2000,
+      total: 3 * 2 * 3000,
+      points: [],
+      finished: false,
+    });
+
+    host.handle({ type: 'cancelExperiment' });
+    jest.runOnlyPendingTimers();
+    expect(messages.filter(({ type }) => type === 'experiment')).toHaveLength(
+      1
+    );
+  });
+
+  test('finished experiments post every point', () => {
+    const { host, messages } = setup();
+    const settings = {
+      start: 2,
+      end: 3,
+      step: 0.5,
+      equilibrationSweeps: 2,
+      measurementSweeps: 4,
+      runs: 1,
+    };
+    host.handle({ type: 'startExperiment', id: 8, size: 4, settings });
+    jest.runOnlyPendingTimers();
+    const [last] = messages.filter(({ type }) => type === 'experiment');
+    expect(last.finished).toBe(true);
+    expect(last.points.map(({ temperature }) => temperature)).toEqual([
+      2, 2.5, 3,
+    ]);
+  });
+
+  test('hysteresis loops drive the field and restart with the temperature', () => {
+    const { host, messages } = setup();
+    host.handle({
+      type: 'setHysteresis',
+      hysteresis: { fieldMax: 1, rate: 0.25 },
+    });
+    host.handle({ type: 'play', interval: 10 });
+    jest.advanceTimersByTime(60);
+    host.handle({ type: 'ack' });
+    const { hysteresis } = messages[messages.length - 1];
+    expect(hysteresis.loop).toBe(1);
+    expect(hysteresis.temperature).toBe(2);
+    expect(hysteresis.points.map(([h]) => h)).toEqual([
+      -1, -0.75, -0.5, -0.25, 0, 0.25,
+    ]);
+    expect(hysteresis.field).toBe(0.25);
+    expect(hysteresis.cycles).toHaveLength(1);
+
+    host.handle({ type: 'setParameters', parameters: { temperature: 3 } });
+    jest.advanceTimersByTime(10);
+    host.handle({ type: 'ack' });
+    const restarted = messages[messages.length - 1].hysteresis;
+    expect(restarted).toMatchObject({ loop: 2, temperature: 3, field: -1 });
+    expect(restarted.points).toEqual([[-1, expect.any(Number)]]);
+
+    host.handle({ type: 'setHysteresis', hysteresis: null });
+    jest.advanceTimersByTime(10);
+    host.handle({ type: 'ack' });
+    expect(messages[messages.length - 1].hysteresis).toBeNull();
+    host.handle({ type: 'pause' });
+  });
+
+  test('annealing schedules set the temperature of every sweep', () => {
+    const { host, messages } = setup();
+    host.handle({
+      type: 'setSchedule',
+      schedule: {
+        kind: 'linear',
+        start: 3,
+        target: 2,
+        duration: 4,
+        keyframes: [],
+      },
+    });
+    host.handle({ type: 'play', interval: 10 });
+    jest.advanceTimersByTime(30);
+    host.handle({ type: 'ack' });
+    expect(messages[messages.length - 1].annealing).toEqual({
+      sweep: 3,
+      length: 4,
+      temperature: 2.5,
+      finished: false,
+    });
+
+    jest.advanceTimersByTime(30);
+    host.handle({ type: 'ack' });
+    expect(messages[messages.length - 1].annealing).toEqual({
+      sweep: 5,
+      length: 4,
+      temperature: 2,
+      finished: true,
+    });
+    host.handle({ type: 'pause' });
+    expect(
+      reply(host, messages, {
+        type: 'setSchedule',
+        schedule: { kind: 'cosine' },
+      })
+    ).toEqual(failure('setSchedule', /schedule/));
+  });
+
+  test('resetting with the same seed replays the run', () => {
+    const run = () => {
+      const messages = [];
+      const host = createSimulationHost((message) => messages.push(message));
+      host.handle({
+        type: 'reset',
+        epoch: 1,
+        size: 8,
+        pattern: 'random',
+        seed: 42,
+        parameters: { temperature: 2.2 },
+      });
+      host.handle({ type: 'play', interval: 10 });
+      jest.advanceTimersByTime(50);
+      host.handle({ type: 'brush', x: 4, y: 4, radius: 2, shape: 'circle' });
+      host.handle({ type: 'ack' });
+      jest.advanceTimersByTime(50);
+      host.handle({ type: 'ack' });
+      host.dispose();
+      return messages.map(({ spins, history }) => ({ spins, history }));
+    };
+    expect(run()).toEqual(run());
+  });
+
+  test('advances run a fixed number of sweeps per snapshot', () => {
+    const { host, messages } = setup();
+    expect(messages[0].advanced).toBeNull();
+    host.handle({ type: 'advance', id: 1, sweeps: 3 });
+    expect(messages).toHaveLength(1);
+
+    host.handle({ type: 'ack' });
+    expect(messages).toHaveLength(2);
+    expect(messages[1].advanced).toBe(1);
+    expect(messages[1].sweeps).toBe(3);
+    expect(messages[1].history.magnetization).toHaveLength(3);
+    expect(messages[1].history.sweeps).toEqual([1, 2, 3]);
+    expect(messages[1].history.temperature).toEqual([2, 2, 2]);
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'advance', id: 2, sweeps: 4 });
+    expect(messages).toHaveLength(3);
+    expect(messages[2].advanced).toBe(2);
+    expect(messages[2].sweeps).toBe(7);
+    expect(messages[2].history.magnetization).toHaveLength(4);
+  });
+
+  test('measures the correlation function on demand and live', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'measureCorrelation' });
+    expect(messages).toHaveLength(2);
+    // The ordered lattice is uncorrelated once its mean is subtracted
+    const { correlation } = messages[1];
+    expect(correlation.sweeps).toBe(0);
+    expect(correlation.r).toHaveLength(5);
+    expect(correlation.g[0]).toBeCloseTo(0, 12);
+    expect(correlation.fit).toBeNull();
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'setCorrelation', interval: 2 });
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'advance', id: 1, sweeps: 5 });
+    host.handle({ type: 'ack' });
+    const { history } = messages[messages.length - 1];
+    expect(history.sweeps).toEqual([1, 2, 3, 4, 5]);
+    expect(history.correlationLength.filter((_, k) => k % 2 === 0)).toEqual([
+      null,
+      null,
+      null,
+    ]);
+    expect(messages[messages.length - 1].correlation.sweeps).toBe(4);
+
+    host.handle({ type: 'setCorrelation', interval: null });
+    host.handle({ type: 'advance', id: 2, sweeps: 2 });
+    host.handle({ type: 'ack' });
+    const last = messages[messages.length - 1];
+    expect(last.history.correlationLength).toEqual([null, null]);
+    expect(last.correlation.sweeps).toBe(4);
+    expect(
+      reply(host, messages, { type: 'setCorrelation', interval: 0.5 })
+    ).toEqual(failure('setCorrelation', /Invalid correlation interval/));
+  });
+
+  test('analyzes clusters for every snapshot once asked to', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'setDomains', kind: 'geometric' });
+    expect(messages).toHaveLength(2);
+    const { domains } = messages[1];
+    expect(domains.kind).toBe('geometric');
+    expect(domains.count).toBe(1);
+    expect(domains.labels).toHaveLength(64);
+    expect(domains.histogram).toEqual([
+      { size: 64, count: 1, density: 1 / 64 / 64 },
+    ]);
+
+    host.handle({ type: 'ack' });
+    host.handle({
+      type: 'setParameters',
+      parameters: { model: 'xy' },
+    });
+    host.handle({ type: 'brush', x: 4, y: 4, radius: 1, shape: 'circle' });
+    expect(messages[2].domains).toBeNull();
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'setDomains', kind: null });
+    expect(messages[3].domains).toBeNull();
+    expect(
+      reply(host, messages, { type: 'setDomains', kind: 'fuzzy' })
+    ).toEqual(failure('setDomains', /Unknown cluster kind/));
+  });
+
+  test('sends each structure factor once and records the domain size', () => {
+    const { host, messages } = setup();
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'measureStructureFactor' });
+    const { structureFactor } = messages[1];
+    expect(structureFactor.sweeps).toBe(0);
+    expect(structureFactor.size).toBe(8);
+    expect(structureFactor.factor).toHaveLength(64);
+    expect(structureFactor.factor[0]).toBeCloseTo(64, 4);
+    expect(structureFactor.k).toHaveLength(4);
+    expect(structureFactor.length).toBeNull();
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'advance', id: 1, sweeps: 1 });
+    expect(messages[2].structureFactor).toBeNull();
+
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'setStructureFactor', interval: 3 });
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'advance', id: 2, sweeps: 6 });
+    const last = messages[messages.length - 1];
+    expect(last.history.sweeps).toEqual([2, 3, 4, 5, 6, 7]);
+    expect(last.history.domainLength).toHaveLength(6);
+    expect(last.structureFactor.sweeps).toBe(6);
+    expect(
+      reply(host, messages, { type: 'setStructureFactor', interval: -1 })
+    ).toEqual(failure('setStructureFactor', /Invalid structure factor/));
+  });
+
+  test('a loaded state resumes the saved run bit for bit', () => {
+    const { host, messages } = setup();
+    host.handle({
+      type: 'reset',
+      epoch: 2,
+      size: 6,
+      pattern: 'random',
+      seed: 8,
+      parameters: { temperature: 2.4 },
+    });
+    host.handle({ type: 'play', interval: 10 });
+    jest.advanceTimersByTime(30);
+    host.handle({ type: 'pause' });
+    host.handle({ type: 'save' });
+    const saved = messages[messages.length - 1];
+    expect(saved).toMatchObject({
+      type: 'state',
+      size: 6,
+      sweeps: 3,
+      temperature: 2.4,
+      externalField: 0,
+      random: { seed: 8 },
+    });
+
+    const continued = () => {
+      host.handle({ type: 'ack' });
+      host.handle({ type: 'play', interval: 10 });
+      jest.advanceTimersByTime(40);
+      host.handle({ type: 'pause' });
+      host.handle({ type: 'ack' });
+      return messages[messages.length - 1];
+    };
+    const expected = continued();
+
+    const other = [];
+    const resumed = createSimulationHost((message) => other.push(message));
+    resumed.handle({
+      type: 'load',
+      epoch: 5,
+      state: {
+        ...saved,
+        parameters: { temperature: 2.4, coupling: 1, externalField: 0 },
+      },
+    });
+    expect(other[0]).toMatchObject({ epoch: 5, sweeps: 3 });
+    expect(other[0].spins).toEqual(saved.spins);
+    resumed.handle({ type: 'ack' });
+    resumed.handle({ type: 'play', interval: 10 });
+    jest.advanceTimersByTime(40);
+    resumed.handle({ type: 'pause' });
+    resumed.handle({ type: 'ack' });
+    const actual = other[other.length - 1];
+    expect(actual.sweeps).toBe(expected.sweeps);
+    expect(actual.spins).toEqual(expected.spins);
+  });
+
+  test('answers messages that fail with an error', () => {
+    const { host, messages } = setup();
+    expect(reply(host, messages, { type: 'explode' })).toEqual(
+      failure('explode', /explode/)
+    );
+    // The host carries on
+    host.handle({ type: 'ack' });
+    host.handle({ type: 'advance', id: 1, sweeps: 1 });
+    expect(messages[messages.length - 1].advanced).toBe(1);
+  });
+
+  test('a reset changes the size and the geometry together', () => {
+    const { host, messages } = setup();
+    const parameters = { latticeType: 'triangular', boundary: 'periodic' };
+    // An odd size on the square lattice, then a triangular one that wraps
+    host.handle({ type: 'ack' });
+    host.handle({
+      type: 'reset',
+      epoch: 2,
+      size: 31,
+      pattern: 'positive',
+      parameters: { latticeType: 'square' },
+    });
+    host.handle({ type: 'ack' });
+    host.handle({
+      type: 'reset',
+      epoch: 3,
+      size: 30,
+      pattern: 'positive',
+      parameters,
+    });
+    let last = messages[messages.length - 1];
+    expect(last).toMatchObject({
+      epoch: 3,
+      size: 30,
+      latticeType: 'triangular',
+    });
+    // And back to an odd square lattice from the triangular one
+    host.handle({ type: 'ack' });
+    host.handle({
+      type: 'reset',
+      epoch: 4,
+      size: 31,
+      pattern: 'positive',
+      parameters: { latticeType: 'square' },
+    });
+    last = messages[messages.length - 1];
+    expect(last).toMatchObject({ epoch: 4, size: 31, latticeType: 'square' });
+    expect(messages.some(({ type }) => type === 'error')).toBe(false);
+  });
+
+  test('a reset to a size the geometry does not allow is answered with an error', () => {
+    const { host, messages } = setup();
+    expect(
+      reply(host, messages, {
+        type: 'reset',
+        epoch: 2,
+        size: 31,
+        pattern: 'positive',
+        parameters: { latticeType: 'triangular' },
+      })
+    ).toEqual(failure('reset', /even size/));
+  });
+});
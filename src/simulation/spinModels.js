@@ -0,0 +1,90 @@
+// spinModels.js
+// Spin models the engine can simulate:
+//   ising  s = ±1, bond energy -J s_i s_j, field energy -h s_i
+//   potts  s = 0..q-1, bond energy -J δ(s_i, s_j), field energy -h δ(s_i, 0)
+//   clock  s = 0..q-1 at angle θ = 2πs/q, bond energy -J cos(θ_i - θ_j),
+//          field energy -h cos θ_i
+//   xy     s = θ in [0, 2π), with the clock model's energies
+// Potts and clock spins are stored as state indices and XY spins as angles
+// in a Float64Array; Ising spins stay ±1 so the Ising hot paths never have
+// to look anything up.
+
+export const MODELS = ['ising', 'potts', 'clock', 'xy'];
+
+const TWO_PI = 2 * Math.PI;
+
+export const MIN_STATES = 2;
+export const MAX_STATES = 8;
+
+// Number of states each site can take
+export const stateCount = (model, q) => {
+  if (model === 'ising') return 2;
+  if (model === 'xy') return Infinity;
+  return q;
+};
+
+// Storage for N spins of the given model
+export const createSpins = (model, n) =>
+  model === 'xy' ? new Float64Array(n) : new Int8Array(n);
+
+// Angle in [0, 2π)
+export const wrapAngle = (angle) => ((angle % TWO_PI) + TWO_PI) % TWO_PI;
+
+// The spins called "up" and "down" by the initial patterns and the fixed
+// boundaries; "down" is the state opposite to up, as far as q allows
+export const upSpin = (model) => (model === 'ising' ? 1 : 0);
+
+export const downSpin = (model, q) => {
+  if (model === 'ising') return -1;
+  if (model === 'xy') return Math.PI;
+  return Math.floor(q / 2);
+};
+
+// overlap[(a - b + q) % q] is the bond energy of states a and b in units of
+// -J, and overlap[s] the field energy of state s in units of -h
+export const stateOverlap = (model, q) =>
+  Float64Array.from({ length: q }, (_, d) =>
+    model === 'potts' ? (d === 0 ? 1 : 0) : Math.cos((2 * Math.PI * d) / q)
+  );
+
+// Projection of each state onto state 0, normalized so that a fully ordered
+// lattice in state 0 has magnetization 1 and a uniformly random one 0
+export const stateProjection = (model, q) =>
+  Float64Array.from({ length: q }, (_, s) =>
+    model === 'potts'
+      ? (s === 0 ? q - 1 : -1) / (q - 1)
+      : Math.cos((2 * Math.PI * s) / q)
+  );
+
+// Spin of the fixed frame for fixedUp / fixedDown boundaries
+export const frameState = (boundary, model, q) =>
+  boundary === 'fixedDown' ? downSpin(model, q) : upSpin(model);
+
+export const validateModel = (model, q) => {
+  if (!MODELS.includes(model)) {
+    throw new Error(`Unknown spin model: ${model}`);
+  }
+  if (
+    (model === 'potts' || model === 'clock') &&
+    !(Number.isInteger(q) && q >= MIN_STATES && q <= MAX_STATES)
+  ) {
+    throw new Error(
+      `The ${model} model needs ${MIN_STATES} to ${MAX_STATES} states, got ${q}`
+    );
+  }
+};
+
+// Convert one spin between models, keeping its angle: up (+1) is state 0 and
+// down (-1) is state 1 of a two-state model
+export const convertSpin = (spin, from, fromQ, to, toQ) => {
+  let turn; // Fraction of a full turn
+  if (from === 'xy') turn = spin / TWO_PI;
+  else if (from === 'ising') turn = spin === 1 ? 0 : 0.5;
+  else turn = spin / fromQ;
+  if (to === 'xy') return TWO_PI * turn;
+
+  const count = stateCount(to, toQ);
+  const converted = Math.round(turn * count) % count;
+  if (to === 'ising') return converted === 0 ? 1 : -1;
+  return converted;
+};
@@ -0,0 +1,84 @@
+// structureFactor.js
+// Structure factor of a single lattice,
+//   S(k) = |Σ_x s_x e^(−ik·x)|² / N,
+// for every wave vector k = 2π (nx, ny) / L of the L × L grid, summed over
+// the spin components of correlation.js so that it is the Fourier transform
+// of ⟨s_0 · s_r⟩. Modes are stored like the lattice, index ny·L + nx with
+// nx and ny in 0..L−1, so S(0) = N m² sits at index 0 and the modes past
+// L/2 are the negative wave vectors. As for the correlation function,
+// positions are lattice indices.
+//
+// The circular average S(|k|) bins the modes by |n| rounded to an integer
+// up to L/2, leaving out k = 0. During coarsening S(|k|) is peaked at a
+// wave vector that shrinks as the domains grow, and the domain size
+//   L(t) = 2π / ⟨|k|⟩,  ⟨|k|⟩ = Σ |k| S(k) / Σ S(k)
+// over the same modes follows the growth law t^(1/2) after a quench of a
+// non-conserved model.
+import { spinComponents } from './correlation';
+import { fft2 } from './fft';
+
+export const structureFactor = (
+  spins,
+  size,
+  { model, q, vacancies = null }
+) => {
+  const n = size * size;
+  const factor = new Float64Array(n);
+  for (const values of spinComponents(spins, size, { model, q, vacancies })) {
+    const im = new Float64Array(n);
+    fft2(values, im, size, size);
+    for (let k = 0; k < n; k++) {
+      factor[k] += (values[k] * values[k] + im[k] * im[k]) / n;
+    }
+  }
+  return factor;
+};
+
+// |n| of mode (nx, ny), folding the upper half onto negative wave numbers
+const modeNumber = (nx, ny, size) =>
+  Math.hypot(nx <= size / 2 ? nx : nx - size, ny <= size / 2 ? ny : ny - size);
+
+// Visit every mode with 0 < |n| ≤ L/2 (rounded) as visit(k, |n|, bin)
+const forEachMode = (size, visit) => {
+  const bins = Math.floor(size / 2);
+  for (let ny = 0; ny < size; ny++) {
+    for (let nx = 0; nx < size; nx++) {
+      const number = modeNumber(nx, ny, size);
+      const bin = Math.round(number);
+      if (bin >= 1 && bin <= bins) visit(ny * size + nx, number, bin);
+    }
+  }
+};
+
+// { k, s }: the mean |k| and mean S of every bin
+export const circularAverage = (factor, size) => {
+  const bins = Math.floor(size / 2) + 1;
+  const number = new Float64Array(bins);
+  const sum = new Float64Array(bins);
+  const count = new Uint32Array(bins);
+  forEachMode(size, (k, modulus, bin) => {
+    number[bin] += modulus;
+    sum[bin] += factor[k];
+    count[bin] += 1;
+  });
+  const k = [];
+  const s = [];
+  for (let bin = 1; bin < bins; bin++) {
+    if (count[bin] === 0) continue;
+    k.push((2 * Math.PI * number[bin]) / count[bin] / size);
+    s.push(sum[bin] / count[bin]);
+  }
+  return { k, s };
+};
+
+// L = 2π / ⟨|k|⟩ in lattice spacings, or null for a lattice without any
+// structure, e.g. a uniform one
+export const domainLength = (factor, size) => {
+  let weighted = 0;
+  let total = 0;
+  forEachMode(size, (k, modulus) => {
+    weighted += ((2 * Math.PI * modulus) / size) * factor[k];
+    total += factor[k];
+  });
+  return total > 1e-12 ? (2 * Math.PI * total) / weighted : null;
+};
@@ -0,0 +1,79 @@
+import {
+  circularAverage,
+  domainLength,
+  structureFactor,
+} from './structureFactor';
+import { createRandom } from './random';
+
+// XY spins winding `turns` times along x, a single wave vector
+const spinWave = (size, turns) =>
+  Float64Array.from(
+    { length: size * size },
+    (_, i) => (2 * Math.PI * turns * (i % size)) / size
+  );
+
+describe('structure factor', () => {
+  test('a uniform lattice has all its weight at k = 0', () => {
+    const factor = structureFactor(new Int8Array(64).fill(1), 8, {
+      model: 'ising',
+    });
+    expect(factor[0]).toBeCloseTo(64, 9);
+    factor.slice(1).forEach((value) => expect(value).toBeCloseTo(0, 9));
+    expect(domainLength(factor, 8)).toBeNull();
+  });
+
+  test('sums to the number of sites', () => {
+    const random = createRandom(11);
+    const spins = Int8Array.from({ length: 144 }, () =>
+      random() < 0.5 ? 1 : -1
+    );
+    const factor = structureFactor(spins, 12, { model: 'ising' });
+    expect(factor.reduce((a, b) => a + b, 0)).toBeCloseTo(144, 8);
+  });
+
+  test('a spin wave picks out its wave vector', () => {
+    const size = 16;
+    const factor = structureFactor(spinWave(size, 2), size, { model: 'xy' });
+    // Real spin components make S(k) = S(−k)
+    expect(factor[2]).toBeCloseTo((size * size) / 2, 8);
+    expect(factor[size - 2]).toBeCloseTo((size * size) / 2, 8);
+    expect(domainLength(factor, size)).toBeCloseTo(size / 2, 8);
+
+    const { k, s } = circularAverage(factor, size);
+    expect(k).toHaveLength(size / 2);
+    expect(s[1]).toBeGreaterThan(0);
+    expect(s[0]).toBeCloseTo(0, 8);
+    s.slice(2).forEach((value) => expect(value).toBeCloseTo(0, 8));
+  });
+
+  test('bins modes by their rounded wave number', () => {
+    const size = 6;
+    const factor = Float64Array.from({ length: 36 }, (_, i) => i);
+    const { k, s } = circularAverage(factor, size);
+    // Bin 1: (±1, 0), (0, ±1) and the four diagonals at √2
+    const first = [1, 5, 6, 30, 7, 11, 31, 35];
+    expect(k[0]).toBeCloseTo(
+      (2 * Math.PI * (4 + 4 * Math.SQRT2)) / 8 / size,
+      12
+    );
+    expect(s[0]).toBeCloseTo(first.reduce((a, b) => a + b) / 8, 12);
+    expect(k).toHaveLength(3);
+  });
+
+  test('larger domains give longer lengths', () => {
+    const size = 32;
+    const stripes = (width) =>
+      Int8Array.from({ length: size * size }, (_, i) =>
+        Math.floor((i % size) / width) % 2 === 0 ? 1 : -1
+      );
+    const narrow = domainLength(
+      structureFactor(stripes(2), size, { model: 'ising' }),
+      size
+    );
+    const wide = domainLength(
+      structureFactor(stripes(8), size, { model: 'ising' }),
+      size
+    );
+    expect(wide).toBeGreaterThan(2 * narrow);
+  });
+});
@@ -0,0 +1,191 @@
+// timeline.js
+// Ring buffer of recent lattice configurations for rewinding the view.
+// Frames are numbered by a counter that keeps growing as old frames are
+// dropped, so a frame id stays valid for as long as the frame is kept;
+// only truncating hands out the ids of the dropped frames again.
+// Consecutive configurations differ in few sites at low temperature, so
+// most frames only store the sites that changed since the frame before:
+//   { id, sweeps, indices, values }   a delta: spins[indices[k]] = values[k]
+//   { id, sweeps, spins }              a keyframe: the whole configuration
+// A frame becomes a keyframe when its delta would take more memory than the
+// configuration itself, and at least every KEYFRAME_INTERVAL frames so that
+// decoding any frame applies a bounded number of deltas. The oldest frame's
+// configuration is kept decoded as the base that the first deltas apply to.
+//
+// The buffer holds at most `capacity` frames and about `maxBytes` of
+// stored spins; past either limit the oldest frames are dropped.
+
+export const DEFAULT_TIMELINE = { capacity: 1000, maxBytes: 64 * 2 ** 20 };
+
+// Most deltas applied to decode one frame
+export const KEYFRAME_INTERVAL = 50;
+
+const frameBytes = (frame) =>
+  frame.spins
+    ? frame.spins.byteLength
+    : frame.indices.byteLength + frame.values.byteLength;
+
+export const createTimeline = ({
+  capacity = DEFAULT_TIMELINE.capacity,
+  maxBytes = DEFAULT_TIMELINE.maxBytes,
+} = {}) => {
+  if (!(Number.isInteger(capacity) && capacity > 0)) {
+    throw new Error(`Invalid timeline capacity: ${capacity}`);
+  }
+  const ring = new Array(capacity);
+  let head = 0; // Position of the oldest frame in `ring`
+  let count = 0;
+  let bytes = 0;
+  let nextId = 0;
+  let base = null; // Decoded configuration of the oldest frame
+  let latest = null; // Decoded configuration of the newest frame
+  let sinceKeyframe = 0;
+
+  const at = (k) => ring[(head + k) % capacity];
+
+  const clear = () => {
+    ring.fill(undefined);
+    head = 0;
+    count = 0;
+    bytes = 0;
+    base = null;
+    latest = null;
+  };
+
+  const apply = (spins, { indices, values }) => {
+    for (let k = 0; k < indices.length; k++) spins[indices[k]] = values[k];
+  };
+
+  const dropOldest = () => {
+    bytes -= frameBytes(at(0));
+    ring[head] = undefined;
+    head = (head + 1) % capacity;
+    count -= 1;
+    if (count === 0) return;
+    const oldest = at(0);
+    if (oldest.spins) base.set(oldest.spins);
+    else apply(base, oldest);
+  };
+
+  // Decoded copy of the k-th oldest frame
+  const decode = (k) => {
+    let start = k;
+    while (start > 0 && !at(start).spins) start -= 1;
+    const spins = (at(start).spins || base).slice();
+    for (let m = start + 1; m <= k; m++) apply(spins, at(m));
+    return spins;
+  };
+
+  // Append a configuration; returns its frame id. The newest frame's own
+  // configuration at the same sweep count is not stored twice, and a
+  // configuration of another length or type starts the buffer afresh.
+  const push = (spins, sweeps) => {
+    if (
+      latest &&
+      (latest.length !== spins.length ||
+        latest.constructor !== spins.constructor)
+    ) {
+      clear();
+    }
+    let frame;
+    if (!latest) {
+      base = spins.slice();
+      latest = spins.slice();
+      frame = { id: nextId, sweeps, spins: spins.slice() };
+      sinceKeyframe = 0;
+    } else {
+      const changed = [];
+      for (let i = 0; i < spins.length; i++) {
+        if (spins[i] !== latest[i]) changed.push(i);
+      }
+      const newest = at(count - 1);
+      if (changed.length === 0 && newest.sweeps === sweeps) return newest.id;
+      const deltaBytes =
+        changed.length *
+        (Uint32Array.BYTES_PER_ELEMENT + spins.BYTES_PER_ELEMENT);
+      sinceKeyframe += 1;
+      if (
+        deltaBytes >= spins.byteLength ||
+        sinceKeyframe >= KEYFRAME_INTERVAL
+      ) {
+        frame = { id: nextId, sweeps, spins: spins.slice() };
+        sinceKeyframe = 0;
+      } else {
+        const values = new spins.constructor(changed.length);
+        changed.forEach((i, k) => {
+          values[k] = spins[i];
+        });
+        frame = {
+          id: nextId,
+          sweeps,
+          indices: Uint32Array.from(changed),
+          values,
+        };
+      }
+      latest.set(spins);
+    }
+    nextId += 1;
+    if (count === capacity) dropOldest();
+    ring[(head + count) % capacity] = frame;
+    count += 1;
+    bytes += frameBytes(frame);
+    while (count > 1 && bytes > maxBytes) dropOldest();
+    return frame.id;
+  };
+
+  const indexOf = (id) => {
+    if (count === 0) return -1;
+    const k = id - at(0).id;
+    return k >= 0 && k < count ? k : -1;
+  };
+
+  // { id, sweeps, spins } of a kept frame, or null
+  const get = (id) => {
+    const k = indexOf(id);
+    if (k < 0) return null;
+    return { id, sweeps: at(k).sweeps, spins: decode(k) };
+  };
+
+  // Drop every frame after `id`, so recording carries on from there
+  const truncate = (id) => {
+    const k = indexOf(id);
+    if (k < 0) throw new Error(`No frame ${id} in the timeline`);
+    latest = decode(k);
+    nextId = id + 1;
+    while (count > k + 1) {
+      const position = (head + count - 1) % capacity;
+      bytes -= frameBytes(ring[position]);
+      ring[position] = undefined;
+      count -= 1;
+    }
+    // The next frame may be a delta of at most a full interval
+    sinceKeyframe = 0;
+    for (let m = k; m > 0 && !at(m).spins; m--) sinceKeyframe += 1;
+  };
+
+  return {
+    push,
+    get,
+    truncate,
+    clear,
+    // Ids of the oldest and newest frames and their sweep counts, or null
+    // when the buffer is empty
+    get range() {
+      if (count === 0) return null;
+      const first = at(0);
+      const last = at(count - 1);
+      return {
+        first: first.id,
+        last: last.id,
+        firstSweeps: first.sweeps,
+        lastSweeps: last.sweeps,
+      };
+    },
+    get length() {
+      return count;
+    },
+    get bytes() {
+      return bytes;
+    },
+  };
+};
@@ -0,0 +1,112 @@
+import IsingSimulation from './IsingSimulation';
+import { createRandom } from './random';
+import { createTimeline, KEYFRAME_INTERVAL } from './timeline';
+
+// Configurations of a short run, each with its sweep count
+const run = (frames, options) => {
+  const sim = new IsingSimulation({
+    size: 16,
+    temperature: 1.8,
+    random: createRandom(3),
+    ...options,
+  });
+  const configurations = [];
+  for (let k = 0; k < frames; k++) {
+    configurations.push({ sweeps: sim.sweeps, spins: sim.spins.slice() });
+    sim.sweep();
+  }
+  return configurations;
+};
+
+describe('timeline', () => {
+  test('every kept frame decodes to the configuration it was given', () => {
+    const configurations = run(3 * KEYFRAME_INTERVAL);
+    const timeline = createTimeline({ capacity: 80 });
+    const ids = configurations.map(({ spins, sweeps }) =>
+      timeline.push(spins, sweeps)
+    );
+    expect(timeline.length).toBe(80);
+    expect(timeline.range).toEqual({
+      first: ids[ids.length - 80],
+      last: ids[ids.length - 1],
+      firstSweeps: configurations[configurations.length - 80].sweeps,
+      lastSweeps: configurations[configurations.length - 1].sweeps,
+    });
+    expect(timeline.get(ids[0])).toBeNull();
+    configurations.slice(-80).forEach(({ spins, sweeps }, k) => {
+      const frame = timeline.get(ids[ids.length - 80 + k]);
+      expect(frame.sweeps).toBe(sweeps);
+      expect(frame.spins).toEqual(spins);
+    });
+  });
+
+  test('deltas take far less memory than full copies at low temperature', () => {
+    const configurations = run(40, { temperature: 1, pattern: 'positive' });
+    const timeline = createTimeline();
+    for (const { spins, sweeps } of configurations) {
+      timeline.push(spins, sweeps);
+    }
+    expect(timeline.bytes).toBeLessThan((40 * 256) / 4);
+  });
+
+  test('XY angles round-trip exactly', () => {
+    const configurations = run(10, { model: 'xy' });
+    const timeline = createTimeline();
+    const ids = configurations.map(({ spins, sweeps }) =>
+      timeline.push(spins, sweeps)
+    );
+    expect(timeline.get(ids[7]).spins).toEqual(configurations[7].spins);
+    expect(timeline.get(ids[7]).spins).toBeInstanceOf(Float64Array);
+  });
+
+  test('the memory limit drops the oldest frames', () => {
+    const timeline = createTimeline({ capacity: 100, maxBytes: 1000 });
+    const spins = new Int8Array(256).fill(1);
+    for (let k = 0; k < 10; k++) {
+      spins.fill(k % 2 ? -1 : 1);
+      timeline.push(spins, k);
+    }
+    // Every frame is a 256-byte keyframe
+    expect(timeline.length).toBe(3);
+    expect(timeline.bytes).toBe(768);
+    expect(timeline.range.firstSweeps).toBe(7);
+  });
+
+  test('truncating carries on recording from an earlier frame', () => {
+    const configurations = run(20);
+    const timeline = createTimeline();
+    const ids = configurations.map(({ spins, sweeps }) =>
+      timeline.push(spins, sweeps)
+    );
+    timeline.truncate(ids[5]);
+    expect(timeline.range.last).toBe(ids[5]);
+    const next = timeline.push(configurations[15].spins, 99);
+    expect(next).toBe(ids[6]);
+    expect(timeline.get(next).spins).toEqual(configurations[15].spins);
+    expect(timeline.get(ids[5]).spins).toEqual(configurations[5].spins);
+    expect(() => timeline.truncate(ids[10])).toThrow('No frame');
+  });
+
+  test('an unchanged configuration is only stored again after a sweep', () => {
+    const timeline = createTimeline();
+    const spins = new Int8Array(16).fill(1);
+    const id = timeline.push(spins, 4);
+    expect(timeline.push(spins, 4)).toBe(id);
+    expect(timeline.push(spins, 5)).toBe(id + 1);
+    expect(timeline.length).toBe(2);
+  });
+
+  test('a configuration of another shape starts afresh', () => {
+    const timeline = createTimeline();
+    timeline.push(new Int8Array(16), 0);
+    timeline.push(new Int8Array(16), 1);
+    const id = timeline.push(new Float64Array(16), 0);
+    expect(timeline.length).toBe(1);
+    expect(timeline.range.first).toBe(id);
+    timeline.clear();
+    expect(timeline.range).toBeNull();
+    expect(() => createTimeline({ capacity: 0 })).toThrow(
+      'Invalid timeline capacity'
+    );
+  });
+});